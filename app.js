@@ -0,0 +1,105 @@
+// app.js - Express app factory
+//
+// createApp(deps) wires the routers to their dependencies without listening,
+// so server.js (and tests) decide where the app runs. Every dependency has a
+// default: the configured conversation, document and persona stores,
+// services/llmService.js, services/index.js and the shared cache.
+
+import express from "express";
+import cors from "cors";
+
+import defaultServices from "./services/index.js";
+import * as llmService from "./services/llmService.js";
+import defaultCache from "./utils/cache.js";
+import { createConversationStore } from "./utils/conversationStore.js";
+import { createDocumentStore } from "./utils/documentStore.js";
+import { createPersonaStore } from "./utils/personaStore.js";
+import { authenticate } from "./utils/auth.js";
+
+import { createChatController } from "./controllers/chatController.js";
+import { createConversationController } from "./controllers/conversationController.js";
+import { createToolController } from "./controllers/toolController.js";
+import { createAdminController } from "./controllers/adminController.js";
+import { createDocumentController } from "./controllers/documentController.js";
+import { createPersonaController } from "./controllers/personaController.js";
+import { createChatRouter } from "./routes/chatRoutes.js";
+import { createConversationRouter } from "./routes/conversationRoutes.js";
+import { createToolRouter } from "./routes/toolRoutes.js";
+import { createAdminRouter } from "./routes/adminRoutes.js";
+import { createDocumentRouter } from "./routes/documentRoutes.js";
+import { createPersonaRouter } from "./routes/personaRoutes.js";
+
+/**
+ * 🏗️ Build the app. deps: { conversations, documents, persona, llm, services, cache }
+ */
+export function createApp({
+  conversations = createConversationStore(),
+  documents = createDocumentStore(),
+  persona = createPersonaStore(),
+  llm = llmService,
+  services = defaultServices,
+  cache = defaultCache
+} = {}) {
+  const app = express();
+
+  app.use(cors());
+  app.use(express.json());
+
+  // Health check
+  app.get("/", (req, res) => {
+    res.json({
+      status: "ok",
+      message: "🚀 Ultimate AI Assistant Running!",
+      version: "4.0.0"
+    });
+  });
+
+  app.get("/api/health", (req, res) => {
+    res.json({ status: "ok", emoji: "✅" });
+  });
+
+  // Chat routes need a user
+  app.use(
+    "/api/chat",
+    authenticate,
+    createChatRouter(createChatController({ conversations, documents, persona, llm, services })),
+    createConversationRouter(createConversationController({ conversations }))
+  );
+  app.use("/api", createAdminRouter(createAdminController({ cache })));
+  app.use("/api", createDocumentRouter(createDocumentController({ documents })));
+  app.use("/api", createPersonaRouter(createPersonaController({ persona })));
+  app.use("/api", createToolRouter(createToolController({ services })));
+
+  // 404 and error handlers go last, after every router
+  app.use(notFound);
+  app.use(handleError);
+
+  return app;
+}
+
+/**
+ * ❓ 404 for anything no router answered
+ */
+function notFound(req, res) {
+  res.status(404).json({ success: false, error: { message: "❌ Not found" } });
+}
+
+/**
+ * 💥 Errors passed to next() (or thrown by async handlers) as JSON
+ */
+function handleError(error, req, res, next) {
+  // express.json() rejects malformed bodies with type "entity.parse.failed"
+  const invalidJSON = error.type === "entity.parse.failed";
+  const status = invalidJSON ? 400 : error.status || 500;
+  if (status >= 500) console.error("❌ Request error:", error.message);
+
+  // A stream that already started can only be ended
+  if (res.headersSent) return res.end();
+
+  res.status(status).json({
+    success: false,
+    error: { message: invalidJSON ? "❌ Invalid JSON body" : `❌ ${error.message || "Internal server error"}` }
+  });
+}
+
+export default createApp;
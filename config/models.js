@@ -0,0 +1,93 @@
+// config/models.js - AI Models Registry
+//
+// Each entry declares the provider that serves it, its context size in tokens
+// (`contextWindow`, shared by prompt and the `maxTokens` reply) and whether it
+// can call tools (`supportsTools`). A model may also override the provider's
+// base URL (`baseUrl`) and credentials (`apiKeyEnv`), e.g. to point a single
+// model at a local mock server.
+
+export const models = {
+  "llama-3.1-8b": {
+    id: "llama-3.1-8b-instant",
+    name: "Llama 3.1 8B",
+    description: "⚡ Ultra Fast",
+    maxTokens: 2048,
+    contextWindow: 131072,
+    provider: "groq",
+    supportsTools: true,
+  },
+  "llama-3.3-70b": {
+    id: "llama-3.3-70b-versatile",
+    name: "Llama 3.3 70B",
+    description: "🎯 Most Powerful",
+    maxTokens: 4096,
+    contextWindow: 131072,
+    provider: "groq",
+    supportsTools: true,
+  },
+  "gemma2-9b": {
+    id: "gemma2-9b-it",
+    name: "Gemma 2 9B",
+    description: "🔷 Google's Model",
+    maxTokens: 2048,
+    contextWindow: 8192,
+    provider: "groq",
+  },
+  "mixtral-8x7b": {
+    id: "mixtral-8x7b-32768",
+    name: "Mixtral 8x7B",
+    description: "🔥 Best for Complex Tasks",
+    maxTokens: 4096,
+    contextWindow: 32768,
+    provider: "groq",
+    supportsTools: true,
+  },
+};
+
+export const DEFAULT_MODEL = "llama-3.3-70b";
+
+// Models tried in order when the requested one fails (override with MODEL_FALLBACK_CHAIN)
+export const DEFAULT_FALLBACK_CHAIN = ["llama-3.3-70b", "mixtral-8x7b", "llama-3.1-8b"];
+
+/**
+ * 🔌 Known OpenAI-compatible providers
+ *
+ * Base URLs and keys come from env so any of them can be redirected.
+ * `modelsEnv` lists extra model ids (comma separated) to register for
+ * providers whose models are chosen locally, like Ollama or llama.cpp.
+ */
+export const providers = {
+  groq: {
+    name: "Groq",
+    baseUrlEnv: "GROQ_BASE_URL",
+    defaultBaseUrl: "https://api.groq.com/openai/v1",
+    apiKeyEnv: "GROQ_API_KEY",
+    modelsEnv: "GROQ_MODELS",
+  },
+  openrouter: {
+    name: "OpenRouter",
+    baseUrlEnv: "OPENROUTER_BASE_URL",
+    defaultBaseUrl: "https://openrouter.ai/api/v1",
+    apiKeyEnv: "OPENROUTER_API_KEY",
+    modelsEnv: "OPENROUTER_MODELS",
+  },
+  ollama: {
+    name: "Ollama",
+    baseUrlEnv: "OLLAMA_BASE_URL",
+    modelsEnv: "OLLAMA_MODELS",
+    keyless: true,
+  },
+  llamacpp: {
+    name: "llama.cpp",
+    baseUrlEnv: "LLAMACPP_BASE_URL",
+    modelsEnv: "LLAMACPP_MODELS",
+    keyless: true,
+  },
+};
+
+export default {
+  models,
+  providers,
+  DEFAULT_MODEL,
+  DEFAULT_FALLBACK_CHAIN
+};
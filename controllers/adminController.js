@@ -0,0 +1,69 @@
+// controllers/adminController.js - Auth token, cache and intent evaluation handlers
+
+import { signToken } from "../utils/auth.js";
+import { evaluateIntents } from "../utils/queryAnalyzer.js";
+import { createIntentClassifier, getIntentClassifier } from "../utils/intentClassifier.js";
+
+/**
+ * 🔐 Admin handlers over a cache (utils/cache.js shape)
+ */
+export function createAdminController({ cache }) {
+  /**
+   * 🔑 POST /api/auth/token - exchange an API key (or a still-valid token) for a fresh bearer token
+   * A refreshed token keeps the original session start, so it expires with that session.
+   */
+  function createToken(req, res) {
+    try {
+      const token = signToken(req.user);
+      const { id, role } = req.user;
+      res.json({ success: true, data: { token, user: { id, role } } });
+    } catch (error) {
+      res.status(500).json({ success: false, error: { message: `❌ ${error.message}` } });
+    }
+  }
+
+  /**
+   * 📊 GET /api/cache/stats
+   */
+  function getCacheStats(req, res) {
+    res.json({ success: true, data: cache.getStats() });
+  }
+
+  /**
+   * 🧹 DELETE /api/cache/clear - ?namespace=weather clears only that namespace's keys
+   */
+  function clearCache(req, res) {
+    const { namespace } = req.query;
+    cache.clear(namespace);
+    res.json({ success: true, message: namespace ? `Cache namespace "${namespace}" cleared` : "Cache cleared" });
+  }
+
+  /**
+   * 🧠 POST /api/intents/evaluate - body: { examples?: [{ text, intent }], classifier?: "naive-bayes" | "tfidf" }
+   */
+  function evaluate(req, res) {
+    const { examples, classifier: type } = req.body || {};
+
+    if (examples !== undefined && (!Array.isArray(examples) || examples.some(e => !e?.text || !e?.intent))) {
+      return res.status(400).json({ success: false, error: { message: "❌ examples must be an array of { text, intent }" } });
+    }
+
+    try {
+      const classifier = type ? createIntentClassifier(type) : getIntentClassifier();
+      res.json({ success: true, data: evaluateIntents(examples, classifier) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: { message: `❌ ${error.message}` } });
+    }
+  }
+
+  return {
+    createToken,
+    getCacheStats,
+    clearCache,
+    evaluate
+  };
+}
+
+export default {
+  createAdminController
+};
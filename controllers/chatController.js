@@ -0,0 +1,755 @@
+// controllers/chatController.js - Chat, streaming, image, regenerate and edit handlers
+
+import { v4 as uuidv4 } from "uuid";
+import { buildSystemPrompt } from "../knowledge.js";
+import { DEFAULT_MODEL } from "../config/models.js";
+import { buildContextFromKnowledge } from "../utils/responseBuilder.js";
+import { buildCards, buildToolCard, buildToolCards } from "../utils/cardBuilder.js";
+import { formatSourceList, checkCitations } from "../utils/citations.js";
+import { createTools } from "../utils/tools.js";
+import { buildChatContext } from "../utils/contextBuilder.js";
+import { gatherKnowledge } from "../utils/knowledgeGatherer.js";
+import { quickResponses, getQuickResponse } from "../utils/quickResponses.js";
+import { matchFaqs, describeFaqMatch } from "../utils/faqMatcher.js";
+import {
+  findMessage, getPath, getPathBefore, appendMessage, describeBranch, toConversationView
+} from "../utils/conversationTree.js";
+import { getOwnedConversation, getOrCreateConversation } from "./conversationAccess.js";
+
+/**
+ * 💬 Chat handlers over a conversation store, the persona store the system
+ * prompt is built from, the LLM layer (services/llmService.js), and the data
+ * services and document store used for knowledge gathering
+ */
+export function createChatController({ conversations, documents, persona, llm, services }) {
+  /**
+   * System prompt of the current persona version, read on every request
+   */
+  async function buildBasePrompt() {
+    return buildSystemPrompt((await persona.get()).persona);
+  }
+
+  // Tools call the same services as knowledge gathering
+  const tools = createTools(services);
+
+  /**
+   * Tool options for the LLM layer, so the model can call services itself
+   */
+  function getToolOptions(enableTools = true) {
+    return enableTools ? tools : {};
+  }
+
+  /**
+   * ❓ The current persona's FAQs matching a message (see utils/faqMatcher.js), or null
+   */
+  async function matchPersonaFaqs(message) {
+    const match = matchFaqs(message, (await persona.get()).persona.faqs);
+    if (match) {
+      console.log(`❓ FAQ match (${match.confidence}): ${match.matches.map(m => `${m.id} ${m.score}`).join(", ")}`);
+    }
+    return match;
+  }
+
+  /**
+   * ⚡ Canned reply for a message (a greeting and the like, or the answer of a
+   * confident FAQ match) as { quickResponse, faqMatch }; a medium `faqMatch`
+   * comes without a reply and goes to the model as context instead
+   */
+  async function findQuickResponse(message) {
+    const greeting = getQuickResponse(message);
+    const faqMatch = greeting ? null : await matchPersonaFaqs(message);
+    return { quickResponse: greeting || (faqMatch?.confidence === "high" ? faqMatch.faq.answer : null), faqMatch };
+  }
+
+  /**
+   * 📋 GET /api/chat/models
+   */
+  function getModels(req, res) {
+    res.json({ success: true, data: llm.listModels() });
+  }
+
+  /**
+   * ℹ️ GET /api/chat/info
+   */
+  async function getInfo(req, res) {
+    const { bot } = (await persona.get()).persona;
+    res.json({
+      success: true,
+      data: {
+        botName: bot.name || "Ultimate AI",
+        capabilities: "50+ real-time data sources",
+        welcomeMessage: bot.welcomeMessage || quickResponses.greetings[0]
+      }
+    });
+  }
+
+  /**
+   * 💬 POST /api/chat/message - answer with live data, tools and history
+   */
+  async function sendMessage(req, res) {
+    const startTime = Date.now();
+
+    try {
+      const { 
+        message, 
+        conversationId, 
+        model = DEFAULT_MODEL,
+        temperature = 0.7,
+        enableSearch = true,
+        enableTools = true
+      } = req.body;
+
+      if (typeof message !== "string" || !message.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: { message: "❌ Message is required" }
+        });
+      }
+
+      console.log(`\n📨 Message: "${message.substring(0, 80)}..."`);
+
+      // Get or create conversation
+      const conversation = await getOrCreateConversation(conversations, conversationId, req.user, {
+        model,
+        title: message.substring(0, 50)
+      });
+      if (!conversation) {
+        return res.status(404).json({ success: false, error: { message: "❌ Conversation not found" } });
+      }
+      conversation.updatedAt = new Date();
+
+      // Check for quick response
+      const { quickResponse, faqMatch } = await findQuickResponse(message);
+      if (quickResponse) {
+        const userMessage = { id: uuidv4(), role: "user", content: message, timestamp: new Date() };
+        const assistantMessage = {
+          id: uuidv4(),
+          role: "assistant",
+          content: quickResponse,
+          timestamp: new Date(),
+          model: "Quick Response",
+          responseTime: Date.now() - startTime,
+          faqMatch: describeFaqMatch(faqMatch)
+        };
+        appendMessage(conversation, userMessage);
+        appendMessage(conversation, assistantMessage);
+        await conversations.save(conversation);
+
+        return res.json({
+          success: true,
+          data: { 
+            conversationId: conversation.id, 
+            message: assistantMessage,
+            responseTime: `${Date.now() - startTime}ms`,
+            faqMatch: describeFaqMatch(faqMatch)
+          }
+        });
+      }
+
+      // Gather knowledge from all sources
+      let knowledgeContext = "";
+      let sourcesUsed = [];
+      let resolvedQuery;
+      let variables;
+      let knowledge = {};
+      let sources = [];
+
+      if (enableSearch) {
+        console.log("🔍 Gathering knowledge...");
+        ({ knowledge, sources, resolvedQuery, variables } = await gatherKnowledge(message, { history: getPath(conversation), services, documents, faq: faqMatch }));
+
+        // Track sources used
+        const sourceLabels = {
+          documents: "📄 Documents", faq: "❓ FAQ", time: "🕐 Time", date: "📅 Date", weather: "🌤️ Weather",
+          currency: "💱 Currency", crypto: "📈 Crypto", news: "📰 News",
+          country: "🌍 Country", dictionary: "📖 Dictionary", math: "🔢 Math",
+          unitConvert: "📐 Units", quote: "💬 Quote", joke: "😂 Joke", trivia: "🎯 Trivia",
+          wikipedia: "📚 Wikipedia", webSearch: "🔍 Web Search"
+        };
+
+        Object.entries(sourceLabels).forEach(([key, label]) => {
+          if (knowledge[key]) sourcesUsed.push(label);
+        });
+
+        knowledgeContext = buildKnowledgeContext(knowledge, sources);
+
+        if (sourcesUsed.length > 0) {
+          console.log(`📊 Sources used: ${sourcesUsed.join(", ")}`);
+        }
+      }
+
+      // Prepare API messages: as much history as fits, older turns summarized
+      const toolOptions = getToolOptions(enableTools);
+      const { messages: apiMessages } = await buildChatContext({
+        conversation,
+        modelKey: model,
+        basePrompt: await buildBasePrompt(),
+        knowledgeContext,
+        userMessage: message,
+        tools: toolOptions.tools,
+        llm
+      });
+
+      // Call the model's provider (retries and falls back to other models on failure)
+      const completion = await llm.chatCompletion(apiMessages, model, temperature, toolOptions);
+
+      const formattedContent = formatResponse(completion.content);
+      const cards = listCards(knowledge, completion.toolCalls);
+      const { citations, unresolved } = checkFormattedCitations(formattedContent, sources);
+
+      // Create messages
+      const userMessage = { 
+        id: uuidv4(), 
+        role: "user", 
+        content: message, 
+        timestamp: new Date(),
+        resolvedQuery,
+        variables
+      };
+
+      const assistantMessage = {
+        id: uuidv4(),
+        role: "assistant",
+        content: formattedContent,
+        timestamp: new Date(),
+        ...describeModelUsed(completion),
+        responseTime: Date.now() - startTime,
+        reactions: { likes: 0, dislikes: 0 },
+        sources: sourcesUsed.length > 0 ? sourcesUsed : undefined,
+        cards,
+        ...describeCitations(citations, unresolved),
+        faqMatch: describeFaqMatch(faqMatch),
+        toolCalls: summarizeToolCalls(completion.toolCalls)
+      };
+
+      appendMessage(conversation, userMessage);
+      appendMessage(conversation, assistantMessage);
+      await conversations.save(conversation);
+
+      console.log(`⚡ Response time: ${Date.now() - startTime}ms | Sources: ${sourcesUsed.length} | Tools: ${completion.toolCalls.length}`);
+
+      res.json({
+        success: true,
+        data: { 
+          conversationId: conversation.id, 
+          message: assistantMessage,
+          responseTime: `${Date.now() - startTime}ms`,
+          sourcesUsed,
+          cards: cards || [],
+          citations,
+          unresolvedCitations: unresolved,
+          faqMatch: describeFaqMatch(faqMatch),
+          resolvedQuery
+        }
+      });
+
+    } catch (error) {
+      console.error("❌ Chat error:", error.message);
+      res.status(500).json({
+        success: false,
+        error: { message: `❌ ${error.message}` }
+      });
+    }
+  }
+
+  /**
+   * 📡 POST /api/chat/stream - like sendMessage, streamed as server-sent events
+   */
+  async function streamMessage(req, res) {
+    const startTime = Date.now();
+
+    try {
+      const { 
+        message, 
+        conversationId, 
+        model = DEFAULT_MODEL, 
+        temperature = 0.7, 
+        enableSearch = true,
+        enableTools = true
+      } = req.body;
+
+      if (typeof message !== "string" || !message.trim()) {
+        return res.status(400).json({ success: false, error: { message: "❌ Message required" } });
+      }
+
+      const conversation = await getOrCreateConversation(conversations, conversationId, req.user, {
+        model,
+        title: message.substring(0, 50)
+      });
+      if (!conversation) {
+        return res.status(404).json({ success: false, error: { message: "❌ Conversation not found" } });
+      }
+
+      // Quick response check
+      const { quickResponse, faqMatch } = await findQuickResponse(message);
+      if (quickResponse) {
+        res.setHeader("Content-Type", "text/event-stream");
+        res.setHeader("Cache-Control", "no-cache");
+        res.setHeader("Connection", "keep-alive");
+
+        const assistantMessage = { 
+          id: uuidv4(), 
+          role: "assistant", 
+          content: quickResponse, 
+          timestamp: new Date(), 
+          model: "Quick Response",
+          faqMatch: describeFaqMatch(faqMatch)
+        };
+        appendMessage(conversation, { id: uuidv4(), role: "user", content: message, timestamp: new Date() });
+        appendMessage(conversation, assistantMessage);
+        await conversations.save(conversation);
+
+        res.write(`data: ${JSON.stringify({ content: quickResponse, done: false })}\n\n`);
+        res.write(`data: ${JSON.stringify({ done: true, conversationId: conversation.id, messageId: assistantMessage.id, faqMatch: assistantMessage.faqMatch })}\n\n`);
+        res.end();
+        return;
+      }
+
+      // Gather knowledge
+      let knowledgeContext = "";
+      let sourcesUsed = [];
+      let resolvedQuery;
+      let variables;
+      let cards = [];
+      let sources = [];
+
+      if (enableSearch) {
+        let knowledge;
+        ({ knowledge, sources, resolvedQuery, variables } = await gatherKnowledge(message, { history: getPath(conversation), services, documents, faq: faqMatch }));
+        const sourceLabels = {
+          documents: "📄", faq: "❓", time: "🕐", weather: "🌤️", currency: "💱", crypto: "📈",
+          news: "📰", country: "🌍", dictionary: "📖", math: "🔢", unitConvert: "📐",
+          wikipedia: "📚", webSearch: "🔍"
+        };
+        Object.entries(sourceLabels).forEach(([key, emoji]) => {
+          if (knowledge[key]) sourcesUsed.push(emoji);
+        });
+        knowledgeContext = buildKnowledgeContext(knowledge, sources);
+        cards = buildCards(knowledge);
+      }
+
+      const toolOptions = getToolOptions(enableTools);
+      const { messages: apiMessages } = await buildChatContext({
+        conversation,
+        modelKey: model,
+        basePrompt: await buildBasePrompt(),
+        knowledgeContext,
+        userMessage: message,
+        tools: toolOptions.tools,
+        llm
+      });
+
+      res.setHeader("Content-Type", "text/event-stream");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Connection", "keep-alive");
+
+      if (sourcesUsed.length > 0) {
+        res.write(`data: ${JSON.stringify({ sources: sourcesUsed })}\n\n`);
+      }
+      if (sources.length > 0) {
+        res.write(`data: ${JSON.stringify({ citations: sources })}\n\n`);
+      }
+      if (cards.length > 0) {
+        res.write(`data: ${JSON.stringify({ cards })}\n\n`);
+      }
+
+      const completion = await llm.streamChatCompletion(apiMessages, model, temperature, toolOptions);
+      if (completion.fallbackUsed) {
+        res.write(`data: ${JSON.stringify({ model: completion.modelConfig.key, fallbackUsed: true })}\n\n`);
+      }
+
+      let fullContent = "";
+
+      for await (const event of completion.stream) {
+        if (event.toolCall) {
+          const { name, arguments: args, error } = event.toolCall;
+          res.write(`data: ${JSON.stringify({ toolCall: { name, arguments: args, success: !error } })}\n\n`);
+          // Cards for tool results follow their tool call
+          const card = buildToolCard(event.toolCall);
+          if (card) {
+            cards.push(card);
+            res.write(`data: ${JSON.stringify({ cards: [card] })}\n\n`);
+          }
+          continue;
+        }
+        fullContent += event.content;
+        res.write(`data: ${JSON.stringify({ content: event.content, done: false })}\n\n`);
+      }
+
+      const formattedContent = formatResponse(fullContent);
+      const { citations, unresolved } = checkFormattedCitations(formattedContent, sources);
+      const assistantMessage = { 
+        id: uuidv4(), 
+        role: "assistant", 
+        content: formattedContent, 
+        timestamp: new Date(), 
+        ...describeModelUsed(completion),
+        responseTime: Date.now() - startTime,
+        sources: sourcesUsed.length > 0 ? sourcesUsed : undefined,
+        cards: cards.length > 0 ? cards : undefined,
+        ...describeCitations(citations, unresolved),
+        faqMatch: describeFaqMatch(faqMatch),
+        toolCalls: summarizeToolCalls(completion.toolCalls)
+      };
+
+      conversation.updatedAt = new Date();
+      appendMessage(conversation, { id: uuidv4(), role: "user", content: message, timestamp: new Date(), resolvedQuery, variables });
+      appendMessage(conversation, assistantMessage);
+      await conversations.save(conversation);
+
+      res.write(`data: ${JSON.stringify({ 
+        done: true, 
+        conversationId: conversation.id, 
+        messageId: assistantMessage.id,
+        model: assistantMessage.modelKey,
+        fallbackUsed: assistantMessage.fallbackUsed,
+        responseTime: `${Date.now() - startTime}ms`,
+        citations,
+        unresolvedCitations: unresolved,
+        faqMatch: assistantMessage.faqMatch,
+        resolvedQuery
+      })}\n\n`);
+      res.end();
+
+    } catch (error) {
+      console.error("Stream error:", error);
+      res.write(`data: ${JSON.stringify({ error: `❌ ${error.message}` })}\n\n`);
+      res.end();
+    }
+  }
+
+  /**
+   * 🖼️ POST /api/chat/generate-image
+   */
+  async function generateImage(req, res) {
+    const startTime = Date.now();
+
+    try {
+      const { prompt, conversationId } = req.body;
+
+      if (typeof prompt !== "string" || !prompt.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: { message: "❌ Image prompt is required" }
+        });
+      }
+
+      const timestamp = Date.now();
+      const imageUrl = `https://image.pollinations.ai/prompt/${encodeURIComponent(prompt)}?width=1024&height=1024&nologo=true&seed=${timestamp}`;
+
+      const conversation = await getOwnedConversation(conversations, conversationId, req.user);
+      if (conversation) {
+        const userMessage = { 
+          id: uuidv4(), 
+          role: "user", 
+          content: `Generate image: ${prompt}`, 
+          timestamp: new Date() 
+        };
+        const assistantMessage = {
+          id: uuidv4(),
+          role: "assistant",
+          content: `🎨 **Image Generated!**\n\n✅ Here's your image for: **"${prompt}"**`,
+          timestamp: new Date(),
+          model: "🖼️ Image Generator",
+          image: { url: imageUrl, prompt },
+          responseTime: Date.now() - startTime
+        };
+        appendMessage(conversation, userMessage);
+        appendMessage(conversation, assistantMessage);
+        conversation.updatedAt = new Date();
+        await conversations.save(conversation);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          imageUrl,
+          prompt,
+          responseTime: `${Date.now() - startTime}ms`
+        }
+      });
+
+    } catch (error) {
+      console.error("Image generation error:", error.message);
+      res.status(500).json({
+        success: false,
+        error: { message: `❌ ${error.message}` }
+      });
+    }
+  }
+
+  /**
+   * 🔄 POST /api/chat/regenerate - a new answer next to the old one. Always
+   * asks the model, since a canned reply would repeat the answer being
+   * replaced; a matching FAQ is passed along as context.
+   */
+  async function regenerate(req, res) {
+    const startTime = Date.now();
+
+    try {
+      const { conversationId, messageId, model = DEFAULT_MODEL, temperature = 0.7, enableTools = true } = req.body;
+
+      const conversation = await getOwnedConversation(conversations, conversationId, req.user);
+      if (!conversation) {
+        return res.status(404).json({ success: false, error: { message: "❌ Conversation not found" } });
+      }
+
+      const message = findMessage(conversation, messageId);
+      if (!message) {
+        return res.status(404).json({ success: false, error: { message: "❌ Message not found" } });
+      }
+
+      const userMessage = message.parentId ? findMessage(conversation, message.parentId) : null;
+      if (!userMessage || userMessage.role !== "user") {
+        return res.status(400).json({ success: false, error: { message: "❌ Cannot regenerate" } });
+      }
+
+      // Gather fresh knowledge
+      const history = getPathBefore(conversation, userMessage.id);
+      const faqMatch = await matchPersonaFaqs(userMessage.content);
+      const { knowledge, sources, resolvedQuery, variables } = await gatherKnowledge(userMessage.content, { history, services, documents, faq: faqMatch });
+      userMessage.resolvedQuery = resolvedQuery;
+      userMessage.variables = variables;
+      const toolOptions = getToolOptions(enableTools);
+      const { messages: apiMessages } = await buildChatContext({
+        conversation,
+        history,
+        modelKey: model,
+        basePrompt: await buildBasePrompt(),
+        knowledgeContext: buildKnowledgeContext(knowledge, sources),
+        userMessage: userMessage.content,
+        tools: toolOptions.tools,
+        llm
+      });
+
+      const completion = await llm.chatCompletion(apiMessages, model, temperature, toolOptions);
+      const formattedContent = formatResponse(completion.content);
+      const { citations, unresolved } = checkFormattedCitations(formattedContent, sources);
+
+      // Add the new answer as an alternative to the old one
+      const regenerated = appendMessage(conversation, {
+        id: uuidv4(),
+        role: "assistant",
+        content: formattedContent,
+        timestamp: new Date(),
+        ...describeModelUsed(completion),
+        cards: listCards(knowledge, completion.toolCalls),
+        ...describeCitations(citations, unresolved),
+        faqMatch: describeFaqMatch(faqMatch),
+        toolCalls: summarizeToolCalls(completion.toolCalls),
+        regenerated: true,
+        regeneratedFrom: message.id,
+        responseTime: Date.now() - startTime
+      }, userMessage.id);
+      conversation.updatedAt = new Date();
+      await conversations.save(conversation);
+
+      res.json({
+        success: true,
+        data: { 
+          message: { ...regenerated, ...describeBranch(conversation, regenerated) },
+          responseTime: `${Date.now() - startTime}ms`,
+          faqMatch: regenerated.faqMatch,
+          resolvedQuery
+        }
+      });
+
+    } catch (error) {
+      console.error("Regenerate error:", error.message);
+      res.status(500).json({ success: false, error: { message: `❌ ${error.message}` } });
+    }
+  }
+
+  /**
+   * ✏️ PUT /api/chat/message/:conversationId/:messageId - edit a question on a new branch
+   */
+  async function editMessage(req, res) {
+    const startTime = Date.now();
+
+    try {
+      const { conversationId, messageId } = req.params;
+      const { content, model = DEFAULT_MODEL, temperature = 0.7, enableTools = true } = req.body;
+
+      if (typeof content !== "string" || !content.trim()) {
+        return res.status(400).json({ success: false, error: { message: "❌ Content is required" } });
+      }
+
+      const conversation = await getOwnedConversation(conversations, conversationId, req.user);
+      if (!conversation) {
+        return res.status(404).json({ success: false, error: { message: "❌ Conversation not found" } });
+      }
+
+      const original = findMessage(conversation, messageId);
+      if (!original) {
+        return res.status(404).json({ success: false, error: { message: "❌ Message not found" } });
+      }
+      if (original.role !== "user") {
+        return res.status(400).json({ success: false, error: { message: "❌ Only user messages can be edited" } });
+      }
+
+      // Generate new response, or answer the edited question with a quick response
+      const { quickResponse, faqMatch } = await findQuickResponse(content);
+      let assistantMessage;
+      let resolvedQuery;
+      let variables;
+
+      if (quickResponse) {
+        assistantMessage = {
+          id: uuidv4(),
+          role: "assistant",
+          content: quickResponse,
+          timestamp: new Date(),
+          model: "Quick Response",
+          faqMatch: describeFaqMatch(faqMatch),
+          responseTime: Date.now() - startTime
+        };
+      } else {
+        const history = getPathBefore(conversation, original.id);
+        let knowledge;
+        let sources;
+        ({ knowledge, sources, resolvedQuery, variables } = await gatherKnowledge(content, { history, services, documents, faq: faqMatch }));
+        const toolOptions = getToolOptions(enableTools);
+        const { messages: apiMessages } = await buildChatContext({
+          conversation,
+          history,
+          modelKey: model,
+          basePrompt: await buildBasePrompt(),
+          knowledgeContext: buildKnowledgeContext(knowledge, sources),
+          userMessage: content,
+          tools: toolOptions.tools,
+          llm
+        });
+
+        const completion = await llm.chatCompletion(apiMessages, model, temperature, toolOptions);
+        const formattedContent = formatResponse(completion.content);
+        const { citations, unresolved } = checkFormattedCitations(formattedContent, sources);
+
+        assistantMessage = {
+          id: uuidv4(),
+          role: "assistant",
+          content: formattedContent,
+          timestamp: new Date(),
+          ...describeModelUsed(completion),
+          cards: listCards(knowledge, completion.toolCalls),
+          ...describeCitations(citations, unresolved),
+          faqMatch: describeFaqMatch(faqMatch),
+          toolCalls: summarizeToolCalls(completion.toolCalls),
+          responseTime: Date.now() - startTime
+        };
+      }
+
+      // The edit starts a new branch next to the original; the old one is kept
+      const editedMessage = appendMessage(conversation, {
+        id: uuidv4(),
+        role: "user",
+        content,
+        timestamp: new Date(),
+        edited: true,
+        editedFrom: original.id,
+        resolvedQuery,
+        variables
+      }, original.parentId);
+      appendMessage(conversation, assistantMessage, editedMessage.id);
+      conversation.updatedAt = new Date();
+      await conversations.save(conversation);
+
+      res.json({
+        success: true,
+        data: { 
+          messages: toConversationView(conversation).messages,
+          newMessage: assistantMessage,
+          responseTime: `${Date.now() - startTime}ms`,
+          faqMatch: assistantMessage.faqMatch,
+          resolvedQuery
+        }
+      });
+
+    } catch (error) {
+      console.error("Edit error:", error.message);
+      res.status(500).json({ success: false, error: { message: `❌ ${error.message}` } });
+    }
+  }
+
+  return {
+    getModels,
+    getInfo,
+    sendMessage,
+    streamMessage,
+    generateImage,
+    regenerate,
+    editMessage
+  };
+}
+
+/**
+ * Model fields recorded on an assistant message (shows when a fallback answered)
+ */
+function describeModelUsed({ modelConfig, requestedModel, fallbackUsed }) {
+  return {
+    model: modelConfig.name,
+    modelKey: modelConfig.key,
+    requestedModel,
+    fallbackUsed
+  };
+}
+
+/**
+ * Tool calls as recorded on an assistant message
+ */
+function summarizeToolCalls(toolCalls) {
+  if (!toolCalls?.length) return undefined;
+  return toolCalls.map(({ id, name, arguments: args, result, error, durationMs }) => ({
+    id, name, arguments: args, result, error, durationMs
+  }));
+}
+
+/**
+ * Prompt context for gathered knowledge, followed by its numbered sources
+ */
+function buildKnowledgeContext(knowledge, sources) {
+  return buildContextFromKnowledge(knowledge) + formatSourceList(sources);
+}
+
+/**
+ * Post-check a reply's [n] markers against its sources, logging markers that point to nothing
+ */
+function checkFormattedCitations(content, sources) {
+  const checked = checkCitations(content, sources);
+  if (checked.unresolved.length > 0) {
+    console.warn(`⚠️ Unresolved citations: ${checked.unresolved.map(n => `[${n}]`).join(", ")}`);
+  }
+  return checked;
+}
+
+/**
+ * Citation fields recorded on an assistant message
+ */
+function describeCitations(citations, unresolved) {
+  return {
+    citations: citations.length > 0 ? citations : undefined,
+    unresolvedCitations: unresolved.length > 0 ? unresolved : undefined
+  };
+}
+
+/**
+ * Cards for gathered knowledge and successful tool calls, as recorded on an assistant message
+ */
+function listCards(knowledge, toolCalls) {
+  const cards = [...buildCards(knowledge), ...buildToolCards(toolCalls)];
+  return cards.length > 0 ? cards : undefined;
+}
+
+/**
+ * Tidy model output (emoji spacing, bullet points)
+ */
+function formatResponse(content) {
+  // Add space after emojis if missing
+  content = content.replace(/([✅❌📌💡⚡🎯📞📍⏰💰🔥⭐🛡️📦🎁ℹ️⚠️🚀💬📧👋🌟😊🙏📚🌍💱🌤️📰🔢📖🎲🐱🕐📅🎬👨‍🚀🛰️🍎📱🔐🎓📈])(\w)/g, "$1 $2");
+  // Convert dashes/asterisks to bullet points
+  content = content.replace(/^[-*]\s/gm, "• ");
+  return content.trim();
+}
+
+export default {
+  createChatController
+};
@@ -0,0 +1,32 @@
+// controllers/conversationAccess.js - Ownership-aware conversation lookups
+
+import { v4 as uuidv4 } from "uuid";
+import { ensureTree } from "../utils/conversationTree.js";
+
+/**
+ * Get a conversation only if it belongs to the user (others look like 404s)
+ */
+export async function getOwnedConversation(conversations, id, user) {
+  const conversation = await conversations.get(id);
+  if (!conversation || conversation.userId !== user.id) return null;
+  return ensureTree(conversation);
+}
+
+/**
+ * Get the user's conversation, or start a new one (null if the id is taken by someone else)
+ */
+export async function getOrCreateConversation(conversations, id, user, { model, title }) {
+  const existing = await conversations.get(id);
+  if (existing) return existing.userId === user.id ? ensureTree(existing) : null;
+
+  return {
+    id: id || uuidv4(),
+    userId: user.id,
+    messages: [],
+    activeLeafId: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    model,
+    title
+  };
+}
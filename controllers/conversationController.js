@@ -0,0 +1,272 @@
+// controllers/conversationController.js - Conversation, reaction, branch, search and export handlers
+
+import { v4 as uuidv4 } from "uuid";
+import { DEFAULT_MODEL } from "../config/models.js";
+import {
+  ensureTree, findMessage, getSiblings, getPath, switchBranch, toConversationView
+} from "../utils/conversationTree.js";
+import { getOwnedConversation } from "./conversationAccess.js";
+
+/**
+ * 📚 Conversation handlers over a conversation store (utils/conversationStore.js)
+ */
+export function createConversationController({ conversations }) {
+  /**
+   * 📚 GET /api/chat/conversations
+   */
+  async function listConversations(req, res) {
+    const all = (await conversations.list({ userId: req.user.id })).map(c => ensureTree(c)).map(c => ({
+      id: c.id,
+      title: c.title || c.messages[0]?.content?.substring(0, 50) || "💬 New Chat",
+      messageCount: getPath(c).length,
+      createdAt: c.createdAt,
+      updatedAt: c.updatedAt
+    }));
+    all.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    res.json({ success: true, data: all });
+  }
+
+  /**
+   * GET /api/chat/conversations/:id
+   */
+  async function getConversation(req, res) {
+    const conv = await getOwnedConversation(conversations, req.params.id, req.user);
+    if (!conv) return res.status(404).json({ success: false, error: { message: "Not found" } });
+    res.json({ success: true, data: toConversationView(conv) });
+  }
+
+  /**
+   * POST /api/chat/conversations
+   */
+  async function createConversation(req, res) {
+    const conv = { 
+      id: uuidv4(), 
+      userId: req.user.id,
+      messages: [], 
+      activeLeafId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      title: "💬 New Chat",
+      model: req.body.model || DEFAULT_MODEL 
+    };
+    await conversations.save(conv);
+    res.status(201).json({ success: true, data: conv });
+  }
+
+  /**
+   * DELETE /api/chat/conversations/:id
+   */
+  async function deleteConversation(req, res) {
+    const conv = await getOwnedConversation(conversations, req.params.id, req.user);
+    if (!conv) return res.status(404).json({ success: false, error: { message: "Not found" } });
+    await conversations.delete(conv.id);
+    res.json({ success: true });
+  }
+
+  /**
+   * DELETE /api/chat/conversations
+   */
+  async function deleteAllConversations(req, res) {
+    const owned = await conversations.list({ userId: req.user.id });
+    await Promise.all(owned.map(c => conversations.delete(c.id)));
+    res.json({ success: true, message: "All conversations deleted" });
+  }
+
+  /**
+   * 👍 POST /api/chat/reaction
+   */
+  async function react(req, res) {
+    const { conversationId, messageId, reaction } = req.body;
+    const conversation = await getOwnedConversation(conversations, conversationId, req.user);
+    if (!conversation) return res.status(404).json({ success: false });
+
+    const message = findMessage(conversation, messageId);
+    if (!message) return res.status(404).json({ success: false });
+
+    if (!message.reactions) message.reactions = { likes: 0, dislikes: 0 };
+    if (reaction === "like") message.reactions.likes++;
+    else if (reaction === "dislike") message.reactions.dislikes++;
+    await conversations.save(conversation);
+
+    res.json({ success: true, data: { reactions: message.reactions } });
+  }
+
+  /**
+   * 🔀 GET /api/chat/conversations/:id/messages/:messageId/alternatives
+   */
+  async function getAlternatives(req, res) {
+    const { id, messageId } = req.params;
+
+    const conversation = await getOwnedConversation(conversations, id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: { message: "❌ Conversation not found" } });
+    }
+    if (!findMessage(conversation, messageId)) {
+      return res.status(404).json({ success: false, error: { message: "❌ Message not found" } });
+    }
+
+    const activeIds = new Set(getPath(conversation).map(m => m.id));
+    res.json({
+      success: true,
+      data: getSiblings(conversation, messageId).map((m, index) => ({
+        ...m,
+        siblingIndex: index,
+        active: activeIds.has(m.id)
+      }))
+    });
+  }
+
+  /**
+   * 🔀 PUT /api/chat/conversations/:id/active-branch
+   */
+  async function setActiveBranch(req, res) {
+    const { id } = req.params;
+    const { messageId } = req.body;
+
+    const conversation = await getOwnedConversation(conversations, id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: { message: "❌ Conversation not found" } });
+    }
+    if (!switchBranch(conversation, messageId)) {
+      return res.status(404).json({ success: false, error: { message: "❌ Message not found" } });
+    }
+
+    conversation.updatedAt = new Date();
+    await conversations.save(conversation);
+    res.json({ success: true, data: toConversationView(conversation) });
+  }
+
+  /**
+   * 🔍 GET /api/chat/search
+   */
+  async function search(req, res) {
+    const { q } = req.query;
+
+    // ?q=a&q=b arrives as an array, ?q[x]=a as an object
+    if (q !== undefined && typeof q !== "string") {
+      return res.status(400).json({ success: false, error: { message: "❌ Search query must be a single string" } });
+    }
+
+    if (!q) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const searchTerm = q.toLowerCase();
+    const results = [];
+
+    (await conversations.list({ userId: req.user.id })).forEach((conv) => {
+      // Search every branch, not only the active one
+      const activeIds = new Set(getPath(ensureTree(conv)).map(m => m.id));
+      const matchingMessages = conv.messages.filter(m => 
+        m.content.toLowerCase().includes(searchTerm)
+      );
+
+      if (matchingMessages.length > 0 || conv.title?.toLowerCase().includes(searchTerm)) {
+        results.push({
+          id: conv.id,
+          title: conv.title || conv.messages[0]?.content?.substring(0, 50) || "Chat",
+          matchCount: matchingMessages.length,
+          matches: matchingMessages.map(m => ({ messageId: m.id, onActiveBranch: activeIds.has(m.id) })),
+          preview: matchingMessages[0]?.content?.substring(0, 100) || "",
+          createdAt: conv.createdAt
+        });
+      }
+    });
+
+    res.json({ success: true, data: results });
+  }
+
+  /**
+   * 📤 GET /api/chat/export/:id
+   */
+  async function exportConversation(req, res) {
+    const { id } = req.params;
+    const { format = "json", branches } = req.query;
+
+    const conversation = await getOwnedConversation(conversations, id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: { message: "❌ Not found" } });
+    }
+
+    if (format === "txt") {
+      let text = `📄 Chat Export - ${conversation.title || "Conversation"}\n`;
+      text += `📅 Date: ${new Date(conversation.createdAt).toLocaleString()}\n`;
+      text += "═".repeat(60) + "\n\n";
+
+      getPath(conversation).forEach(m => {
+        const role = m.role === "user" ? "👤 You" : "🤖 AI";
+        text += `[${role}] ${new Date(m.timestamp).toLocaleTimeString()}\n`;
+        text += m.content + "\n\n";
+        if (branches === "all") {
+          getSiblings(conversation, m.id).filter(s => s.id !== m.id).forEach(alt => {
+            text += `   ↳ Alternative: ${alt.content}\n\n`;
+          });
+        }
+      });
+
+      res.setHeader("Content-Type", "text/plain");
+      res.setHeader("Content-Disposition", `attachment; filename="chat-${id}.txt"`);
+      return res.send(text);
+    }
+
+    if (format === "md") {
+      let md = `# 📄 ${conversation.title || "Chat Export"}\n\n`;
+      md += `*🕐 Exported on ${new Date().toLocaleString()}*\n\n---\n\n`;
+
+      getPath(conversation).forEach(m => {
+        const role = m.role === "user" ? "👤 **You**" : "🤖 **AI Assistant**";
+        md += `### ${role}\n\n`;
+        md += m.content + "\n\n";
+        if (branches === "all") {
+          getSiblings(conversation, m.id).filter(s => s.id !== m.id).forEach(alt => {
+            md += `> 🔀 *Alternative:* ${alt.content.replace(/\n/g, "\n> ")}\n\n`;
+          });
+        }
+        md += "---\n\n";
+      });
+
+      res.setHeader("Content-Type", "text/markdown");
+      res.setHeader("Content-Disposition", `attachment; filename="chat-${id}.md"`);
+      return res.send(md);
+    }
+
+    // Default: JSON (active branch view plus every message in the tree)
+    res.json({ success: true, data: { ...toConversationView(conversation), tree: conversation.messages } });
+  }
+
+  /**
+   * 📝 PUT /api/chat/conversations/:id/rename
+   */
+  async function rename(req, res) {
+    const { id } = req.params;
+    const { title } = req.body;
+
+    const conversation = await getOwnedConversation(conversations, id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: { message: "❌ Not found" } });
+    }
+
+    conversation.title = title;
+    conversation.updatedAt = new Date();
+    await conversations.save(conversation);
+    res.json({ success: true, data: { title } });
+  }
+
+  return {
+    listConversations,
+    getConversation,
+    createConversation,
+    deleteConversation,
+    deleteAllConversations,
+    react,
+    getAlternatives,
+    setActiveBranch,
+    search,
+    exportConversation,
+    rename
+  };
+}
+
+export default {
+  createConversationController
+};
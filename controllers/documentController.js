@@ -0,0 +1,100 @@
+// controllers/documentController.js - Knowledge base document upload, listing, reindex and search handlers
+
+import { DocumentError, detectFormat } from "../utils/documentParser.js";
+
+/**
+ * 📚 Document handlers over a document store (utils/documentStore.js)
+ */
+export function createDocumentController({ documents }) {
+  /**
+   * 📋 GET /api/documents
+   */
+  async function listDocuments(req, res) {
+    const all = await documents.list();
+    all.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    res.json({ success: true, data: all });
+  }
+
+  /**
+   * 📄 GET /api/documents/:id - the extracted text and its passages
+   */
+  async function getDocument(req, res) {
+    const document = await documents.get(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: { message: "❌ Document not found" } });
+    }
+    const { chunks, ...rest } = document;
+    res.json({
+      success: true,
+      data: { ...rest, chunks: chunks.map(({ index, section, text }) => ({ index, section, text })) }
+    });
+  }
+
+  /**
+   * ⬆️ POST /api/documents - JSON { title, content, format?, source?, id? }, or the raw
+   * document as text/markdown, text/html or text/plain with ?title=&format=&source=
+   */
+  async function addDocument(req, res) {
+    const input = typeof req.body === "string"
+      ? { ...req.query, content: req.body, format: req.query.format || detectFormat(req.get("content-type")) }
+      : req.body || {};
+
+    try {
+      const document = await documents.add({
+        id: input.id,
+        title: input.title,
+        content: input.content,
+        format: input.format,
+        source: input.source
+      });
+      res.status(201).json({ success: true, data: document });
+    } catch (error) {
+      if (!(error instanceof DocumentError)) throw error;
+      res.status(400).json({ success: false, error: { message: `❌ ${error.message}` } });
+    }
+  }
+
+  /**
+   * 🗑️ DELETE /api/documents/:id
+   */
+  async function deleteDocument(req, res) {
+    const deleted = await documents.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: { message: "❌ Document not found" } });
+    }
+    res.json({ success: true, message: "Document deleted" });
+  }
+
+  /**
+   * 🔁 POST /api/documents/reindex - re-chunk every document
+   */
+  async function reindexDocuments(req, res) {
+    const counts = await documents.reindex();
+    res.json({ success: true, data: counts });
+  }
+
+  /**
+   * 🔎 GET /api/documents/search?q=refund+policy&limit=3 - what chat retrieval would find
+   */
+  async function searchDocuments(req, res) {
+    const { q, limit } = req.query;
+    if (!q?.trim()) {
+      return res.status(400).json({ success: false, error: { message: "❌ Query (q) is required" } });
+    }
+    const passages = await documents.search(q, { limit: parseInt(limit) || 3 });
+    res.json({ success: true, data: { query: q, passages } });
+  }
+
+  return {
+    listDocuments,
+    getDocument,
+    addDocument,
+    deleteDocument,
+    reindexDocuments,
+    searchDocuments
+  };
+}
+
+export default {
+  createDocumentController
+};
@@ -0,0 +1,214 @@
+// controllers/personaController.js - Bot identity, company info, FAQ, prompt section and version handlers
+
+import { v4 as uuidv4 } from "uuid";
+import { buildSystemPrompt } from "../knowledge.js";
+import { PersonaError } from "../utils/personaSchema.js";
+
+/**
+ * 🎭 Persona handlers over a persona store (utils/personaStore.js). Every
+ * change becomes a new version authored by the requesting user.
+ */
+export function createPersonaController({ persona }) {
+  /**
+   * Apply `mutate` as a new version and answer with `pick(persona)` and the version number
+   */
+  async function changePersona(req, res, change, mutate, pick) {
+    try {
+      const next = await persona.update(mutate, { author: req.user.id, change });
+      res.json({ success: true, data: { version: next.version, ...pick(next.persona) } });
+    } catch (error) {
+      if (!(error instanceof PersonaError)) throw error;
+      res.status(400).json({ success: false, error: { message: `❌ ${error.message}`, errors: error.errors } });
+    }
+  }
+
+  /**
+   * 🎭 GET /api/persona - the current version
+   */
+  async function getPersona(req, res) {
+    res.json({ success: true, data: await persona.get() });
+  }
+
+  /**
+   * 📝 GET /api/persona/prompt - the system prompt the current version renders
+   */
+  async function getPrompt(req, res) {
+    const current = await persona.get();
+    res.json({ success: true, data: { version: current.version, prompt: buildSystemPrompt(current.persona) } });
+  }
+
+  /**
+   * 🤖 PATCH /api/persona/bot - body: any of { name, welcomeMessage, version }
+   */
+  function updateBot(req, res) {
+    return changePersona(req, res, "Updated bot identity",
+      p => ({ ...p, bot: { ...p.bot, ...req.body } }),
+      p => ({ bot: p.bot }));
+  }
+
+  /**
+   * 🏢 PATCH /api/persona/company - body: any of { name, description, website, email, phone, services }
+   */
+  function updateCompany(req, res) {
+    return changePersona(req, res, "Updated company info",
+      p => ({ ...p, company: { ...p.company, ...req.body } }),
+      p => ({ company: p.company }));
+  }
+
+  /**
+   * ❓ GET /api/persona/faqs
+   */
+  async function listFaqs(req, res) {
+    res.json({ success: true, data: (await persona.get()).persona.faqs });
+  }
+
+  /**
+   * ➕ POST /api/persona/faqs - body: { question, answer, id? }
+   */
+  function addFaq(req, res) {
+    const faq = { id: req.body.id || uuidv4(), question: req.body.question, answer: req.body.answer };
+    return changePersona(req, res, `Added FAQ ${faq.id}`,
+      p => ({ ...p, faqs: [...p.faqs, faq] }),
+      p => ({ faq: p.faqs.find(f => f.id === faq.id) }));
+  }
+
+  /**
+   * ✏️ PUT /api/persona/faqs/:id - body: any of { question, answer }
+   */
+  function updateFaq(req, res) {
+    const { id } = req.params;
+    return changePersona(req, res, `Updated FAQ ${id}`,
+      p => ({ ...p, faqs: p.faqs.map(f => (f.id === id ? { ...f, ...req.body, id } : f)) }),
+      p => ({ faq: p.faqs.find(f => f.id === id) }));
+  }
+
+  /**
+   * 🗑️ DELETE /api/persona/faqs/:id
+   */
+  function deleteFaq(req, res) {
+    const { id } = req.params;
+    return changePersona(req, res, `Deleted FAQ ${id}`,
+      p => ({ ...p, faqs: p.faqs.filter(f => f.id !== id) }),
+      () => ({}));
+  }
+
+  /**
+   * 🧱 GET /api/persona/sections
+   */
+  async function listSections(req, res) {
+    res.json({ success: true, data: (await persona.get()).persona.promptSections });
+  }
+
+  /**
+   * ➕ POST /api/persona/sections - body: { id?, title?, content, enabled?, position? };
+   * the id defaults to the title in lowercase-and-dashes, the position to the end
+   */
+  function addSection(req, res) {
+    const { position, ...fields } = req.body;
+    const section = { ...fields, id: fields.id || slugify(fields.title) || uuidv4() };
+    return changePersona(req, res, `Added prompt section ${section.id}`,
+      p => {
+        const sections = [...p.promptSections];
+        sections.splice(Number.isInteger(position) ? position : sections.length, 0, section);
+        return { ...p, promptSections: sections };
+      },
+      p => ({ section: p.promptSections.find(s => s.id === section.id) }));
+  }
+
+  /**
+   * ✏️ PUT /api/persona/sections/:id - body: any of { title, content, enabled }
+   */
+  function updateSection(req, res) {
+    const { id } = req.params;
+    return changePersona(req, res, `Updated prompt section ${id}`,
+      p => ({ ...p, promptSections: p.promptSections.map(s => (s.id === id ? { ...s, ...req.body, id } : s)) }),
+      p => ({ section: p.promptSections.find(s => s.id === id) }));
+  }
+
+  /**
+   * 🗑️ DELETE /api/persona/sections/:id
+   */
+  function deleteSection(req, res) {
+    const { id } = req.params;
+    return changePersona(req, res, `Deleted prompt section ${id}`,
+      p => ({ ...p, promptSections: p.promptSections.filter(s => s.id !== id) }),
+      () => ({}));
+  }
+
+  /**
+   * 🕘 GET /api/persona/versions - newest first, without their persona
+   */
+  async function listVersions(req, res) {
+    res.json({ success: true, data: await persona.listVersions() });
+  }
+
+  /**
+   * 🕘 GET /api/persona/versions/:version
+   */
+  async function getVersion(req, res) {
+    const version = await persona.getVersion(parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ success: false, error: { message: "❌ Version not found" } });
+    }
+    res.json({ success: true, data: version });
+  }
+
+  /**
+   * ⏪ POST /api/persona/rollback - body: { version }; saved as a new version
+   */
+  async function rollback(req, res) {
+    const version = parseInt(req.body.version);
+    if (!version) {
+      return res.status(400).json({ success: false, error: { message: "❌ Version is required" } });
+    }
+    const next = await persona.rollback(version, { author: req.user.id });
+    if (!next) {
+      return res.status(404).json({ success: false, error: { message: "❌ Version not found" } });
+    }
+    res.json({ success: true, data: next });
+  }
+
+  /**
+   * 404 unless the current persona has an entry with this id in `list` ("faqs" or "promptSections")
+   */
+  function requireEntry(list, label) {
+    return async (req, res, next) => {
+      const { persona: current } = await persona.get();
+      if (!current[list].some(entry => entry.id === req.params.id)) {
+        return res.status(404).json({ success: false, error: { message: `❌ ${label} not found` } });
+      }
+      next();
+    };
+  }
+
+  return {
+    getPersona,
+    getPrompt,
+    updateBot,
+    updateCompany,
+    listFaqs,
+    addFaq,
+    updateFaq,
+    deleteFaq,
+    listSections,
+    addSection,
+    updateSection,
+    deleteSection,
+    listVersions,
+    getVersion,
+    rollback,
+    requireFaq: requireEntry("faqs", "FAQ"),
+    requireSection: requireEntry("promptSections", "Prompt section")
+  };
+}
+
+/**
+ * Lowercase id from a title: letters and digits joined by single dashes
+ */
+function slugify(title) {
+  return String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+}
+
+export default {
+  createPersonaController
+};
@@ -0,0 +1,276 @@
+// controllers/toolController.js - Direct service and utility endpoints
+
+import { MathError } from "../utils/mathParser.js";
+import { UnitError, listUnits } from "../utils/units.js";
+
+/**
+ * 🧪 Handlers that call one service each (services/index.js shape)
+ */
+export function createToolController({ services }) {
+  /**
+   * 🕐 GET /api/time/:location
+   */
+  async function getTime(req, res) {
+    const result = await services.time.getWorldTime(req.params.location);
+    res.json({ success: !!result, data: result });
+  }
+
+  /**
+   * 🌤️ GET /api/weather/:location
+   */
+  async function getWeather(req, res) {
+    const result = await services.weather.getWeather(req.params.location);
+    res.json({ success: !!result, data: result });
+  }
+
+  /**
+   * 🔍 GET /api/search/:query
+   */
+  async function search(req, res) {
+    const result = await services.webSearch.smartSearch(req.params.query);
+    res.json({ success: result.found, data: result });
+  }
+
+  /**
+   * 📈 GET /api/crypto/:name?
+   */
+  async function getCrypto(req, res) {
+    try {
+      const result = req.params.name && req.params.name !== 'top'
+        ? await services.finance.getCryptoPrice(req.params.name)
+        : await services.finance.getTopCryptos(10);
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 💱 GET /api/currency/:base?
+   */
+  async function getCurrency(req, res) {
+    try {
+      const result = await services.finance.getExchangeRates(req.params.base || "USD");
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 💱 GET /api/convert/:amount/:from/:to
+   */
+  async function convert(req, res) {
+    try {
+      const result = await services.finance.convertCurrency(
+        parseFloat(req.params.amount),
+        req.params.from,
+        req.params.to
+      );
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 📰 GET /api/news/:category?
+   */
+  async function getNews(req, res) {
+    try {
+      const result = await services.news.getNews(req.params.category || "technology");
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 🌍 GET /api/country/:name
+   */
+  async function getCountry(req, res) {
+    try {
+      const result = await services.geography.getCountryInfo(req.params.name);
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 📖 GET /api/define/:word
+   */
+  async function define(req, res) {
+    try {
+      const result = await services.webSearch.searchDictionary(req.params.word);
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 😂 GET /api/joke
+   */
+  async function getJoke(req, res) {
+    try {
+      const result = await services.entertainment.getJoke();
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 💬 GET /api/quote
+   */
+  async function getQuote(req, res) {
+    try {
+      const result = await services.entertainment.getQuote();
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 🎯 GET /api/trivia
+   */
+  async function getTrivia(req, res) {
+    try {
+      const result = await services.entertainment.getTriviaQuestion();
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 📚 GET /api/wiki/:query
+   */
+  async function getWiki(req, res) {
+    try {
+      const result = await services.webSearch.searchWikipedia(req.params.query);
+      res.json({ success: !!result, data: result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 🔐 GET /api/password/:length?
+   */
+  function getPassword(req, res) {
+    const length = parseInt(req.params.length) || 16;
+    const result = services.utility.generatePassword(length);
+    res.json({ success: true, data: result });
+  }
+
+  /**
+   * 🆔 GET /api/uuid
+   */
+  function getUUID(req, res) {
+    const result = services.utility.generateUUID();
+    res.json({ success: true, data: result });
+  }
+
+  /**
+   * 📱 GET /api/qr?text=&size=
+   */
+  function getQRCode(req, res) {
+    const { text, size } = req.query;
+    if (!text) {
+      return res.status(400).json({ success: false, error: "Text is required" });
+    }
+    const result = services.utility.generateQRCode(text, parseInt(size) || 200);
+    res.json({ success: true, data: result });
+  }
+
+  /**
+   * 🔢 GET /api/calculate/:expression - invalid expressions get a 400 pointing at the bad token
+   */
+  function calculate(req, res) {
+    // Express has already decoded the parameter (a second decode breaks "15%")
+    try {
+      const result = services.math.calculate(req.params.expression);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (!(error instanceof MathError)) throw error;
+      sendMathError(res, error);
+    }
+  }
+
+  /**
+   * ∫ GET /api/math/:operation?expression=&variable= - simplify, expand, factor, derive, integrate, solve
+   */
+  function symbolicMath(req, res) {
+    const { expression, variable } = req.query;
+    if (!expression) {
+      return res.status(400).json({ success: false, error: { message: "❌ Expression is required" } });
+    }
+    try {
+      const result = services.math.calculateMath(req.params.operation, expression, { variable });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (!(error instanceof MathError)) throw error;
+      sendMathError(res, error);
+    }
+  }
+
+  /**
+   * 📐 GET /api/units/:value/:from/:to - units with "/" need encoding ("m%2Fs")
+   */
+  function convertUnits(req, res) {
+    try {
+      const result = services.math.convert(req.params.value, req.params.from, req.params.to);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (!(error instanceof UnitError)) throw error;
+      res.status(400).json({ success: false, error: { message: `❌ ${error.message}` } });
+    }
+  }
+
+  /**
+   * 📋 GET /api/units - supported units by dimension
+   */
+  function getUnits(req, res) {
+    res.json({ success: true, data: listUnits() });
+  }
+
+  return {
+    getTime,
+    getWeather,
+    search,
+    getCrypto,
+    getCurrency,
+    convert,
+    getNews,
+    getCountry,
+    define,
+    getJoke,
+    getQuote,
+    getTrivia,
+    getWiki,
+    getPassword,
+    getUUID,
+    getQRCode,
+    calculate,
+    symbolicMath,
+    convertUnits,
+    getUnits
+  };
+}
+
+/**
+ * ❌ 400 that points at the bad token
+ */
+function sendMathError(res, error) {
+  res.status(400).json({
+    success: false,
+    error: { message: `❌ ${error.message}`, position: error.position, token: error.token }
+  });
+}
+
+export default {
+  createToolController
+};
@@ -0,0 +1,20 @@
+// routes/adminRoutes.js - Auth token, cache and intent routes, mounted at /api
+
+import express from "express";
+import { authenticate, requireRole } from "../utils/auth.js";
+
+/**
+ * 🔐 Tokens need a user; cache management and intent evaluation are admin-only
+ */
+export function createAdminRouter(controller) {
+  const router = express.Router();
+
+  router.post("/auth/token", authenticate, controller.createToken);
+  router.get("/cache/stats", authenticate, requireRole("admin"), controller.getCacheStats);
+  router.delete("/cache/clear", authenticate, requireRole("admin"), controller.clearCache);
+  router.post("/intents/evaluate", authenticate, requireRole("admin"), controller.evaluate);
+
+  return router;
+}
+
+export default createAdminRouter;
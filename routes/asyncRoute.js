@@ -0,0 +1,10 @@
+// routes/asyncRoute.js - Send rejected handler promises to the error handler
+
+/**
+ * ⚡ Wrap an async handler so Express 4 sees its errors
+ */
+export function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+export default asyncRoute;
@@ -0,0 +1,23 @@
+// routes/chatRoutes.js - Chat routes, mounted at /api/chat
+
+import express from "express";
+import { asyncRoute } from "./asyncRoute.js";
+
+/**
+ * 💬 Models, info, messages, streaming, images, regenerate and edit
+ */
+export function createChatRouter(controller) {
+  const router = express.Router();
+
+  router.get("/models", controller.getModels);
+  router.get("/info", asyncRoute(controller.getInfo));
+  router.post("/message", asyncRoute(controller.sendMessage));
+  router.put("/message/:conversationId/:messageId", asyncRoute(controller.editMessage));
+  router.post("/stream", asyncRoute(controller.streamMessage));
+  router.post("/generate-image", asyncRoute(controller.generateImage));
+  router.post("/regenerate", asyncRoute(controller.regenerate));
+
+  return router;
+}
+
+export default createChatRouter;
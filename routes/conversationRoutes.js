@@ -0,0 +1,27 @@
+// routes/conversationRoutes.js - Conversation routes, mounted at /api/chat
+
+import express from "express";
+import { asyncRoute } from "./asyncRoute.js";
+
+/**
+ * 📚 Conversations, reactions, branches, search and export
+ */
+export function createConversationRouter(controller) {
+  const router = express.Router();
+
+  router.get("/conversations", asyncRoute(controller.listConversations));
+  router.post("/conversations", asyncRoute(controller.createConversation));
+  router.delete("/conversations", asyncRoute(controller.deleteAllConversations));
+  router.get("/conversations/:id", asyncRoute(controller.getConversation));
+  router.delete("/conversations/:id", asyncRoute(controller.deleteConversation));
+  router.put("/conversations/:id/rename", asyncRoute(controller.rename));
+  router.get("/conversations/:id/messages/:messageId/alternatives", asyncRoute(controller.getAlternatives));
+  router.put("/conversations/:id/active-branch", asyncRoute(controller.setActiveBranch));
+  router.post("/reaction", asyncRoute(controller.react));
+  router.get("/search", asyncRoute(controller.search));
+  router.get("/export/:id", asyncRoute(controller.exportConversation));
+
+  return router;
+}
+
+export default createConversationRouter;
@@ -0,0 +1,30 @@
+// routes/documentRoutes.js - Knowledge base document routes, mounted at /api
+
+import express from "express";
+import { authenticate, requireRole } from "../utils/auth.js";
+import { asyncRoute } from "./asyncRoute.js";
+
+// Raw uploads (JSON bodies go through the app-wide parser)
+const parseDocumentText = express.text({
+  type: ["text/plain", "text/markdown", "text/html"],
+  limit: process.env.DOCUMENT_UPLOAD_LIMIT || "5mb"
+});
+
+/**
+ * 📚 Uploading, listing, reindexing and deleting documents is admin-only
+ */
+export function createDocumentRouter(controller) {
+  const router = express.Router();
+  const admin = [authenticate, requireRole("admin")];
+
+  router.get("/documents", admin, asyncRoute(controller.listDocuments));
+  router.post("/documents", admin, parseDocumentText, asyncRoute(controller.addDocument));
+  router.post("/documents/reindex", admin, asyncRoute(controller.reindexDocuments));
+  router.get("/documents/search", admin, asyncRoute(controller.searchDocuments));
+  router.get("/documents/:id", admin, asyncRoute(controller.getDocument));
+  router.delete("/documents/:id", admin, asyncRoute(controller.deleteDocument));
+
+  return router;
+}
+
+export default createDocumentRouter;
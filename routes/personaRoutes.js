@@ -0,0 +1,36 @@
+// routes/personaRoutes.js - Persona routes, mounted at /api
+
+import express from "express";
+import { authenticate, requireRole } from "../utils/auth.js";
+import { asyncRoute } from "./asyncRoute.js";
+
+/**
+ * 🎭 Bot identity, company info, FAQs, prompt sections and versions are admin-only
+ */
+export function createPersonaRouter(controller) {
+  const router = express.Router();
+  const admin = [authenticate, requireRole("admin")];
+
+  router.get("/persona", admin, asyncRoute(controller.getPersona));
+  router.get("/persona/prompt", admin, asyncRoute(controller.getPrompt));
+  router.patch("/persona/bot", admin, asyncRoute(controller.updateBot));
+  router.patch("/persona/company", admin, asyncRoute(controller.updateCompany));
+
+  router.get("/persona/faqs", admin, asyncRoute(controller.listFaqs));
+  router.post("/persona/faqs", admin, asyncRoute(controller.addFaq));
+  router.put("/persona/faqs/:id", admin, asyncRoute(controller.requireFaq), asyncRoute(controller.updateFaq));
+  router.delete("/persona/faqs/:id", admin, asyncRoute(controller.requireFaq), asyncRoute(controller.deleteFaq));
+
+  router.get("/persona/sections", admin, asyncRoute(controller.listSections));
+  router.post("/persona/sections", admin, asyncRoute(controller.addSection));
+  router.put("/persona/sections/:id", admin, asyncRoute(controller.requireSection), asyncRoute(controller.updateSection));
+  router.delete("/persona/sections/:id", admin, asyncRoute(controller.requireSection), asyncRoute(controller.deleteSection));
+
+  router.get("/persona/versions", admin, asyncRoute(controller.listVersions));
+  router.get("/persona/versions/:version", admin, asyncRoute(controller.getVersion));
+  router.post("/persona/rollback", admin, asyncRoute(controller.rollback));
+
+  return router;
+}
+
+export default createPersonaRouter;
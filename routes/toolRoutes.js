@@ -0,0 +1,36 @@
+// routes/toolRoutes.js - Direct service test endpoints, mounted at /api (no auth)
+
+import express from "express";
+import { asyncRoute } from "./asyncRoute.js";
+
+/**
+ * 🧪 One route per service or utility
+ */
+export function createToolRouter(controller) {
+  const router = express.Router();
+
+  router.get("/time/:location", asyncRoute(controller.getTime));
+  router.get("/weather/:location", asyncRoute(controller.getWeather));
+  router.get("/search/:query", asyncRoute(controller.search));
+  router.get("/crypto/:name?", asyncRoute(controller.getCrypto));
+  router.get("/currency/:base?", asyncRoute(controller.getCurrency));
+  router.get("/convert/:amount/:from/:to", asyncRoute(controller.convert));
+  router.get("/news/:category?", asyncRoute(controller.getNews));
+  router.get("/country/:name", asyncRoute(controller.getCountry));
+  router.get("/define/:word", asyncRoute(controller.define));
+  router.get("/joke", asyncRoute(controller.getJoke));
+  router.get("/quote", asyncRoute(controller.getQuote));
+  router.get("/trivia", asyncRoute(controller.getTrivia));
+  router.get("/wiki/:query", asyncRoute(controller.getWiki));
+  router.get("/password/:length?", controller.getPassword);
+  router.get("/uuid", controller.getUUID);
+  router.get("/qr", controller.getQRCode);
+  router.get("/calculate/:expression", controller.calculate);
+  router.get("/math/:operation", controller.symbolicMath);
+  router.get("/units", controller.getUnits);
+  router.get("/units/:value/:from/:to", controller.convertUnits);
+
+  return router;
+}
+
+export default createToolRouter;
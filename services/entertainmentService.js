@@ -1,6 +1,7 @@
 // services/entertainmentService.js - Jokes, Quotes, Trivia, Facts
 
 import cache from '../utils/cache.js';
+import httpClient from '../utils/httpClient.js';
 
 /**
  * 😂 Get a joke
@@ -8,8 +9,7 @@ import cache from '../utils/cache.js';
 export async function getJoke(category = "Any") {
   try {
     const url = `https://v2.jokeapi.dev/joke/${category}?blacklistFlags=nsfw,religious,political,racist,sexist`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (data.error) return null;
 
@@ -43,8 +43,7 @@ export async function getQuote(category = "") {
     const url = category 
       ? `https://api.quotable.io/random?tags=${category}`
       : 'https://api.quotable.io/random';
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
     
     return {
       quote: data.content,
@@ -67,8 +66,7 @@ export async function getTriviaQuestion(category = null, difficulty = "medium")
     let url = `https://opentdb.com/api.php?amount=1&difficulty=${difficulty}&type=multiple`;
     if (category) url += `&category=${category}`;
     
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (data.results && data.results.length > 0) {
       const q = data.results[0];
@@ -104,8 +102,7 @@ export async function getTriviaQuestion(category = null, difficulty = "medium")
 export async function getRandomFact(type = "trivia") {
   try {
     const url = `http://numbersapi.com/random/${type}?json`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     return {
       fact: data.text,
@@ -124,8 +121,7 @@ export async function getRandomFact(type = "trivia") {
  */
 export async function getCatFact() {
   try {
-    const response = await fetch('https://catfact.ninja/fact', { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON('https://catfact.ninja/fact');
     return { fact: data.fact, source: "Cat Facts API" };
   } catch (error) {
     return null;
@@ -137,8 +133,7 @@ export async function getCatFact() {
  */
 export async function getDogFact() {
   try {
-    const response = await fetch('https://dog-api.kinduff.com/api/facts', { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON('https://dog-api.kinduff.com/api/facts');
     return { fact: data.facts?.[0], source: "Dog Facts API" };
   } catch (error) {
     return null;
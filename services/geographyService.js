@@ -1,6 +1,7 @@
 // services/geographyService.js - Country, City, Location Services
 
 import cache from '../utils/cache.js';
+import httpClient from '../utils/httpClient.js';
 
 /**
  * 🌍 Get country information
@@ -8,52 +9,49 @@ import cache from '../utils/cache.js';
 export async function getCountryInfo(country) {
   try {
     const cacheKey = `country_${country.toLowerCase()}`;
-    const cached = cache.get(cacheKey, 86400000); // 24 hour cache
-    if (cached) return cached;
+    return await cache.fetch(cacheKey, async () => {
+      const url = `https://restcountries.com/v3.1/name/${encodeURIComponent(country)}`;
+      const data = await httpClient.getJSON(url);
 
-    const url = `https://restcountries.com/v3.1/name/${encodeURIComponent(country)}`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+      if (!Array.isArray(data) || data.length === 0) return null;
 
-    if (!Array.isArray(data) || data.length === 0) return null;
+      const c = data[0];
+      const result = {
+        name: c.name?.common,
+        officialName: c.name?.official,
+        capital: c.capital?.[0],
+        region: c.region,
+        subregion: c.subregion,
+        population: c.population?.toLocaleString(),
+        area: c.area?.toLocaleString() + ' km²',
+        languages: c.languages ? Object.values(c.languages) : [],
+        currencies: c.currencies ? Object.entries(c.currencies).map(([code, curr]) => ({
+          code,
+          name: curr.name,
+          symbol: curr.symbol
+        })) : [],
+        flag: c.flag,
+        flagUrl: c.flags?.png,
+        coatOfArms: c.coatOfArms?.png,
+        timezones: c.timezones,
+        continents: c.continents,
+        borders: c.borders,
+        landlocked: c.landlocked,
+        unMember: c.unMember,
+        callingCode: c.idd?.root + (c.idd?.suffixes?.[0] || ''),
+        tld: c.tld?.[0],
+        drivingSide: c.car?.side,
+        coordinates: {
+          lat: c.latlng?.[0],
+          lon: c.latlng?.[1]
+        },
+        maps: c.maps?.googleMaps,
+        startOfWeek: c.startOfWeek,
+        source: "REST Countries"
+      };
 
-    const c = data[0];
-    const result = {
-      name: c.name?.common,
-      officialName: c.name?.official,
-      capital: c.capital?.[0],
-      region: c.region,
-      subregion: c.subregion,
-      population: c.population?.toLocaleString(),
-      area: c.area?.toLocaleString() + ' km²',
-      languages: c.languages ? Object.values(c.languages) : [],
-      currencies: c.currencies ? Object.entries(c.currencies).map(([code, curr]) => ({
-        code,
-        name: curr.name,
-        symbol: curr.symbol
-      })) : [],
-      flag: c.flag,
-      flagUrl: c.flags?.png,
-      coatOfArms: c.coatOfArms?.png,
-      timezones: c.timezones,
-      continents: c.continents,
-      borders: c.borders,
-      landlocked: c.landlocked,
-      unMember: c.unMember,
-      callingCode: c.idd?.root + (c.idd?.suffixes?.[0] || ''),
-      tld: c.tld?.[0],
-      drivingSide: c.car?.side,
-      coordinates: {
-        lat: c.latlng?.[0],
-        lon: c.latlng?.[1]
-      },
-      maps: c.maps?.googleMaps,
-      startOfWeek: c.startOfWeek,
-      source: "REST Countries"
-    };
-
-    cache.set(cacheKey, result, 86400000);
-    return result;
+      return result;
+    }, { ttl: 86400000 }); // 24 hour cache
 
   } catch (error) {
     console.error("Country info error:", error.message);
@@ -67,8 +65,7 @@ export async function getCountryInfo(country) {
 export async function getCityInfo(city) {
   try {
     const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(city)}&count=1&language=en`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (!data.results || data.results.length === 0) return null;
 
@@ -98,8 +95,7 @@ export async function getCityInfo(city) {
 export async function getIPLocation(ip = "") {
   try {
     const url = ip ? `http://ip-api.com/json/${ip}` : `http://ip-api.com/json/`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (data.status !== "success") return null;
 
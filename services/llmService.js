@@ -0,0 +1,427 @@
+// services/llmService.js - LLM Provider Layer (any OpenAI-compatible API)
+
+import { models, providers, DEFAULT_MODEL, DEFAULT_FALLBACK_CHAIN } from '../config/models.js';
+import httpClient, { backoffDelay, parseRetryAfter } from '../utils/httpClient.js';
+
+const REQUEST_TIMEOUT = 20000;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 8000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_MAX_RETRY_AFTER = 10000;
+const DEFAULT_TOOL_ITERATIONS = 4;
+
+/**
+ * ❌ Error raised by a provider call
+ */
+export class LLMError extends Error {
+  constructor(message, { status = null, provider = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.provider = provider;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter; // ms, from the Retry-After header
+  }
+}
+
+export { backoffDelay, parseRetryAfter };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A whole number from the environment, or `fallback` when it is unset, empty
+ * or not a number (0 is kept: LLM_MAX_RETRIES=0 turns retries off, and
+ * TOOL_MAX_ITERATIONS=0 answers without tool rounds)
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * 🔌 A provider speaking the OpenAI chat completions protocol
+ */
+export class LLMProvider {
+  constructor({ key, name, baseUrl, apiKey = null, keyless = false }) {
+    this.key = key;
+    this.name = name;
+    this.baseUrl = baseUrl?.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.keyless = keyless;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl && (this.keyless || !!this.apiKey);
+  }
+
+  /**
+   * POST to /chat/completions through the shared HTTP client. Retries and
+   * fallbacks happen per model in withFallback(), so the client's own
+   * retries and circuit breaker are off. `parse` is 'json', or 'response'
+   * to read a stream (the timeout then only covers the headers).
+   */
+  async request(body, parse = "json") {
+    if (!this.isConfigured()) {
+      throw new LLMError(`${this.name} is not configured`, { provider: this.key });
+    }
+
+    const headers = {};
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    try {
+      return await httpClient.request(`${this.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body,
+        timeout: REQUEST_TIMEOUT,
+        retries: 0,
+        circuitBreaker: false,
+        parse
+      });
+    } catch (error) {
+      if (error.code === "TIMEOUT") {
+        throw new LLMError("Request timeout - please try again", { provider: this.key, retryable: true });
+      }
+      throw new LLMError(error.body?.error?.message || (error.status ? "API request failed" : error.message), {
+        status: error.status,
+        provider: this.key,
+        retryable: error.retryable,
+        retryAfter: error.retryAfter
+      });
+    }
+  }
+
+  /**
+   * Request body shared by blocking and streaming calls
+   */
+  buildBody({ model, messages, temperature = 0.7, maxTokens = 2048, tools, toolChoice = "auto" }) {
+    const body = { model, messages, temperature, max_tokens: maxTokens };
+    if (tools?.length) {
+      body.tools = tools;
+      body.tool_choice = toolChoice;
+    }
+    return body;
+  }
+
+  /**
+   * 💬 Blocking completion, returns { content, toolCalls }
+   */
+  async chat(options) {
+    const data = await this.request({
+      ...this.buildBody(options),
+      top_p: 0.9,
+      frequency_penalty: 0.3,
+      presence_penalty: 0.3,
+    });
+
+    const message = data.choices?.[0]?.message || {};
+    return { content: message.content || "", toolCalls: message.tool_calls || [] };
+  }
+
+  /**
+   * 📡 Streaming completion, yields { content } deltas as they arrive and a
+   * final { toolCalls } if the model asked for tools
+   */
+  async *stream(options) {
+    // Only the headers are timed; the stream itself may legitimately take longer
+    const response = await this.request({ ...this.buildBody(options), stream: true }, "response");
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const toolCalls = [];
+    let buffer = "";
+
+    const finish = () => (toolCalls.length > 0 ? { toolCalls: toolCalls.filter(Boolean) } : null);
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith("data: ")) continue;
+        const data = line.slice(6).trim();
+        if (data === "[DONE]") {
+          const final = finish();
+          if (final) yield final;
+          return;
+        }
+
+        try {
+          const delta = JSON.parse(data).choices?.[0]?.delta || {};
+          if (delta.content) yield { content: delta.content };
+
+          // Tool calls arrive in fragments keyed by index
+          delta.tool_calls?.forEach(fragment => {
+            const call = toolCalls[fragment.index ?? 0] ||= {
+              id: fragment.id,
+              type: "function",
+              function: { name: "", arguments: "" }
+            };
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.function.name += fragment.function.name;
+            if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+          });
+        } catch (e) {}
+      }
+    }
+
+    const final = finish();
+    if (final) yield final;
+  }
+}
+
+/**
+ * 📋 Full registry: built-in models plus ids listed in <PROVIDER>_MODELS env vars
+ */
+export function getModelRegistry() {
+  const registry = { ...models };
+
+  Object.entries(providers).forEach(([providerKey, provider]) => {
+    const ids = (process.env[provider.modelsEnv] || '').split(',').map(id => id.trim()).filter(Boolean);
+    ids.forEach(id => {
+      registry[`${providerKey}/${id}`] = {
+        id,
+        name: `${id} (${provider.name})`,
+        description: `🔌 ${provider.name}`,
+        maxTokens: 2048,
+        contextWindow: 8192,
+        provider: providerKey,
+      };
+    });
+  });
+
+  return registry;
+}
+
+/**
+ * 🏭 Build the provider instance for a model entry
+ */
+export function getProviderForModel(modelConfig) {
+  const provider = providers[modelConfig.provider];
+  if (!provider) {
+    throw new LLMError(`Unknown provider "${modelConfig.provider}"`);
+  }
+
+  return new LLMProvider({
+    key: modelConfig.provider,
+    name: provider.name,
+    baseUrl: modelConfig.baseUrl || process.env[provider.baseUrlEnv] || provider.defaultBaseUrl,
+    apiKey: process.env[modelConfig.apiKeyEnv || provider.apiKeyEnv] || null,
+    keyless: provider.keyless,
+  });
+}
+
+/**
+ * 🎯 Look up a model by key, falling back to the default model
+ */
+export function getModel(modelKey) {
+  const registry = getModelRegistry();
+  const key = registry[modelKey] ? modelKey : DEFAULT_MODEL;
+  return { key, ...registry[key] };
+}
+
+/**
+ * 📋 Models whose provider is configured (has a base URL and credentials)
+ */
+export function listModels() {
+  return Object.entries(getModelRegistry())
+    .map(([key, config]) => ({ key, ...config }))
+    .filter(model => getProviderForModel(model).isConfigured())
+    .map(({ apiKeyEnv, baseUrl, ...model }) => ({
+      ...model,
+      providerName: providers[model.provider].name
+    }));
+}
+
+/**
+ * 🔗 Models to try for a request: the requested one, then the fallback chain
+ * (MODEL_FALLBACK_CHAIN env, comma separated), skipping unconfigured providers
+ */
+export function getFallbackChain(modelKey) {
+  const registry = getModelRegistry();
+  const chain = process.env.MODEL_FALLBACK_CHAIN
+    ? process.env.MODEL_FALLBACK_CHAIN.split(',').map(key => key.trim()).filter(Boolean)
+    : DEFAULT_FALLBACK_CHAIN;
+
+  const requested = getModel(modelKey);
+  const keys = [requested.key, ...chain.filter(key => key !== requested.key && registry[key])];
+
+  return keys
+    .map(key => ({ key, ...registry[key] }))
+    .filter((model, index) => index === 0 || getProviderForModel(model).isConfigured());
+}
+
+/**
+ * 🔄 Run `attempt(model)` over the fallback chain, retrying retryable errors
+ * with backoff (honouring Retry-After) before moving on to the next model
+ */
+async function withFallback(modelKey, attempt) {
+  const maxRetries = envInt('LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const maxRetryAfter = envInt('LLM_MAX_RETRY_AFTER', DEFAULT_MAX_RETRY_AFTER);
+  const chain = getFallbackChain(modelKey);
+  let lastError;
+
+  for (const modelConfig of chain) {
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      try {
+        const result = await attempt(modelConfig);
+        return {
+          result,
+          modelConfig,
+          requestedModel: chain[0].key,
+          fallbackUsed: modelConfig.key !== chain[0].key
+        };
+      } catch (error) {
+        lastError = error;
+        console.error(`🤖 LLM: ${modelConfig.key} failed (${error.status || 'no status'}): ${error.message}`);
+
+        if (!error.retryable || retry === maxRetries) break;
+
+        // A long Retry-After means this model is out for a while - try the next one
+        if (error.retryAfter !== null && error.retryAfter > maxRetryAfter) break;
+
+        await sleep(error.retryAfter ?? backoffDelay(retry, RETRY_BASE_DELAY, RETRY_MAX_DELAY));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Options for one provider call; tools are offered only to models that
+ * support them, and after the last tool round the model must answer
+ */
+function callOptions(modelConfig, messages, temperature, tools, iteration, maxIterations) {
+  const offerTools = tools?.length > 0 && modelConfig.supportsTools;
+  return {
+    model: modelConfig.id,
+    messages,
+    temperature,
+    maxTokens: modelConfig.maxTokens,
+    tools: offerTools ? tools : undefined,
+    toolChoice: iteration >= maxIterations ? "none" : "auto",
+  };
+}
+
+/**
+ * Run the requested tools and append the call + results to the transcript
+ */
+async function runToolCalls(transcript, content, calls, { executeTool, formatToolOutput = JSON.stringify }) {
+  transcript.push({ role: "assistant", content: content || null, tool_calls: calls });
+  const records = await Promise.all(calls.map(call => executeTool(call)));
+  records.forEach((record, i) => {
+    transcript.push({ role: "tool", tool_call_id: calls[i].id, content: formatToolOutput(record) });
+  });
+  return records;
+}
+
+/**
+ * Keep the first requested model and remember any fallback across tool rounds
+ */
+function mergeModelMeta(previous, next) {
+  if (!previous) return next;
+  return {
+    modelConfig: next.modelConfig,
+    requestedModel: previous.requestedModel,
+    fallbackUsed: previous.fallbackUsed || next.fallbackUsed
+  };
+}
+
+/**
+ * 🤖 Chat completion with retries, model fallback and an optional tool loop
+ *
+ * Pass { tools, executeTool, formatToolOutput } to let the model call tools;
+ * it gets at most TOOL_MAX_ITERATIONS rounds before it must answer.
+ * Returns { content, toolCalls, modelConfig, requestedModel, fallbackUsed }
+ */
+export async function chatCompletion(messages, modelKey, temperature = 0.7, toolOptions = {}) {
+  const { tools = [] } = toolOptions;
+  const maxIterations = envInt('TOOL_MAX_ITERATIONS', DEFAULT_TOOL_ITERATIONS);
+  const transcript = [...messages];
+  const toolCalls = [];
+  let meta = null;
+
+  for (let iteration = 0; ; iteration++) {
+    const { result, ...attemptMeta } = await withFallback(meta?.modelConfig.key || modelKey, (modelConfig) =>
+      getProviderForModel(modelConfig).chat(callOptions(modelConfig, transcript, temperature, tools, iteration, maxIterations))
+    );
+    meta = mergeModelMeta(meta, attemptMeta);
+
+    if (result.toolCalls.length === 0 || iteration >= maxIterations) {
+      return { content: result.content || "No response generated", toolCalls, ...meta };
+    }
+
+    toolCalls.push(...await runToolCalls(transcript, result.content, result.toolCalls, toolOptions));
+  }
+}
+
+/**
+ * 📡 Streaming chat completion with retries, model fallback and tool loop
+ *
+ * Fallback only happens before a round's first token. Returns a completion
+ * whose `stream` yields { content } and { toolCall } events; its model fields
+ * and `toolCalls` are kept up to date as the stream is consumed.
+ */
+export async function streamChatCompletion(messages, modelKey, temperature = 0.7, toolOptions = {}) {
+  const { tools = [] } = toolOptions;
+  const maxIterations = envInt('TOOL_MAX_ITERATIONS', DEFAULT_TOOL_ITERATIONS);
+  const transcript = [...messages];
+  const completion = { toolCalls: [] };
+
+  const openRound = async (iteration) => {
+    const { result, ...meta } = await withFallback(completion.modelConfig?.key || modelKey, async (modelConfig) => {
+      const iterator = getProviderForModel(modelConfig)
+        .stream(callOptions(modelConfig, transcript, temperature, tools, iteration, maxIterations));
+      const first = await iterator.next();
+      return { iterator, first };
+    });
+    Object.assign(completion, mergeModelMeta(completion.modelConfig ? completion : null, meta));
+    return result;
+  };
+
+  // Open the first round eagerly so connection errors surface before streaming starts
+  let nextRound = await openRound(0);
+
+  async function* stream() {
+    for (let iteration = 0; ; iteration++) {
+      const { iterator, first } = nextRound || await openRound(iteration);
+      nextRound = null;
+
+      let content = "";
+      let calls = [];
+      for (let step = first; !step.done; step = await iterator.next()) {
+        if (step.value.content) {
+          content += step.value.content;
+          yield { content: step.value.content };
+        }
+        if (step.value.toolCalls) calls = step.value.toolCalls;
+      }
+
+      if (calls.length === 0 || iteration >= maxIterations) return;
+
+      const records = await runToolCalls(transcript, content, calls, toolOptions);
+      for (const record of records) {
+        completion.toolCalls.push(record);
+        yield { toolCall: record };
+      }
+    }
+  }
+
+  completion.stream = stream();
+  return completion;
+}
+
+export default {
+  getModelRegistry,
+  getProviderForModel,
+  getModel,
+  listModels,
+  getFallbackChain,
+  chatCompletion,
+  streamChatCompletion
+};
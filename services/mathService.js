@@ -1,127 +1,97 @@
 // services/mathService.js - Math, Calculations, Unit Conversions
 
+import { evaluate, MathError } from '../utils/mathParser.js';
+import { runSymbolic } from '../utils/symbolicMath.js';
+import { convert as convertQuantity, UnitError } from '../utils/units.js';
+
 /**
- * 🔢 Evaluate a math expression
+ * 🔢 Calculate an expression (see utils/mathParser.js for the grammar).
+ * `variables` are the conversation's earlier results; the returned
+ * `variables` include any assignment and `ans`. Throws MathError.
  */
-export function evaluateMathExpression(expression) {
-  try {
-    // Sanitize input
-    const sanitized = expression
-      .replace(/[^0-9+\-*/().%\s^]/g, '')
-      .replace(/\^/g, '**');
-    
-    // Use Function constructor for safe evaluation
-    const result = Function('"use strict"; return (' + sanitized + ')')();
-    
-    if (typeof result !== 'number' || !isFinite(result)) {
-      return null;
-    }
+export function calculate(expression, { variables = {} } = {}) {
+  const { value, assigned } = evaluate(expression, { variables });
 
-    return {
-      expression: expression,
-      result: result,
-      formatted: Number.isInteger(result) ? result.toString() : result.toFixed(6).replace(/\.?0+$/, ''),
-      source: "Calculator"
-    };
-  } catch (error) {
-    return null;
-  }
+  return {
+    expression: expression,
+    result: value,
+    formatted: formatNumber(value),
+    ...(assigned && { assigned }),
+    variables: { ...variables, ...(assigned && { [assigned]: value }), ans: value },
+    source: "Calculator"
+  };
 }
 
 /**
- * 🔢 Newton Math API for advanced calculations
+ * 🔢 Evaluate a math expression (null if it is invalid)
  */
-export async function calculateMath(operation, expression) {
+export function evaluateMathExpression(expression, options) {
   try {
-    const encodedExpr = encodeURIComponent(expression.replace(/\s/g, ''));
-    const url = `https://newton.now.sh/api/v2/${operation}/${encodedExpr}`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
-
-    return {
-      operation,
-      expression: data.expression,
-      result: data.result,
-      source: "Newton Math API"
-    };
+    return calculate(expression, options);
   } catch (error) {
-    console.error("Newton Math error:", error.message);
+    if (!(error instanceof MathError)) throw error;
     return null;
   }
 }
 
+function formatNumber(value) {
+  return Number.isInteger(value) ? value.toString() : value.toFixed(6).replace(/\.?0+$/, '');
+}
+
 /**
- * 📐 Unit conversion
+ * ∫ Symbolic math: simplify, expand, factor, derive, integrate or solve
+ * (utils/symbolicMath.js). Returns the result with step-by-step working.
+ * Throws MathError.
  */
-export function convertUnits(value, fromUnit, toUnit) {
-  const from = fromUnit.toLowerCase();
-  const to = toUnit.toLowerCase();
+export function calculateMath(operation, expression, { variable } = {}) {
+  const { operation: op, variable: v, result, steps, solutions } = runSymbolic(operation, expression, { variable });
 
-  const conversions = {
-    // Length
-    'km_miles': 0.621371, 'miles_km': 1.60934,
-    'meters_feet': 3.28084, 'feet_meters': 0.3048,
-    'cm_inches': 0.393701, 'inches_cm': 2.54,
-    'meters_yards': 1.09361, 'yards_meters': 0.9144,
-    'm_ft': 3.28084, 'ft_m': 0.3048,
-    'km_m': 1000, 'm_km': 0.001,
-    'mi_km': 1.60934, 'km_mi': 0.621371,
-    
-    // Weight
-    'kg_pounds': 2.20462, 'pounds_kg': 0.453592,
-    'kg_lbs': 2.20462, 'lbs_kg': 0.453592,
-    'kg_ounces': 35.274, 'ounces_kg': 0.0283495,
-    'grams_ounces': 0.035274, 'ounces_grams': 28.3495,
-    'g_oz': 0.035274, 'oz_g': 28.3495,
-    
-    // Volume
-    'liters_gallons': 0.264172, 'gallons_liters': 3.78541,
-    'l_gal': 0.264172, 'gal_l': 3.78541,
-    'ml_floz': 0.033814, 'floz_ml': 29.5735,
-    
-    // Area
-    'sqm_sqft': 10.7639, 'sqft_sqm': 0.092903,
-    'hectares_acres': 2.47105, 'acres_hectares': 0.404686,
-    
-    // Speed
-    'kmh_mph': 0.621371, 'mph_kmh': 1.60934,
-    'ms_kmh': 3.6, 'kmh_ms': 0.277778,
-    
-    // Data
-    'gb_mb': 1024, 'mb_gb': 0.000976563,
-    'tb_gb': 1024, 'gb_tb': 0.000976563,
-    'kb_mb': 0.000976563, 'mb_kb': 1024,
+  return {
+    operation: op,
+    expression,
+    variable: v,
+    result,
+    steps,
+    ...(solutions && { solutions }),
+    source: "Symbolic Math"
   };
+}
 
-  // Temperature conversions
-  if ((from === 'celsius' || from === 'c') && (to === 'fahrenheit' || to === 'f')) {
-    return { value, fromUnit, toUnit, result: (value * 9/5) + 32, formula: '(°C × 9/5) + 32', source: "Unit Converter" };
-  }
-  if ((from === 'fahrenheit' || from === 'f') && (to === 'celsius' || to === 'c')) {
-    return { value, fromUnit, toUnit, result: (value - 32) * 5/9, formula: '(°F − 32) × 5/9', source: "Unit Converter" };
-  }
-  if ((from === 'celsius' || from === 'c') && (to === 'kelvin' || to === 'k')) {
-    return { value, fromUnit, toUnit, result: value + 273.15, formula: '°C + 273.15', source: "Unit Converter" };
-  }
-  if ((from === 'kelvin' || from === 'k') && (to === 'celsius' || to === 'c')) {
-    return { value, fromUnit, toUnit, result: value - 273.15, formula: 'K − 273.15', source: "Unit Converter" };
-  }
-
-  const key = `${from}_${to}`;
-  const factor = conversions[key];
-  
-  if (!factor) return null;
+/**
+ * 📐 Convert between units of the same dimension: length, area, volume,
+ * mass, time, speed, force, energy, power, pressure, frequency, data and
+ * temperature, with prefixes and compound units ("kWh", "m/s^2", "J/(kg*K)").
+ * See utils/units.js. Throws UnitError.
+ */
+export function convert(value, fromUnit, toUnit) {
+  const { result, from, to, factor, formula, dimension } = convertQuantity(value, fromUnit, toUnit);
 
   return {
-    value,
+    value: Number(value),
     fromUnit,
     toUnit,
-    result: value * factor,
+    result,
+    from,
+    to,
     factor,
+    formula,
+    dimension,
     source: "Unit Converter"
   };
 }
 
+/**
+ * 📐 Unit conversion (null for unknown or incompatible units)
+ */
+export function convertUnits(value, fromUnit, toUnit) {
+  try {
+    return convert(value, fromUnit, toUnit);
+  } catch (error) {
+    if (!(error instanceof UnitError)) throw error;
+    return null;
+  }
+}
+
 /**
  * 💊 Calculate BMI
  */
@@ -161,8 +131,10 @@ export function calculateBMI(weight, height, unit = "metric") {
 }
 
 export default {
+  calculate,
   evaluateMathExpression,
   calculateMath,
+  convert,
   convertUnits,
   calculateBMI
 };
\ No newline at end of file
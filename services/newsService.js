@@ -1,6 +1,7 @@
 // services/newsService.js - News & Current Events
 
 import cache from '../utils/cache.js';
+import httpClient from '../utils/httpClient.js';
 
 const NEWS_FEEDS = {
   technology: "https://rss.nytimes.com/services/xml/rss/nyt/Technology.xml",
@@ -21,31 +22,28 @@ const NEWS_FEEDS = {
 export async function getNews(topic = "technology") {
   try {
     const cacheKey = `news_${topic.toLowerCase()}`;
-    const cached = cache.get(cacheKey, 1800000); // 30 min cache
-    if (cached) return cached;
-
-    const feedUrl = NEWS_FEEDS[topic.toLowerCase()] || NEWS_FEEDS.technology;
-    const converterUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(feedUrl)}`;
+    return await cache.fetch(cacheKey, async () => {
+      const feedUrl = NEWS_FEEDS[topic.toLowerCase()] || NEWS_FEEDS.technology;
+      const converterUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(feedUrl)}`;
     
-    const response = await fetch(converterUrl, { timeout: 5000 });
-    const data = await response.json();
+      const data = await httpClient.getJSON(converterUrl);
 
-    if (data.status !== "ok") return null;
+      if (data.status !== "ok") return null;
 
-    const result = {
-      items: data.items?.slice(0, 7).map(item => ({
-        title: item.title,
-        description: item.description?.replace(/<[^>]*>/g, '').substring(0, 250),
-        link: item.link,
-        pubDate: item.pubDate,
-        author: item.author
-      })),
-      source: data.feed?.title || "News",
-      topic: topic
-    };
+      const result = {
+        items: data.items?.slice(0, 7).map(item => ({
+          title: item.title,
+          description: item.description?.replace(/<[^>]*>/g, '').substring(0, 250),
+          link: item.link,
+          pubDate: item.pubDate,
+          author: item.author
+        })),
+        source: data.feed?.title || "News",
+        topic: topic
+      };
 
-    cache.set(cacheKey, result, 1800000);
-    return result;
+      return result;
+    }, { ttl: 1800000 }); // 30 min cache
 
   } catch (error) {
     console.error("News error:", error.message);
@@ -59,45 +57,41 @@ export async function getNews(topic = "technology") {
 export async function getHackerNews(type = "top") {
   try {
     const cacheKey = `hn_${type}`;
-    const cached = cache.get(cacheKey, 600000); // 10 min cache
-    if (cached) return cached;
-
-    const types = { 
-      top: "topstories", 
-      new: "newstories", 
-      best: "beststories", 
-      ask: "askstories", 
-      show: "showstories" 
-    };
-    const endpoint = types[type] || types.top;
+    return await cache.fetch(cacheKey, async () => {
+      const types = { 
+        top: "topstories", 
+        new: "newstories", 
+        best: "beststories", 
+        ask: "askstories", 
+        show: "showstories" 
+      };
+      const endpoint = types[type] || types.top;
     
-    const idsUrl = `https://hacker-news.firebaseio.com/v0/${endpoint}.json`;
-    const idsResponse = await fetch(idsUrl, { timeout: 5000 });
-    const ids = await idsResponse.json();
+      const idsUrl = `https://hacker-news.firebaseio.com/v0/${endpoint}.json`;
+      const ids = await httpClient.getJSON(idsUrl);
 
-    const stories = await Promise.all(
-      ids.slice(0, 5).map(async (id) => {
-        const storyUrl = `https://hacker-news.firebaseio.com/v0/item/${id}.json`;
-        const response = await fetch(storyUrl, { timeout: 3000 });
-        return response.json();
-      })
-    );
+      const stories = await Promise.all(
+        ids.slice(0, 5).map(async (id) => {
+          const storyUrl = `https://hacker-news.firebaseio.com/v0/item/${id}.json`;
+          return httpClient.getJSON(storyUrl, { timeout: 3000 });
+        })
+      );
 
-    const result = {
-      type: type,
-      stories: stories.filter(s => s).map(s => ({
-        title: s.title,
-        url: s.url,
-        score: s.score,
-        author: s.by,
-        comments: s.descendants,
-        time: new Date(s.time * 1000).toISOString()
-      })),
-      source: "Hacker News"
-    };
+      const result = {
+        type: type,
+        stories: stories.filter(s => s).map(s => ({
+          title: s.title,
+          url: s.url,
+          score: s.score,
+          author: s.by,
+          comments: s.descendants,
+          time: new Date(s.time * 1000).toISOString()
+        })),
+        source: "Hacker News"
+      };
 
-    cache.set(cacheKey, result, 600000);
-    return result;
+      return result;
+    }, { ttl: 600000 }); // 10 min cache
 
   } catch (error) {
     console.error("Hacker News error:", error.message);
@@ -1,6 +1,7 @@
 // services/scienceService.js - NASA, Space, Science APIs
 
 import cache from '../utils/cache.js';
+import httpClient from '../utils/httpClient.js';
 
 /**
  * 🚀 Get NASA Astronomy Picture of the Day
@@ -8,27 +9,24 @@ import cache from '../utils/cache.js';
 export async function getNasaAPOD() {
   try {
     const cacheKey = 'nasa_apod';
-    const cached = cache.get(cacheKey, 3600000); // 1 hour cache
-    if (cached) return cached;
-
-    // Using DEMO_KEY - get your own free key at api.nasa.gov
-    const url = `https://api.nasa.gov/planetary/apod?api_key=DEMO_KEY`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
-
-    const result = {
-      title: data.title,
-      date: data.date,
-      explanation: data.explanation,
-      url: data.url,
-      hdUrl: data.hdurl,
-      mediaType: data.media_type,
-      copyright: data.copyright,
-      source: "NASA APOD"
-    };
+    return await cache.fetch(cacheKey, async () => {
+      // Using DEMO_KEY - get your own free key at api.nasa.gov
+      const url = `https://api.nasa.gov/planetary/apod?api_key=DEMO_KEY`;
+      const data = await httpClient.getJSON(url);
+
+      const result = {
+        title: data.title,
+        date: data.date,
+        explanation: data.explanation,
+        url: data.url,
+        hdUrl: data.hdurl,
+        mediaType: data.media_type,
+        copyright: data.copyright,
+        source: "NASA APOD"
+      };
 
-    cache.set(cacheKey, result, 3600000);
-    return result;
+      return result;
+    }, { ttl: 3600000 }); // 1 hour cache
 
   } catch (error) {
     console.error("NASA APOD error:", error.message);
@@ -42,8 +40,7 @@ export async function getNasaAPOD() {
 export async function getISSLocation() {
   try {
     const url = `http://api.open-notify.org/iss-now.json`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (data.message !== "success") return null;
 
@@ -66,8 +63,7 @@ export async function getISSLocation() {
 export async function getPeopleInSpace() {
   try {
     const url = `http://api.open-notify.org/astros.json`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (data.message !== "success") return null;
 
@@ -91,8 +87,7 @@ export async function getPeopleInSpace() {
 export async function getSpaceXLaunches(type = "latest") {
   try {
     const url = `https://api.spacexdata.com/v4/launches/${type}`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (Array.isArray(data)) {
       return {
@@ -1,6 +1,7 @@
 // services/timeService.js - Time & Date Services
 
 import cache from '../utils/cache.js';
+import httpClient from '../utils/httpClient.js';
 
 // Timezone mapping for 200+ locations
 const TIMEZONE_MAP = {
@@ -99,7 +100,7 @@ const UTC_OFFSET_MAP = {
 export async function getWorldTime(location) {
   try {
     const cacheKey = `time_${location.toLowerCase()}`;
-    const cached = cache.get(cacheKey, 30000); // 30 second cache
+    const cached = cache.get(cacheKey);
     if (cached) {
       console.log(`🕐 Time: Cache hit for ${location}`);
       return cached;
@@ -122,19 +123,11 @@ export async function getWorldTime(location) {
     if (timezone) {
       try {
         const url = `http://worldtimeapi.org/api/timezone/${timezone}`;
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-        
-        const response = await fetch(url, { signal: controller.signal });
-        clearTimeout(timeoutId);
-        
-        if (response.ok) {
-          const data = await response.json();
-          const result = formatTimeResult(location, data);
-          cache.set(cacheKey, result, 30000);
-          console.log(`🕐 Time: Got time for ${location} via API`);
-          return result;
-        }
+        const data = await httpClient.getJSON(url);
+        const result = formatTimeResult(location, data);
+        cache.set(cacheKey, result, 30000); // 30 second cache
+        console.log(`🕐 Time: Got time for ${location} via API`);
+        return result;
       } catch (apiError) {
         console.log(`🕐 Time: API failed, using fallback for ${location}`);
       }
@@ -227,8 +220,7 @@ function calculateTimeFromOffset(location, offset) {
  */
 async function searchTimezone(location) {
   try {
-    const response = await fetch('http://worldtimeapi.org/api/timezone', { timeout: 5000 });
-    const timezones = await response.json();
+    const timezones = await httpClient.getJSON('http://worldtimeapi.org/api/timezone');
     
     const lowerLocation = location.toLowerCase();
     const match = timezones.find(tz => 
@@ -237,8 +229,7 @@ async function searchTimezone(location) {
     );
 
     if (match) {
-      const tzResponse = await fetch(`http://worldtimeapi.org/api/timezone/${match}`);
-      const data = await tzResponse.json();
+      const data = await httpClient.getJSON(`http://worldtimeapi.org/api/timezone/${match}`);
       return formatTimeResult(location, data);
     }
 
@@ -329,32 +320,26 @@ export function calculateDateDifference(date1Str, date2Str = null) {
 export async function getHolidays(countryCode = "US", year = new Date().getFullYear()) {
   try {
     const cacheKey = `holidays_${countryCode}_${year}`;
-    const cached = cache.get(cacheKey, 86400000); // 24 hour cache
-    if (cached) return cached;
-
-    const url = `https://date.nager.at/api/v3/PublicHolidays/${year}/${countryCode}`;
-    const response = await fetch(url, { timeout: 5000 });
-    
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-
-    const result = {
-      country: countryCode,
-      year: year,
-      holidays: data.slice(0, 15).map(h => ({
-        date: h.date,
-        name: h.localName,
-        englishName: h.name,
-        fixed: h.fixed,
-        global: h.global,
-        types: h.types
-      })),
-      source: "Nager.Date"
-    };
+    return await cache.fetch(cacheKey, async () => {
+      const url = `https://date.nager.at/api/v3/PublicHolidays/${year}/${countryCode}`;
+      const data = await httpClient.getJSON(url);
+
+      const result = {
+        country: countryCode,
+        year: year,
+        holidays: data.slice(0, 15).map(h => ({
+          date: h.date,
+          name: h.localName,
+          englishName: h.name,
+          fixed: h.fixed,
+          global: h.global,
+          types: h.types
+        })),
+        source: "Nager.Date"
+      };
 
-    cache.set(cacheKey, result, 86400000);
-    return result;
+      return result;
+    }, { ttl: 86400000 }); // 24 hour cache
 
   } catch (error) {
     console.error("Holidays error:", error.message);
@@ -368,8 +353,7 @@ export async function getHolidays(countryCode = "US", year = new Date().getFullY
 export async function getSunTimes(lat, lon, location = "") {
   try {
     const url = `https://api.sunrise-sunset.org/json?lat=${lat}&lng=${lon}&formatted=0`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (data.status !== "OK") return null;
 
@@ -2,6 +2,7 @@
 // This service provides fallback web search when other APIs don't have answers
 
 import cache from '../utils/cache.js';
+import httpClient from '../utils/httpClient.js';
 
 /**
  * 🔍 Multi-Source Web Search - Tries multiple search engines
@@ -10,7 +11,7 @@ export async function performWebSearch(query) {
   console.log(`🔍 WebSearch: Searching for "${query}"`);
   
   const cacheKey = `websearch_${query.toLowerCase().replace(/\s+/g, '_')}`;
-  const cached = cache.get(cacheKey, 1800000); // 30 min cache
+  const cached = cache.get(cacheKey);
   if (cached) {
     console.log(`🔍 WebSearch: Cache hit`);
     return cached;
@@ -47,7 +48,7 @@ export async function performWebSearch(query) {
   results.bestAnswer = determineBestAnswer(results.allResults, query);
 
   if (results.bestAnswer || results.allResults.length > 0) {
-    cache.set(cacheKey, results, 1800000);
+    cache.set(cacheKey, results, 1800000); // 30 min cache
   }
 
   console.log(`🔍 WebSearch: Found ${results.allResults.length} results`);
@@ -60,8 +61,7 @@ export async function performWebSearch(query) {
 export async function searchDuckDuckGo(query) {
   try {
     const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1&skip_disambig=1`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     // Check for direct answer
     if (data.Answer) {
@@ -132,11 +132,7 @@ export async function searchWikipedia(query) {
   try {
     // First search for articles
     const searchUrl = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=3&format=json`;
-    const searchResponse = await fetch(searchUrl, { 
-      timeout: 5000,
-      headers: { 'User-Agent': 'UltimateAI/1.0' }
-    });
-    const searchData = await searchResponse.json();
+    const searchData = await httpClient.getJSON(searchUrl);
     
     if (!searchData[1] || searchData[1].length === 0) return null;
 
@@ -144,10 +140,7 @@ export async function searchWikipedia(query) {
     
     // Get summary
     const summaryUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(bestMatch)}`;
-    const summaryResponse = await fetch(summaryUrl, {
-      headers: { 'User-Agent': 'UltimateAI/1.0' }
-    });
-    const summaryData = await summaryResponse.json();
+    const summaryData = await httpClient.getJSON(summaryUrl);
 
     if (!summaryData.extract) return null;
 
@@ -174,11 +167,7 @@ export async function searchWikipedia(query) {
 async function searchWikipediaExtracts(query) {
   try {
     const url = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&format=json&srlimit=3&srprop=snippet`;
-    const response = await fetch(url, { 
-      timeout: 5000,
-      headers: { 'User-Agent': 'UltimateAI/1.0' }
-    });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (!data.query?.search || data.query.search.length === 0) return null;
 
@@ -214,8 +203,7 @@ async function searchStackExchange(query) {
     if (!isTechQuery) return null;
 
     const url = `https://api.stackexchange.com/2.3/search/excerpts?order=desc&sort=relevance&q=${encodeURIComponent(query)}&site=stackoverflow&pagesize=3`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (!data.items || data.items.length === 0) return null;
 
@@ -285,8 +273,7 @@ export async function searchGoogle(query, apiKey = null, cx = null) {
   
   try {
     const url = `https://www.googleapis.com/customsearch/v1?key=${apiKey}&cx=${cx}&q=${encodeURIComponent(query)}`;
-    const response = await fetch(url, { timeout: 5000 });
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
 
     if (!data.items || data.items.length === 0) return null;
 
@@ -311,11 +298,7 @@ export async function searchGoogle(query, apiKey = null, cx = null) {
 export async function searchDictionary(word) {
   try {
     const url = `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`;
-    const response = await fetch(url, { timeout: 5000 });
-    
-    if (!response.ok) return null;
-    
-    const data = await response.json();
+    const data = await httpClient.getJSON(url);
     if (!Array.isArray(data) || data.length === 0) return null;
 
     const entry = data[0];
@@ -0,0 +1,110 @@
+import './helpers/env.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../app.js';
+import { createConversationStore } from '../utils/conversationStore.js';
+import { startServer } from './helpers/testServer.js';
+
+const fakeModel = { key: 'fake', name: 'Fake Model', contextWindow: 8192, maxTokens: 1024 };
+
+// Echoes the last message; "time in <city>" calls the getWorldTime tool
+const fakeLLM = {
+  calls: [],
+  listModels: () => [{ key: 'fake', name: 'Fake Model' }],
+  getModel: () => fakeModel,
+  async chatCompletion(messages, modelKey, temperature, { executeTool } = {}) {
+    this.calls.push({ messages, modelKey });
+    const city = messages.at(-1).content.match(/time in (\w+)/)?.[1];
+    const toolCalls = city && executeTool
+      ? [await executeTool({ id: 'call-1', function: { name: 'getWorldTime', arguments: JSON.stringify({ location: city }) } })]
+      : [];
+    return {
+      content: toolCalls.length > 0 ? `It is ${toolCalls[0].result.time}.` : `Echo: ${messages.at(-1).content}`,
+      modelConfig: fakeModel,
+      requestedModel: modelKey,
+      fallbackUsed: false,
+      toolCalls
+    };
+  }
+};
+
+const fakeServices = {
+  time: { getWorldTime: async (location) => ({ location, time: '12:00' }) },
+  weather: { getWeather: async () => null }
+};
+
+describe('createApp', () => {
+  let api;
+  let conversations;
+
+  before(async () => {
+    conversations = createConversationStore('memory');
+    api = await startServer(createApp({ conversations, llm: fakeLLM, services: fakeServices }));
+  });
+
+  after(() => api.close());
+
+  test('uses the injected LLM layer and store', async () => {
+    assert.deepEqual((await api.get('/api/chat/models')).body.data, [{ key: 'fake', name: 'Fake Model' }]);
+
+    const { body } = await api.post('/api/chat/message', { message: 'tell me a joke', enableSearch: false, enableTools: false });
+    assert.equal(body.data.message.content, 'Echo: tell me a joke');
+    assert.equal(body.data.message.model, 'Fake Model');
+    assert.equal(fakeLLM.calls.length, 1);
+
+    const stored = await conversations.get(body.data.conversationId);
+    assert.equal(stored.userId, 'alice');
+  });
+
+  test('uses the injected services', async () => {
+    assert.deepEqual((await api.get('/api/time/Lima')).body, { success: true, data: { location: 'Lima', time: '12:00' } });
+    assert.equal((await api.get('/api/weather/Lima')).body.success, false);
+  });
+
+  test('runs tool calls against the injected services', async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'time in Lima', enableSearch: false });
+    assert.equal(body.data.message.content, 'It is 12:00.');
+    assert.deepEqual(body.data.message.toolCalls[0].result, { location: 'Lima', time: '12:00' });
+  });
+
+  test('keeps the 404 handler after every router', async () => {
+    assert.equal((await api.get('/api/time/Lima')).status, 200);
+    assert.equal((await api.get('/api/chat/nothing-here')).status, 404);
+
+    const { status, body } = await api.get('/api/nothing-here');
+    assert.equal(status, 404);
+    assert.deepEqual(body, { success: false, error: { message: '❌ Not found' } });
+  });
+
+  test('answers malformed JSON with a 400', async () => {
+    const response = await fetch(`${api.url}/api/chat/message`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-api-key': 'user-key' },
+      body: '{"message":'
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { success: false, error: { message: '❌ Invalid JSON body' } });
+  });
+});
+
+describe('createApp error handler', () => {
+  let api;
+
+  before(async () => {
+    const failingStore = {
+      get: async () => { throw new Error('Store offline'); },
+      list: async () => { throw new Error('Store offline'); }
+    };
+    api = await startServer(createApp({ conversations: failingStore, llm: fakeLLM, services: fakeServices }));
+  });
+
+  after(() => api.close());
+
+  test('turns errors thrown by async handlers into 500 JSON', async () => {
+    const { status, body } = await api.get('/api/chat/conversations');
+    assert.equal(status, 500);
+    assert.deepEqual(body, { success: false, error: { message: '❌ Store offline' } });
+    assert.equal((await api.get('/api/chat/conversations/abc')).status, 500);
+  });
+});
@@ -0,0 +1,164 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SmartCache } from '../utils/cache.js';
+
+let now;
+
+beforeEach(() => {
+  now = 1_000_000;
+  mock.method(Date, 'now', () => now);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const newCache = (options = {}) => new SmartCache({ sweepInterval: 0, ...options });
+
+describe('SmartCache get/set', () => {
+  test('returns values until their TTL passes', () => {
+    const cache = newCache();
+    cache.set('weather_london', { temp: 13 }, 1000);
+
+    assert.deepEqual(cache.get('weather_london'), { temp: 13 });
+    assert.equal(cache.has('weather_london'), true);
+
+    now += 1000;
+    assert.equal(cache.get('weather_london'), null);
+    assert.equal(cache.has('weather_london'), false);
+    assert.equal(cache.getStats().size, 0);
+  });
+
+  test('evicts the least recently used entry past maxEntries', () => {
+    const cache = newCache({ maxEntries: 2 });
+    cache.set('a_1', 1);
+    cache.set('a_2', 2);
+    cache.get('a_1');
+    cache.set('a_3', 3);
+
+    assert.deepEqual(cache.keys(), ['a_1', 'a_3']);
+    assert.equal(cache.getStats().evictions, 1);
+  });
+
+  test('evicts by size past maxBytes and skips values larger than the limit', () => {
+    const cache = newCache({ maxBytes: 200 });
+    cache.set('a_1', 'x'.repeat(60));
+    cache.set('a_2', 'y'.repeat(60));
+    assert.deepEqual(cache.keys(), ['a_2']);
+
+    cache.set('a_3', 'z'.repeat(500));
+    assert.equal(cache.has('a_3'), false);
+    assert.ok(cache.getStats().bytes <= 200);
+  });
+
+  test('sweep() drops entries past their stale window', () => {
+    const cache = newCache();
+    cache.set('a_short', 1, 100);
+    cache.set('a_stale', 2, 100, 1000);
+    cache.set('a_long', 3, 5000);
+
+    now += 500;
+    assert.equal(cache.sweep(), 1);
+    assert.deepEqual(cache.keys(), ['a_stale', 'a_long']);
+  });
+
+  test('clears everything or one namespace', () => {
+    const cache = newCache();
+    cache.set('weather_london', 1);
+    cache.set('weather_paris', 2);
+    cache.set('crypto_bitcoin', 3);
+
+    cache.clear('weather');
+    assert.deepEqual(cache.keys(), ['crypto_bitcoin']);
+
+    cache.clear();
+    assert.deepEqual(cache.keys(), []);
+  });
+
+  test('keeps stats per namespace', () => {
+    const cache = newCache();
+    cache.set('weather_london', 1);
+    cache.get('weather_london');
+    cache.get('weather_paris');
+    cache.get('crypto_bitcoin');
+
+    const stats = cache.getStats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 2);
+    assert.equal(stats.hitRate, '33.33%');
+    assert.equal(stats.namespaces.weather.entries, 1);
+    assert.equal(stats.namespaces.weather.hitRate, '50.00%');
+    assert.equal(stats.namespaces.crypto.misses, 1);
+  });
+});
+
+describe('SmartCache fetch', () => {
+  test('loads on a miss and serves the cached value afterwards', async () => {
+    const cache = newCache();
+    const loader = mock.fn(async () => 'fresh');
+
+    assert.equal(await cache.fetch('a_key', loader, { ttl: 1000 }), 'fresh');
+    assert.equal(await cache.fetch('a_key', loader, { ttl: 1000 }), 'fresh');
+    assert.equal(loader.mock.callCount(), 1);
+  });
+
+  test('shares one load between concurrent calls', async () => {
+    const cache = newCache();
+    const loader = mock.fn(() => new Promise(resolve => setImmediate(() => resolve('once'))));
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => cache.fetch('a_key', loader)));
+    assert.deepEqual(results, Array(5).fill('once'));
+    assert.equal(loader.mock.callCount(), 1);
+    assert.equal(cache.getStats().coalesced, 4);
+  });
+
+  test('serves a stale value while refreshing it in the background', async () => {
+    const cache = newCache();
+    await cache.fetch('a_key', async () => 'old', { ttl: 1000 });
+
+    now += 1500;
+    let refresh;
+    const refreshed = new Promise(resolve => { refresh = resolve; });
+    assert.equal(await cache.fetch('a_key', () => refreshed, { ttl: 1000 }), 'old');
+    assert.equal(cache.getStats().staleHits, 1);
+
+    refresh('new');
+    await refreshed;
+    await new Promise(setImmediate);
+    assert.equal(cache.get('a_key'), 'new');
+  });
+
+  test('keeps the stale value when the refresh fails', async () => {
+    const cache = newCache();
+    await cache.fetch('a_key', async () => 'old', { ttl: 1000 });
+
+    now += 1500;
+    const failing = async () => { throw new Error('upstream down'); };
+    assert.equal(await cache.fetch('a_key', failing, { ttl: 1000 }), 'old');
+    await new Promise(setImmediate);
+
+    assert.equal(cache.getStats().staleOnError, 1);
+    assert.equal(await cache.fetch('a_key', failing, { ttl: 1000 }), 'old');
+  });
+
+  test('throws once the stale window has passed', async () => {
+    const cache = newCache();
+    await cache.fetch('a_key', async () => 'old', { ttl: 1000, staleTtl: 1000 });
+
+    now += 2500;
+    await assert.rejects(
+      cache.fetch('a_key', async () => { throw new Error('upstream down'); }),
+      /upstream down/
+    );
+  });
+
+  test('does not cache null results', async () => {
+    const cache = newCache();
+    const loader = mock.fn(async () => null);
+
+    assert.equal(await cache.fetch('a_key', loader), null);
+    assert.equal(await cache.fetch('a_key', loader), null);
+    assert.equal(loader.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,76 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildCards, buildToolCards } from '../utils/cardBuilder.js';
+
+const weather = {
+  location: 'London',
+  region: 'City of London',
+  country: 'United Kingdom',
+  current: { temperature: { celsius: 13, fahrenheit: 55 }, condition: 'Sunny' },
+  forecast: [{ date: '2026-10-19', condition: 'Cloudy', maxTemp: { celsius: 15 }, minTemp: { celsius: 8 }, avgTemp: { celsius: 11 }, chanceOfRain: '20%', sunrise: '07:20 AM' }],
+  source: 'wttr.in'
+};
+
+describe('buildCards', () => {
+  test('returns no cards without knowledge', () => {
+    assert.deepEqual(buildCards({}), []);
+  });
+
+  test('keeps the forecast as structured days', () => {
+    const [card] = buildCards({ weather });
+    assert.equal(card.type, 'weather');
+    assert.equal(card.country, 'United Kingdom');
+    assert.deepEqual(card.forecast, [{ date: '2026-10-19', condition: 'Cloudy', minTemp: { celsius: 8 }, maxTemp: { celsius: 15 }, chanceOfRain: '20%' }]);
+    assert.equal(card.source, 'wttr.in');
+  });
+
+  test('builds one card per result, in context order', () => {
+    const cards = buildCards({
+      trivia: { question: 'Q?', allAnswers: ['A', 'B'], correctAnswer: 'A', category: 'General', difficulty: 'easy', source: 'Open Trivia DB' },
+      weather: [weather, { ...weather, location: 'Paris' }],
+      joke: { setup: 'Why?', punchline: 'Because.' }
+    });
+    assert.deepEqual(cards.map(c => c.location || c.type), ['London', 'Paris', 'trivia']);
+    assert.deepEqual(cards[2].answers, ['A', 'B']);
+  });
+
+  test('shows conversions but not rate tables', () => {
+    const conversion = { from: 'USD', to: 'EUR', amount: 100, rate: 0.92, result: 92, formatted: '100 USD = 92.00 EUR', source: 'ExchangeRate-API' };
+    assert.deepEqual(buildCards({ currency: conversion }), [{ type: 'currency', ...conversion }]);
+    assert.deepEqual(buildCards({ currency: { base: 'USD', rates: { EUR: 0.92 } } }), []);
+  });
+
+  test('puts single prices and top lists into crypto tables', () => {
+    const [single] = buildCards({ crypto: { name: 'Bitcoin', prices: { USD: 65000, EUR: 60000 }, change24h: '1.50%', source: 'CoinGecko' } });
+    assert.equal(single.type, 'crypto-table');
+    assert.deepEqual(single.rows, [{ name: 'Bitcoin', price: 65000, change24h: '1.50%', marketCap: undefined, volume24h: undefined }]);
+
+    const [top] = buildCards({ crypto: { cryptos: [{ rank: 1, name: 'Bitcoin', symbol: 'BTC', price: 65000, priceFormatted: '$65,000' }], source: 'CoinGecko' } });
+    assert.equal(top.rows[0].symbol, 'BTC');
+    assert.equal(top.rows[0].priceFormatted, undefined);
+  });
+
+  test('builds country profiles and definitions', () => {
+    const [country, definition] = buildCards({
+      country: { name: 'Japan', capital: 'Tokyo', flag: '🇯🇵', flagUrl: 'https://flagcdn.com/jp.png', population: 125000000 },
+      dictionary: { type: 'dictionary', word: 'serendipity', meanings: [{ partOfSpeech: 'noun', definitions: [] }], source: 'Free Dictionary' }
+    });
+    assert.equal(country.type, 'country');
+    assert.equal(country.flagUrl, 'https://flagcdn.com/jp.png');
+    assert.equal(definition.type, 'definition');
+    assert.equal(definition.word, 'serendipity');
+  });
+});
+
+describe('buildToolCards', () => {
+  test('builds cards from successful tool results only', () => {
+    const cards = buildToolCards([
+      { name: 'getWeather', result: weather },
+      { name: 'getCountryInfo', result: null },
+      { name: 'getCryptoPrice', error: 'Service unavailable' },
+      { name: 'getJoke', result: { setup: 'Why?' } }
+    ]);
+    assert.deepEqual(cards.map(c => c.type), ['weather']);
+  });
+});
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { listSources, formatSourceList, findCitationMarkers, checkCitations } from '../utils/citations.js';
+
+const weather = { location: 'London', country: 'United Kingdom', current: {}, source: 'wttr.in' };
+const news = {
+  topic: 'technology',
+  items: [
+    { title: 'Chips get faster', link: 'https://www.nytimes.com/2026/10/18/technology/chips.html' },
+    { title: 'Phones get smaller', link: 'https://www.nytimes.com/2026/10/18/technology/phones.html' }
+  ],
+  source: 'NYT > Technology'
+};
+
+describe('listSources', () => {
+  test('numbers sources in context order with stable ids and URLs', () => {
+    const retrievedAt = new Map([[weather, new Date('2026-10-19T10:00:00Z')]]);
+    const sources = listSources({ news, weather }, { retrievedAt });
+
+    assert.deepEqual(sources.map(s => [s.n, s.id]), [
+      [1, 'weather:london'],
+      [2, 'news:nytimes-com-2026-10-18-technology-chips-html'],
+      [3, 'news:nytimes-com-2026-10-18-technology-phones-html']
+    ]);
+    assert.equal(sources[0].url, 'https://wttr.in/London');
+    assert.equal(sources[0].name, 'wttr.in');
+    assert.equal(sources[0].retrievedAt.toISOString(), '2026-10-19T10:00:00.000Z');
+    assert.equal(sources[2].title, 'Phones get smaller');
+    assert.ok(sources[2].retrievedAt instanceof Date);
+  });
+
+  test('links web answers and drops Wikipedia when the web search answered', () => {
+    const wikipedia = { title: 'Vim', url: 'https://en.wikipedia.org/wiki/Vim_(text_editor)', source: 'Wikipedia' };
+    assert.equal(listSources({ wikipedia })[0].url, 'https://en.wikipedia.org/wiki/Vim_(text_editor)');
+
+    const sources = listSources({
+      wikipedia,
+      webSearch: { found: true, result: { title: 'How to exit Vim', url: 'https://stackoverflow.com/a/11828573', source: 'Stack Overflow' } }
+    });
+    assert.deepEqual(sources.map(s => [s.id, s.url]), [['webSearch:stackoverflow-com-a-11828573', 'https://stackoverflow.com/a/11828573']]);
+  });
+
+  test('lists local calculations without a URL', () => {
+    const [source] = listSources({ math: { expression: '2 + 2', result: 4, source: 'Calculator' } });
+    assert.equal(source.title, 'Calculation: 2 + 2');
+    assert.equal(source.url, undefined);
+  });
+});
+
+describe('formatSourceList', () => {
+  test('lists the sources and asks for markers', () => {
+    const list = formatSourceList(listSources({ weather }));
+    assert.match(list, /\[1\] Weather in London, United Kingdom \(wttr\.in\) - https:\/\/wttr\.in\/London/);
+    assert.match(list, /CITATIONS: Put the matching marker after every fact/);
+  });
+
+  test('is empty without sources', () => {
+    assert.equal(formatSourceList([]), '');
+  });
+});
+
+describe('findCitationMarkers and checkCitations', () => {
+  test('reads single, grouped and adjacent markers but not links', () => {
+    assert.deepEqual(findCitationMarkers('Warm [2]. Dry [1, 3][2]. See [4](https://example.com).'), [2, 1, 3]);
+  });
+
+  test('flags cited sources and markers that point to nothing', () => {
+    const sources = listSources({ weather, news });
+    const { citations, unresolved } = checkCitations('It is 13°C [1] and chips are fast [2] [7].', sources);
+    assert.deepEqual(citations.map(c => c.cited), [true, true, false]);
+    assert.deepEqual(unresolved, [7]);
+  });
+
+  test('flags every marker when there are no sources', () => {
+    assert.deepEqual(checkCitations('As shown [1].').unresolved, [1]);
+  });
+});
@@ -0,0 +1,77 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildChatContext, fitHistory } from '../utils/contextBuilder.js';
+
+// A model with room for about three history messages next to the system prompt
+function createFakeLLM() {
+  return {
+    summaries: [],
+    getModel: () => ({ key: 'tiny', name: 'Tiny', contextWindow: 400, maxTokens: 50 }),
+    async chatCompletion(messages) {
+      const turns = messages.at(-1).content.split('NEW TURNS:\n')[1];
+      this.summaries.push(turns);
+      return { content: `Summary of ${turns.split('\n\n').length} turns` };
+    }
+  };
+}
+
+// A linear conversation of `count` messages, each about 25 tokens
+function createConversation(count) {
+  const messages = Array.from({ length: count }, (_, i) => ({
+    id: `m${i}`,
+    parentId: i === 0 ? null : `m${i - 1}`,
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `Message ${i} `.padEnd(100, '.')
+  }));
+  return { id: 'c1', messages, activeLeafId: messages.at(-1).id };
+}
+
+describe('fitHistory', () => {
+  test('keeps the newest messages that fit', () => {
+    const { messages } = createConversation(4);
+    const { older, recent } = fitHistory(messages, 60);
+    assert.deepEqual(older.map(m => m.id), ['m0', 'm1']);
+    assert.deepEqual(recent.map(m => m.id), ['m2', 'm3']);
+  });
+});
+
+describe('buildChatContext', () => {
+  test('summarizes older turns with the injected LLM', async () => {
+    const llm = createFakeLLM();
+    const conversation = createConversation(8);
+    const { messages, summarized } = await buildChatContext({ conversation, modelKey: 'tiny', basePrompt: 'Be brief.', userMessage: 'next', llm });
+
+    assert.equal(summarized, true);
+    assert.equal(llm.summaries.length, 1);
+    assert.match(messages[0].content, /Summary of \d+ turns/);
+    assert.equal(messages.at(-1).content, 'next');
+  });
+
+  test('keeps one summary per branch and reuses it when switching back', async () => {
+    const llm = createFakeLLM();
+    const conversation = createConversation(8);
+    // A second branch from m3 on, as an edit would create
+    const branch = Array.from({ length: 6 }, (_, i) => ({
+      id: `b${i}`,
+      parentId: i === 0 ? 'm3' : `b${i - 1}`,
+      role: i % 2 === 0 ? 'user' : 'assistant',
+      content: `Branch message ${i} `.padEnd(100, '.')
+    }));
+    conversation.messages.push(...branch);
+
+    const build = async (leafId) => {
+      conversation.activeLeafId = leafId;
+      return (await buildChatContext({ conversation, modelKey: 'tiny', basePrompt: 'Be brief.', userMessage: 'next', llm })).summarized;
+    };
+
+    assert.equal(await build('m7'), true);
+    assert.equal(await build('b5'), true);
+    assert.equal(llm.summaries.length, 2);
+    assert.equal(Object.keys(conversation.summaries).length, 2);
+
+    assert.equal(await build('m7'), false);
+    assert.equal(await build('b5'), false);
+    assert.equal(llm.summaries.length, 2);
+  });
+});
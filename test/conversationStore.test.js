@@ -0,0 +1,50 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { FileConversationStore } from '../utils/conversationStore.js';
+
+const conversation = (id, userId = 'alice') => ({ id, userId, messages: [{ id: 'm1', role: 'user', content: 'Hi' }] });
+
+describe('FileConversationStore', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('persists conversations and reloads them', async () => {
+    const filePath = path.join(dir, 'nested', 'conversations.json');
+    const store = new FileConversationStore(filePath);
+    await store.save(conversation('c1'));
+    await store.save(conversation('c2', 'bob'));
+    assert.equal(await store.delete('c2'), true);
+
+    const reloaded = new FileConversationStore(filePath);
+    assert.deepEqual(await reloaded.get('c1'), conversation('c1'));
+    assert.equal(await reloaded.get('c2'), null);
+    assert.equal((await reloaded.list({ userId: 'alice' })).length, 1);
+  });
+
+  test('refuses to start over from a corrupt file', async () => {
+    const filePath = path.join(dir, 'corrupt.json');
+    await fs.writeFile(filePath, '{"conversations": [');
+
+    const store = new FileConversationStore(filePath);
+    await assert.rejects(store.list(), /Cannot load conversations from .*corrupt\.json/);
+    await assert.rejects(store.save(conversation('c1')), /Cannot load conversations/);
+    assert.equal(await fs.readFile(filePath, 'utf8'), '{"conversations": [');
+  });
+
+  test('rejects a save that could not be written', async () => {
+    const blocker = path.join(dir, 'not-a-directory');
+    await fs.writeFile(blocker, '');
+
+    const store = new FileConversationStore(path.join(blocker, 'conversations.json'));
+    await assert.rejects(store.save(conversation('c1')));
+  });
+});
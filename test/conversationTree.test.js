@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ensureTree, getSiblings, getPath, getPathBefore, appendMessage, switchBranch, toConversationView
+} from '../utils/conversationTree.js';
+
+// u1 → a1 → u2 → a2, then an edit of u2 (u2b → a2b) and a regeneration of a1 (a1b)
+function createConversation() {
+  const conversation = { id: 'c1', messages: [], activeLeafId: null };
+  ['u1', 'a1', 'u2', 'a2'].forEach(id => appendMessage(conversation, { id }));
+  appendMessage(conversation, { id: 'u2b' }, 'a1');
+  appendMessage(conversation, { id: 'a2b' });
+  appendMessage(conversation, { id: 'a1b' }, 'u1');
+  return conversation;
+}
+
+const ids = messages => messages.map(m => m.id);
+
+describe('ensureTree', () => {
+  test('links a legacy linear conversation and points at its last message', () => {
+    const conversation = ensureTree({ messages: [{ id: 'm1' }, { id: 'm2' }, { id: 'm3' }] });
+    assert.deepEqual(conversation.messages.map(m => m.parentId), [null, 'm1', 'm2']);
+    assert.equal(conversation.activeLeafId, 'm3');
+  });
+
+  test('keeps existing links and repairs a missing active leaf', () => {
+    const conversation = createConversation();
+    conversation.activeLeafId = 'gone';
+    ensureTree(conversation);
+    assert.equal(conversation.activeLeafId, 'a1b');
+    assert.equal(conversation.messages.find(m => m.id === 'u2b').parentId, 'a1');
+  });
+});
+
+describe('appendMessage and getPath', () => {
+  test('follows parent links from the active leaf', () => {
+    const conversation = createConversation();
+    assert.deepEqual(ids(getPath(conversation)), ['u1', 'a1b']);
+    assert.deepEqual(ids(getPath(conversation, 'a2b')), ['u1', 'a1', 'u2b', 'a2b']);
+    assert.deepEqual(ids(getPathBefore(conversation, 'u2b')), ['u1', 'a1']);
+    assert.deepEqual(getPathBefore(conversation, 'u1'), []);
+  });
+
+  test('lists a message and its alternatives, oldest first', () => {
+    const conversation = createConversation();
+    assert.deepEqual(ids(getSiblings(conversation, 'u2b')), ['u2', 'u2b']);
+    assert.deepEqual(ids(getSiblings(conversation, 'u1')), ['u1']);
+    assert.deepEqual(getSiblings(conversation, 'missing'), []);
+  });
+});
+
+describe('switchBranch', () => {
+  test('activates the newest branch below a message', () => {
+    const conversation = createConversation();
+    assert.equal(switchBranch(conversation, 'a1').id, 'a2b');
+    assert.equal(conversation.activeLeafId, 'a2b');
+    assert.equal(switchBranch(conversation, 'u2').id, 'a2');
+    assert.equal(switchBranch(conversation, 'missing'), null);
+    assert.equal(conversation.activeLeafId, 'a2');
+  });
+});
+
+describe('toConversationView', () => {
+  test('shows the active branch with sibling positions', () => {
+    const conversation = createConversation();
+    switchBranch(conversation, 'u2');
+    const view = toConversationView(conversation);
+
+    assert.equal(view.totalMessages, 7);
+    assert.deepEqual(view.messages.map(m => [m.id, m.siblingIndex, m.siblingCount]), [
+      ['u1', 0, 1],
+      ['a1', 0, 2],
+      ['u2', 0, 2],
+      ['a2', 0, 1]
+    ]);
+    assert.deepEqual(view.messages[1].siblingIds, ['a1', 'a1b']);
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectFormat, extractText, chunkText, DocumentError } from '../utils/documentParser.js';
+
+describe('detectFormat', () => {
+  test('reads names, extensions and MIME types', () => {
+    assert.equal(detectFormat('README.md'), 'markdown');
+    assert.equal(detectFormat('text/html; charset=utf-8'), 'html');
+    assert.equal(detectFormat('pdf'), 'pdf');
+    assert.equal(detectFormat('photo.png'), null);
+  });
+});
+
+describe('extractText', () => {
+  test('strips Markdown formatting but keeps headings and lists', () => {
+    const text = extractText('# Guide\nSee the **docs** at [our site](https://example.com).\n## Refunds ##\n- within `30` days\n- keep my_order_id', 'markdown');
+    assert.equal(text, '# Guide\n\nSee the docs at our site.\n\n## Refunds\n\n• within 30 days\n• keep my_order_id');
+  });
+
+  test('turns HTML into paragraphs without scripts or entities', () => {
+    const text = extractText('<head><title>x</title></head><h2>Plans &amp; Pricing</h2><p>Pro costs &#36;10.</p><ul><li>A</li><li>B</li></ul><script>track()</script>', 'html');
+    assert.equal(text, '## Plans & Pricing\n\nPro costs $10.\n\n• A\n• B');
+  });
+
+  test('rejoins wrapped and hyphenated PDF lines and splits pages', () => {
+    assert.equal(extractText('Orders ship with-\nin two\nbusiness days.\fPage two', 'pdf'), 'Orders ship within two business days.\n\nPage two');
+  });
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => extractText('x', 'docx'), DocumentError);
+  });
+});
+
+describe('chunkText', () => {
+  test('starts a passage at each heading and names its section', () => {
+    const chunks = chunkText('Intro.\n\n# Refunds\n\nWithin 30 days.\n\nKeep the receipt.\n\n# Shipping\n\nTwo days.');
+    assert.deepEqual(chunks, [
+      { index: 0, section: null, text: 'Intro.' },
+      { index: 1, section: 'Refunds', text: 'Within 30 days.\n\nKeep the receipt.' },
+      { index: 2, section: 'Shipping', text: 'Two days.' }
+    ]);
+  });
+
+  test('keeps passages under the size, cutting long paragraphs after sentences', () => {
+    const paragraph = Array.from({ length: 20 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+    const chunks = chunkText(paragraph, { size: 120 });
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.text.length <= 120));
+    assert.ok(chunks.every(c => c.text.endsWith('.')));
+  });
+
+  test('slices runs without spaces instead of dropping them', () => {
+    assert.equal(chunkText('x'.repeat(900)).map(c => c.text).join(''), 'x'.repeat(900));
+
+    const text = `See https://example.com/${'a'.repeat(300)} and the data: ${'QUJD'.repeat(60)} for details.`;
+    const chunks = chunkText(text, { size: 120 });
+    assert.ok(chunks.every(c => c.text.length <= 120));
+    assert.equal(chunks.map(c => c.text).join('').replace(/\s/g, ''), text.replace(/\s/g, ''));
+  });
+});
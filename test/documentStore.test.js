@@ -0,0 +1,128 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { MemoryDocumentStore, FileDocumentStore, createDocumentStore, tokenizeTerms } from '../utils/documentStore.js';
+import { DocumentError } from '../utils/documentParser.js';
+
+const handbook = `# Refunds
+
+You can return any plan within 30 days for a full refund. Refunds go back to the original card.
+
+# Shipping
+
+Hardware orders ship within two business days from our Lahore warehouse.
+
+# Support hours
+
+Our support team answers tickets Monday to Friday.`;
+
+async function createStore(Store = MemoryDocumentStore, ...args) {
+  const store = new Store(...args);
+  await store.add({ title: 'Customer handbook', content: handbook, format: 'markdown', source: 'https://example.com/handbook' });
+  await store.add({ title: 'Release notes', content: 'Version 2 adds dark mode and faster sync.' });
+  return store;
+}
+
+describe('tokenizeTerms', () => {
+  test('drops stopwords and folds plurals', () => {
+    assert.deepEqual(tokenizeTerms('What is your refund policy for the batteries?'), ['refund', 'policy', 'battery']);
+    assert.deepEqual(tokenizeTerms('Business orders'), ['business', 'order']);
+  });
+});
+
+describe('MemoryDocumentStore', () => {
+  test('ranks the passage that answers the question first', async () => {
+    const store = await createStore();
+    const [best] = await store.search('How do refunds work?');
+    assert.equal(best.title, 'Customer handbook');
+    assert.equal(best.section, 'Refunds');
+    assert.equal(best.source, 'https://example.com/handbook');
+    assert.match(best.text, /30 days/);
+  });
+
+  test('finds nothing for queries that do not match the corpus', async () => {
+    const store = await createStore();
+    assert.deepEqual(await store.search('weather in London'), []);
+    assert.deepEqual(await store.search('what is it?'), []);
+  });
+
+  test('lists summaries and deletes documents from the index', async () => {
+    const store = await createStore();
+    const list = await store.list();
+    assert.deepEqual(list.map(d => [d.title, d.format, d.chunkCount]), [['Customer handbook', 'markdown', 3], ['Release notes', 'text', 1]]);
+    assert.equal(list[0].text, undefined);
+
+    assert.equal(await store.delete(list[0].id), true);
+    assert.deepEqual(await store.search('refund'), []);
+    assert.equal(await store.delete(list[0].id), false);
+  });
+
+  test('replaces a document added again under its id', async () => {
+    const store = await createStore();
+    const [, notes] = await store.list();
+    await store.add({ id: notes.id, title: 'Release notes', content: 'Version 3 adds offline mode.' });
+    assert.equal((await store.list()).length, 2);
+    assert.match((await store.search('offline mode'))[0].text, /Version 3/);
+    assert.deepEqual(await store.search('dark mode sync'), []);
+  });
+
+  test('reindexes every document', async () => {
+    const store = await createStore();
+    assert.deepEqual(await store.reindex(), { documents: 2, chunks: 4 });
+  });
+
+  test('rejects documents without a title or text', async () => {
+    const store = new MemoryDocumentStore();
+    await assert.rejects(store.add({ content: 'x' }), DocumentError);
+    await assert.rejects(store.add({ title: 'Empty', content: '<p> </p>', format: 'html' }), /Document has no text/);
+    await assert.rejects(store.add({ title: 'Doc', content: 'x', format: 'docx' }), /Unsupported format 'docx'/);
+  });
+});
+
+describe('FileDocumentStore', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'documents-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('persists documents with their index and reloads them', async () => {
+    const filePath = path.join(dir, 'documents.json');
+    await createStore(FileDocumentStore, filePath);
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.equal(saved.documents.length, 2);
+    assert.ok(saved.documents[0].chunks[0].terms.refund);
+
+    const reloaded = new FileDocumentStore(filePath);
+    assert.equal((await reloaded.search('Which warehouse ships orders?'))[0].section, 'Shipping');
+  });
+
+  test('refuses to start over from a corrupt file', async () => {
+    const filePath = path.join(dir, 'corrupt.json');
+    await fs.writeFile(filePath, '{"documents": [');
+
+    const store = new FileDocumentStore(filePath);
+    await assert.rejects(store.search('refund'), /Cannot load documents from .*corrupt\.json/);
+    await assert.rejects(createStore(FileDocumentStore, filePath), /Cannot load documents/);
+    assert.equal(await fs.readFile(filePath, 'utf8'), '{"documents": [');
+  });
+});
+
+describe('createDocumentStore', () => {
+  test('persists documents to disk unless DOCUMENT_STORE selects the memory store', () => {
+    const { DOCUMENT_STORE } = process.env;
+    delete process.env.DOCUMENT_STORE;
+    try {
+      assert.equal(createDocumentStore().constructor, FileDocumentStore);
+      assert.equal(createDocumentStore('memory').constructor, MemoryDocumentStore);
+    } finally {
+      if (DOCUMENT_STORE !== undefined) process.env.DOCUMENT_STORE = DOCUMENT_STORE;
+    }
+  });
+});
@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeText, faqTerms, termSetSimilarity, matchFaqs, describeFaqMatch } from '../utils/faqMatcher.js';
+
+const faqs = [
+  { id: 'business-hours', question: 'What are your business hours?', answer: "We're available Monday to Friday, 9 AM to 6 PM." },
+  { id: 'refunds', question: 'Can I get a refund?', answer: 'Yes, within 30 days.' },
+  { id: 'contact', question: 'How can I contact support?', answer: 'Email help@example.com.' }
+];
+
+describe('faqTerms', () => {
+  test('normalizes accents and contractions', () => {
+    assert.equal(normalizeText("Café's OPEN & we don't close"), 'cafe open  and  we do not close');
+  });
+
+  test('folds synonyms and drops duplicates', () => {
+    assert.deepEqual(faqTerms('What are your opening hours?'), ['hour']);
+    assert.deepEqual(faqTerms('How much does delivery cost?'), ['ship', 'price']);
+  });
+});
+
+describe('termSetSimilarity', () => {
+  test('is the Dice coefficient for exact terms', () => {
+    assert.equal(termSetSimilarity(['business', 'hour'], ['business', 'hour']), 1);
+    assert.equal(termSetSimilarity(['hour'], ['business', 'hour']), 2 / 3);
+    assert.equal(termSetSimilarity([], ['hour']), 0);
+  });
+
+  test('counts typos as mostly equal', () => {
+    const score = termSetSimilarity(['buisness', 'hour'], ['business', 'hour']);
+    assert.ok(score > 0.9 && score < 1);
+    assert.equal(termSetSimilarity(['bitcoin'], ['business']), 0);
+  });
+});
+
+describe('matchFaqs', () => {
+  test('is confident about rephrased and misspelled questions', () => {
+    for (const message of ['What are your business hours?', 'When are you open?', 'buisness hours?', 'how do I contact you']) {
+      assert.equal(matchFaqs(message, faqs)?.confidence, 'high', message);
+    }
+    assert.equal(matchFaqs('When are you open?', faqs).faq.id, 'business-hours');
+  });
+
+  test('is unsure about related questions', () => {
+    const match = matchFaqs('Are you open on weekends?', faqs);
+    assert.equal(match.confidence, 'medium');
+    assert.deepEqual(match.matches.map(m => m.id), ['business-hours']);
+  });
+
+  test('ignores unrelated messages', () => {
+    assert.equal(matchFaqs('weather in London', faqs), null);
+    assert.equal(matchFaqs('What are your business hours?', []), null);
+  });
+
+  test('takes thresholds from options', () => {
+    assert.equal(matchFaqs('When are you open?', faqs, { high: 0.9, medium: 0.5 }).confidence, 'medium');
+    assert.equal(matchFaqs('Are you open on weekends?', faqs, { high: 0.9, medium: 0.6 }), null);
+  });
+
+  test('describes a match by FAQ ids and scores', () => {
+    assert.deepEqual(describeFaqMatch(matchFaqs('refund', faqs)), { confidence: 'high', matches: [{ id: 'refunds', score: 1 }] });
+    assert.equal(describeFaqMatch(null), undefined);
+  });
+});
@@ -0,0 +1,24 @@
+// test/helpers/env.js - Environment for route tests, import before app.js
+//
+// Keys: user-key (alice), other-key (bob), admin-key (root, admin). The LLM
+// provider points at a host only the fetch mock answers.
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  AUTH_DISABLED: 'false',
+  API_KEYS: 'user-key:alice,other-key:bob,admin-key:root:admin',
+  AUTH_TOKEN_SECRET: 'test-secret',
+  CONVERSATION_STORE: 'memory',
+  DOCUMENT_STORE: 'memory',
+  PERSONA_STORE: 'memory',
+  GROQ_API_KEY: 'test-key',
+  GROQ_BASE_URL: 'https://llm.test/v1',
+  LLM_MAX_RETRIES: '0',
+  HTTP_FIXTURES: ''
+});
+
+// Request logs would drown the test report (set TEST_LOGS=true to keep them)
+if (process.env.TEST_LOGS !== 'true') {
+  console.log = () => {};
+  console.warn = () => {};
+}
@@ -0,0 +1,138 @@
+// test/helpers/mockFetch.js - Replace global fetch for tests
+//
+// Upstream calls are answered by handlers registered with on() (the latest
+// matching one wins), then by the bundled fixtures in data/fixtures; any
+// other URL fails like an unreachable host. Requests to the local test
+// server go to the real fetch. mockLLM() answers chat completions.
+
+import { replayFixture } from '../../utils/httpFixtures.js';
+
+const realFetch = globalThis.fetch;
+const LOCAL_URL = /^http:\/\/(127\.0\.0\.1|localhost)[:/]/;
+
+/**
+ * 📦 JSON response
+ */
+export function jsonResponse(data, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * 📡 Server-sent events response, one `data:` line per event
+ */
+export function sseResponse(events) {
+  const text = events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+  return new Response(text, { headers: { 'content-type': 'text/event-stream' } });
+}
+
+/**
+ * 🎭 Install the mock. Returns { on, calls, restore }:
+ *
+ *   on(pattern, respond, { method }) - pattern is a substring, RegExp or
+ *   function of the call; respond is a Response, a value sent as JSON, or a
+ *   function of the call returning either (may be async). Calls are
+ *   { method, url, headers, body, json }.
+ */
+export function mockFetch({ fixtures = true } = {}) {
+  const handlers = [];
+  const calls = [];
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input?.url ?? input);
+    if (LOCAL_URL.test(url)) return realFetch(input, init);
+
+    const call = {
+      method: (init.method || 'GET').toUpperCase(),
+      url,
+      headers: init.headers || {},
+      body: init.body,
+      json: parseJSON(init.body)
+    };
+    calls.push(call);
+
+    const handler = handlers.findLast(h => (!h.method || h.method === call.method) && matches(h.pattern, call));
+    if (handler) return abortable(respondWith(handler.respond, call), init.signal);
+
+    const fixture = fixtures ? replayFixture(call.method, url, init.body) : null;
+    if (fixture) return fixture;
+
+    throw new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } });
+  };
+
+  return {
+    calls,
+    on(pattern, respond, { method } = {}) {
+      handlers.push({ pattern, respond, method: method?.toUpperCase() });
+      return this;
+    },
+    restore() {
+      globalThis.fetch = realFetch;
+    }
+  };
+}
+
+/**
+ * 🤖 Answer chat completions with `reply` (a string, or a function of the
+ * request body returning a string or an OpenAI-style message). Streamed
+ * requests get the reply in word-sized chunks. Returns the request bodies.
+ */
+export function mockLLM(mock, reply = 'Mocked reply.') {
+  const requests = [];
+
+  mock.on('/chat/completions', ({ json }) => {
+    requests.push(json);
+    const answer = typeof reply === 'function' ? reply(json) : reply;
+    if (answer instanceof Response) return answer;
+    const message = typeof answer === 'string' ? { role: 'assistant', content: answer } : answer;
+
+    if (!json.stream) {
+      return { choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }] };
+    }
+
+    const deltas = (message.content || '').split(/(?<= )/).filter(Boolean).map(content => ({ content }));
+    if (message.tool_calls) {
+      deltas.push({ tool_calls: message.tool_calls.map((call, index) => ({ index, ...call })) });
+    }
+    return sseResponse([...deltas.map(delta => ({ choices: [{ index: 0, delta }] })), '[DONE]']);
+  }, { method: 'POST' });
+
+  return requests;
+}
+
+function matches(pattern, call) {
+  if (typeof pattern === 'function') return pattern(call);
+  if (pattern instanceof RegExp) return pattern.test(call.url);
+  return call.url.includes(pattern);
+}
+
+async function respondWith(respond, call) {
+  // A Response given once may answer many calls
+  if (respond instanceof Response) return respond.clone();
+  const result = typeof respond === 'function' ? await respond(call) : respond;
+  return result instanceof Response ? result : jsonResponse(result);
+}
+
+/**
+ * Reject like fetch() when the request's signal aborts first
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('This operation was aborted', 'AbortError'));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function parseJSON(body) {
+  if (typeof body !== 'string') return undefined;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return undefined;
+  }
+}
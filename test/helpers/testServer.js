@@ -0,0 +1,48 @@
+// test/helpers/testServer.js - Run the app on a free port and call its routes
+
+import { once } from 'events';
+
+/**
+ * 🚀 Start `app` on 127.0.0.1. Returns { url, get, post, put, patch, delete,
+ * close }; each call resolves to { status, headers, body, text } where body is
+ * the parsed JSON (or the text for other content types). Requests carry
+ * x-api-key: user-key unless `headers` say otherwise.
+ */
+export async function startServer(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, { headers = {} } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { 'x-api-key': 'user-key', ...(body !== undefined && { 'content-type': 'application/json' }), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const isJSON = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, headers: response.headers, body: isJSON ? JSON.parse(text) : text, text };
+  };
+
+  return {
+    url: baseUrl,
+    get: (path, options) => request('GET', path, undefined, options),
+    post: (path, body = {}, options) => request('POST', path, body, options),
+    put: (path, body = {}, options) => request('PUT', path, body, options),
+    patch: (path, body = {}, options) => request('PATCH', path, body, options),
+    delete: (path, options) => request('DELETE', path, undefined, options),
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * 📡 Events of a server-sent event stream body
+ */
+export function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(chunk => chunk.startsWith('data: '))
+    .map(chunk => JSON.parse(chunk.slice(6)));
+}
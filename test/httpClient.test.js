@@ -0,0 +1,149 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import httpClient, { HttpError, getCircuitStates, resetCircuits } from '../utils/httpClient.js';
+import { resetFixtures } from '../utils/httpFixtures.js';
+import { mockFetch, jsonResponse } from './helpers/mockFetch.js';
+
+let fetchMock;
+
+beforeEach(() => {
+  resetCircuits();
+  fetchMock = mockFetch({ fixtures: false });
+});
+
+afterEach(() => {
+  fetchMock.restore();
+  delete process.env.HTTP_BREAKER_THRESHOLD;
+});
+
+describe('request', () => {
+  test('parses JSON and sends a User-Agent', async () => {
+    fetchMock.on('api.test/ok', { ok: true });
+    assert.deepEqual(await httpClient.getJSON('https://api.test/ok'), { ok: true });
+    assert.equal(fetchMock.calls[0].headers['User-Agent'], 'UltimateAI/4.0');
+  });
+
+  test('sends object bodies as JSON', async () => {
+    fetchMock.on('api.test/echo', ({ json, headers }) => ({ json, type: headers['Content-Type'] }));
+    const echoed = await httpClient.request('https://api.test/echo', { method: 'POST', body: { a: 1 } });
+    assert.deepEqual(echoed, { json: { a: 1 }, type: 'application/json' });
+  });
+
+  test('retries a GET once after a transient failure', async () => {
+    let attempts = 0;
+    fetchMock.on('api.test/flaky', () => (++attempts === 1 ? jsonResponse({}, { status: 503, headers: { 'retry-after': '0' } }) : { attempts }));
+    assert.deepEqual(await httpClient.getJSON('https://api.test/flaky'), { attempts: 2 });
+  });
+
+  test('does not retry POSTs or client errors', async () => {
+    fetchMock.on('api.test/post', jsonResponse({}, { status: 503 }));
+    fetchMock.on('api.test/missing', jsonResponse({ message: 'Not Found' }, { status: 404 }));
+
+    await assert.rejects(httpClient.request('https://api.test/post', { method: 'POST', body: {} }), { status: 503 });
+    const error = await httpClient.getJSON('https://api.test/missing').catch(e => e);
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.code, 'HTTP_STATUS');
+    assert.deepEqual(error.body, { message: 'Not Found' });
+    assert.equal(fetchMock.calls.length, 2);
+  });
+
+  test('times out slow responses', async () => {
+    fetchMock.on('api.test/slow', () => new Promise(() => {}));
+    await assert.rejects(httpClient.getJSON('https://api.test/slow', { timeout: 20, retries: 0 }), {
+      name: 'TimeoutError',
+      code: 'TIMEOUT'
+    });
+  });
+
+  test('reports unreachable hosts as network errors', async () => {
+    await assert.rejects(httpClient.getJSON('https://nowhere.test/', { retries: 0 }), {
+      name: 'NetworkError',
+      message: 'Request to nowhere.test failed: ENOTFOUND'
+    });
+  });
+
+  test('rejects invalid JSON', async () => {
+    fetchMock.on('api.test/html', new Response('<html>', { headers: { 'content-type': 'text/html' } }));
+    await assert.rejects(httpClient.getJSON('https://api.test/html'), { code: 'PARSE' });
+    assert.equal(await httpClient.getText('https://api.test/html'), '<html>');
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after repeated host failures and skips the host', async () => {
+    process.env.HTTP_BREAKER_THRESHOLD = '2';
+    fetchMock.on('down.test', jsonResponse({}, { status: 500 }));
+
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(httpClient.getJSON('https://down.test/', { retries: 0 }), { status: 500 });
+    }
+    await assert.rejects(httpClient.getJSON('https://down.test/'), { name: 'CircuitOpenError' });
+    assert.equal(fetchMock.calls.length, 2);
+    assert.equal(getCircuitStates()['down.test'].state, 'open');
+  });
+
+  test('does not count client errors against the host', async () => {
+    process.env.HTTP_BREAKER_THRESHOLD = '1';
+    fetchMock.on('up.test', jsonResponse({}, { status: 404 }));
+
+    await assert.rejects(httpClient.getJSON('https://up.test/'), { status: 404 });
+    assert.equal(getCircuitStates()['up.test'].state, 'closed');
+  });
+});
+
+describe('fixtures', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    process.env.HTTP_FIXTURES_DIR = dir;
+    resetFixtures();
+  });
+
+  afterEach(() => {
+    delete process.env.HTTP_FIXTURES;
+    delete process.env.HTTP_FIXTURES_DIR;
+    resetFixtures();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records responses with secrets redacted, then replays them', async () => {
+    process.env.HTTP_FIXTURES = 'record';
+    fetchMock.on('api.test/data', { value: 42 });
+    await httpClient.getJSON('https://api.test/data?api_key=secret&q=x');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const recorded = JSON.parse(fs.readFileSync(path.join(dir, 'api.test.json'), 'utf8'));
+    assert.equal(recorded[0].url, 'https://api.test/data?api_key=*&q=x');
+    assert.deepEqual(recorded[0].json, { value: 42 });
+
+    process.env.HTTP_FIXTURES = 'replay';
+    fetchMock.restore();
+    assert.deepEqual(await httpClient.getJSON('https://api.test/data?api_key=other&q=x'), { value: 42 });
+  });
+
+  test('prefers exact URLs and matching bodies', async () => {
+    fs.writeFileSync(path.join(dir, 'api.json'), JSON.stringify([
+      { method: 'GET', url: 'https://api.test/*', json: 'wildcard' },
+      { method: 'GET', url: 'https://api.test/exact', json: 'exact' },
+      { method: 'POST', url: 'https://api.test/chat', json: 'plain' },
+      { method: 'POST', url: 'https://api.test/chat', body: { stream: true }, text: 'streamed' }
+    ]));
+    process.env.HTTP_FIXTURES = 'replay';
+
+    assert.equal(await httpClient.getJSON('https://api.test/exact'), 'exact');
+    assert.equal(await httpClient.getJSON('https://api.test/other'), 'wildcard');
+    assert.equal(await httpClient.request('https://api.test/chat', { method: 'POST', body: { stream: false } }), 'plain');
+    assert.equal(await httpClient.request('https://api.test/chat', { method: 'POST', body: { stream: true }, parse: 'text' }), 'streamed');
+  });
+
+  test('fails requests without a fixture in replay mode', async () => {
+    process.env.HTTP_FIXTURES = 'replay';
+    await assert.rejects(httpClient.getJSON('https://unknown.test/'), { code: 'NO_FIXTURE' });
+    assert.equal(fetchMock.calls.length, 0);
+  });
+});
@@ -0,0 +1,142 @@
+import './helpers/env.js';
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chatCompletion, streamChatCompletion, backoffDelay, parseRetryAfter, LLMError } from '../services/llmService.js';
+import { mockFetch, mockLLM, jsonResponse } from './helpers/mockFetch.js';
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+let fetchMock;
+
+beforeEach(() => {
+  fetchMock = mockFetch();
+});
+
+afterEach(() => {
+  fetchMock.restore();
+  process.env.LLM_MAX_RETRIES = '0';
+  delete process.env.LLM_MAX_RETRY_AFTER;
+});
+
+const failure = (status, headers = {}) => jsonResponse({ error: { message: `Failed with ${status}` } }, { status, headers });
+
+/**
+ * Answer chat completions from `responses` in order (the last one repeats)
+ * and record the model id of each request
+ */
+function queueLLM(responses) {
+  const models = [];
+  fetchMock.on('/chat/completions', ({ json }) => {
+    models.push(json.model);
+    const response = responses[Math.min(models.length, responses.length) - 1];
+    return typeof response === 'string'
+      ? { choices: [{ index: 0, message: { role: 'assistant', content: response }, finish_reason: 'stop' }] }
+      : response.clone();
+  }, { method: 'POST' });
+  return models;
+}
+
+describe('backoffDelay and parseRetryAfter', () => {
+  test('backs off exponentially with jitter up to a ceiling', () => {
+    for (let i = 0; i < 20; i++) {
+      const first = backoffDelay(0, 500, 8000);
+      assert.ok(first >= 250 && first <= 500, String(first));
+      const late = backoffDelay(10, 500, 8000);
+      assert.ok(late >= 4000 && late <= 8000, String(late));
+    }
+  });
+
+  test('reads Retry-After as seconds or an HTTP date', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    const inOneMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(inOneMinute > 58000 && inOneMinute <= 60000, String(inOneMinute));
+  });
+});
+
+describe('chatCompletion', () => {
+  test('still calls the model when LLM_MAX_RETRIES is empty', async () => {
+    process.env.LLM_MAX_RETRIES = '';
+    mockLLM(fetchMock, 'Hello!');
+    const { content } = await chatCompletion(messages, 'llama-3.3-70b');
+    assert.equal(content, 'Hello!');
+  });
+
+  test('gives tools the default number of rounds when TOOL_MAX_ITERATIONS is empty', async () => {
+    process.env.TOOL_MAX_ITERATIONS = '';
+    try {
+      const call = { id: 'call_1', type: 'function', function: { name: 'ping', arguments: '{}' } };
+      const requests = mockLLM(fetchMock, ({ tool_choice }) => tool_choice === 'none' ? 'Done.' : { role: 'assistant', content: null, tool_calls: [call] });
+      const tools = [{ type: 'function', function: { name: 'ping', parameters: { type: 'object', properties: {} } } }];
+
+      const { content, toolCalls } = await chatCompletion(messages, 'llama-3.3-70b', 0.7, { tools, executeTool: () => ({ result: 'pong' }) });
+      assert.equal(content, 'Done.');
+      assert.equal(toolCalls.length, 4);
+      assert.equal(requests.length, 5);
+    } finally {
+      delete process.env.TOOL_MAX_ITERATIONS;
+    }
+  });
+
+  test('retries a rate-limited model after its Retry-After', async () => {
+    process.env.LLM_MAX_RETRIES = '2';
+    const models = queueLLM([failure(429, { 'retry-after': '0' }), 'Hello!']);
+
+    const result = await chatCompletion(messages, 'llama-3.3-70b');
+    assert.equal(result.content, 'Hello!');
+    assert.deepEqual(models, ['llama-3.3-70b-versatile', 'llama-3.3-70b-versatile']);
+    assert.equal(result.fallbackUsed, false);
+  });
+
+  test('moves on to the next model when Retry-After is too long', async () => {
+    process.env.LLM_MAX_RETRIES = '2';
+    process.env.LLM_MAX_RETRY_AFTER = '1000';
+    const models = queueLLM([failure(429, { 'retry-after': '60' }), 'From the fallback.']);
+
+    const result = await chatCompletion(messages, 'llama-3.3-70b');
+    assert.deepEqual(models, ['llama-3.3-70b-versatile', 'mixtral-8x7b-32768']);
+    assert.equal(result.modelConfig.key, 'mixtral-8x7b');
+    assert.equal(result.requestedModel, 'llama-3.3-70b');
+    assert.equal(result.fallbackUsed, true);
+  });
+
+  test('does not retry errors that are not retryable', async () => {
+    process.env.LLM_MAX_RETRIES = '2';
+    const models = queueLLM([failure(400), 'From the fallback.']);
+
+    await chatCompletion(messages, 'llama-3.3-70b');
+    assert.deepEqual(models, ['llama-3.3-70b-versatile', 'mixtral-8x7b-32768']);
+  });
+
+  test('throws the last error once every model failed', async () => {
+    const models = queueLLM([failure(503)]);
+
+    await assert.rejects(chatCompletion(messages, 'llama-3.3-70b'), error => {
+      assert.ok(error instanceof LLMError);
+      assert.equal(error.status, 503);
+      assert.equal(error.message, 'Failed with 503');
+      return true;
+    });
+    assert.deepEqual(models, ['llama-3.3-70b-versatile', 'mixtral-8x7b-32768', 'llama-3.1-8b-instant']);
+  });
+});
+
+describe('streamChatCompletion', () => {
+  test('falls back before the first token', async () => {
+    const requests = [];
+    mockLLM(fetchMock, (json) => {
+      requests.push(json.model);
+      return requests.length === 1 ? failure(503) : 'Streamed reply.';
+    });
+
+    const completion = await streamChatCompletion(messages, 'llama-3.3-70b');
+    let content = '';
+    for await (const event of completion.stream) content += event.content || '';
+
+    assert.equal(content, 'Streamed reply.');
+    assert.deepEqual(requests, ['llama-3.3-70b-versatile', 'mixtral-8x7b-32768']);
+    assert.equal(completion.fallbackUsed, true);
+  });
+});
@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenize, parse, evaluate, looksLikeMath, MathError } from '../utils/mathParser.js';
+
+const value = (expression, variables) => evaluate(expression, { variables }).value;
+
+function assertMathError(expression, { message, position, token }) {
+  assert.throws(() => evaluate(expression), error => {
+    assert.ok(error instanceof MathError);
+    assert.equal(error.message, message);
+    assert.equal(error.position, position);
+    if (token !== undefined) assert.equal(error.token, token);
+    return true;
+  });
+}
+
+describe('tokenize', () => {
+  test('reads numbers, names and operators with 1-based positions', () => {
+    assert.deepEqual(
+      tokenize('2.5e3 * Pi').map(t => [t.type, t.value, t.position]),
+      [['number', 2500, 1], ['op', '*', 7], ['name', 'pi', 9], ['end', null, 11]]
+    );
+  });
+
+  test('maps calculator symbols', () => {
+    assert.deepEqual(tokenize('6 × 2 ÷ π').map(t => t.value), [6, '*', 2, '/', 'pi', null]);
+  });
+
+  test('rejects other characters', () => {
+    assert.throws(() => tokenize('2 & 3'), /Unexpected character '&' at position 3/);
+  });
+});
+
+describe('parse', () => {
+  test('builds a tree that follows precedence', () => {
+    const tree = parse('1 + 2 * 3');
+    assert.equal(tree.op, '+');
+    assert.equal(tree.right.op, '*');
+  });
+
+  test('parses assignments', () => {
+    const tree = parse('x = 2 + 3');
+    assert.equal(tree.type, 'assign');
+    assert.equal(tree.name, 'x');
+  });
+});
+
+describe('evaluate', () => {
+  test('handles precedence, unary minus and right-associative powers', () => {
+    assert.equal(value('2 + 3 * 4 ^ 2'), 50);
+    assert.equal(value('-2^2'), -4);
+    assert.equal(value('2^3^2'), 512);
+    assert.equal(value('2 ** -1'), 0.5);
+  });
+
+  test('supports functions, constants and factorials', () => {
+    assert.equal(value('sqrt(16) + 5!'), 124);
+    assert.equal(value('√9'), 3);
+    assert.equal(value('log(1000)'), 3);
+    assert.equal(value('log(8, 2)'), 3);
+    assert.equal(value('ln(e)'), 1);
+    assert.equal(value('max(1, 7, 3)'), 7);
+    assert.equal(value('cos(pi)'), -1);
+    assert.equal(value('sqrt 16 + 2 sqrt 4'), 8);
+    assert.equal(value('sqrt x^2', { x: 3 }), 3);
+    assert.ok(Math.abs(value('sin(30°)') - 0.5) < 1e-12);
+  });
+
+  test('multiplies implicitly', () => {
+    assert.equal(value('2(3 + 4)'), 14);
+    assert.equal(value('2pi'), 2 * Math.PI);
+    assert.equal(value('3x', { x: 4 }), 12);
+  });
+
+  test('reads % as a percentage unless an operand follows', () => {
+    assert.equal(value('15% of 240'), 36);
+    assert.equal(value('50%'), 0.5);
+    assert.equal(value('200 + 10%'), 220);
+    assert.equal(value('200 - 10%'), 180);
+    assert.equal(value('10 % 3'), 1);
+  });
+
+  test('uses and assigns variables', () => {
+    assert.equal(value('X * 2', { x: 21 }), 42);
+    assert.deepEqual(evaluate('r = 3'), { value: 3, assigned: 'r' });
+  });
+
+  test('points at the bad token', () => {
+    assertMathError('2 + * 3', { message: "Unexpected '*' at position 5", position: 5, token: '*' });
+    assertMathError('2 +', { message: 'Unexpected end of expression at position 4', position: 4 });
+    assertMathError('(2 + 3', { message: "Missing ')' to close '(' at position 1", position: 1, token: '(' });
+    assertMathError('4 / (2 - 2)', { message: 'Division by zero at position 3', position: 3, token: '/' });
+    assertMathError('2 * y', { message: "Unknown variable 'y' at position 5", position: 5, token: 'y' });
+    assertMathError('foo(2)', { message: "Unknown variable 'foo' at position 1", position: 1, token: 'foo' });
+  });
+
+  test('checks functions and their arguments', () => {
+    assertMathError('sqrt', { message: "Expected '(' after 'sqrt' at position 5", position: 5 });
+    assertMathError('sqrt + 1', { message: "Expected '(' after 'sqrt' at position 6", position: 6, token: '+' });
+    assertMathError('sqrt(1, 2)', { message: 'sqrt() takes 1 argument, got 2 at position 1', position: 1 });
+    assertMathError('sqrt(-1)', { message: 'sqrt(-1) is not a real number at position 1', position: 1 });
+    assertMathError('3.5!', { message: 'Factorial needs a whole number from 0 to 170 at position 4', position: 4 });
+    assertMathError('pi = 3', { message: "Cannot assign to 'pi' at position 1", position: 1 });
+  });
+
+  test('rejects non-finite results', () => {
+    assert.throws(() => evaluate('10^400'), /Result is not a finite number/);
+  });
+});
+
+describe('looksLikeMath', () => {
+  test('accepts calculations', () => {
+    assert.equal(looksLikeMath('2 + 2'), true);
+    assert.equal(looksLikeMath('sqrt(2) * pi'), true);
+    assert.equal(looksLikeMath('15% of 240'), true);
+    assert.equal(looksLikeMath('rate * 12', { variables: { rate: 3 } }), true);
+  });
+
+  test('rejects words', () => {
+    assert.equal(looksLikeMath('hello'), false);
+    assert.equal(looksLikeMath('covid-19'), false);
+    assert.equal(looksLikeMath('the capital of france'), false);
+    assert.equal(looksLikeMath('rate * 12'), false);
+  });
+});
@@ -0,0 +1,118 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculate, calculateMath, evaluateMathExpression, convert, convertUnits } from '../services/mathService.js';
+import { MathError } from '../utils/mathParser.js';
+
+describe('evaluateMathExpression', () => {
+  test('follows operator precedence and parentheses', () => {
+    assert.equal(evaluateMathExpression('2 + 3 * 4').result, 14);
+    assert.equal(evaluateMathExpression('(2+3)*4').result, 20);
+    assert.equal(evaluateMathExpression('-3 + 1').result, -2);
+  });
+
+  test('supports ^ as power and % as remainder', () => {
+    assert.equal(evaluateMathExpression('2^10').result, 1024);
+    assert.equal(evaluateMathExpression('10 % 3').result, 1);
+  });
+
+  test('formats results', () => {
+    const result = evaluateMathExpression('1/3');
+    assert.equal(result.formatted, '0.333333');
+    assert.equal(evaluateMathExpression('0.1+0.2').formatted, '0.3');
+    assert.equal(evaluateMathExpression('10 / 4').formatted, '2.5');
+    assert.equal(result.expression, '1/3');
+    assert.equal(result.source, 'Calculator');
+  });
+
+  test('returns null for non-finite results', () => {
+    assert.equal(evaluateMathExpression('5 / 0'), null);
+  });
+
+  test('returns null for invalid input', () => {
+    assert.equal(evaluateMathExpression('abc'), null);
+    assert.equal(evaluateMathExpression('2 +'), null);
+    assert.equal(evaluateMathExpression(''), null);
+  });
+
+  test('does not run code', () => {
+    assert.equal(evaluateMathExpression('process.exit()'), null);
+    assert.equal(evaluateMathExpression('globalThis.x = 1'), null);
+    assert.equal(globalThis.x, undefined);
+  });
+});
+
+describe('calculate', () => {
+  test('returns the variables with the assignment and ans', () => {
+    const result = calculate('r = 2 * 3', { variables: { x: 1 } });
+    assert.equal(result.assigned, 'r');
+    assert.deepEqual(result.variables, { x: 1, r: 6, ans: 6 });
+    assert.equal(calculate('r^2', { variables: result.variables }).result, 36);
+  });
+
+  test('throws MathError for invalid input', () => {
+    assert.throws(() => calculate('2 +'), MathError);
+  });
+});
+
+describe('calculateMath', () => {
+  test('runs symbolic operations with steps', () => {
+    const result = calculateMath('derivative', 'x^3');
+    assert.equal(result.operation, 'derive');
+    assert.equal(result.result, '3x^2');
+    assert.equal(result.variable, 'x');
+    assert.equal(result.source, 'Symbolic Math');
+    assert.ok(result.steps.length > 0);
+  });
+
+  test('includes solutions for equations', () => {
+    assert.deepEqual(calculateMath('solve', 't^2 = 9', { variable: 't' }).solutions.map(s => s.value), [-3, 3]);
+  });
+
+  test('throws MathError for invalid input', () => {
+    assert.throws(() => calculateMath('factor', 'sin(x)'), MathError);
+  });
+});
+
+describe('convertUnits', () => {
+  test('converts with a factor', () => {
+    const result = convertUnits(10, 'km', 'miles');
+    assert.equal(result.result, 6.21371192237);
+    assert.equal(result.factor, 0.621371192237);
+    assert.equal(result.formula, 'mi = km × 0.621371');
+    assert.equal(result.dimension, 'length');
+    assert.equal(result.source, 'Unit Converter');
+  });
+
+  test('is case-insensitive and keeps the units as given', () => {
+    const result = convertUnits(1, 'KM', 'M');
+    assert.equal(result.result, 1000);
+    assert.equal(result.fromUnit, 'KM');
+    assert.equal(result.toUnit, 'M');
+  });
+
+  test('converts temperatures with offsets', () => {
+    assert.equal(convertUnits(100, 'C', 'F').result, 212);
+    assert.equal(convertUnits(212, 'fahrenheit', 'celsius').result, 100);
+    assert.equal(convertUnits(0, 'c', 'k').result, 273.15);
+    assert.equal(convertUnits(273.15, 'kelvin', 'celsius').result, 0);
+  });
+
+  test('returns null for unknown or incompatible units', () => {
+    assert.equal(convertUnits(1, 'km', 'kg'), null);
+    assert.equal(convertUnits(1, 'parsec', 'km'), null);
+  });
+
+  test('converts the units the old table missed', () => {
+    assert.equal(convertUnits(1, 'kg', 'grams').result, 1000);
+    assert.equal(convertUnits(60, 'mph', 'm/s').result, 26.8224);
+    assert.equal(convertUnits(1, 'kWh', 'joules').result, 3600000);
+  });
+});
+
+describe('convert', () => {
+  test('explains why a conversion is impossible', () => {
+    assert.throws(() => convert(1, 'km', 'kg'), /Cannot convert km \(length\) to kg \(mass\)/);
+    assert.throws(() => convert(1, 'parsec', 'km'), /Unknown unit 'parsec'/);
+  });
+});
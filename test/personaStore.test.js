@@ -0,0 +1,147 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { knowledgeBase, buildSystemPrompt } from '../knowledge.js';
+import { MemoryPersonaStore, FilePersonaStore, createPersonaStore } from '../utils/personaStore.js';
+import { PersonaError, validatePersona } from '../utils/personaSchema.js';
+
+const rename = name => p => ({ ...p, bot: { ...p.bot, name } });
+
+describe('validatePersona', () => {
+  test('accepts the default persona', () => {
+    assert.equal(validatePersona(knowledgeBase), knowledgeBase);
+  });
+
+  test('lists every problem with its path', () => {
+    const persona = {
+      ...knowledgeBase,
+      bot: { name: '', mood: 'cheerful' },
+      faqs: [...knowledgeBase.faqs, { id: 'business-hours', question: 'Open late?', answer: 'No.' }],
+      promptSections: [{ id: 'Intro', content: 'Call {{company.fax}}' }]
+    };
+    let error;
+    try {
+      validatePersona(persona);
+    } catch (e) {
+      error = e;
+    }
+    assert.ok(error instanceof PersonaError);
+    assert.deepEqual(error.errors, [
+      'bot.mood: is not a known field',
+      'bot.name: must not be empty',
+      "faqs[1].id: 'business-hours' is used twice",
+      'promptSections[0].id: must be lowercase letters, digits and dashes',
+      'promptSections[0].content: unknown placeholder {{company.fax}}'
+    ]);
+    assert.equal(error.message, 'Invalid persona: bot.mood: is not a known field (and 4 more)');
+  });
+});
+
+describe('buildSystemPrompt', () => {
+  test('fills placeholders and skips disabled or empty sections', () => {
+    const prompt = buildSystemPrompt({
+      ...knowledgeBase,
+      bot: { name: 'Nova' },
+      promptSections: [
+        { id: 'intro', content: 'You are {{bot.name}} from {{company.name}}.' },
+        { id: 'secret', title: 'Hidden', content: 'Never shown', enabled: false },
+        { id: 'welcome', title: 'Welcome', content: '{{bot.welcomeMessage}}' },
+        { id: 'faqs', title: 'FAQ', content: '{{faqs}}' }
+      ]
+    });
+    assert.match(prompt, /^You are Nova from /);
+    assert.doesNotMatch(prompt, /Hidden|Welcome/);
+    assert.match(prompt, /## FAQ\n\*\*Q:\*\* .+\nA: /);
+  });
+});
+
+describe('MemoryPersonaStore', () => {
+  test('seeds version 1 and saves each change as a new version', async () => {
+    const store = new MemoryPersonaStore();
+    assert.equal((await store.get()).version, 1);
+
+    const next = await store.update(rename('Nova'), { author: 'root', change: 'Renamed the bot' });
+    assert.equal(next.version, 2);
+    assert.equal((await store.get()).persona.bot.name, 'Nova');
+    assert.deepEqual((await store.listVersions()).map(v => [v.version, v.author]), [[2, 'root'], [1, 'system']]);
+    assert.equal(knowledgeBase.bot.name, 'SM-BOT');
+  });
+
+  test('rejects invalid changes without a new version', async () => {
+    const store = new MemoryPersonaStore();
+    await assert.rejects(store.update(rename('')), PersonaError);
+    assert.equal((await store.get()).version, 1);
+  });
+
+  test('rolls back by copying an old version forward', async () => {
+    const store = new MemoryPersonaStore();
+    await store.update(rename('Nova'));
+    const rolledBack = await store.rollback(1, { author: 'root' });
+
+    assert.equal(rolledBack.version, 3);
+    assert.equal(rolledBack.change, 'Rolled back to version 1');
+    assert.equal(rolledBack.persona.bot.name, 'SM-BOT');
+    assert.equal(await store.rollback(42), null);
+  });
+
+  test('keeps at most maxVersions', async () => {
+    const store = new MemoryPersonaStore({ maxVersions: 2 });
+    await store.update(rename('Nova'));
+    await store.update(rename('Orion'));
+    assert.deepEqual((await store.listVersions()).map(v => v.version), [3, 2]);
+    assert.equal(await store.getVersion(1), null);
+  });
+});
+
+describe('FilePersonaStore', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'persona-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('persists the version history and reloads it', async () => {
+    const filePath = path.join(dir, 'persona.json');
+    await new FilePersonaStore(filePath).update(rename('Nova'), { author: 'root' });
+
+    const reloaded = new FilePersonaStore(filePath);
+    const current = await reloaded.get();
+    assert.equal(current.version, 2);
+    assert.equal(current.persona.bot.name, 'Nova');
+    assert.equal((await reloaded.listVersions()).length, 2);
+  });
+
+  test('refuses to start over from a corrupt file', async () => {
+    const filePath = path.join(dir, 'corrupt.json');
+    await fs.writeFile(filePath, '{"versions": [');
+
+    const store = new FilePersonaStore(filePath);
+    await assert.rejects(store.get(), /Cannot load the persona from .*corrupt\.json/);
+    await assert.rejects(store.update(rename('Nova')), /Cannot load the persona/);
+    assert.equal(await fs.readFile(filePath, 'utf8'), '{"versions": [');
+  });
+
+  test('rejects a change that could not be written', async () => {
+    const blocker = path.join(dir, 'not-a-directory');
+    await fs.writeFile(blocker, '');
+    await assert.rejects(new FilePersonaStore(path.join(blocker, 'persona.json')).update(rename('Nova')));
+  });
+});
+
+describe('createPersonaStore', () => {
+  test('persists the persona to disk unless PERSONA_STORE selects the memory store', () => {
+    const { PERSONA_STORE } = process.env;
+    delete process.env.PERSONA_STORE;
+    try {
+      assert.equal(createPersonaStore().constructor, FilePersonaStore);
+      assert.equal(createPersonaStore('memory').constructor, MemoryPersonaStore);
+    } finally {
+      if (PERSONA_STORE !== undefined) process.env.PERSONA_STORE = PERSONA_STORE;
+    }
+  });
+});
@@ -0,0 +1,242 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeQuery, describeResolvedQuery, getMathVariables, evaluateIntents } from '../utils/queryAnalyzer.js';
+import { NaiveBayesClassifier, loadExamples, DEFAULT_TEST_PATH } from '../utils/intentClassifier.js';
+
+const history = (...turns) => turns.flatMap(content => [
+  { role: 'user', content },
+  { role: 'assistant', content: 'Here you go.' }
+]);
+
+describe('analyzeQuery', () => {
+  test('detects single intents', () => {
+    assert.equal(analyzeQuery('weather in London').primaryIntent, 'weather');
+    assert.equal(analyzeQuery('price of bitcoin').primaryIntent, 'crypto');
+    assert.equal(analyzeQuery('latest tech news').primaryIntent, 'news');
+    assert.equal(analyzeQuery('tell me a joke').primaryIntent, 'joke');
+    assert.equal(analyzeQuery('define serendipity').primaryIntent, 'dictionary');
+  });
+
+  test('sets the service flag for the intent', () => {
+    const analysis = analyzeQuery('weather in London');
+    assert.equal(analysis.needsWeather, true);
+    assert.equal(analysis.needsCrypto, false);
+    assert.deepEqual(analysis.slots.locations.map(l => l.value), ['London']);
+  });
+
+  test('extracts money slots for currency conversion', () => {
+    const analysis = analyzeQuery('convert 100 USD to EUR');
+    assert.equal(analysis.primaryIntent, 'currency_convert');
+    assert.deepEqual(analysis.slots.money.map(m => [m.amount, m.currency]), [[100, 'USD'], [null, 'EUR']]);
+  });
+
+  test('extracts math expressions and unit quantities', () => {
+    assert.equal(analyzeQuery('calculate 234 * 567').mathExpression, '234 * 567');
+
+    const units = analyzeQuery('convert 10 km to miles');
+    assert.equal(units.needsUnits, true);
+    assert.deepEqual(
+      units.slots.quantities.map(q => [q.value, q.unit, q.toUnit]),
+      [[10, 'km', 'miles']]
+    );
+  });
+
+  test('reads compound units and "how many" conversions', () => {
+    const asked = analyzeQuery('how many feet in 3.2 km');
+    assert.equal(asked.primaryIntent, 'units');
+    assert.deepEqual(asked.slots.quantities.map(q => [q.value, q.unit, q.toUnit]), [[3.2, 'km', 'feet']]);
+
+    const speed = analyzeQuery('60 miles per hour in m/s');
+    assert.deepEqual(speed.slots.quantities.map(q => [q.unit, q.toUnit]), [['miles per hour', 'm/s']]);
+    assert.equal(analyzeQuery('my 1st time').slots.quantities.length, 0);
+    assert.equal(analyzeQuery('meet at 5 pm').slots.quantities.length, 0);
+  });
+
+  test('detects calculations with functions, percentages and variables', () => {
+    assert.equal(analyzeQuery('what is 15% of 240?').mathExpression, '15% of 240');
+    assert.equal(analyzeQuery('5 x 3').mathExpression, '5 * 3');
+    assert.equal(analyzeQuery('let r = 3').mathExpression, 'r = 3');
+    assert.equal(analyzeQuery('what is sqrt(2) * pi').primaryIntent, 'math');
+    assert.equal(analyzeQuery('rate * 12', { variables: { rate: 4 } }).mathExpression, 'rate * 12');
+    assert.equal(analyzeQuery('what is the capital of france').needsMath, false);
+  });
+
+  test('detects symbolic math requests', () => {
+    const derivative = analyzeQuery('derivative of x^2 sin x');
+    assert.equal(derivative.primaryIntent, 'math');
+    assert.equal(derivative.mathOperation, 'derive');
+    assert.equal(derivative.mathExpression, 'x^2 sin x');
+
+    const integral = analyzeQuery('integral of sin(2t) dt');
+    assert.deepEqual([integral.mathOperation, integral.mathExpression, integral.mathVariable], ['integrate', 'sin(2t)', 't']);
+    assert.equal(analyzeQuery('differentiate t^2 with respect to t').mathVariable, 't');
+    assert.equal(analyzeQuery('d/dx ln x').mathOperation, 'derive');
+    assert.equal(analyzeQuery('solve for y: 3y = 9').mathExpression, '3y = 9');
+    assert.equal(analyzeQuery('factorise x^2 - 1').mathOperation, 'factor');
+  });
+
+  test('ignores symbolic verbs without math', () => {
+    assert.equal(analyzeQuery('solve world hunger').needsMath, false);
+    assert.equal(analyzeQuery('expand my business').needsMath, false);
+  });
+
+  test('keeps search terms for knowledge questions', () => {
+    const analysis = analyzeQuery('define serendipity');
+    assert.deepEqual(analysis.searchTerms, ['serendipity']);
+  });
+
+  test('looks up questions about the past', () => {
+    const analysis = analyzeQuery('who was isaac newton?', { classifier: null });
+    assert.equal(analysis.needsWikipedia, true);
+    assert.deepEqual(analysis.searchTerms, ['isaac newton']);
+    assert.equal(analyzeQuery('what was the cold war', { classifier: null }).searchTerms[0], 'cold war');
+  });
+
+  test('falls back to web search for unknown requests', () => {
+    const analysis = analyzeQuery('hello');
+    assert.equal(analysis.primaryIntent, 'web_search');
+    assert.equal(analysis.needsWebSearch, true);
+  });
+
+  test('splits multi-intent queries with their own slots', () => {
+    const analysis = analyzeQuery('what time is it in Tokyo and the weather in Paris');
+    assert.equal(analysis.multiIntent, true);
+    assert.deepEqual(
+      analysis.intents.map(i => [i.primaryIntent, i.slots.locations.map(l => l.value)]),
+      [['time', ['Tokyo']], ['weather', ['Paris']]]
+    );
+  });
+
+  test('repeats the previous intent for a clause that only adds a slot', () => {
+    const analysis = analyzeQuery('100 usd to eur and gbp');
+    assert.equal(analysis.intents.length, 2);
+    assert.deepEqual(analysis.intents[1].slots.money.map(m => m.currency), ['USD', 'GBP']);
+  });
+
+  test('analyzes a message whose parts lack intents as a whole', () => {
+    const analysis = analyzeQuery('history of rock and roll');
+    assert.equal(analysis.intents.length, 1);
+    assert.equal(analysis.multiIntent, undefined);
+  });
+});
+
+describe('analyzeQuery with the intent classifier', () => {
+  const classifier = new NaiveBayesClassifier().train([
+    { text: 'i want to hear a joke', intent: 'joke' },
+    { text: 'say something funny', intent: 'joke' },
+    { text: 'is it late in tokyo', intent: 'time' },
+    { text: 'current hour in paris', intent: 'time' }
+  ]);
+
+  test('replaces a web search fallback when it knows the words', () => {
+    const analysis = analyzeQuery('is it late in paris now', { classifier });
+    assert.equal(analysis.ruleIntent, 'web_search');
+    assert.equal(analysis.primaryIntent, 'time');
+  });
+
+  test('keeps the web search fallback when only function words match', () => {
+    assert.ok(classifier.predict('I want to eat something')[0].score >= classifier.minScore);
+    assert.ok(classifier.coverage('I want to eat something', 'joke') < 0.6);
+
+    const analysis = analyzeQuery('I want to eat something', { classifier });
+    assert.equal(analysis.primaryIntent, 'web_search');
+    assert.equal(analysis.needsWebSearch, true);
+  });
+
+  test('uses the default blend when the intent env vars are empty', () => {
+    const names = ['INTENT_MODEL_WEIGHT', 'INTENT_MIN_SCORE', 'INTENT_MIN_FALLBACK_COVERAGE'];
+    names.forEach(name => { process.env[name] = ''; });
+    try {
+      assert.equal(analyzeQuery('is it late in paris now', { classifier }).primaryIntent, 'time');
+    } finally {
+      names.forEach(name => delete process.env[name]);
+    }
+  });
+
+  test('takes labels without a service flag', () => {
+    const greeter = new NaiveBayesClassifier().train([
+      { text: 'hello there', intent: 'greeting' },
+      { text: 'hi friend', intent: 'greeting' },
+      { text: 'say something funny', intent: 'joke' }
+    ]);
+    const analysis = analyzeQuery('hello friend', { classifier: greeter });
+    assert.equal(analysis.primaryIntent, 'greeting');
+    assert.equal(analysis.needsWebSearch, false);
+    assert.equal('undefined' in analysis, false);
+  });
+
+  test('scores fallbacks as web_search when evaluating', () => {
+    const { accuracy } = evaluateIntents([{ text: 'I want to eat something', intent: 'web_search' }], classifier);
+    assert.equal(accuracy.combined, 1);
+  });
+
+  test('evaluates on utterances the bundled classifier was not trained on', () => {
+    const trained = new Set(loadExamples(new URL('../data/intents/train.json', import.meta.url)).map(e => e.text.toLowerCase()));
+    assert.deepEqual(loadExamples(DEFAULT_TEST_PATH).filter(e => trained.has(e.text.toLowerCase())), []);
+  });
+});
+
+describe('analyzeQuery follow-ups', () => {
+  test('resolves a bare location against the previous weather question', () => {
+    const analysis = analyzeQuery('and in Berlin?', { context: { history: history('weather in London') } });
+    assert.equal(analysis.followUp, true);
+    assert.equal(analysis.primaryIntent, 'weather');
+    assert.deepEqual(analysis.slots.locations.map(l => l.value), ['Berlin']);
+  });
+
+  test('keeps the missing slots of the previous turn', () => {
+    const analysis = analyzeQuery('and in yen?', { context: { history: history('convert 100 usd to eur') } });
+    assert.equal(analysis.primaryIntent, 'currency_convert');
+    assert.deepEqual(analysis.slots.money.map(m => m.currency), ['USD', 'JPY']);
+  });
+
+  test('uses the stored resolvedQuery of the previous user message', () => {
+    const previous = analyzeQuery('price of bitcoin');
+    const turns = [
+      { id: 'm1', role: 'user', content: 'price of bitcoin', resolvedQuery: describeResolvedQuery(previous, 'price of bitcoin') },
+      { id: 'm2', role: 'assistant', content: 'Bitcoin is up.' }
+    ];
+    const analysis = analyzeQuery('what about ethereum?', { context: { history: turns } });
+    assert.equal(analysis.primaryIntent, 'crypto');
+    assert.equal(analysis.resolvedFrom, 'm1');
+    assert.deepEqual(analysis.slots.cryptos.map(c => c.id), ['ethereum']);
+  });
+
+  test('leaves full questions alone', () => {
+    const analysis = analyzeQuery('tell me a joke', { context: { history: history('weather in London') } });
+    assert.equal(analysis.primaryIntent, 'joke');
+    assert.ok(!analysis.followUp);
+  });
+
+  test('does nothing without history', () => {
+    const analysis = analyzeQuery('and in Berlin?', { context: { history: [] } });
+    assert.ok(!analysis.followUp);
+  });
+});
+
+describe('describeResolvedQuery', () => {
+  test('returns a compact record of every intent', () => {
+    const message = 'weather in Tokyo and time in London';
+    const described = describeResolvedQuery(analyzeQuery(message), message);
+
+    assert.equal(described.text, message);
+    assert.equal(described.followUp, false);
+    assert.equal(described.resolvedFrom, null);
+    assert.deepEqual(described.intents.map(i => i.intent), ['weather', 'time']);
+    assert.deepEqual(Object.keys(described.intents[0].slots), ['locations', 'money', 'cryptos', 'dates', 'quantities']);
+  });
+});
+
+describe('getMathVariables', () => {
+  test('returns the latest variables on the path', () => {
+    const turns = [
+      { role: 'user', content: 'x = 1', variables: { x: 1, ans: 1 } },
+      { role: 'assistant', content: 'Done.' },
+      { role: 'user', content: 'y = 2', variables: { x: 1, y: 2, ans: 2 } },
+      { role: 'user', content: 'hello' }
+    ];
+    assert.deepEqual(getMathVariables(turns), { x: 1, y: 2, ans: 2 });
+    assert.deepEqual(getMathVariables([]), {});
+  });
+});
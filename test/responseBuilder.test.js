@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildContextFromKnowledge } from '../utils/responseBuilder.js';
+
+const weather = (location, celsius) => ({
+  location,
+  country: 'Testland',
+  current: {
+    temperature: { celsius, fahrenheit: Math.round(celsius * 9 / 5 + 32) },
+    feelsLike: { celsius: celsius - 1 },
+    condition: 'Sunny',
+    humidity: '50%',
+    windSpeed: '10 km/h',
+    windDirection: 'N',
+    uvIndex: '3',
+    visibility: '10 km'
+  },
+  forecast: [{ date: '2026-10-19', condition: 'Cloudy', maxTemp: { celsius: celsius + 2 }, minTemp: { celsius: celsius - 5 }, chanceOfRain: '20%' }],
+  source: 'wttr.in'
+});
+
+describe('buildContextFromKnowledge', () => {
+  test('returns an empty string without knowledge', () => {
+    assert.equal(buildContextFromKnowledge({}), '');
+  });
+
+  test('renders a block with the data and its source', () => {
+    const context = buildContextFromKnowledge({ weather: weather('London', 13) });
+    assert.match(context, /🌤️ WEATHER in London, Testland:/);
+    assert.match(context, /Temperature: 13°C \(55°F\)/);
+    assert.match(context, /2026-10-19: Cloudy, High 15°C, Low 8°C, Rain 20%/);
+    assert.match(context, /Source: wttr\.in/);
+  });
+
+  test('renders one block per result when a service answered several times', () => {
+    const context = buildContextFromKnowledge({ weather: [weather('Tokyo', 21), weather('Paris', 15)] });
+    assert.ok(context.indexOf('WEATHER in Tokyo') < context.indexOf('WEATHER in Paris'));
+    assert.equal(context.match(/🌤️ WEATHER/g).length, 2);
+  });
+
+  test('renders blocks in a fixed order whatever the key order', () => {
+    const context = buildContextFromKnowledge({
+      math: { expression: '2+2', result: 4, source: 'Calculator' },
+      time: { location: 'Tokyo', time: '7:30 PM', time24: '19:30', date: 'Monday', timezone: 'Asia/Tokyo', utcOffset: '+09:00', source: 'WorldTimeAPI' }
+    });
+    assert.ok(context.indexOf('CURRENT TIME in Tokyo') < context.indexOf('CALCULATION'));
+    assert.match(context, /Result: 4/);
+  });
+
+  test('numbers the steps of symbolic math', () => {
+    const context = buildContextFromKnowledge({
+      math: {
+        operation: 'derive', variable: 'x', expression: 'x^2', result: '2x', source: 'Symbolic Math',
+        steps: [{ description: 'Power rule', expression: 'd/dx[x^2] = 2x' }]
+      }
+    });
+    assert.match(context, /SYMBOLIC MATH \(derive, in x\)/);
+    assert.match(context, /1\. Power rule: d\/dx\[x\^2\] = 2x/);
+  });
+
+  test('renders conversions and rate tables differently', () => {
+    const conversion = buildContextFromKnowledge({
+      currency: { formatted: '100 USD = 86.00 EUR', from: 'USD', to: 'EUR', rate: 0.86, source: 'ExchangeRate-API' }
+    });
+    assert.match(conversion, /CURRENCY CONVERSION/);
+    assert.match(conversion, /1 USD = 0\.8600 EUR/);
+
+    const rates = buildContextFromKnowledge({
+      currency: { base: 'USD', popularRates: { USD: 1, EUR: 0.86, GBP: 0.75 }, date: '2026-10-19', source: 'ExchangeRate-API' }
+    });
+    assert.match(rates, /EXCHANGE RATES \(Base: USD\)/);
+    assert.match(rates, /1 USD = 0\.7500 GBP/);
+    assert.doesNotMatch(rates, /1 USD = 1\.0000 USD/);
+  });
+
+  test('skips Wikipedia when a web search answered', () => {
+    const wikipedia = { title: 'Node.js', summary: 'A runtime.', url: 'https://en.wikipedia.org/wiki/Node.js', source: 'Wikipedia' };
+    assert.match(buildContextFromKnowledge({ wikipedia }), /📚 WIKIPEDIA: Node\.js/);
+
+    const context = buildContextFromKnowledge({
+      wikipedia,
+      webSearch: { bestAnswer: { source: 'DuckDuckGo', content: 'A JavaScript runtime.' } }
+    });
+    assert.doesNotMatch(context, /WIKIPEDIA/);
+    assert.match(context, /WEB SEARCH RESULT/);
+  });
+
+  test('renders smart search answers', () => {
+    const context = buildContextFromKnowledge({
+      webSearch: { found: true, result: { type: 'stackoverflow_answer', title: 'How to exit Vim', answer: 'Press :q', url: 'https://stackoverflow.com/a/11828573', source: 'Stack Overflow' } }
+    });
+    assert.match(context, /Title: How to exit Vim/);
+    assert.match(context, /URL: https:\/\/stackoverflow\.com\/a\/11828573/);
+    assert.match(context, /Content:\nPress :q/);
+  });
+
+  test('ignores unknown knowledge keys', () => {
+    assert.equal(buildContextFromKnowledge({ horoscope: { sign: 'Leo' } }), '');
+  });
+});
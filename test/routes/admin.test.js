@@ -0,0 +1,109 @@
+import '../helpers/env.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../../app.js';
+import cache from '../../utils/cache.js';
+import { signToken } from '../../utils/auth.js';
+import { startServer } from '../helpers/testServer.js';
+
+const admin = { headers: { 'x-api-key': 'admin-key' } };
+
+let api;
+
+before(async () => {
+  api = await startServer(createApp());
+});
+
+after(() => api.close());
+
+describe('POST /api/auth/token', () => {
+  test('exchanges an API key for a bearer token', async () => {
+    const { body } = await api.post('/api/auth/token');
+    assert.deepEqual(body.data.user, { id: 'alice', role: 'user' });
+
+    const bearer = { headers: { 'x-api-key': '', authorization: `Bearer ${body.data.token}` } };
+    const { status, body: conversation } = await api.post('/api/chat/conversations', {}, bearer);
+    assert.equal(status, 201);
+    assert.equal(conversation.data.userId, 'alice');
+  });
+
+  test('refreshes a token only within its original session', async () => {
+    const claims = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    const bearer = (token) => ({ headers: { 'x-api-key': '', authorization: `Bearer ${token}` } });
+    const now = Math.floor(Date.now() / 1000);
+    const day = 24 * 60 * 60;
+
+    const sessionStart = now - 6.5 * day;
+    const { body } = await api.post('/api/auth/token', {}, bearer(signToken({ id: 'alice', sessionStart })));
+    assert.deepEqual(body.data.user, { id: 'alice', role: 'user' });
+    assert.equal(claims(body.data.token).origIat, sessionStart);
+    assert.equal(claims(body.data.token).exp, sessionStart + 7 * day);
+
+    const expired = signToken({ id: 'alice', sessionStart: now - 8 * day });
+    assert.equal((await api.post('/api/auth/token', {}, bearer(expired))).status, 401);
+  });
+
+  test('rejects invalid tokens', async () => {
+    const { status } = await api.get('/api/chat/info', { headers: { 'x-api-key': '', authorization: 'Bearer not.a.token' } });
+    assert.equal(status, 401);
+  });
+});
+
+describe('cache administration', () => {
+  test('is admin-only', async () => {
+    const { status, body } = await api.get('/api/cache/stats');
+    assert.equal(status, 403);
+    assert.equal(body.error.message, '❌ Forbidden');
+    assert.equal((await api.delete('/api/cache/clear')).status, 403);
+  });
+
+  test('GET /api/cache/stats reports per-namespace stats', async () => {
+    cache.clear();
+    cache.set('weather_test', { temp: 1 });
+
+    const { body } = await api.get('/api/cache/stats', admin);
+    assert.equal(body.data.size, 1);
+    assert.equal(body.data.namespaces.weather.entries, 1);
+  });
+
+  test('DELETE /api/cache/clear clears one namespace or everything', async () => {
+    cache.set('weather_test', 1);
+    cache.set('crypto_test', 2);
+
+    const { body } = await api.delete('/api/cache/clear?namespace=weather', admin);
+    assert.equal(body.message, 'Cache namespace "weather" cleared');
+    assert.deepEqual(cache.keys(), ['crypto_test']);
+
+    await api.delete('/api/cache/clear', admin);
+    assert.deepEqual(cache.keys(), []);
+  });
+});
+
+describe('POST /api/intents/evaluate', () => {
+  test('is admin-only', async () => {
+    assert.equal((await api.post('/api/intents/evaluate', {})).status, 403);
+  });
+
+  test('scores the classifier on the given examples', async () => {
+    const examples = [
+      { text: 'weather in Rome', intent: 'weather' },
+      { text: 'price of bitcoin', intent: 'crypto' }
+    ];
+    const { body } = await api.post('/api/intents/evaluate', { examples }, admin);
+
+    assert.equal(body.data.total, 2);
+    assert.equal(body.data.classifier, 'naive-bayes');
+    assert.equal(body.data.accuracy.combined, 1);
+  });
+
+  test('validates examples and the classifier type', async () => {
+    const invalid = await api.post('/api/intents/evaluate', { examples: [{ text: 'hi' }] }, admin);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.message, '❌ examples must be an array of { text, intent }');
+
+    const unknown = await api.post('/api/intents/evaluate', { classifier: 'magic' }, admin);
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error.message, /Unknown intent classifier "magic"/);
+  });
+});
@@ -0,0 +1,310 @@
+import '../helpers/env.js';
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../../app.js';
+import cache from '../../utils/cache.js';
+import { resetCircuits } from '../../utils/httpClient.js';
+import { mockFetch, mockLLM, jsonResponse } from '../helpers/mockFetch.js';
+import { startServer, parseEvents } from '../helpers/testServer.js';
+
+let api;
+let fetchMock;
+let llmRequests;
+
+before(async () => {
+  api = await startServer(createApp());
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  cache.clear();
+  resetCircuits();
+  fetchMock = mockFetch();
+  llmRequests = mockLLM(fetchMock, 'Mocked reply.');
+});
+
+afterEach(() => {
+  fetchMock.restore();
+});
+
+const systemPrompt = (request) => request.messages.find(m => m.role === 'system').content;
+
+describe('GET /api/chat/models and /api/chat/info', () => {
+  test('lists the models', async () => {
+    const { status, body } = await api.get('/api/chat/models');
+    assert.equal(status, 200);
+    assert.ok(JSON.stringify(body.data).includes('llama-3.3-70b'));
+  });
+
+  test('describes the bot', async () => {
+    const { body } = await api.get('/api/chat/info');
+    assert.equal(body.success, true);
+    assert.ok(body.data.welcomeMessage.includes('Hello'));
+  });
+
+  test('require credentials', async () => {
+    const { status, body } = await api.get('/api/chat/info', { headers: { 'x-api-key': 'wrong' } });
+    assert.equal(status, 401);
+    assert.equal(body.error.message, '❌ Authentication required');
+  });
+});
+
+describe('POST /api/chat/message', () => {
+  test('rejects an empty message', async () => {
+    const { status, body } = await api.post('/api/chat/message', { message: '  ' });
+    assert.equal(status, 400);
+    assert.equal(body.error.message, '❌ Message is required');
+  });
+
+  test('rejects messages that are not text', async () => {
+    for (const message of [42, { text: 'hi' }, ['hi']]) {
+      assert.equal((await api.post('/api/chat/message', { message })).status, 400, JSON.stringify(message));
+      assert.equal((await api.post('/api/chat/stream', { message })).status, 400, JSON.stringify(message));
+    }
+  });
+
+  test('answers greetings without the model', async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'hello' });
+    assert.equal(body.data.message.model, 'Quick Response');
+    assert.equal(llmRequests.length, 0);
+  });
+
+  test('gives the model live data and records the sources', async () => {
+    const { status, body } = await api.post('/api/chat/message', { message: 'weather in London' });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.message.content, 'Mocked reply.');
+    assert.deepEqual(body.data.sourcesUsed, ['🌤️ Weather']);
+    assert.equal(body.data.resolvedQuery.intents[0].intent, 'weather');
+    assert.deepEqual(body.data.cards.map(c => [c.type, c.location]), [['weather', 'London']]);
+    assert.ok(body.data.cards[0].forecast.length > 0);
+    assert.deepEqual(body.data.message.cards, body.data.cards);
+    assert.match(systemPrompt(llmRequests[0]), /WEATHER in London, United Kingdom/);
+    assert.equal(llmRequests[0].messages.at(-1).content, 'weather in London');
+  });
+
+  test('numbers the sources and checks the reply\'s citations', async () => {
+    llmRequests = mockLLM(fetchMock, 'It is mild in London [1], as reported [4].');
+    const { body } = await api.post('/api/chat/message', { message: 'weather in London' });
+
+    assert.match(systemPrompt(llmRequests[0]), /\[1\] Weather in London, United Kingdom \(wttr\.in\) - https:\/\/wttr\.in\/London/);
+    assert.deepEqual(body.data.citations.map(c => [c.n, c.id, c.cited]), [[1, 'weather:london', true]]);
+    assert.ok(!Number.isNaN(Date.parse(body.data.citations[0].retrievedAt)));
+    assert.deepEqual(body.data.unresolvedCitations, [4]);
+    assert.deepEqual(body.data.message.unresolvedCitations, [4]);
+  });
+
+  test('skips knowledge gathering with enableSearch: false', async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'weather in London', enableSearch: false });
+    assert.deepEqual(body.data.sourcesUsed, []);
+    assert.deepEqual(body.data.cards, []);
+    assert.deepEqual(body.data.citations, []);
+    assert.ok(!fetchMock.calls.some(c => c.url.includes('wttr.in')));
+  });
+
+  test('continues a conversation and resolves follow-ups', async () => {
+    const first = await api.post('/api/chat/message', { message: 'weather in London' });
+    const { conversationId } = first.body.data;
+
+    const { body } = await api.post('/api/chat/message', { message: 'and in Berlin?', conversationId });
+    assert.equal(body.data.conversationId, conversationId);
+    assert.equal(body.data.resolvedQuery.followUp, true);
+    assert.match(systemPrompt(llmRequests[1]), /WEATHER in Berlin/);
+    assert.ok(llmRequests[1].messages.some(m => m.content === 'weather in London'));
+  });
+
+  test('does not continue another user\'s conversation', async () => {
+    const { body: created } = await api.post('/api/chat/message', { message: 'hello' });
+    const { status } = await api.post(
+      '/api/chat/message',
+      { message: 'hello', conversationId: created.data.conversationId },
+      { headers: { 'x-api-key': 'other-key' } }
+    );
+    assert.equal(status, 404);
+  });
+
+  test('falls back to the next model when one fails', async () => {
+    fetchMock.on('/chat/completions', ({ json }) => (json.model === 'llama-3.3-70b-versatile'
+      ? jsonResponse({ error: { message: 'Model overloaded' } }, { status: 503 })
+      : { choices: [{ message: { role: 'assistant', content: 'From the fallback.' } }] }));
+
+    const { body } = await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.equal(body.data.message.content, 'From the fallback.');
+    assert.equal(body.data.message.fallbackUsed, true);
+    assert.equal(body.data.message.requestedModel, 'llama-3.3-70b');
+  });
+
+  test('returns 500 when no model answers', async () => {
+    fetchMock.on('/chat/completions', jsonResponse({ error: { message: 'Model overloaded' } }, { status: 503 }));
+    const { status, body } = await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+  });
+
+  test('keeps math variables within a conversation', async () => {
+    const first = await api.post('/api/chat/message', { message: 'let r = 3' });
+    const { conversationId } = first.body.data;
+    assert.match(systemPrompt(llmRequests[0]), /Stored as: r/);
+
+    await api.post('/api/chat/message', { message: 'what is r^2 * 2?', conversationId });
+    assert.match(systemPrompt(llmRequests[1]), /Result: 18/);
+
+    const other = await api.post('/api/chat/message', { message: 'what is r^2 * 2?' });
+    assert.deepEqual(other.body.data.sourcesUsed, []);
+  });
+
+  test('converts units asked for in chat', async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'how many feet in 3.2 km' });
+    assert.deepEqual(body.data.sourcesUsed, ['📐 Units']);
+    assert.match(systemPrompt(llmRequests[0]), /3\.2 km = 10498\.7 feet/);
+  });
+
+  test('works symbolic math into the prompt', async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'derivative of x^2 sin x' });
+    assert.deepEqual(body.data.sourcesUsed, ['🔢 Math']);
+    assert.match(systemPrompt(llmRequests[0]), /Result: x\^2 cos\(x\) \+ 2x sin\(x\)/);
+    assert.match(systemPrompt(llmRequests[0]), /Product rule/);
+  });
+
+  test('runs tools the model asks for', async () => {
+    llmRequests = mockLLM(fetchMock, ({ messages }) => (messages.some(m => m.role === 'tool')
+      ? 'It is sunny in Paris.'
+      : {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'getWeather', arguments: '{"location":"Paris"}' } }]
+      }));
+
+    const { body } = await api.post('/api/chat/message', { message: 'should I take an umbrella?', enableSearch: false });
+    assert.equal(body.data.message.content, 'It is sunny in Paris.');
+    assert.equal(body.data.message.toolCalls[0].name, 'getWeather');
+    assert.equal(body.data.message.toolCalls[0].result.location, 'Paris');
+    assert.deepEqual(body.data.cards.map(c => [c.type, c.location]), [['weather', 'Paris']]);
+    assert.match(llmRequests[1].messages.at(-1).content, /Paris/);
+  });
+});
+
+describe('POST /api/chat/stream', () => {
+  test('streams the reply and finishes with a done event', async () => {
+    const { headers, text } = await api.post('/api/chat/stream', { message: 'weather in London' });
+    const events = parseEvents(text);
+
+    assert.match(headers.get('content-type'), /text\/event-stream/);
+    assert.deepEqual(events[0], { sources: ['🌤️'] });
+    assert.equal(events[1].citations[0].url, 'https://wttr.in/London');
+    assert.equal(events[2].cards[0].type, 'weather');
+    assert.equal(events.filter(e => e.content).map(e => e.content).join(''), 'Mocked reply.');
+
+    const done = events.at(-1);
+    assert.equal(done.done, true);
+    assert.equal(done.model, 'llama-3.3-70b');
+    assert.equal(done.resolvedQuery.intents[0].intent, 'weather');
+    assert.deepEqual(done.citations.map(c => c.cited), [false]);
+    assert.deepEqual(done.unresolvedCitations, []);
+
+    const { body } = await api.get(`/api/chat/conversations/${done.conversationId}`);
+    assert.deepEqual(body.data.messages.map(m => m.content), ['weather in London', 'Mocked reply.']);
+  });
+
+  test('streams quick responses', async () => {
+    const events = parseEvents((await api.post('/api/chat/stream', { message: 'thanks' })).text);
+    assert.equal(events.length, 2);
+    assert.equal(events[1].done, true);
+  });
+
+  test('rejects an empty message', async () => {
+    const { status } = await api.post('/api/chat/stream', {});
+    assert.equal(status, 400);
+  });
+
+  test('reports model errors as an event', async () => {
+    fetchMock.on('/chat/completions', jsonResponse({ error: { message: 'Model overloaded' } }, { status: 503 }));
+    const events = parseEvents((await api.post('/api/chat/stream', { message: 'tell me a joke' })).text);
+    assert.match(events.at(-1).error, /^❌/);
+  });
+});
+
+describe('regenerate, edit and branches', () => {
+  let conversationId;
+  let userMessageId;
+  let assistantMessageId;
+
+  beforeEach(async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'tell me a joke' });
+    conversationId = body.data.conversationId;
+    assistantMessageId = body.data.message.id;
+    userMessageId = body.data.message.parentId;
+  });
+
+  test('POST /api/chat/regenerate adds an alternative answer', async () => {
+    llmRequests = mockLLM(fetchMock, 'Another joke.');
+    const { body } = await api.post('/api/chat/regenerate', { conversationId, messageId: assistantMessageId });
+
+    assert.equal(body.data.message.content, 'Another joke.');
+    assert.equal(body.data.message.regeneratedFrom, assistantMessageId);
+    assert.equal(body.data.message.siblingCount, 2);
+    assert.equal(body.data.resolvedQuery.intents[0].intent, 'joke');
+  });
+
+  test('POST /api/chat/regenerate checks the ids', async () => {
+    assert.equal((await api.post('/api/chat/regenerate', { conversationId: 'missing', messageId: assistantMessageId })).status, 404);
+    assert.equal((await api.post('/api/chat/regenerate', { conversationId, messageId: 'missing' })).status, 404);
+    assert.equal((await api.post('/api/chat/regenerate', { conversationId, messageId: userMessageId })).status, 400);
+  });
+
+  test('PUT /api/chat/message/:conversationId/:messageId branches off an edited question', async () => {
+    llmRequests = mockLLM(fetchMock, 'Here is a quote.');
+    const { body } = await api.put(`/api/chat/message/${conversationId}/${userMessageId}`, { content: 'give me a quote' });
+
+    assert.equal(body.data.newMessage.content, 'Here is a quote.');
+    assert.deepEqual(body.data.messages.map(m => m.content), ['give me a quote', 'Here is a quote.']);
+    assert.equal(body.data.messages[0].editedFrom, userMessageId);
+    assert.equal(body.data.messages[0].siblingCount, 2);
+  });
+
+  test('PUT /api/chat/message/:conversationId/:messageId only edits user messages', async () => {
+    const { status } = await api.put(`/api/chat/message/${conversationId}/${assistantMessageId}`, { content: 'x' });
+    assert.equal(status, 400);
+  });
+
+  test('PUT /api/chat/message/:conversationId/:messageId requires text content', async () => {
+    for (const content of [undefined, '  ', 42]) {
+      const { status, body } = await api.put(`/api/chat/message/${conversationId}/${userMessageId}`, { content });
+      assert.equal(status, 400);
+      assert.equal(body.error.message, '❌ Content is required');
+    }
+  });
+
+  test('GET alternatives and PUT active-branch switch between versions', async () => {
+    await api.post('/api/chat/regenerate', { conversationId, messageId: assistantMessageId });
+
+    const { body: alternatives } = await api.get(`/api/chat/conversations/${conversationId}/messages/${assistantMessageId}/alternatives`);
+    assert.equal(alternatives.data.length, 2);
+    assert.deepEqual(alternatives.data.map(m => m.active), [false, true]);
+
+    const { body: switched } = await api.put(`/api/chat/conversations/${conversationId}/active-branch`, { messageId: assistantMessageId });
+    assert.equal(switched.data.activeLeafId, assistantMessageId);
+
+    const missing = await api.put(`/api/chat/conversations/${conversationId}/active-branch`, { messageId: 'missing' });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('POST /api/chat/generate-image', () => {
+  test('requires a prompt', async () => {
+    const { status } = await api.post('/api/chat/generate-image', {});
+    assert.equal(status, 400);
+    assert.equal((await api.post('/api/chat/generate-image', { prompt: 42 })).status, 400);
+  });
+
+  test('returns an image URL and records it in the conversation', async () => {
+    const { body: created } = await api.post('/api/chat/conversations', {});
+    const { body } = await api.post('/api/chat/generate-image', { prompt: 'a red fox', conversationId: created.data.id });
+
+    assert.match(body.data.imageUrl, /^https:\/\/image\.pollinations\.ai\/prompt\/a%20red%20fox\?/);
+    const { body: conversation } = await api.get(`/api/chat/conversations/${created.data.id}`);
+    assert.equal(conversation.data.messages[1].image.prompt, 'a red fox');
+  });
+});
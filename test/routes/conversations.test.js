@@ -0,0 +1,168 @@
+import '../helpers/env.js';
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../../app.js';
+import { mockFetch, mockLLM } from '../helpers/mockFetch.js';
+import { startServer } from '../helpers/testServer.js';
+
+const bob = { headers: { 'x-api-key': 'other-key' } };
+
+let api;
+let fetchMock;
+
+before(async () => {
+  api = await startServer(createApp());
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+  fetchMock = mockFetch();
+  mockLLM(fetchMock, 'Why did the chicken cross the road?');
+  await api.delete('/api/chat/conversations');
+  await api.delete('/api/chat/conversations', bob);
+});
+
+afterEach(() => {
+  fetchMock.restore();
+});
+
+async function startChat(message = 'tell me a joke', options) {
+  const { body } = await api.post('/api/chat/message', { message, enableSearch: false }, options);
+  return body.data;
+}
+
+describe('conversations', () => {
+  test('POST /api/chat/conversations creates an empty conversation', async () => {
+    const { status, body } = await api.post('/api/chat/conversations', { model: 'gemma2-9b' });
+    assert.equal(status, 201);
+    assert.equal(body.data.userId, 'alice');
+    assert.equal(body.data.model, 'gemma2-9b');
+    assert.deepEqual(body.data.messages, []);
+  });
+
+  test('GET /api/chat/conversations lists only the user\'s conversations, newest first', async () => {
+    const first = await startChat('tell me a joke');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await startChat('give me a quote');
+    await startChat('tell me a joke', bob);
+
+    const { body } = await api.get('/api/chat/conversations');
+    assert.deepEqual(body.data.map(c => c.id), [second.conversationId, first.conversationId]);
+    assert.equal(body.data[0].title, 'give me a quote');
+    assert.equal(body.data[0].messageCount, 2);
+  });
+
+  test('GET /api/chat/conversations/:id returns the active branch', async () => {
+    const { conversationId } = await startChat();
+    const { body } = await api.get(`/api/chat/conversations/${conversationId}`);
+
+    assert.deepEqual(body.data.messages.map(m => m.role), ['user', 'assistant']);
+    assert.equal(body.data.totalMessages, 2);
+  });
+
+  test('hides other users\' conversations', async () => {
+    const { conversationId } = await startChat();
+    assert.equal((await api.get(`/api/chat/conversations/${conversationId}`, bob)).status, 404);
+    assert.equal((await api.delete(`/api/chat/conversations/${conversationId}`, bob)).status, 404);
+    assert.equal((await api.get(`/api/chat/conversations/${conversationId}`)).status, 200);
+  });
+
+  test('DELETE /api/chat/conversations/:id deletes one conversation', async () => {
+    const { conversationId } = await startChat();
+    assert.equal((await api.delete(`/api/chat/conversations/${conversationId}`)).status, 200);
+    assert.equal((await api.get(`/api/chat/conversations/${conversationId}`)).status, 404);
+  });
+
+  test('DELETE /api/chat/conversations deletes only the user\'s conversations', async () => {
+    await startChat();
+    await startChat('tell me a joke', bob);
+
+    await api.delete('/api/chat/conversations');
+    assert.deepEqual((await api.get('/api/chat/conversations')).body.data, []);
+    assert.equal((await api.get('/api/chat/conversations', bob)).body.data.length, 1);
+  });
+
+  test('PUT /api/chat/conversations/:id/rename renames', async () => {
+    const { conversationId } = await startChat();
+    const { body } = await api.put(`/api/chat/conversations/${conversationId}/rename`, { title: 'Jokes' });
+    assert.deepEqual(body.data, { title: 'Jokes' });
+    assert.equal((await api.get(`/api/chat/conversations/${conversationId}`)).body.data.title, 'Jokes');
+    assert.equal((await api.put('/api/chat/conversations/missing/rename', { title: 'x' })).status, 404);
+  });
+});
+
+describe('POST /api/chat/reaction', () => {
+  test('counts likes and dislikes', async () => {
+    const { conversationId, message } = await startChat();
+    await api.post('/api/chat/reaction', { conversationId, messageId: message.id, reaction: 'like' });
+    const { body } = await api.post('/api/chat/reaction', { conversationId, messageId: message.id, reaction: 'dislike' });
+    assert.deepEqual(body.data.reactions, { likes: 1, dislikes: 1 });
+  });
+
+  test('returns 404 for unknown messages', async () => {
+    const { conversationId } = await startChat();
+    assert.equal((await api.post('/api/chat/reaction', { conversationId, messageId: 'missing', reaction: 'like' })).status, 404);
+  });
+});
+
+describe('GET /api/chat/search', () => {
+  test('finds messages across the user\'s conversations', async () => {
+    const { conversationId } = await startChat('tell me a joke');
+    await startChat('give me a quote');
+
+    const { body } = await api.get('/api/chat/search?q=chicken');
+    assert.equal(body.data.length, 2);
+
+    const { body: jokes } = await api.get('/api/chat/search?q=JOKE');
+    assert.deepEqual(jokes.data.map(r => r.id), [conversationId]);
+    assert.equal(jokes.data[0].matches[0].onActiveBranch, true);
+  });
+
+  test('returns nothing without a query', async () => {
+    await startChat();
+    assert.deepEqual((await api.get('/api/chat/search')).body.data, []);
+  });
+
+  test('rejects a repeated or nested query', async () => {
+    assert.equal((await api.get('/api/chat/search?q=a&q=b')).status, 400);
+    assert.equal((await api.get('/api/chat/search?q[x]=a')).status, 400);
+  });
+});
+
+describe('GET /api/chat/export/:id', () => {
+  test('exports JSON with the whole tree', async () => {
+    const { conversationId } = await startChat();
+    const { body } = await api.get(`/api/chat/export/${conversationId}`);
+    assert.equal(body.data.messages.length, 2);
+    assert.equal(body.data.tree.length, 2);
+  });
+
+  test('exports text and markdown as attachments', async () => {
+    const { conversationId } = await startChat();
+
+    const txt = await api.get(`/api/chat/export/${conversationId}?format=txt`);
+    assert.match(txt.headers.get('content-type'), /text\/plain/);
+    assert.match(txt.headers.get('content-disposition'), new RegExp(`chat-${conversationId}\\.txt`));
+    assert.match(txt.text, /\[👤 You\] .*\ntell me a joke/);
+
+    const md = await api.get(`/api/chat/export/${conversationId}?format=md`);
+    assert.match(md.headers.get('content-type'), /text\/markdown/);
+    assert.match(md.text, /### 🤖 \*\*AI Assistant\*\*\n\nWhy did the chicken cross the road\?/);
+  });
+
+  test('includes alternatives with branches=all', async () => {
+    const { conversationId, message } = await startChat();
+    mockLLM(fetchMock, 'Knock knock.');
+    await api.post('/api/chat/regenerate', { conversationId, messageId: message.id, enableTools: false });
+
+    const { text } = await api.get(`/api/chat/export/${conversationId}?format=txt&branches=all`);
+    assert.match(text, /↳ Alternative: Why did the chicken cross the road\?/);
+  });
+
+  test('returns 404 for other users', async () => {
+    const { conversationId } = await startChat();
+    assert.equal((await api.get(`/api/chat/export/${conversationId}`, bob)).status, 404);
+  });
+});
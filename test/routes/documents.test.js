@@ -0,0 +1,114 @@
+import '../helpers/env.js';
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../../app.js';
+import cache from '../../utils/cache.js';
+import { MemoryDocumentStore } from '../../utils/documentStore.js';
+import { mockFetch, mockLLM } from '../helpers/mockFetch.js';
+import { startServer } from '../helpers/testServer.js';
+
+const admin = { headers: { 'x-api-key': 'admin-key' } };
+const handbook = {
+  title: 'Customer handbook',
+  content: '# Refunds\n\nReturn any plan within 30 days for a full refund.\n\n# Shipping\n\nOrders ship from Lahore in two business days.',
+  format: 'markdown',
+  source: 'https://example.com/handbook'
+};
+
+let api;
+let documents;
+let fetchMock;
+let llmRequests;
+
+before(async () => {
+  documents = new MemoryDocumentStore();
+  api = await startServer(createApp({ documents }));
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  cache.clear();
+  documents.documents.clear();
+  documents.stats = null;
+  fetchMock = mockFetch();
+  llmRequests = mockLLM(fetchMock, 'Mocked reply.');
+});
+
+afterEach(() => {
+  fetchMock.restore();
+});
+
+describe('document administration', () => {
+  test('is admin-only', async () => {
+    assert.equal((await api.get('/api/documents')).status, 403);
+    assert.equal((await api.post('/api/documents', handbook)).status, 403);
+    assert.equal((await api.post('/api/documents/reindex')).status, 403);
+  });
+
+  test('uploads, lists, shows and deletes documents', async () => {
+    const { status, body: created } = await api.post('/api/documents', handbook, admin);
+    assert.equal(status, 201);
+    assert.equal(created.data.chunkCount, 2);
+
+    const { body: list } = await api.get('/api/documents', admin);
+    assert.deepEqual(list.data.map(d => d.title), ['Customer handbook']);
+
+    const { body: shown } = await api.get(`/api/documents/${created.data.id}`, admin);
+    assert.deepEqual(shown.data.chunks.map(c => c.section), ['Refunds', 'Shipping']);
+    assert.equal(shown.data.chunks[0].terms, undefined);
+
+    assert.equal((await api.delete(`/api/documents/${created.data.id}`, admin)).status, 200);
+    assert.equal((await api.get(`/api/documents/${created.data.id}`, admin)).status, 404);
+    assert.equal((await api.delete(`/api/documents/${created.data.id}`, admin)).status, 404);
+  });
+
+  test('accepts raw Markdown and HTML bodies', async () => {
+    const response = await fetch(`${api.url}/api/documents?title=FAQ.html`, {
+      method: 'POST',
+      headers: { 'x-api-key': 'admin-key', 'content-type': 'text/html' },
+      body: '<h1>FAQ</h1><p>We accept PayPal &amp; cards.</p>'
+    });
+    const body = await response.json();
+    assert.equal(response.status, 201);
+    assert.equal(body.data.format, 'html');
+
+    const { body: found } = await api.get('/api/documents/search?q=paypal', admin);
+    assert.equal(found.data.passages[0].text, 'We accept PayPal & cards.');
+  });
+
+  test('rejects invalid documents and searches without a query', async () => {
+    const { status, body } = await api.post('/api/documents', { title: 'Notes' }, admin);
+    assert.equal(status, 400);
+    assert.equal(body.error.message, '❌ Document content is required');
+    assert.equal((await api.get('/api/documents/search', admin)).status, 400);
+  });
+
+  test('reindexes every document', async () => {
+    await api.post('/api/documents', handbook, admin);
+    const { body } = await api.post('/api/documents/reindex', {}, admin);
+    assert.deepEqual(body.data, { documents: 1, chunks: 2 });
+  });
+});
+
+describe('retrieval in chat', () => {
+  const systemPrompt = (request) => request.messages.find(m => m.role === 'system').content;
+
+  test('answers from matching passages and cites them', async () => {
+    await api.post('/api/documents', handbook, admin);
+    const { body } = await api.post('/api/chat/message', { message: 'What is your refund policy?' });
+
+    assert.ok(body.data.sourcesUsed.includes('📄 Documents'));
+    assert.match(systemPrompt(llmRequests[0]), /KNOWLEDGE BASE[\s\S]*Customer handbook - Refunds:\nReturn any plan within 30 days/);
+    const citation = body.data.citations.find(c => c.type === 'documents');
+    assert.equal(citation.title, 'Customer handbook - Refunds');
+    assert.equal(citation.url, 'https://example.com/handbook');
+  });
+
+  test('leaves unrelated questions alone', async () => {
+    await api.post('/api/documents', handbook, admin);
+    await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.doesNotMatch(systemPrompt(llmRequests[0]), /KNOWLEDGE BASE/);
+  });
+});
@@ -0,0 +1,161 @@
+import '../helpers/env.js';
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../../app.js';
+import cache from '../../utils/cache.js';
+import { MemoryPersonaStore } from '../../utils/personaStore.js';
+import { mockFetch, mockLLM } from '../helpers/mockFetch.js';
+import { startServer, parseEvents } from '../helpers/testServer.js';
+
+const admin = { headers: { 'x-api-key': 'admin-key' } };
+
+let api;
+let persona;
+let fetchMock;
+let llmRequests;
+
+before(async () => {
+  persona = new MemoryPersonaStore();
+  api = await startServer(createApp({ persona }));
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  cache.clear();
+  persona.versions = [];
+  fetchMock = mockFetch();
+  llmRequests = mockLLM(fetchMock, 'Mocked reply.');
+});
+
+afterEach(() => {
+  fetchMock.restore();
+});
+
+const systemPrompt = (request) => request.messages.find(m => m.role === 'system').content;
+
+describe('persona administration', () => {
+  test('is admin-only', async () => {
+    assert.equal((await api.get('/api/persona')).status, 403);
+    assert.equal((await api.patch('/api/persona/bot', { name: 'Nova' })).status, 403);
+    assert.equal((await api.post('/api/persona/rollback', { version: 1 })).status, 403);
+  });
+
+  test('bot changes reach the chat system prompt and /info', async () => {
+    const { body } = await api.patch('/api/persona/bot', { name: 'Nova' }, admin);
+    assert.deepEqual([body.data.version, body.data.bot.name], [2, 'Nova']);
+
+    await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.match(systemPrompt(llmRequests[0]), /You are Nova/);
+    assert.equal((await api.get('/api/chat/info')).body.data.botName, 'Nova');
+
+    const { body: rendered } = await api.get('/api/persona/prompt', admin);
+    assert.equal(rendered.data.version, 2);
+    assert.match(rendered.data.prompt, /You are Nova/);
+  });
+
+  test('rejects invalid changes with every problem', async () => {
+    const { status, body } = await api.patch('/api/persona/company', { name: '', fax: '123' }, admin);
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.errors, ['company.fax: is not a known field', 'company.name: must not be empty']);
+    assert.equal((await api.get('/api/persona', admin)).body.data.version, 1);
+  });
+
+  test('adds, updates and deletes FAQ entries', async () => {
+    const { body: added } = await api.post('/api/persona/faqs', { id: 'refunds', question: 'Do you refund?', answer: 'Within 30 days.' }, admin);
+    assert.equal(added.data.faq.id, 'refunds');
+
+    const { body: updated } = await api.put('/api/persona/faqs/refunds', { answer: 'Within 60 days.' }, admin);
+    assert.deepEqual(updated.data.faq, { id: 'refunds', question: 'Do you refund?', answer: 'Within 60 days.' });
+
+    await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.match(systemPrompt(llmRequests[0]), /\*\*Q:\*\* Do you refund\?\nA: Within 60 days\./);
+
+    assert.equal((await api.delete('/api/persona/faqs/refunds', admin)).status, 200);
+    assert.equal((await api.put('/api/persona/faqs/refunds', { answer: 'x' }, admin)).status, 404);
+    assert.equal((await api.delete('/api/persona/faqs/refunds', admin)).status, 404);
+  });
+
+  test('adds, disables and deletes prompt sections', async () => {
+    const { body: added } = await api.post('/api/persona/sections', { title: 'Holiday Hours', content: 'Closed on Eid.', position: 1 }, admin);
+    assert.equal(added.data.section.id, 'holiday-hours');
+    const { body: sections } = await api.get('/api/persona/sections', admin);
+    assert.equal(sections.data[1].id, 'holiday-hours');
+
+    await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.match(systemPrompt(llmRequests[0]), /## Holiday Hours\nClosed on Eid\./);
+
+    await api.put('/api/persona/sections/holiday-hours', { enabled: false }, admin);
+    await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.doesNotMatch(systemPrompt(llmRequests[1]), /Holiday Hours/);
+
+    assert.equal((await api.delete('/api/persona/sections/holiday-hours', admin)).status, 200);
+    assert.equal((await api.put('/api/persona/sections/holiday-hours', { enabled: true }, admin)).status, 404);
+  });
+
+  test('lists versions and rolls back as a new version', async () => {
+    await api.patch('/api/persona/bot', { name: 'Nova' }, admin);
+    const { body: versions } = await api.get('/api/persona/versions', admin);
+    assert.deepEqual(versions.data.map(v => [v.version, v.author, v.change]), [
+      [2, 'root', 'Updated bot identity'],
+      [1, 'system', 'Initial persona from knowledge.js']
+    ]);
+    assert.equal((await api.get('/api/persona/versions/1', admin)).body.data.persona.bot.name, 'SM-BOT');
+    assert.equal((await api.get('/api/persona/versions/9', admin)).status, 404);
+
+    const { body } = await api.post('/api/persona/rollback', { version: 1 }, admin);
+    assert.equal(body.data.version, 3);
+    assert.equal(body.data.persona.bot.name, 'SM-BOT');
+    assert.equal((await api.post('/api/persona/rollback', {}, admin)).status, 400);
+    assert.equal((await api.post('/api/persona/rollback', { version: 9 }, admin)).status, 404);
+  });
+});
+
+describe('FAQ answers in chat', () => {
+  test('answers a confident match directly', async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'When are you open?' });
+    assert.equal(llmRequests.length, 0);
+    assert.equal(body.data.message.content, "We're available Monday to Friday, 9 AM to 6 PM.");
+    assert.equal(body.data.message.model, 'Quick Response');
+    assert.deepEqual(body.data.faqMatch, { confidence: 'high', matches: [{ id: 'business-hours', score: 0.67 }] });
+  });
+
+  test('answers with FAQ entries added by an admin', async () => {
+    await api.post('/api/persona/faqs', { id: 'refunds', question: 'Can I get a refund?', answer: 'Within 30 days.' }, admin);
+    const events = parseEvents((await api.post('/api/chat/stream', { message: 'refund please' })).text);
+    assert.equal(events[0].content, 'Within 30 days.');
+    assert.deepEqual(events[1].faqMatch.matches.map(m => m.id), ['refunds']);
+  });
+
+  test('hands an unsure match to the model as a cited source', async () => {
+    const { body } = await api.post('/api/chat/message', { message: 'Are you open on weekends?' });
+    assert.match(systemPrompt(llmRequests[0]), /POSSIBLY RELEVANT FAQ[\s\S]*\*\*Q:\*\* What are your business hours\?/);
+    assert.ok(body.data.sourcesUsed.includes('❓ FAQ'));
+    assert.equal(body.data.citations.find(c => c.type === 'faq').title, 'FAQ: What are your business hours?');
+    assert.equal(body.data.faqMatch.confidence, 'medium');
+  });
+
+  test('answers an edit into an FAQ directly', async () => {
+    const { body: sent } = await api.post('/api/chat/message', { message: 'tell me a joke' });
+    const { body } = await api.put(`/api/chat/message/${sent.data.conversationId}/${sent.data.message.parentId}`, { content: 'When are you open?' });
+    assert.equal(llmRequests.length, 1);
+    assert.equal(body.data.newMessage.content, "We're available Monday to Friday, 9 AM to 6 PM.");
+    assert.deepEqual(body.data.faqMatch.matches.map(m => m.id), ['business-hours']);
+  });
+
+  test('regenerates an FAQ answer with the model, given the FAQ as context', async () => {
+    const { body: sent } = await api.post('/api/chat/message', { message: 'Are you open on weekends?' });
+    const { body } = await api.post('/api/chat/regenerate', { conversationId: sent.data.conversationId, messageId: sent.data.message.id });
+    assert.equal(llmRequests.length, 2);
+    assert.match(systemPrompt(llmRequests[1]), /POSSIBLY RELEVANT FAQ/);
+    assert.equal(body.data.message.faqMatch.confidence, 'medium');
+  });
+
+  test('leaves greetings and unrelated questions alone', async () => {
+    assert.equal((await api.post('/api/chat/message', { message: 'hello' })).body.data.faqMatch, undefined);
+    const { body } = await api.post('/api/chat/message', { message: 'tell me a joke' });
+    assert.equal(body.data.faqMatch, undefined);
+    assert.doesNotMatch(systemPrompt(llmRequests[0]), /POSSIBLY RELEVANT FAQ/);
+  });
+});
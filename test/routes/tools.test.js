@@ -0,0 +1,184 @@
+import '../helpers/env.js';
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../../app.js';
+import cache from '../../utils/cache.js';
+import { resetCircuits } from '../../utils/httpClient.js';
+import { mockFetch, jsonResponse } from '../helpers/mockFetch.js';
+import { startServer } from '../helpers/testServer.js';
+
+let api;
+let fetchMock;
+
+before(async () => {
+  api = await startServer(createApp());
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  cache.clear();
+  resetCircuits();
+  fetchMock = mockFetch();
+});
+
+afterEach(() => {
+  fetchMock.restore();
+});
+
+describe('health', () => {
+  test('GET / reports the version', async () => {
+    const { body } = await api.get('/');
+    assert.equal(body.status, 'ok');
+    assert.equal(body.version, '4.0.0');
+  });
+
+  test('GET /api/health', async () => {
+    assert.deepEqual((await api.get('/api/health')).body, { status: 'ok', emoji: '✅' });
+  });
+
+  test('unknown routes return 404', async () => {
+    const { status, body } = await api.get('/api/nothing-here');
+    assert.equal(status, 404);
+    assert.equal(body.error.message, '❌ Not found');
+  });
+});
+
+describe('service endpoints', () => {
+  test('GET /api/time/:location', async () => {
+    const { body } = await api.get('/api/time/Tokyo');
+    assert.equal(body.success, true);
+    assert.equal(body.data.timezone, 'Asia/Tokyo');
+  });
+
+  test('GET /api/weather/:location', async () => {
+    const { body } = await api.get('/api/weather/Paris');
+    assert.equal(body.data.location, 'Paris');
+    assert.equal(body.data.current.condition, 'Sunny');
+  });
+
+  test('GET /api/search/:query', async () => {
+    const { body } = await api.get('/api/search/Node.js');
+    assert.equal(body.success, true);
+    assert.match(body.data.result.answer, /JavaScript runtime/);
+  });
+
+  test('GET /api/crypto/:name? returns one coin or the top list', async () => {
+    assert.equal((await api.get('/api/crypto/ethereum')).body.data.name, 'Ethereum');
+    assert.equal((await api.get('/api/crypto')).body.data.cryptos[0].symbol, 'BTC');
+    assert.equal((await api.get('/api/crypto/top')).body.data.cryptos.length, 6);
+  });
+
+  test('GET /api/currency/:base?', async () => {
+    assert.equal((await api.get('/api/currency')).body.data.base, 'USD');
+    assert.equal((await api.get('/api/currency/EUR')).body.data.base, 'EUR');
+  });
+
+  test('GET /api/convert/:amount/:from/:to', async () => {
+    const { body } = await api.get('/api/convert/50/USD/GBP');
+    assert.equal(body.data.formatted, '50 USD = 37.50 GBP');
+  });
+
+  test('GET /api/news/:category?', async () => {
+    assert.equal((await api.get('/api/news')).body.data.items[0].title, 'Technology headline 1');
+    assert.equal((await api.get('/api/news/science')).body.data.items[0].title, 'Science headline 1');
+  });
+
+  test('GET /api/country/:name', async () => {
+    assert.equal((await api.get('/api/country/france')).body.data.capital, 'Paris');
+
+    const { status, body } = await api.get('/api/country/narnia');
+    assert.equal(status, 200);
+    assert.equal(body.success, false);
+  });
+
+  test('GET /api/define/:word', async () => {
+    assert.equal((await api.get('/api/define/serendipity')).body.data.word, 'serendipity');
+  });
+
+  test('GET /api/joke, /api/quote and /api/trivia', async () => {
+    assert.equal((await api.get('/api/joke')).body.data.delivery, 'Because light attracts bugs.');
+    assert.equal((await api.get('/api/quote')).body.data.author, 'Alan Kay');
+    assert.equal((await api.get('/api/trivia')).body.data.correctAnswer, 'Au');
+  });
+
+  test('GET /api/wiki/:query', async () => {
+    const { body } = await api.get('/api/wiki/Node.js');
+    assert.equal(body.data.title, 'Node.js');
+  });
+
+  test('reports failed upstreams as success: false', async () => {
+    fetchMock.on('jokeapi', jsonResponse({}, { status: 500 }));
+    const { status, body } = await api.get('/api/joke');
+    assert.equal(status, 200);
+    assert.equal(body.success, false);
+  });
+});
+
+describe('utility endpoints', () => {
+  test('GET /api/password/:length?', async () => {
+    assert.equal((await api.get('/api/password')).body.data.password.length, 16);
+    assert.equal((await api.get('/api/password/32')).body.data.password.length, 32);
+  });
+
+  test('GET /api/uuid', async () => {
+    const { body } = await api.get('/api/uuid');
+    assert.match(body.data.uuid, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+
+  test('GET /api/qr requires text', async () => {
+    assert.equal((await api.get('/api/qr')).status, 400);
+
+    const { body } = await api.get('/api/qr?text=hi%20there&size=100');
+    assert.equal(body.data.size, '100x100');
+    assert.match(body.data.qrCodeUrl, /data=hi%20there/);
+  });
+
+  test('GET /api/calculate/:expression', async () => {
+    const { body } = await api.get(`/api/calculate/${encodeURIComponent('(2+3)*4')}`);
+    assert.equal(body.data.result, 20);
+    assert.equal((await api.get(`/api/calculate/${encodeURIComponent('15% of 240')}`)).body.data.result, 36);
+  });
+
+  test('GET /api/calculate/:expression points at the bad token', async () => {
+    const { status, body } = await api.get(`/api/calculate/${encodeURIComponent('2 + * 3')}`);
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.deepEqual(body.error, { message: "❌ Unexpected '*' at position 5", position: 5, token: '*' });
+    assert.equal((await api.get('/api/calculate/abc')).body.success, false);
+  });
+
+  test('GET /api/units/:value/:from/:to', async () => {
+    const { body } = await api.get(`/api/units/60/mph/${encodeURIComponent('m/s')}`);
+    assert.equal(body.data.result, 26.8224);
+    assert.equal(body.data.dimension, 'speed');
+
+    const { status, body: error } = await api.get('/api/units/1/km/kg');
+    assert.equal(status, 400);
+    assert.equal(error.error.message, '❌ Cannot convert km (length) to kg (mass)');
+  });
+
+  test('GET /api/units lists units by dimension', async () => {
+    const { body } = await api.get('/api/units');
+    assert.ok(body.data.energy.some(u => u.symbol === 'kWh' || u.symbol === 'Wh'));
+  });
+
+  test('GET /api/math/:operation', async () => {
+    const { body } = await api.get(`/api/math/derive?expression=${encodeURIComponent('x^2 sin x')}`);
+    assert.equal(body.data.result, 'x^2 cos(x) + 2x sin(x)');
+    assert.equal(body.data.steps.at(-1).expression, 'x^2 cos(x) + 2x sin(x)');
+
+    const solved = await api.get(`/api/math/solve?expression=${encodeURIComponent('t^2 - 4 = 0')}&variable=t`);
+    assert.equal(solved.body.data.result, 't = -2 or t = 2');
+  });
+
+  test('GET /api/math/:operation rejects bad input with a 400', async () => {
+    assert.equal((await api.get('/api/math/derive')).status, 400);
+    assert.equal((await api.get('/api/math/bogus?expression=x')).status, 400);
+
+    const { status, body } = await api.get(`/api/math/solve?expression=${encodeURIComponent('x = 2 +')}`);
+    assert.equal(status, 400);
+    assert.equal(body.error.position, 8);
+  });
+});
@@ -0,0 +1,114 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import services from '../services/index.js';
+import cache from '../utils/cache.js';
+import { resetCircuits } from '../utils/httpClient.js';
+import { mockFetch, jsonResponse } from './helpers/mockFetch.js';
+
+let fetchMock;
+
+beforeEach(() => {
+  cache.clear();
+  resetCircuits();
+  fetchMock = mockFetch();
+});
+
+afterEach(() => {
+  fetchMock.restore();
+});
+
+describe('weather', () => {
+  test('maps the wttr.in response', async () => {
+    const weather = await services.weather.getWeather('London');
+    assert.equal(weather.location, 'London');
+    assert.equal(weather.country, 'United Kingdom');
+    assert.equal(weather.current.temperature.celsius, '13');
+    assert.equal(weather.current.condition, 'Partly cloudy');
+    assert.equal(weather.forecast.length, 2);
+  });
+
+  test('caches results per location', async () => {
+    await services.weather.getWeather('Paris');
+    await services.weather.getWeather('Paris');
+    assert.equal(fetchMock.calls.filter(c => c.url.includes('wttr.in')).length, 1);
+  });
+
+  test('returns null when the upstream is down', async () => {
+    fetchMock.on('wttr.in', () => new Response('Service Unavailable', { status: 503 }));
+    assert.equal(await services.weather.getWeather('Atlantis'), null);
+  });
+});
+
+describe('finance', () => {
+  test('converts currencies with the latest rate', async () => {
+    const result = await services.finance.convertCurrency(100, 'USD', 'EUR');
+    assert.equal(result.rate, 0.86);
+    assert.equal(result.formatted, '100 USD = 86.00 EUR');
+  });
+
+  test('returns popular exchange rates', async () => {
+    const result = await services.finance.getExchangeRates('USD');
+    assert.equal(result.base, 'USD');
+    assert.equal(result.popularRates.GBP, 0.75);
+  });
+
+  test('returns crypto prices', async () => {
+    const result = await services.finance.getCryptoPrice('bitcoin');
+    assert.equal(result.name, 'Bitcoin');
+    assert.equal(result.prices.USD, 67250);
+    assert.equal(result.change24h, '2.31%');
+  });
+
+  test('returns null for unknown coins', async () => {
+    fetchMock.on('simple/price', {});
+    assert.equal(await services.finance.getCryptoPrice('notacoin'), null);
+  });
+
+  test('ranks the top cryptocurrencies', async () => {
+    const { cryptos } = await services.finance.getTopCryptos(3);
+    assert.deepEqual(cryptos.slice(0, 2).map(c => [c.rank, c.symbol]), [[1, 'BTC'], [2, 'ETH']]);
+  });
+});
+
+describe('geography', () => {
+  test('maps country details', async () => {
+    const country = await services.geography.getCountryInfo('japan');
+    assert.equal(country.capital, 'Tokyo');
+    assert.equal(country.callingCode, '+81');
+    assert.deepEqual(country.languages, ['Japanese']);
+  });
+
+  test('returns null for unknown countries', async () => {
+    assert.equal(await services.geography.getCountryInfo('narnia'), null);
+  });
+});
+
+describe('time', () => {
+  test('looks up the time zone of a city', async () => {
+    const time = await services.time.getWorldTime('Tokyo');
+    assert.equal(time.timezone, 'Asia/Tokyo');
+    assert.equal(time.abbreviation, 'JST');
+    assert.equal(time.utcOffset, '+09:00');
+  });
+});
+
+describe('news and search', () => {
+  test('returns news items for a topic', async () => {
+    const news = await services.news.getNews('technology');
+    assert.equal(news.items.length, 3);
+    assert.equal(news.items[0].title, 'Technology headline 1');
+  });
+
+  test('looks up dictionary definitions', async () => {
+    const entry = await services.webSearch.searchDictionary('serendipity');
+    assert.equal(entry.word, 'serendipity');
+    assert.equal(entry.meanings[0].partOfSpeech, 'noun');
+  });
+
+  test('reports no result when every search source fails', async () => {
+    fetchMock.on(() => true, () => jsonResponse({ error: 'down' }, { status: 500 }));
+    const result = await services.webSearch.smartSearch('something obscure');
+    assert.equal(result.found, false);
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractEntities, extractSlots } from '../utils/slotExtractor.js';
+
+const now = new Date('2026-03-11T12:00:00Z');
+
+// Entities without their offsets
+const entities = message => extractEntities(message, { now }).map(({ start, end, ...entity }) => entity);
+
+describe('extractEntities', () => {
+  test('reads amounts with symbols, separators and scale words', () => {
+    assert.deepEqual(entities('convert $1,200 to euros'), [
+      { type: 'money', amount: 1200, currency: 'USD', text: '$1,200' },
+      { type: 'money', amount: null, currency: 'EUR', text: 'euros' }
+    ]);
+    assert.deepEqual(entities('how much is 2.5k gbp in yen').map(e => [e.amount, e.currency]), [[2500, 'GBP'], [null, 'JPY']]);
+  });
+
+  test('needs an amount or another currency for names that are also words', () => {
+    assert.deepEqual(entities('I won the race'), []);
+    assert.deepEqual(entities('10 pounds in kg').map(e => e.type), ['quantity']);
+  });
+
+  test('matches crypto tickers on word boundaries only', () => {
+    assert.deepEqual(entities('price of btc and eth').map(e => e.id), ['bitcoin', 'ethereum']);
+    assert.equal(entities('the method is fine').some(e => e.type === 'crypto'), false);
+    assert.deepEqual(entities('ada lovelace'), []);
+  });
+
+  test('reads quantities after a number or after "how many"', () => {
+    assert.deepEqual(entities('5 miles in km'), [{ type: 'quantity', value: 5, unit: 'miles', toUnit: 'km', text: '5 miles in km' }]);
+    assert.deepEqual(entities('how many feet in 3.2 km'), [{ type: 'quantity', value: 3.2, unit: 'km', toUnit: 'feet', text: 'feet in 3.2 km' }]);
+    assert.deepEqual(entities('1st place'), []);
+  });
+
+  test('resolves relative and absolute dates against now', () => {
+    assert.deepEqual(entities('what happened on 2024-07-04'), [{ type: 'date', value: '2024-07-04', relative: null, text: '2024-07-04' }]);
+    assert.deepEqual(entities('weather in New York tomorrow'), [
+      { type: 'location', value: 'New York', text: 'New York' },
+      { type: 'date', value: '2026-03-12', relative: 'tomorrow', text: 'tomorrow' }
+    ]);
+  });
+
+  test('keeps character offsets into the message', () => {
+    const message = 'time in paris';
+    const [location] = extractEntities(message, { now });
+    assert.equal(message.slice(location.start, location.end), 'paris');
+  });
+});
+
+describe('extractSlots', () => {
+  test('groups entities by type', () => {
+    const slots = extractSlots('100 usd to eur in paris tomorrow', { now });
+    assert.equal(slots.entities.length, 4);
+    assert.deepEqual(slots.money.map(m => m.currency), ['USD', 'EUR']);
+    assert.deepEqual(slots.locations.map(l => l.value), ['paris']);
+    assert.deepEqual(slots.dates.map(d => d.value), ['2026-03-12']);
+    assert.deepEqual([slots.cryptos, slots.quantities], [[], []]);
+  });
+});
@@ -0,0 +1,135 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runSymbolic } from '../utils/symbolicMath.js';
+import { evaluate, MathError } from '../utils/mathParser.js';
+
+const result = (operation, input, options) => runSymbolic(operation, input, options).result;
+
+// Results must read back through the calculator
+const valueAt = (text, x) => evaluate(text.replace(/ \+ C$/, ''), { variables: { x } }).value;
+
+describe('simplify and expand', () => {
+  test('collects like terms and folds constants', () => {
+    assert.equal(result('simplify', '2x + 3x - 4'), '5x - 4');
+    assert.equal(result('simplify', '(x^2)^3 * x'), 'x^7');
+    assert.equal(result('simplify', 'sin(0) + ln(e) + 2*3'), '7');
+    assert.equal(result('simplify', 'x*x - x^2'), '0');
+  });
+
+  test('reports division by zero like the evaluator', () => {
+    for (const expression of ['1/0', '0/0', '0 * x / (x - x)']) {
+      assert.throws(() => runSymbolic('simplify', expression), error => {
+        assert.ok(error instanceof MathError);
+        assert.equal(error.message, 'Division by zero');
+        return true;
+      }, expression);
+    }
+  });
+
+  test('multiplies out products and powers', () => {
+    assert.equal(result('expand', '(x + 1)^2'), 'x^2 + 2x + 1');
+    assert.equal(result('expand', '(x - 2)(x + 3)'), 'x^2 + x - 6');
+    assert.throws(() => runSymbolic('expand', '(x + 1)^50'), /too large to expand/);
+  });
+});
+
+describe('factor', () => {
+  test('finds rational roots and common factors', () => {
+    assert.equal(result('factor', 'x^2 - 5x + 6'), '(x - 2)(x - 3)');
+    assert.equal(result('factor', '2x^3 - 2x'), '2x(x - 1)(x + 1)');
+    assert.equal(result('factor', '6x^2 + x - 2'), '(2x - 1)(3x + 2)');
+  });
+
+  test('leaves irreducible polynomials alone and explains why', () => {
+    const { result: factored, steps } = runSymbolic('factor', 'x^2 + 1');
+    assert.equal(factored, 'x^2 + 1');
+    assert.match(steps.at(-1).description, /no rational roots/);
+  });
+});
+
+describe('derive', () => {
+  test('applies the product, chain and power rules', () => {
+    assert.equal(result('derive', 'x^2 sin x'), 'x^2 cos(x) + 2x sin(x)');
+    assert.equal(result('derive', '3x^4 - 2x + 7'), '12x^3 - 2');
+    assert.equal(result('derive', 'e^(2x)'), '2e^(2x)');
+    assert.equal(result('derive', 'ln(x^2 + 1)'), '2x/(x^2 + 1)');
+    assert.equal(result('derive', 'x^x'), 'x^x(ln(x) + 1)');
+  });
+
+  test('records a step per rule', () => {
+    const { steps } = runSymbolic('derive', 'x^2 sin x');
+    assert.deepEqual(steps.map(s => s.description), ['Power rule', 'Derivative of sin', 'Product rule', 'Simplify']);
+    assert.equal(steps[2].expression, 'd/dx[x^2 sin(x)] = x^2 cos(x) + 2x sin(x)');
+  });
+
+  test('uses the requested or only variable', () => {
+    assert.equal(result('derive', 't^3'), '3t^2');
+    assert.equal(result('derive', 'a x^2', { variable: 'a' }), 'x^2');
+  });
+
+  test('returns expressions the calculator can read back', () => {
+    const derivative = result('derive', 'sqrt(x) + sin(x)/x');
+    const slope = (valueAt('sqrt(x) + sin(x)/x', 2 + 1e-6) - valueAt('sqrt(x) + sin(x)/x', 2 - 1e-6)) / 2e-6;
+    assert.ok(Math.abs(valueAt(derivative, 2) - slope) < 1e-6);
+  });
+});
+
+describe('integrate', () => {
+  test('integrates polynomials and basic functions', () => {
+    assert.equal(result('integrate', '3x^2 + 2x + 1'), 'x^3 + x^2 + x + C');
+    assert.equal(result('integrate', '1/x'), 'ln(abs(x)) + C');
+    assert.equal(result('integrate', 'sin(2x)'), '-cos(2x)/2 + C');
+    assert.equal(result('integrate', 'sqrt x'), '2x^(3/2)/3 + C');
+  });
+
+  test('integrates by parts and after expanding', () => {
+    assert.equal(result('integrate', 'x e^x'), 'x e^x - e^x + C');
+    assert.equal(result('integrate', 'x(x + 1)'), 'x^3/3 + x^2/2 + C');
+  });
+
+  test('rejects integrals without a rule', () => {
+    assert.throws(() => runSymbolic('integrate', 'sin(x^2)'), /No rule to integrate sin\(x\^2\)/);
+  });
+});
+
+describe('solve', () => {
+  test('solves linear and quadratic equations', () => {
+    assert.equal(result('solve', '2x + 3 = 7'), 'x = 2');
+    assert.equal(result('solve', 'x^2 - 5x + 6 = 0'), 'x = 2 or x = 3');
+    assert.equal(result('solve', 'x^2 = 12'), 'x = -2sqrt(3) or x = 2sqrt(3)');
+    assert.equal(result('solve', 'x^2 + 2x + 5 = 0'), 'x = -1 + 2i or x = -1 - 2i');
+  });
+
+  test('returns numeric values for real solutions', () => {
+    const { solutions, variable } = runSymbolic('solve', 'y^2 - 2');
+    assert.equal(variable, 'y');
+    assert.deepEqual(solutions.map(s => s.exact), ['-sqrt(2)', 'sqrt(2)']);
+    assert.ok(Math.abs(solutions[1].value - Math.SQRT2) < 1e-9);
+  });
+
+  test('peels rational roots off higher degrees', () => {
+    assert.equal(result('solve', 'x^3 - 6x^2 + 11x - 6 = 0'), 'x = 1 or x = 2 or x = 3');
+  });
+
+  test('reports identities and contradictions', () => {
+    assert.equal(result('solve', 'x = x'), 'All real numbers');
+    assert.equal(result('solve', 'x = x + 1'), 'No solution');
+  });
+});
+
+describe('errors', () => {
+  test('points into the right-hand side of an equation', () => {
+    assert.throws(() => runSymbolic('solve', 'x = 2 +'), error => {
+      assert.ok(error instanceof MathError);
+      assert.equal(error.position, 8);
+      return true;
+    });
+    assert.throws(() => runSymbolic('solve', 'x = 1 = 2'), /one '=' at position 7/);
+  });
+
+  test('rejects unknown operations and assignments', () => {
+    assert.throws(() => runSymbolic('bogus', 'x'), /Unknown operation 'bogus'/);
+    assert.throws(() => runSymbolic('derive', 'x = 3'), /Assignments are not supported/);
+  });
+});
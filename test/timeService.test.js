@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getDateInfo, calculateDateDifference } from '../services/timeService.js';
+
+describe('getDateInfo', () => {
+  test('describes a given date', () => {
+    const info = getDateInfo('2024-02-29T12:00:00');
+    assert.equal(info.date, '2024-02-29');
+    assert.equal(info.dayOfWeek, 'Thursday');
+    assert.equal(info.dayOfMonth, 29);
+    assert.equal(info.dayOfYear, 60);
+    assert.equal(info.month, 'February');
+    assert.equal(info.monthNumber, 2);
+    assert.equal(info.quarter, 1);
+    assert.equal(info.daysInMonth, 29);
+    assert.equal(info.isWeekend, false);
+    assert.equal(info.formatted, 'Thursday, February 29, 2024');
+  });
+
+  test('knows leap years and the days left', () => {
+    assert.equal(getDateInfo('2024-12-31T12:00:00').isLeapYear, true);
+    assert.equal(getDateInfo('2024-12-31T12:00:00').daysLeftInYear, 0);
+    assert.equal(getDateInfo('1900-06-01T12:00:00').isLeapYear, false);
+    assert.equal(getDateInfo('2000-06-01T12:00:00').isLeapYear, true);
+  });
+
+  test('flags weekends', () => {
+    assert.equal(getDateInfo('2025-03-15T12:00:00').isWeekend, true);
+    assert.equal(getDateInfo('2025-03-16T12:00:00').dayOfWeek, 'Sunday');
+  });
+
+  test('defaults to today', () => {
+    const info = getDateInfo();
+    assert.equal(info.year, new Date().getFullYear());
+    assert.ok(Math.abs(info.timestamp - Date.now()) < 1000);
+  });
+
+  test('returns null for invalid dates', () => {
+    assert.equal(getDateInfo('not a date'), null);
+  });
+});
+
+describe('calculateDateDifference', () => {
+  test('counts days, weeks, months and years', () => {
+    const result = calculateDateDifference('2020-01-01', '2024-03-01');
+    assert.equal(result.from, '2020-01-01');
+    assert.equal(result.to, '2024-03-01');
+    assert.equal(result.difference.days, 1521);
+    assert.equal(result.difference.weeks, 217);
+    assert.equal(result.difference.months, 49);
+    assert.equal(result.difference.years, 4);
+    assert.equal(result.difference.hours, 1521 * 24);
+  });
+
+  test('ignores the order of the dates', () => {
+    assert.deepEqual(
+      calculateDateDifference('2024-03-01', '2020-01-01').difference,
+      calculateDateDifference('2020-01-01', '2024-03-01').difference
+    );
+  });
+
+  test('measures up to now without a second date', () => {
+    const yesterday = new Date(Date.now() - 86400000).toISOString();
+    assert.equal(calculateDateDifference(yesterday).difference.days, 1);
+  });
+
+  test('returns null for invalid dates', () => {
+    assert.equal(calculateDateDifference('someday', '2024-01-01'), null);
+    assert.equal(calculateDateDifference('2024-01-01', 'never'), null);
+  });
+});
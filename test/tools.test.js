@@ -0,0 +1,28 @@
+import './helpers/env.js';
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { executeToolCall } from '../utils/tools.js';
+
+const registry = {
+  slow: { handler: () => new Promise(resolve => setTimeout(() => resolve('done'), 20)) }
+};
+const call = { id: 'call_1', function: { name: 'slow', arguments: '{}' } };
+
+describe('executeToolCall', () => {
+  afterEach(() => {
+    delete process.env.TOOL_TIMEOUT;
+  });
+
+  test('times out slow tools', async () => {
+    const record = await executeToolCall(call, 5, registry);
+    assert.equal(record.error, 'Tool timed out after 5ms');
+  });
+
+  test('uses the default timeout when TOOL_TIMEOUT is empty', async () => {
+    process.env.TOOL_TIMEOUT = '';
+    const record = await executeToolCall(call, undefined, registry);
+    assert.equal(record.error, undefined);
+    assert.equal(record.result, 'done');
+  });
+});
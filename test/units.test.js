@@ -0,0 +1,104 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseUnit, convert, describeDimension, formatQuantity, listUnits, UnitError } from '../utils/units.js';
+
+const result = (value, from, to) => convert(value, from, to).result;
+
+describe('parseUnit', () => {
+  test('reads symbols, names and spelled-out prefixes', () => {
+    assert.equal(parseUnit('km').symbol, 'km');
+    assert.equal(parseUnit('kilometres').symbol, 'km');
+    assert.equal(parseUnit('gibibytes').symbol, 'GiB');
+    assert.equal(parseUnit('fl oz').symbol, 'fl oz');
+    assert.equal(parseUnit('degrees fahrenheit').symbol, '°F');
+  });
+
+  test('builds compound units', () => {
+    assert.equal(parseUnit('m/s^2').symbol, 'm/s^2');
+    assert.equal(parseUnit('miles per hour').symbol, 'mi/h');
+    assert.equal(parseUnit('square feet').symbol, 'ft^2');
+    assert.equal(parseUnit('km²').symbol, 'km^2');
+    assert.equal(parseUnit('J/(kg*K)').symbol, 'J/(kg·K)');
+    assert.deepEqual(parseUnit('kg*m^2/s^2').dimension, parseUnit('J').dimension);
+  });
+
+  test('keeps case for symbols and falls back to the larger unit', () => {
+    assert.equal(parseUnit('mW').factor, 1e-3);
+    assert.equal(parseUnit('MW').factor, 1e6);
+    assert.equal(parseUnit('mw').symbol, 'MW');
+    assert.equal(parseUnit('mb').symbol, 'MB');
+    assert.equal(parseUnit('ms').symbol, 'ms');
+  });
+
+  test('rejects unknown units and words that are not units', () => {
+    assert.throws(() => parseUnit('parsec'), UnitError);
+    assert.throws(() => parseUnit('km in miles'), /Unknown unit 'km in miles'/);
+    assert.throws(() => parseUnit('pm'), UnitError);
+    assert.throws(() => parseUnit(''), /Unit is required/);
+  });
+});
+
+describe('convert', () => {
+  test('converts within a dimension', () => {
+    assert.equal(result(3.2, 'km', 'feet'), 10498.687664);
+    assert.equal(result(1, 'acre', 'sqft'), 43560);
+    assert.equal(result(2, 'cups', 'tbsp'), 32);
+    assert.equal(result(1, 'atm', 'kPa'), 101.325);
+    assert.equal(result(1, 'hp', 'W'), 745.699871582);
+  });
+
+  test('uses SI and IEC data prefixes', () => {
+    assert.equal(result(1, 'GB', 'MB'), 1000);
+    assert.equal(result(1, 'GiB', 'MiB'), 1024);
+    assert.equal(result(100, 'Mbps', 'MB/s'), 12.5);
+  });
+
+  test('converts compound units by dimension', () => {
+    assert.equal(result(1, 'kWh', 'MJ'), 3.6);
+    assert.equal(result(1, 'N*m', 'J'), 1);
+    assert.equal(result(100, 'km/h', 'm/s'), 27.7777777778);
+  });
+
+  test('shifts lone temperatures by their offsets only', () => {
+    assert.equal(result(100, '°C', '°F'), 212);
+    assert.equal(result(0, 'celsius', 'kelvin'), 273.15);
+    assert.equal(result(491.67, 'rankine', 'fahrenheit'), 32);
+    assert.equal(convert(100, 'C', 'F').formula, '°F = °C × 1.8 + 32');
+
+    // A heat capacity per °C is the same per K
+    assert.equal(result(4.18, 'J/(g*°C)', 'J/(g*K)'), 4.18);
+  });
+
+  test('refuses temperatures below absolute zero', () => {
+    assert.throws(() => convert(-300, 'celsius', 'kelvin'), /-300 °C is below absolute zero/);
+    assert.throws(() => convert(-1, 'K', '°F'), UnitError);
+    assert.equal(result(-273.15, '°C', 'K'), 0);
+    assert.equal(result(-459.67, '°F', 'K'), 0);
+  });
+
+  test('refuses mismatched dimensions', () => {
+    assert.throws(() => convert(1, 'km', 'kg'), /Cannot convert km \(length\) to kg \(mass\)/);
+    assert.throws(() => convert(1, 'W', 'J'), /power\) to J \(energy\)/);
+    assert.throws(() => convert('abc', 'm', 'ft'), /Invalid value 'abc'/);
+  });
+});
+
+describe('describeDimension and formatQuantity', () => {
+  test('names dimensions', () => {
+    assert.equal(describeDimension(parseUnit('ft/s^2').dimension), 'acceleration');
+    assert.equal(describeDimension(parseUnit('J/K').dimension), 'length^2·mass/(time^2·temperature)');
+  });
+
+  test('formats with six significant digits', () => {
+    assert.equal(formatQuantity(10498.687664), '10498.7');
+    assert.equal(formatQuantity(1.602176634e-19), '1.60218e-19');
+    assert.equal(formatQuantity(0), '0');
+  });
+
+  test('lists units by dimension', () => {
+    const units = listUnits();
+    assert.ok(units.length.some(u => u.symbol === 'm' && u.prefixes === 'SI'));
+    assert.ok(units.data.some(u => u.symbol === 'B' && u.prefixes === 'SI and IEC'));
+  });
+});
@@ -0,0 +1,136 @@
+// utils/auth.js - API Key & Bearer Token Authentication
+
+import crypto from 'crypto';
+
+const DEFAULT_TOKEN_TTL = 24 * 60 * 60; // 24 hours, in seconds
+const DEFAULT_MAX_SESSION = 7 * 24 * 60 * 60; // 7 days, in seconds
+
+/**
+ * 🔑 Parse API_KEYS env: "key:userId[:role],key2:userId2"
+ */
+function loadApiKeys(raw = process.env.API_KEYS || '') {
+  const keys = new Map();
+  raw.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [key, userId, role = 'user'] = entry.split(':').map(part => part.trim());
+    if (key && userId) keys.set(key, { id: userId, role });
+  });
+  return keys;
+}
+
+// Loaded lazily so keys from .env are seen (dotenv runs after imports)
+let apiKeys = null;
+
+function getApiKeys() {
+  if (!apiKeys) apiKeys = loadApiKeys();
+  return apiKeys;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * ✍️ Sign a bearer token (HS256 JWT) for a user
+ *
+ * `sessionStart` (from a token being refreshed) is kept as the origIat claim,
+ * and no token outlives origIat + AUTH_TOKEN_MAX_SESSION, so refreshing a
+ * token cannot keep a session alive forever.
+ */
+export function signToken({ id, role = 'user', sessionStart }, expiresIn = DEFAULT_TOKEN_TTL, secret = process.env.AUTH_TOKEN_SECRET) {
+  if (!secret) throw new Error('AUTH_TOKEN_SECRET is not configured');
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const now = Math.floor(Date.now() / 1000);
+  const origIat = sessionStart ?? now;
+  const maxSession = parseInt(process.env.AUTH_TOKEN_MAX_SESSION, 10) || DEFAULT_MAX_SESSION;
+  const exp = Math.min(now + expiresIn, origIat + maxSession);
+  const payload = base64url(JSON.stringify({ sub: id, role, iat: now, origIat, exp }));
+  return `${header}.${payload}.${hmac(`${header}.${payload}`, secret)}`;
+}
+
+/**
+ * 🔍 Verify a bearer token, returns the user (with its sessionStart) or null
+ */
+export function verifyToken(token, secret = process.env.AUTH_TOKEN_SECRET) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  if (!safeEqual(signature, hmac(`${header}.${payload}`, secret))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub) return null;
+    if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return { id: claims.sub, role: claims.role || 'user', sessionStart: claims.origIat ?? claims.iat };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 👤 Resolve the user for a request from x-api-key or Authorization: Bearer
+ */
+export function resolveUser(req) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) return getApiKeys().get(apiKey) || null;
+
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    const credential = match[1].trim();
+    return getApiKeys().get(credential) || verifyToken(credential);
+  }
+
+  return null;
+}
+
+/**
+ * 🛡️ Middleware - attaches req.user or rejects with 401
+ * Set AUTH_DISABLED=true to run without credentials (local development only).
+ */
+export function authenticate(req, res, next) {
+  if (process.env.AUTH_DISABLED === 'true') {
+    req.user = { id: 'anonymous', role: 'admin' };
+    return next();
+  }
+
+  const user = resolveUser(req);
+  if (!user) {
+    return res.status(401).json({ success: false, error: { message: "❌ Authentication required" } });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * 👮 Middleware - only allow users with the given role
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user?.role !== role) {
+      return res.status(403).json({ success: false, error: { message: "❌ Forbidden" } });
+    }
+    next();
+  };
+}
+
+export default {
+  authenticate,
+  requireRole,
+  signToken,
+  verifyToken,
+  resolveUser
+};
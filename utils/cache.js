@@ -1,105 +1,284 @@
 // utils/cache.js - Smart Caching System
+//
+// A bounded LRU cache. Every entry expires after the TTL given to set();
+// when the entry or byte limit is reached the least recently used entries
+// are evicted. One periodic sweep removes expired entries. Stats are kept
+// per namespace, the key prefix before the first "_" (time_, weather_ ...).
+//
+// Services load through fetch(), which shares one upstream call between
+// concurrent requests for a key and keeps serving the previous value while
+// it is refreshed or when the upstream fails.
+
+const DEFAULT_TTL = 3600000;
 
 class SmartCache {
-  constructor() {
-    this.cache = new Map();
+  constructor({
+    maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    maxBytes = parseInt(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+    sweepInterval = parseInt(process.env.CACHE_SWEEP_INTERVAL) || 60000
+  } = {}) {
+    this.cache = new Map(); // key → { data, expiresAt, staleUntil, size }, least recently used first
+    this.inflight = new Map(); // key → pending load
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.sweepInterval = sweepInterval;
+    this.bytes = 0;
+    this.sweeper = null;
     this.stats = {
       hits: 0,
       misses: 0,
-      sets: 0
+      sets: 0,
+      staleHits: 0,
+      staleOnError: 0,
+      coalesced: 0,
+      evictions: 0,
+      expirations: 0
     };
+    this.namespaces = {};
   }
 
   /**
-   * Get cached value if not expired
+   * Get cached value if not expired (marks it most recently used)
    */
-  get(key, maxAge = 3600000) {
-    if (this.cache.has(key)) {
-      const cached = this.cache.get(key);
-      if (Date.now() - cached.timestamp < maxAge) {
-        this.stats.hits++;
-        return cached.data;
-      }
-      // Expired, delete it
-      this.cache.delete(key);
+  get(key) {
+    const cached = this.cache.get(key);
+    const now = Date.now();
+
+    if (cached && cached.expiresAt > now) {
+      this.touch(key, cached);
+      this.count(key, 'hits');
+      return cached.data;
     }
-    this.stats.misses++;
+
+    // Expired entries still inside their stale window stay for fetch()
+    if (cached && cached.staleUntil <= now) this.remove(key, 'expirations');
+    this.count(key, 'misses');
     return null;
   }
 
   /**
-   * Set cache value with timestamp
+   * Set cache value, fresh for `ttl` milliseconds and kept `staleTtl` longer
+   * as a stale fallback for fetch()
    */
-  set(key, data, ttl = 3600000) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now(),
-      ttl
-    });
-    this.stats.sets++;
-
-    // Auto-cleanup after TTL
-    setTimeout(() => {
-      if (this.cache.has(key)) {
-        const cached = this.cache.get(key);
-        if (Date.now() - cached.timestamp >= ttl) {
-          this.cache.delete(key);
-        }
-      }
-    }, ttl);
+  set(key, data, ttl = DEFAULT_TTL, staleTtl = 0) {
+    if (this.cache.has(key)) this.remove(key);
+
+    const size = estimateSize(key, data);
+    if (size > this.maxBytes) return data;
 
+    const expiresAt = Date.now() + ttl;
+    this.cache.set(key, { data, expiresAt, staleUntil: expiresAt + staleTtl, size });
+    this.bytes += size;
+    this.count(key, 'sets');
+    const stats = this.namespaceStats(key);
+    stats.entries++;
+    stats.bytes += size;
+
+    // Evict least recently used entries until within bounds
+    while (this.cache.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.remove(this.cache.keys().next().value, 'evictions');
+    }
+
+    this.startSweeper();
     return data;
   }
 
   /**
-   * Check if key exists and is valid
+   * 🔄 Cached value for `key`, loaded with `loader()` on a miss
+   *
+   * Concurrent calls for one key share a single load. For `staleTtl` after
+   * the value expires it is still returned at once while one background load
+   * refreshes it, and it is returned instead of an error when a load fails.
+   * Null or undefined loader results are not cached.
    */
-  has(key, maxAge = 3600000) {
-    if (this.cache.has(key)) {
-      const cached = this.cache.get(key);
-      return Date.now() - cached.timestamp < maxAge;
+  async fetch(key, loader, { ttl = DEFAULT_TTL, staleTtl = ttl } = {}) {
+    const cached = this.cache.get(key);
+    const now = Date.now();
+
+    if (cached && cached.expiresAt > now) return this.get(key);
+
+    if (cached && cached.staleUntil > now) {
+      this.touch(key, cached);
+      this.count(key, 'staleHits');
+      this.load(key, loader, ttl, staleTtl).catch(() => {});
+      return cached.data;
     }
-    return false;
+
+    this.count(key, 'misses');
+    return this.load(key, loader, ttl, staleTtl);
+  }
+
+  load(key, loader, ttl, staleTtl) {
+    if (this.inflight.has(key)) {
+      this.count(key, 'coalesced');
+      return this.inflight.get(key);
+    }
+
+    const fallback = () => {
+      const cached = this.cache.get(key);
+      if (!cached || cached.staleUntil <= Date.now()) return undefined;
+      this.count(key, 'staleOnError');
+      return cached.data;
+    };
+
+    const pending = Promise.resolve()
+      .then(loader)
+      .then(
+        data => {
+          if (data !== null && data !== undefined) return this.set(key, data, ttl, staleTtl);
+          return fallback() ?? data;
+        },
+        error => {
+          const stale = fallback();
+          if (stale === undefined) throw error;
+          console.warn(`💾 Cache: Serving stale ${key} (${error.message})`);
+          return stale;
+        }
+      )
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Check if key exists and is valid
+   */
+  has(key) {
+    const cached = this.cache.get(key);
+    return Boolean(cached && cached.expiresAt > Date.now());
   }
 
   /**
    * Delete specific key
    */
   delete(key) {
-    return this.cache.delete(key);
+    if (!this.cache.has(key)) return false;
+    this.remove(key);
+    return true;
   }
 
   /**
-   * Clear all cache
+   * Clear all cache, or only the keys of one namespace
    */
-  clear() {
-    this.cache.clear();
+  clear(namespace) {
+    this.keys()
+      .filter(key => !namespace || namespaceOf(key) === namespace)
+      .forEach(key => this.remove(key));
     return true;
   }
 
   /**
-   * Get cache statistics
+   * 🧹 Drop every entry past its stale window
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, cached] of this.cache) {
+      if (cached.staleUntil <= now) {
+        this.remove(key, 'expirations');
+        removed++;
+      }
+    }
+    if (this.cache.size === 0) this.stopSweeper();
+    return removed;
+  }
+
+  startSweeper() {
+    if (this.sweeper || !this.sweepInterval) return;
+    this.sweeper = setInterval(() => this.sweep(), this.sweepInterval);
+    this.sweeper.unref?.();
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+
+  /**
+   * Get cache statistics, overall and per namespace
    */
   getStats() {
     return {
       ...this.stats,
       size: this.cache.size,
-      hitRate: this.stats.hits + this.stats.misses > 0 
-        ? ((this.stats.hits / (this.stats.hits + this.stats.misses)) * 100).toFixed(2) + '%'
-        : '0%'
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hitRate: hitRate(this.stats),
+      namespaces: Object.fromEntries(Object.entries(this.namespaces).map(([name, stats]) => [
+        name,
+        { ...stats, hitRate: hitRate(stats) }
+      ]))
     };
   }
 
   /**
-   * Get all keys
+   * Get all keys, least recently used first
    */
   keys() {
     return Array.from(this.cache.keys());
   }
+
+  touch(key, cached) {
+    this.cache.delete(key);
+    this.cache.set(key, cached);
+  }
+
+  count(key, stat) {
+    this.stats[stat]++;
+    this.namespaceStats(key)[stat]++;
+  }
+
+  /**
+   * Remove an entry, counting it under `reason` (evictions | expirations)
+   */
+  remove(key, reason) {
+    const cached = this.cache.get(key);
+    if (!cached) return;
+
+    this.cache.delete(key);
+    this.bytes -= cached.size;
+    const stats = this.namespaceStats(key);
+    stats.entries--;
+    stats.bytes -= cached.size;
+    if (reason) this.count(key, reason);
+  }
+
+  namespaceStats(key) {
+    return this.namespaces[namespaceOf(key)] ||= {
+      hits: 0, misses: 0, sets: 0, staleHits: 0, staleOnError: 0, coalesced: 0,
+      evictions: 0, expirations: 0, entries: 0, bytes: 0
+    };
+  }
+}
+
+function namespaceOf(key) {
+  const index = String(key).indexOf('_');
+  return index > 0 ? String(key).slice(0, index) : 'default';
+}
+
+/**
+ * Approximate memory use: UTF-16 length of the key and the JSON value
+ */
+function estimateSize(key, data) {
+  let json;
+  try {
+    json = JSON.stringify(data) ?? '';
+  } catch {
+    json = '';
+  }
+  return (String(key).length + json.length) * 2;
+}
+
+function hitRate({ hits, misses }) {
+  return hits + misses > 0
+    ? ((hits / (hits + misses)) * 100).toFixed(2) + '%'
+    : '0%';
 }
 
 // Create singleton instance
 const cache = new SmartCache();
 
 export default cache;
-export { SmartCache };
\ No newline at end of file
+export { SmartCache };
@@ -0,0 +1,128 @@
+// utils/cardBuilder.js - Typed rich-content cards built from service results
+
+import { listKnowledgeBlocks } from './responseBuilder.js';
+
+// Knowledge type -> card builder; a builder may return null when there is nothing to show
+const CARD_BUILDERS = {
+  weather: w => ({
+    type: 'weather',
+    location: w.location,
+    region: w.region,
+    country: w.country,
+    current: w.current,
+    forecast: (w.forecast || []).map(day => ({
+      date: day.date,
+      condition: day.condition,
+      minTemp: day.minTemp,
+      maxTemp: day.maxTemp,
+      chanceOfRain: day.chanceOfRain
+    })),
+    source: w.source
+  }),
+
+  // Only conversions; a plain rate table has no single answer to show
+  currency: c => (c.rate === undefined || !c.to ? null : {
+    type: 'currency',
+    from: c.from,
+    to: c.to,
+    amount: c.amount,
+    rate: c.rate,
+    result: c.result,
+    formatted: c.formatted,
+    source: c.source
+  }),
+
+  crypto: c => {
+    const rows = c.cryptos
+      ? c.cryptos.map(({ rank, name, symbol, price, change24h, marketCap, volume24h, image }) => ({
+        rank, name, symbol, price, change24h, marketCap, volume24h, image
+      }))
+      : [{ name: c.name, price: c.prices?.USD, change24h: c.change24h, marketCap: c.marketCap, volume24h: c.volume24h }];
+    return { type: 'crypto-table', currency: 'USD', rows, source: c.source };
+  },
+
+  country: c => ({
+    type: 'country',
+    name: c.name,
+    officialName: c.officialName,
+    flag: c.flag,
+    flagUrl: c.flagUrl,
+    capital: c.capital,
+    region: c.region,
+    subregion: c.subregion,
+    population: c.population,
+    area: c.area,
+    languages: c.languages,
+    currencies: c.currencies,
+    timezones: c.timezones,
+    source: c.source
+  }),
+
+  trivia: t => ({
+    type: 'trivia',
+    question: t.question,
+    answers: t.allAnswers,
+    correctAnswer: t.correctAnswer,
+    category: t.category,
+    difficulty: t.difficulty,
+    source: t.source
+  }),
+
+  dictionary: d => ({
+    type: 'definition',
+    word: d.word,
+    phonetic: d.phonetic,
+    meanings: d.meanings,
+    source: d.source
+  })
+};
+
+// Tool name -> the knowledge type its result has
+const TOOL_KNOWLEDGE_TYPES = {
+  getWeather: 'weather',
+  convertCurrency: 'currency',
+  getCryptoPrice: 'crypto',
+  getTopCryptos: 'crypto',
+  getCountryInfo: 'country',
+  getTriviaQuestion: 'trivia',
+  defineWord: 'dictionary'
+};
+
+/**
+ * 🃏 Build the card for one result of a knowledge type (null when there is none)
+ */
+export function buildCard(type, data) {
+  const builder = CARD_BUILDERS[type];
+  return builder && data ? builder(data) : null;
+}
+
+/**
+ * 🃏 Build cards from gathered knowledge, in the same order as the prompt context
+ */
+export function buildCards(knowledge = {}) {
+  return listKnowledgeBlocks(knowledge)
+    .map(({ type, data }) => buildCard(type, data))
+    .filter(Boolean);
+}
+
+/**
+ * 🛠️ Build the card for a tool call's result (null for failed calls and tools without cards)
+ */
+export function buildToolCard({ name, result, error }) {
+  if (error) return null;
+  return buildCard(TOOL_KNOWLEDGE_TYPES[name], result);
+}
+
+/**
+ * 🛠️ Build cards from the tool calls the model made
+ */
+export function buildToolCards(toolCalls = []) {
+  return toolCalls.map(buildToolCard).filter(Boolean);
+}
+
+export default {
+  buildCard,
+  buildCards,
+  buildToolCard,
+  buildToolCards
+};
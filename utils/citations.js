@@ -0,0 +1,166 @@
+// utils/citations.js - Numbered sources for gathered knowledge and the [n] markers citing them
+
+import { listKnowledgeBlocks } from './responseBuilder.js';
+
+const hasWebAnswer = knowledge => Boolean(knowledge.webSearch?.bestAnswer || knowledge.webSearch?.result);
+
+// Knowledge type -> where one result came from, as [{ key, title, url }]; `key`
+// makes the source id stable across requests for the same thing
+const SOURCE_DESCRIBERS = {
+  // One source per passage
+  documents: docs => docs.passages.map(p => ({
+    key: `${p.documentId}-${p.chunk}`,
+    title: `${p.title}${p.section ? ` - ${p.section}` : ''}`,
+    url: p.source
+  })),
+
+  // One source per FAQ entry
+  faq: f => f.matches.map(m => ({ key: m.id, title: `FAQ: ${m.question}` })),
+
+  time: t => [{
+    key: t.location,
+    title: `Time in ${t.location}`,
+    url: t.source === 'WorldTimeAPI' && t.timezone ? `https://worldtimeapi.org/api/timezone/${t.timezone}` : undefined
+  }],
+
+  date: d => [{ key: d.date, title: `Date information for ${d.formatted}` }],
+
+  weather: w => [{
+    key: w.location,
+    title: `Weather in ${w.location}${w.country ? `, ${w.country}` : ''}`,
+    url: `https://wttr.in/${encodeURIComponent(w.location)}`
+  }],
+
+  currency: c => (c.formatted
+    ? [{ key: `${c.from}-${c.to}`, title: `${c.from} to ${c.to} exchange rate`, url: `https://api.exchangerate-api.com/v4/latest/${c.from}` }]
+    : [{ key: c.base, title: `Exchange rates for ${c.base}`, url: `https://api.exchangerate-api.com/v4/latest/${c.base}` }]),
+
+  crypto: cr => (cr.cryptos
+    ? [{ key: 'top', title: 'Top cryptocurrencies by market cap', url: 'https://www.coingecko.com/' }]
+    : [{ key: cr.name, title: `${cr.name} price`, url: `https://www.coingecko.com/en/coins/${cr.name.toLowerCase()}` }]),
+
+  // One source per article, so answers can cite the story they came from
+  news: news => (news.items?.length
+    ? news.items.map(item => ({ key: item.link || item.title, title: item.title, url: item.link }))
+    : [{ key: news.topic, title: `${news.topic} news` }]),
+
+  country: c => [{
+    key: c.name,
+    title: `${c.name} country profile`,
+    url: `https://restcountries.com/v3.1/name/${encodeURIComponent(c.name)}`
+  }],
+
+  dictionary: d => [{
+    key: d.word,
+    title: `Definition of "${d.word}"`,
+    url: `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(d.word)}`
+  }],
+
+  math: m => [{ key: m.expression, title: `${m.steps ? `Symbolic math (${m.operation})` : 'Calculation'}: ${m.expression}` }],
+
+  unitConvert: u => [{ key: `${u.value} ${u.fromUnit} ${u.toUnit}`, title: `Unit conversion: ${u.value} ${u.fromUnit} to ${u.toUnit}` }],
+
+  quote: q => [{ key: q.quote, title: `Quote by ${q.author}` }],
+
+  joke: j => [{ key: j.joke || j.setup, title: `Joke (${j.category})` }],
+
+  trivia: t => [{ key: t.question, title: `Trivia: ${t.question}` }],
+
+  webSearch: ws => {
+    const answer = ws.bestAnswer || ws.result;
+    if (!answer) return [];
+    return [{ key: answer.url || answer.title || answer.word || answer.source, title: answer.title || answer.word || `Web search (${answer.source})`, url: answer.url }];
+  },
+
+  // Not rendered when the web search already answered
+  wikipedia: (w, knowledge) => (hasWebAnswer(knowledge) ? [] : [{ key: w.url || w.title, title: `Wikipedia: ${w.title}`, url: w.url }])
+};
+
+const describeDefault = data => [{ key: data.url || data.title, title: data.title || data.source, url: data.url }];
+
+/**
+ * Lowercase id fragment: letters and digits joined by single dashes
+ */
+function slugify(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+/**
+ * 📎 Number the sources behind gathered knowledge, in the same order as the
+ * prompt context: [{ n, id, type, title, name, url, retrievedAt }].
+ * `retrievedAt` maps a result to the time it arrived (defaults to now).
+ */
+export function listSources(knowledge = {}, { retrievedAt = new Map() } = {}) {
+  const sources = [];
+
+  listKnowledgeBlocks(knowledge).forEach(({ type, data }) => {
+    const describe = SOURCE_DESCRIBERS[type] || describeDefault;
+    describe(data, knowledge).forEach(({ key, title, url }) => {
+      sources.push({
+        n: sources.length + 1,
+        id: `${type}:${slugify(key) || type}`,
+        type,
+        title,
+        name: data.source,
+        url,
+        retrievedAt: retrievedAt.get(data) || new Date()
+      });
+    });
+  });
+
+  return sources;
+}
+
+/**
+ * 📝 Source list for the prompt, with the instruction to cite it
+ */
+export function formatSourceList(sources = []) {
+  if (sources.length === 0) return '';
+  const lines = sources.map(s => `[${s.n}] ${s.title}${s.name ? ` (${s.name})` : ''}${s.url ? ` - ${s.url}` : ''}`);
+  return `\n\n📎 SOURCES:
+${lines.join('\n')}
+
+⚠️ CITATIONS: Put the matching marker after every fact taken from the data above, e.g. "It is 13°C in London [1]". Only use the numbers listed here; leave out markers for general knowledge.`;
+}
+
+/**
+ * 🔢 Source numbers cited in a reply, in order of first use. Reads [1], [1, 3]
+ * and [1][2]; markdown links like [1](url) are not citations.
+ */
+export function findCitationMarkers(content = '') {
+  const numbers = [];
+  for (const match of content.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g)) {
+    match[1].split(',').map(n => parseInt(n, 10)).forEach(n => {
+      if (!numbers.includes(n)) numbers.push(n);
+    });
+  }
+  return numbers;
+}
+
+/**
+ * ✅ Check a reply's markers against its sources
+ *
+ * Returns { citations, unresolved }: every source flagged with whether the
+ * reply `cited` it, and the marker numbers that point to no source.
+ */
+export function checkCitations(content, sources = []) {
+  const markers = findCitationMarkers(content);
+  const numbers = new Set(sources.map(s => s.n));
+
+  return {
+    citations: sources.map(source => ({ ...source, cited: markers.includes(source.n) })),
+    unresolved: markers.filter(n => !numbers.has(n))
+  };
+}
+
+export default {
+  listSources,
+  formatSourceList,
+  findCitationMarkers,
+  checkCitations
+};
@@ -0,0 +1,170 @@
+// utils/contextBuilder.js - Token-aware chat context with rolling summaries
+
+import { buildEnhancedSystemPrompt } from './responseBuilder.js';
+import { getPath } from './conversationTree.js';
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD = 4; // role/formatting tokens per message
+const COMPACT_TARGET = 0.75; // after compacting, history fills this share of the budget
+const MAX_SUMMARY_CHARS = 2000;
+
+/**
+ * 🔢 Rough token estimate (~4 characters per token)
+ */
+export function estimateTokens(text = "") {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+function messageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD;
+}
+
+/**
+ * 📏 Tokens available for history once the system prompt, the new user
+ * message, tool definitions and the reply (`maxTokens`) are accounted for
+ */
+export function getHistoryBudget(modelConfig, { systemPrompt = "", userMessage = "", tools = [] } = {}) {
+  const contextWindow = modelConfig.contextWindow || 8192;
+  const reserved = (modelConfig.maxTokens || 2048)
+    + estimateTokens(systemPrompt) + MESSAGE_OVERHEAD
+    + estimateTokens(userMessage) + MESSAGE_OVERHEAD
+    + (tools.length > 0 && modelConfig.supportsTools ? estimateTokens(JSON.stringify(tools)) : 0);
+
+  let budget = contextWindow - reserved;
+  const limit = parseInt(process.env.CONTEXT_HISTORY_TOKEN_LIMIT);
+  if (limit > 0) budget = Math.min(budget, limit);
+  return Math.max(0, budget);
+}
+
+/**
+ * ✂️ Split history into the newest messages that fit `budget` and the older rest
+ */
+export function fitHistory(history, budget) {
+  let used = 0;
+  let start = history.length;
+
+  while (start > 0) {
+    const cost = messageTokens(history[start - 1]);
+    if (used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+
+  return { older: history.slice(0, start), recent: history.slice(start), tokens: used };
+}
+
+/**
+ * Fallback summary when the model is unavailable: first line of each turn
+ */
+function extractiveSummary(previousSummary, messages) {
+  const lines = messages.map(m => {
+    const firstLine = String(m.content).split('\n').find(line => line.trim()) || '';
+    return `• ${m.role === 'user' ? 'User' : 'Assistant'}: ${firstLine.substring(0, 160)}`;
+  });
+  return [previousSummary, ...lines].filter(Boolean).join('\n').slice(-MAX_SUMMARY_CHARS);
+}
+
+/**
+ * 🧾 Fold older turns into the running summary with `llm` (services/llmService.js shape)
+ */
+export async function summarizeMessages(previousSummary, messages, { llm, temperature = 0.3 }) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+    .join('\n\n');
+
+  const prompt = [
+    {
+      role: "system",
+      content: "You maintain a running summary of a chat. Merge the existing summary with the new turns. " +
+        "Keep names, numbers, decisions, open questions and user preferences. " +
+        "Write at most 200 words as plain bullet points. Output only the summary."
+    },
+    {
+      role: "user",
+      content: `EXISTING SUMMARY:\n${previousSummary || "(none)"}\n\nNEW TURNS:\n${transcript}`
+    }
+  ];
+
+  try {
+    const { content } = await llm.chatCompletion(prompt, process.env.SUMMARY_MODEL || "llama-3.1-8b", temperature);
+    return content.trim().slice(0, MAX_SUMMARY_CHARS);
+  } catch (error) {
+    console.error("Summary error:", error.message);
+    return extractiveSummary(previousSummary, messages);
+  }
+}
+
+/**
+ * 🧠 Build the API messages for a chat turn within the model's context window
+ *
+ * Only history after the deepest summary on this path is sent verbatim. When
+ * it does not fit, the oldest turns are compacted into a new summary, stored
+ * in `conversation.summaries` under the id of the last message it covers
+ * (mutated here; the caller saves the conversation), and the summary is
+ * injected into the system prompt. Keying summaries by boundary keeps each
+ * branch's summary when the conversation branches.
+ *
+ * Returns { messages, summarized } where `summarized` is true if the summary
+ * was updated. `llm` (services/llmService.js shape) looks up the model and
+ * writes the summary.
+ */
+export async function buildChatContext({
+  conversation,
+  history = getPath(conversation),
+  modelKey,
+  basePrompt,
+  knowledgeContext = "",
+  userMessage,
+  tools = [],
+  llm
+}) {
+  const modelConfig = llm.getModel(modelKey);
+
+  // A summary only applies if it covers a prefix of this history; use the longest
+  const summaries = conversation.summaries || {};
+  const boundary = history.findLastIndex(m => summaries[m.id]);
+  let summary = boundary === -1 ? null : summaries[history[boundary].id];
+  const pending = history.slice(boundary + 1);
+
+  let systemPrompt = buildEnhancedSystemPrompt(basePrompt, knowledgeContext, summary?.text);
+  let budget = getHistoryBudget(modelConfig, { systemPrompt, userMessage, tools });
+  let { older, recent } = fitHistory(pending, budget);
+  let summarized = false;
+
+  if (older.length > 0) {
+    // Compact below the limit so the next few turns don't re-summarize
+    ({ older, recent } = fitHistory(pending, Math.floor(budget * COMPACT_TARGET)));
+    console.log(`🧾 Context: Summarizing ${older.length} older messages`);
+
+    const text = await summarizeMessages(summary?.text, older, { llm });
+    summary = {
+      text,
+      upToMessageId: older[older.length - 1].id,
+      messageCount: (summary?.messageCount || 0) + older.length,
+      updatedAt: new Date()
+    };
+    conversation.summaries = { ...summaries, [summary.upToMessageId]: summary };
+    summarized = true;
+
+    systemPrompt = buildEnhancedSystemPrompt(basePrompt, knowledgeContext, summary.text);
+    budget = getHistoryBudget(modelConfig, { systemPrompt, userMessage, tools });
+    recent = fitHistory(recent, budget).recent;
+  }
+
+  return {
+    messages: [
+      { role: "system", content: systemPrompt },
+      ...recent.map(m => ({ role: m.role, content: m.content })),
+      { role: "user", content: userMessage }
+    ],
+    summarized
+  };
+}
+
+export default {
+  estimateTokens,
+  getHistoryBudget,
+  fitHistory,
+  summarizeMessages,
+  buildChatContext
+};
@@ -0,0 +1,154 @@
+// utils/conversationStore.js - Pluggable Conversation Storage
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * 💾 ConversationStore interface
+ *
+ * Every store exposes the same async methods so routes never care where
+ * conversations live:
+ *   get(id)            → conversation | null
+ *   save(conversation) → conversation
+ *   delete(id)         → boolean
+ *   clear()            → void
+ *   list({ userId })   → conversation[] (optionally only one owner's)
+ */
+class ConversationStore {
+  async get(id) { throw new Error('get() not implemented'); }
+  async save(conversation) { throw new Error('save() not implemented'); }
+  async delete(id) { throw new Error('delete() not implemented'); }
+  async clear() { throw new Error('clear() not implemented'); }
+  async list(filter) { throw new Error('list() not implemented'); }
+}
+
+/**
+ * 🧠 In-memory store (lost on restart)
+ */
+class MemoryConversationStore extends ConversationStore {
+  constructor() {
+    super();
+    this.conversations = new Map();
+  }
+
+  async get(id) {
+    if (!id) return null;
+    return this.conversations.get(id) || null;
+  }
+
+  async save(conversation) {
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  async delete(id) {
+    return this.conversations.delete(id);
+  }
+
+  async clear() {
+    this.conversations.clear();
+  }
+
+  async list({ userId } = {}) {
+    const all = Array.from(this.conversations.values());
+    return userId ? all.filter(c => c.userId === userId) : all;
+  }
+}
+
+/**
+ * 📁 File-backed store - keeps a Map in memory and persists it as JSON
+ */
+class FileConversationStore extends MemoryConversationStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the file once, on first access
+   * A file that cannot be read or parsed rejects every call, so the store never
+   * overwrites conversations it failed to load.
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(raw => {
+          const data = JSON.parse(raw);
+          (data.conversations || []).forEach(c => this.conversations.set(c.id, c));
+          console.log(`💾 Store: Loaded ${this.conversations.size} conversations from ${this.filePath}`);
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') return;
+          console.error("Conversation store load error:", error.message);
+          throw new Error(`Cannot load conversations from ${this.filePath}: ${error.message}`);
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the whole store atomically (temp file + rename), one write at a time
+   * Rejects when this write fails; later writes still run.
+   */
+  persist() {
+    const snapshot = JSON.stringify({ conversations: Array.from(this.conversations.values()) });
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async save(conversation) {
+    await this.load();
+    await super.save(conversation);
+    await this.persist();
+    return conversation;
+  }
+
+  async delete(id) {
+    await this.load();
+    const deleted = await super.delete(id);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+
+  async clear() {
+    await this.load();
+    await super.clear();
+    await this.persist();
+  }
+
+  async list(filter) {
+    await this.load();
+    return super.list(filter);
+  }
+}
+
+/**
+ * 🏭 Create the store selected by CONVERSATION_STORE (memory | file)
+ */
+export function createConversationStore(type = process.env.CONVERSATION_STORE || 'memory') {
+  if (type === 'file') {
+    const filePath = process.env.CONVERSATION_STORE_PATH || path.join('.data', 'conversations.json');
+    console.log(`💾 Store: Using file store at ${filePath}`);
+    return new FileConversationStore(filePath);
+  }
+  return new MemoryConversationStore();
+}
+
+export { ConversationStore, MemoryConversationStore, FileConversationStore };
+
+export default {
+  createConversationStore
+};
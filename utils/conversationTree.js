@@ -0,0 +1,126 @@
+// utils/conversationTree.js - Branching conversations
+//
+// `conversation.messages` holds every message ever created as a flat list of
+// tree nodes linked by `parentId`. Edits and regenerations add siblings
+// instead of overwriting, and `conversation.activeLeafId` marks the branch
+// currently shown.
+
+/**
+ * 🌳 Upgrade a legacy linear conversation (no parent ids) in place
+ */
+export function ensureTree(conversation) {
+  let previousId = null;
+  conversation.messages.forEach(message => {
+    if (message.parentId === undefined) message.parentId = previousId;
+    previousId = message.id;
+  });
+
+  if (!conversation.activeLeafId || !findMessage(conversation, conversation.activeLeafId)) {
+    conversation.activeLeafId = conversation.messages[conversation.messages.length - 1]?.id || null;
+  }
+  return conversation;
+}
+
+export function findMessage(conversation, messageId) {
+  return conversation.messages.find(m => m.id === messageId) || null;
+}
+
+export function getChildren(conversation, parentId) {
+  return conversation.messages.filter(m => m.parentId === parentId);
+}
+
+/**
+ * 🔀 All versions of a message (itself included), oldest first
+ */
+export function getSiblings(conversation, messageId) {
+  const message = findMessage(conversation, messageId);
+  if (!message) return [];
+  return getChildren(conversation, message.parentId);
+}
+
+/**
+ * 🧵 Messages from the root down to `leafId` (defaults to the active branch)
+ */
+export function getPath(conversation, leafId = conversation.activeLeafId) {
+  const path = [];
+  let current = leafId ? findMessage(conversation, leafId) : null;
+  while (current) {
+    path.unshift(current);
+    current = current.parentId ? findMessage(conversation, current.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Path leading up to a message, without the message itself
+ */
+export function getPathBefore(conversation, messageId) {
+  const message = findMessage(conversation, messageId);
+  return message?.parentId ? getPath(conversation, message.parentId) : [];
+}
+
+/**
+ * ➕ Add a message under `parentId` (default: the active leaf) and make it active
+ */
+export function appendMessage(conversation, message, parentId = conversation.activeLeafId) {
+  message.parentId = parentId ?? null;
+  conversation.messages.push(message);
+  conversation.activeLeafId = message.id;
+  return message;
+}
+
+/**
+ * 🔁 Make the branch through `messageId` active, following the newest
+ * child at every fork below it
+ */
+export function switchBranch(conversation, messageId) {
+  let current = findMessage(conversation, messageId);
+  if (!current) return null;
+
+  let children = getChildren(conversation, current.id);
+  while (children.length > 0) {
+    current = children[children.length - 1];
+    children = getChildren(conversation, current.id);
+  }
+
+  conversation.activeLeafId = current.id;
+  return current;
+}
+
+/**
+ * 🏷️ Sibling position info for one message
+ */
+export function describeBranch(conversation, message) {
+  const siblings = getSiblings(conversation, message.id);
+  return {
+    siblingIndex: siblings.findIndex(s => s.id === message.id),
+    siblingCount: siblings.length,
+    siblingIds: siblings.map(s => s.id)
+  };
+}
+
+/**
+ * 👁️ Client view: `messages` is the active branch, each message annotated
+ * with its alternatives; `totalMessages` counts every branch
+ */
+export function toConversationView(conversation) {
+  const { messages, ...rest } = conversation;
+  return {
+    ...rest,
+    messages: getPath(conversation).map(m => ({ ...m, ...describeBranch(conversation, m) })),
+    totalMessages: messages.length
+  };
+}
+
+export default {
+  ensureTree,
+  findMessage,
+  getChildren,
+  getSiblings,
+  getPath,
+  getPathBefore,
+  appendMessage,
+  switchBranch,
+  describeBranch,
+  toConversationView
+};
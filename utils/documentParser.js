@@ -0,0 +1,164 @@
+// utils/documentParser.js - Plain text and chunks from uploaded documents
+//
+// Documents arrive as Markdown, HTML, plain text or text extracted from a PDF.
+// extractText() turns each into plain paragraphs with "# " headings, and
+// chunkText() cuts that into passages small enough to quote in a prompt.
+
+export const DOCUMENT_FORMATS = ['markdown', 'html', 'text', 'pdf'];
+
+export const DEFAULT_CHUNK_SIZE = 800;
+
+/**
+ * ❌ Invalid document; `message` is safe to show to the user
+ */
+export class DocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentError';
+  }
+}
+
+const FORMAT_ALIASES = {
+  md: 'markdown', markdown: 'markdown', 'text/markdown': 'markdown',
+  html: 'html', htm: 'html', 'text/html': 'html',
+  txt: 'text', text: 'text', 'text/plain': 'text',
+  pdf: 'pdf', 'application/pdf': 'pdf'
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * 🏷️ Format from a name, extension or MIME type ("README.md", "text/html")
+ */
+export function detectFormat(value) {
+  if (!value) return null;
+  const lower = String(value).toLowerCase().split(';')[0].trim();
+  return FORMAT_ALIASES[lower] || FORMAT_ALIASES[lower.split('.').pop()] || null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&([a-z]+);/gi, (m, name) => HTML_ENTITIES[name.toLowerCase()] ?? m);
+}
+
+function fromHTML(html) {
+  const text = html
+    .replace(/<(script|style|head|nav|footer|noscript)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, inner) => `\n\n${'#'.repeat(level)} ${inner.replace(/\s+/g, ' ')}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|ul|ol|table|tr|blockquote|pre)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text);
+}
+
+function fromMarkdown(markdown) {
+  return markdown
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^(#{1,6})[ \t]+(.*?)[ \t#]*$/gm, '\n\n$1 $2\n\n')
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '• ')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/`([^`\n]+)`/g, '$1')
+    .replace(/(\*\*|__)(\S(?:.*?\S)?)\1/g, '$2')
+    // Single * or _ only at word edges, so snake_case survives
+    .replace(/(^|\W)([*_])(\S(?:.*?\S)?)\2(?!\w)/gm, '$1$3');
+}
+
+function fromPDFText(text) {
+  return text
+    .replace(/\f/g, '\n\n')
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    // Lines wrapped inside a paragraph join back up
+    .replace(/([^\n])\n(?!\n|•)/g, '$1 ');
+}
+
+/**
+ * 📄 Plain text of a document: paragraphs separated by blank lines,
+ * headings as "# Title"
+ */
+export function extractText(content, format = 'text') {
+  const kind = detectFormat(format);
+  if (!kind) throw new DocumentError(`Unsupported format '${format}' (use ${DOCUMENT_FORMATS.join(', ')})`);
+
+  const raw = String(content ?? '').replace(/\r\n?/g, '\n');
+  const text = kind === 'html' ? fromHTML(raw)
+    : kind === 'markdown' ? fromMarkdown(raw)
+    : kind === 'pdf' ? fromPDFText(raw)
+    : raw;
+
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).filter(Boolean).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Pieces of at most `size` characters, cut after sentences (or words, for
+ * sentences that are longer still, or anywhere in a run without spaces)
+ */
+function splitLong(paragraph, size) {
+  if (paragraph.length <= size) return [paragraph];
+  const sentences = paragraph.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [paragraph];
+  const pieces = [];
+  let current = '';
+
+  sentences.flatMap(sentence => (sentence.length > size ? sentence.match(new RegExp(`[\\s\\S]{1,${size}}(?:\\s|$)|[\\s\\S]{1,${size}}`, 'g')) : [sentence]))
+    .forEach(piece => {
+      if (current && (current + piece).length > size) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += piece;
+    });
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * ✂️ Passages of whole paragraphs, at most `size` characters each, as
+ * [{ index, section, text }]. A heading starts a new passage and names the
+ * `section` of every passage under it.
+ */
+export function chunkText(text, { size = DEFAULT_CHUNK_SIZE } = {}) {
+  const chunks = [];
+  let section = null;
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push({ index: chunks.length, section, text: current.join('\n\n') });
+    current = [];
+  };
+
+  text.split(/\n\n+/).forEach(paragraph => {
+    const heading = paragraph.match(/^#{1,6} (.+)$/);
+    if (heading) {
+      flush();
+      section = heading[1];
+      return;
+    }
+    splitLong(paragraph, size).forEach(piece => {
+      if (current.length > 0 && current.join('\n\n').length + piece.length + 2 > size) flush();
+      current.push(piece);
+    });
+  });
+  flush();
+
+  return chunks;
+}
+
+export default {
+  DOCUMENT_FORMATS,
+  DEFAULT_CHUNK_SIZE,
+  DocumentError,
+  detectFormat,
+  extractText,
+  chunkText
+};
@@ -0,0 +1,304 @@
+// utils/documentStore.js - Pluggable document storage with BM25 search
+//
+// Uploaded documents are split into passages (see documentParser.js) whose
+// term counts are stored with them, so a file-backed store reloads its index
+// without re-reading the documents. search() ranks passages with Okapi BM25.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { DocumentError, DEFAULT_CHUNK_SIZE, detectFormat, extractText, chunkText } from './documentParser.js';
+
+// BM25 term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Share of the query's terms a passage must contain to count as a match
+const DEFAULT_MIN_COVERAGE = 0.5;
+
+const STOPWORDS = new Set(`a about also an and any are as at be but by can could do does for from get give has
+have how i if in into is it its just know let like me more much my need no not of on or our please show so some
+tell than that the their them then there these they this to us want was we what when where which who why will
+with would you your`.split(/\s+/));
+
+/**
+ * ✂️ Search terms of a text: lowercased words without stopwords, plurals singular
+ */
+export function tokenizeTerms(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith('ies') ? `${word.slice(0, -3)}y`
+      : word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word) ? word.slice(0, -1)
+      : word));
+}
+
+function countTerms(text) {
+  const terms = {};
+  tokenizeTerms(text).forEach(term => { terms[term] = (terms[term] || 0) + 1; });
+  return terms;
+}
+
+/**
+ * Passages of a document's text, each with the term counts BM25 needs
+ */
+function indexChunks(text, title) {
+  return chunkText(text, { size: DEFAULT_CHUNK_SIZE }).map(chunk => {
+    // Titles and section names count as passage text, so "refund policy" finds the Refunds section
+    const terms = countTerms([title, chunk.section, chunk.text].filter(Boolean).join('\n'));
+    return { ...chunk, terms, length: Object.values(terms).reduce((sum, n) => sum + n, 0) };
+  });
+}
+
+/**
+ * Document without its text and passages, as listed by the admin routes
+ */
+function summarize({ text, chunks, ...document }) {
+  return { ...document, characters: text.length, chunkCount: chunks.length };
+}
+
+/**
+ * 📚 DocumentStore interface
+ *
+ * Every store exposes the same async methods:
+ *   add({ title, content, format, source, id? }) → summary (replaces an existing id)
+ *   get(id)                                      → document with text and passages | null
+ *   list()                                       → summary[]
+ *   delete(id)                                   → boolean
+ *   reindex()                                    → { documents, chunks }
+ *   search(query, { limit, minCoverage })        → passage[] best first
+ */
+class DocumentStore {
+  async add(document) { throw new Error('add() not implemented'); }
+  async get(id) { throw new Error('get() not implemented'); }
+  async list() { throw new Error('list() not implemented'); }
+  async delete(id) { throw new Error('delete() not implemented'); }
+  async reindex() { throw new Error('reindex() not implemented'); }
+  async search(query, options) { throw new Error('search() not implemented'); }
+}
+
+/**
+ * 🧠 In-memory store (lost on restart)
+ */
+class MemoryDocumentStore extends DocumentStore {
+  constructor() {
+    super();
+    this.documents = new Map();
+    this.stats = null; // document frequencies, rebuilt on the next search after a change
+  }
+
+  async add({ id, title, content, format, source } = {}) {
+    if (!title?.trim()) throw new DocumentError('Document title is required');
+    if (typeof content !== 'string' || !content.trim()) throw new DocumentError('Document content is required');
+
+    // Without a format, the title's extension decides ("faq.md")
+    const kind = format ? detectFormat(format) : detectFormat(title) || 'text';
+    const text = extractText(content, kind || format);
+    if (!text) throw new DocumentError('Document has no text');
+
+    const existing = id ? this.documents.get(id) : null;
+    const now = new Date();
+    const document = {
+      id: id || uuidv4(),
+      title: title.trim(),
+      format: kind,
+      source: source || undefined,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      indexedAt: now,
+      text,
+      chunks: indexChunks(text, title.trim())
+    };
+
+    this.documents.set(document.id, document);
+    this.stats = null;
+    return summarize(document);
+  }
+
+  async get(id) {
+    return this.documents.get(id) || null;
+  }
+
+  async list() {
+    return Array.from(this.documents.values()).map(summarize);
+  }
+
+  async delete(id) {
+    const deleted = this.documents.delete(id);
+    if (deleted) this.stats = null;
+    return deleted;
+  }
+
+  /**
+   * 🔁 Re-chunk every document from its stored text (after the parser changed)
+   */
+  async reindex() {
+    const now = new Date();
+    this.documents.forEach(document => {
+      document.chunks = indexChunks(document.text, document.title);
+      document.indexedAt = now;
+    });
+    this.stats = null;
+    return { documents: this.documents.size, chunks: this.allChunks().length };
+  }
+
+  allChunks() {
+    return Array.from(this.documents.values()).flatMap(document => document.chunks.map(chunk => ({ document, chunk })));
+  }
+
+  indexStats() {
+    if (!this.stats) {
+      const chunks = this.allChunks();
+      const documentFrequency = {};
+      chunks.forEach(({ chunk }) => Object.keys(chunk.terms).forEach(term => {
+        documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+      }));
+      const averageLength = chunks.reduce((sum, { chunk }) => sum + chunk.length, 0) / (chunks.length || 1);
+      this.stats = { chunks, documentFrequency, averageLength };
+    }
+    return this.stats;
+  }
+
+  /**
+   * 🔎 Passages ranked by BM25 as [{ documentId, title, source, section, chunk, text, score }].
+   * Passages holding less than `minCoverage` of the query's terms are left out.
+   */
+  async search(query, { limit = 3, minCoverage = DEFAULT_MIN_COVERAGE } = {}) {
+    const queryTerms = [...new Set(tokenizeTerms(query))];
+    if (queryTerms.length === 0) return [];
+
+    const { chunks, documentFrequency, averageLength } = this.indexStats();
+    const idf = term => {
+      const n = documentFrequency[term] || 0;
+      return Math.log(1 + (chunks.length - n + 0.5) / (n + 0.5));
+    };
+
+    return chunks
+      .map(({ document, chunk }) => {
+        const matched = queryTerms.filter(term => chunk.terms[term]);
+        const score = matched.reduce((sum, term) => {
+          const tf = chunk.terms[term];
+          return sum + idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / averageLength));
+        }, 0);
+        return { document, chunk, score, coverage: matched.length / queryTerms.length };
+      })
+      .filter(({ score, coverage }) => score > 0 && coverage >= minCoverage)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ document, chunk, score }) => ({
+        documentId: document.id,
+        title: document.title,
+        source: document.source,
+        section: chunk.section,
+        chunk: chunk.index,
+        text: chunk.text,
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+}
+
+/**
+ * 📁 File-backed store - keeps the documents and their passages in memory and persists them as JSON
+ */
+class FileDocumentStore extends MemoryDocumentStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the file once, on first access
+   * A file that cannot be read or parsed rejects every call, so the store never
+   * overwrites documents it failed to load.
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(raw => {
+          const data = JSON.parse(raw);
+          (data.documents || []).forEach(d => this.documents.set(d.id, d));
+          console.log(`📚 Documents: Loaded ${this.documents.size} documents from ${this.filePath}`);
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') return;
+          console.error("Document store load error:", error.message);
+          throw new Error(`Cannot load documents from ${this.filePath}: ${error.message}`);
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the whole store atomically (temp file + rename), one write at a time
+   * Rejects when this write fails; later writes still run.
+   */
+  persist() {
+    const snapshot = JSON.stringify({ documents: Array.from(this.documents.values()) });
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async add(document) {
+    await this.load();
+    const summary = await super.add(document);
+    await this.persist();
+    return summary;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+
+  async delete(id) {
+    await this.load();
+    const deleted = await super.delete(id);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+
+  async reindex() {
+    await this.load();
+    const counts = await super.reindex();
+    await this.persist();
+    return counts;
+  }
+
+  async search(query, options) {
+    await this.load();
+    return super.search(query, options);
+  }
+}
+
+/**
+ * 🏭 Create the store selected by DOCUMENT_STORE (file | memory)
+ */
+export function createDocumentStore(type = process.env.DOCUMENT_STORE || 'file') {
+  if (type === 'file') {
+    const filePath = process.env.DOCUMENT_STORE_PATH || path.join('.data', 'documents.json');
+    console.log(`📚 Documents: Using file store at ${filePath}`);
+    return new FileDocumentStore(filePath);
+  }
+  return new MemoryDocumentStore();
+}
+
+export { DocumentStore, MemoryDocumentStore, FileDocumentStore };
+
+export default {
+  createDocumentStore,
+  tokenizeTerms
+};
@@ -0,0 +1,139 @@
+// utils/faqMatcher.js - Fuzzy matching of chat messages against the persona FAQs
+//
+// A message and each FAQ question are compared as sets of terms (see
+// tokenizeTerms in documentStore.js) with synonyms folded into one word and
+// near-identical spellings counted as mostly equal. A high-confidence match is
+// answered with the FAQ's own answer; a medium one goes to the model as context.
+
+import { tokenizeTerms } from './documentStore.js';
+
+const DEFAULT_HIGH_THRESHOLD = 0.65;
+const DEFAULT_MEDIUM_THRESHOLD = 0.45;
+
+// At most this many medium matches are handed to the model
+const MAX_MATCHES = 3;
+
+// Words that ask the same thing; each folds into the first word of its group
+const SYNONYM_GROUPS = [
+  ['hour', 'open', 'opening', 'timing', 'schedule', 'closing'],
+  ['price', 'cost', 'pricing', 'fee', 'charge', 'rate'],
+  ['contact', 'reach', 'call', 'email', 'phone', 'number'],
+  ['refund', 'reimbursement', 'reimburse', 'return'],
+  ['ship', 'shipping', 'delivery', 'deliver', 'shipment'],
+  ['cancel', 'cancellation', 'unsubscribe', 'terminate'],
+  ['pay', 'payment', 'paying', 'billing', 'bill', 'invoice'],
+  ['location', 'address', 'located', 'office', 'find'],
+  ['support', 'help', 'assistance', 'assist'],
+  ['account', 'profile', 'login', 'signin'],
+  ['service', 'product', 'offer', 'offering', 'provide']
+];
+
+const SYNONYMS = new Map(SYNONYM_GROUPS.flatMap(([canonical, ...words]) => words.map(word => [word, canonical])));
+
+// Two spellings this similar (see termSimilarity) are taken for a typo
+const MIN_TYPO_SIMILARITY = 0.75;
+
+/**
+ * 🔤 Lowercased text without accents, with "n't" spelled out and other
+ * contractions ("what's", "we're") dropped
+ */
+export function normalizeText(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’']/g, "'")
+    .replace(/n't\b/g, ' not')
+    .replace(/'(s|re|ve|ll|d|m)\b/g, '')
+    .replace(/&/g, ' and ');
+}
+
+/**
+ * ✂️ Distinct terms of a text with synonyms folded together
+ */
+export function faqTerms(text) {
+  return [...new Set(tokenizeTerms(normalizeText(text)).map(term => SYNONYMS.get(term) || term))];
+}
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * 1 for the same term, less for a likely typo of it (words of 4+ letters), else 0
+ */
+function termSimilarity(a, b) {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < 4) return 0;
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= MIN_TYPO_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * 📏 Similarity of two term sets from 0 to 1: the Dice coefficient, with each
+ * term counting as much as its closest match on the other side
+ */
+export function termSetSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const closest = (term, others) => Math.max(...others.map(other => termSimilarity(term, other)));
+  const matched = a.reduce((sum, term) => sum + closest(term, b), 0) + b.reduce((sum, term) => sum + closest(term, a), 0);
+  return matched / (a.length + b.length);
+}
+
+/**
+ * ❓ FAQs matching a message, or null when none reaches the medium threshold
+ *
+ * Returns { confidence: 'high' | 'medium', faq, matches } where `faq` is the
+ * best match and `matches` are the FAQs over the medium threshold, best first,
+ * as { id, question, answer, score }. The thresholds default to
+ * FAQ_HIGH_THRESHOLD and FAQ_MEDIUM_THRESHOLD.
+ */
+export function matchFaqs(message, faqs = [], {
+  high = parseFloat(process.env.FAQ_HIGH_THRESHOLD) || DEFAULT_HIGH_THRESHOLD,
+  medium = parseFloat(process.env.FAQ_MEDIUM_THRESHOLD) || DEFAULT_MEDIUM_THRESHOLD
+} = {}) {
+  const terms = faqTerms(message);
+  const matches = faqs
+    .map(({ id, question, answer }) => ({
+      id,
+      question,
+      answer,
+      score: Math.round(termSetSimilarity(terms, faqTerms(question)) * 100) / 100
+    }))
+    .filter(match => match.score >= medium)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES);
+
+  if (matches.length === 0) return null;
+  return { confidence: matches[0].score >= high ? 'high' : 'medium', faq: matches[0], matches };
+}
+
+/**
+ * 📊 What a message records about its FAQ match: { confidence, matches: [{ id, score }] }
+ */
+export function describeFaqMatch(match) {
+  return match ? { confidence: match.confidence, matches: match.matches.map(({ id, score }) => ({ id, score })) } : undefined;
+}
+
+export default {
+  normalizeText,
+  faqTerms,
+  termSetSimilarity,
+  matchFaqs,
+  describeFaqMatch
+};
@@ -0,0 +1,303 @@
+// utils/httpClient.js - Shared HTTP client for external APIs
+//
+// Every outbound call gets a real timeout (AbortController), retries with
+// backoff for transient failures, a User-Agent and a per-host circuit
+// breaker: after HTTP_BREAKER_THRESHOLD consecutive failures a host is
+// skipped for HTTP_BREAKER_COOLDOWN ms, then one trial request decides
+// whether it is back. Failures are thrown as HttpError subclasses.
+//
+// With HTTP_FIXTURES=record|replay responses are saved to or served from
+// fixture files instead (see httpFixtures.js).
+
+import { getFixtureMode, replayFixture, recordFixture } from './httpFixtures.js';
+
+const DEFAULT_TIMEOUT = 5000;
+const RETRY_BASE_DELAY = 300;
+const RETRY_MAX_DELAY = 2000;
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * ❌ Failed HTTP call. `code` is HTTP_STATUS, TIMEOUT, NETWORK, PARSE,
+ * CIRCUIT_OPEN or NO_FIXTURE (replay mode without a matching fixture); `body` holds the parsed error response for HTTP_STATUS
+ */
+export class HttpError extends Error {
+  constructor(message, { url = null, status = null, code = 'HTTP_STATUS', retryable = false, retryAfter = null, body = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.host = hostOf(url);
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter; // ms, from the Retry-After header
+    this.body = body;
+  }
+}
+
+export class TimeoutError extends HttpError {
+  constructor(url, timeout) {
+    super(`Request to ${hostOf(url)} timed out after ${timeout}ms`, { url, code: 'TIMEOUT', retryable: true });
+    this.name = 'TimeoutError';
+  }
+}
+
+export class NetworkError extends HttpError {
+  constructor(url, cause) {
+    super(`Request to ${hostOf(url)} failed: ${cause.cause?.code || cause.message}`, { url, code: 'NETWORK', retryable: true });
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+export class CircuitOpenError extends HttpError {
+  constructor(url, retryAfter) {
+    super(`${hostOf(url)} is unavailable (circuit open)`, { url, code: 'CIRCUIT_OPEN', retryAfter });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * ⏳ Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 📈 Exponential backoff with jitter
+ */
+export function backoffDelay(attempt, baseDelay = RETRY_BASE_DELAY, maxDelay = RETRY_MAX_DELAY) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CIRCUIT BREAKERS
+// ═══════════════════════════════════════════════════════════════
+
+const breakers = new Map(); // host → { state, failures, openedAt, trial }
+
+function breakerFor(host) {
+  if (!breakers.has(host)) breakers.set(host, { state: 'closed', failures: 0, openedAt: null, trial: false });
+  return breakers.get(host);
+}
+
+/**
+ * Throw CircuitOpenError while the host is cooling down; after the cooldown
+ * a single trial request is let through
+ */
+function checkBreaker(url) {
+  const breaker = breakerFor(hostOf(url));
+  if (breaker.state === 'closed') return;
+
+  const cooldown = parseInt(process.env.HTTP_BREAKER_COOLDOWN) || 30000;
+  const remaining = breaker.openedAt + cooldown - Date.now();
+  if (remaining > 0 || breaker.trial) throw new CircuitOpenError(url, Math.max(0, remaining));
+
+  breaker.state = 'half-open';
+  breaker.trial = true;
+}
+
+function recordSuccess(url) {
+  const breaker = breakerFor(hostOf(url));
+  if (breaker.state !== 'closed') console.log(`🔌 HTTP: ${hostOf(url)} recovered, circuit closed`);
+  breakers.set(hostOf(url), { state: 'closed', failures: 0, openedAt: null, trial: false });
+}
+
+function recordFailure(url) {
+  const breaker = breakerFor(hostOf(url));
+  const threshold = parseInt(process.env.HTTP_BREAKER_THRESHOLD) || 5;
+  breaker.failures++;
+  breaker.trial = false;
+
+  if (breaker.state === 'half-open' || breaker.failures >= threshold) {
+    if (breaker.state !== 'open') console.warn(`🔌 HTTP: ${hostOf(url)} failing, circuit open`);
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * 📊 Breaker state per host
+ */
+export function getCircuitStates() {
+  return Object.fromEntries(Array.from(breakers, ([host, { state, failures, openedAt }]) => [
+    host,
+    { state, failures, openedAt: openedAt && new Date(openedAt).toISOString() }
+  ]));
+}
+
+export function resetCircuits() {
+  breakers.clear();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REQUESTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * 🌐 HTTP request with timeout, retries and circuit breaking
+ *
+ * Options: method, headers, body (objects are sent as JSON), timeout (ms,
+ * HTTP_TIMEOUT env, 5000 by default), retries (1 for GET, 0 otherwise),
+ * signal, circuitBreaker (false to bypass) and parse: 'json' | 'text' |
+ * 'response'. With 'response' the raw Response is returned as soon as the
+ * headers arrive and the caller reads the body, e.g. a stream.
+ *
+ * Non-2xx responses, timeouts, network failures and unparseable bodies throw
+ * HttpError. Only failures that count against the host (network, timeout,
+ * 429 and 5xx) trip its breaker.
+ */
+export async function request(url, {
+  method = 'GET',
+  headers = {},
+  body,
+  timeout = parseInt(process.env.HTTP_TIMEOUT) || DEFAULT_TIMEOUT,
+  retries = method === 'GET' ? 1 : 0,
+  signal,
+  circuitBreaker = true,
+  parse = 'json'
+} = {}) {
+  const init = {
+    method,
+    headers: { 'User-Agent': getUserAgent(), Accept: 'application/json', ...headers },
+    body
+  };
+  if (body !== undefined && typeof body !== 'string') {
+    init.body = JSON.stringify(body);
+    init.headers['Content-Type'] ||= 'application/json';
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    if (circuitBreaker) checkBreaker(url);
+
+    try {
+      const result = await send(url, init, { timeout, signal, parse });
+      if (circuitBreaker) recordSuccess(url);
+      return result;
+    } catch (error) {
+      // Any other answer (e.g. a 404) still shows the host is up
+      const hostFailed = error.code === 'TIMEOUT' || error.code === 'NETWORK' || error.status === 429 || error.status >= 500;
+      if (circuitBreaker && hostFailed) recordFailure(url);
+      else if (circuitBreaker) recordSuccess(url);
+
+      const delay = error.retryAfter ?? backoffDelay(attempt);
+      if (!error.retryable || attempt >= retries || signal?.aborted || delay > RETRY_MAX_DELAY) throw error;
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * One try: fetch, check the status and read the body before the timeout
+ */
+async function send(url, init, { timeout, signal, parse }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+  const timeoutId = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+
+  try {
+    const response = await fetchOrReplay(url, init, controller, { timeout, signal });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      let errorBody = text;
+      try { errorBody = JSON.parse(text); } catch {}
+      throw new HttpError(`${hostOf(url)} responded ${response.status}`, {
+        url,
+        status: response.status,
+        retryable: RETRYABLE_STATUSES.includes(response.status),
+        retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+        body: errorBody
+      });
+    }
+
+    if (parse === 'response') return response;
+
+    let text;
+    try {
+      text = await response.text();
+    } catch (error) {
+      throw controller.signal.aborted && !signal?.aborted ? new TimeoutError(url, timeout) : new NetworkError(url, error);
+    }
+    if (parse === 'text') return text;
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new HttpError(`${hostOf(url)} returned invalid JSON`, { url, status: response.status, code: 'PARSE' });
+    }
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * fetch(), or in fixture mode replay a saved response / record the real one
+ */
+async function fetchOrReplay(url, init, controller, { timeout, signal }) {
+  const mode = getFixtureMode();
+
+  if (mode === 'replay') {
+    const response = replayFixture(init.method, url, init.body);
+    if (!response) throw new HttpError(`No fixture for ${init.method} ${url}`, { url, code: 'NO_FIXTURE' });
+    return response;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    throw controller.signal.aborted && !signal?.aborted ? new TimeoutError(url, timeout) : new NetworkError(url, error);
+  }
+
+  if (mode === 'record') {
+    recordFixture(init.method, url, init.body, response.clone())
+      .catch(error => console.error("Fixture record error:", error.message));
+  }
+  return response;
+}
+
+/**
+ * GET and parse JSON
+ */
+export function getJSON(url, options = {}) {
+  return request(url, { ...options, parse: 'json' });
+}
+
+/**
+ * GET the body as text
+ */
+export function getText(url, options = {}) {
+  return request(url, { ...options, parse: 'text' });
+}
+
+function getUserAgent() {
+  return process.env.HTTP_USER_AGENT || 'UltimateAI/4.0';
+}
+
+export default {
+  request,
+  getJSON,
+  getText,
+  getCircuitStates,
+  resetCircuits,
+  parseRetryAfter,
+  backoffDelay
+};
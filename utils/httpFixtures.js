@@ -0,0 +1,175 @@
+// utils/httpFixtures.js - Record/replay of upstream HTTP responses
+//
+// HTTP_FIXTURES=record saves every response the HTTP client receives;
+// HTTP_FIXTURES=replay answers from saved fixtures only and never touches the
+// network. Fixtures live in HTTP_FIXTURES_DIR (data/fixtures by default) as
+// JSON files holding arrays of entries:
+//
+//   { "method": "GET", "url": "https://wttr.in/*", "status": 200,
+//     "headers": { "content-type": "application/json" }, "json": { ... } }
+//
+// `url` may contain * wildcards and the most specific match wins. An entry
+// with `body` only matches requests whose JSON body has those top-level
+// values (e.g. { "stream": true } for streamed LLM replies). The response is
+// `json`, or `text` for anything else (such as an event stream).
+//
+// The bundled set in data/fixtures covers every service plus LLM chat
+// completions, so with HTTP_FIXTURES=replay and a placeholder key
+// (GROQ_API_KEY=fixtures) all chat routes run without a network.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../data/fixtures', import.meta.url));
+
+// Query parameters holding credentials are stored as wildcards
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'appid', 'token', 'access_token'];
+
+let loaded = null; // { dir, entries: [{ file, entry }] }
+
+/**
+ * 🎞️ Active mode: 'record', 'replay' or null
+ */
+export function getFixtureMode() {
+  const mode = process.env.HTTP_FIXTURES;
+  return mode === 'record' || mode === 'replay' ? mode : null;
+}
+
+function getFixturesDir() {
+  return process.env.HTTP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function loadFixtures() {
+  const dir = getFixturesDir();
+  if (loaded?.dir === dir) return loaded.entries;
+
+  const entries = [];
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort().forEach(name => {
+      const file = path.join(dir, name);
+      const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(list)) throw new Error(`${file} must contain an array of fixtures`);
+      list.forEach(entry => entries.push({ file, entry }));
+    });
+  }
+
+  loaded = { dir, entries };
+  return entries;
+}
+
+/**
+ * Forget loaded fixtures (after editing them or switching HTTP_FIXTURES_DIR)
+ */
+export function resetFixtures() {
+  loaded = null;
+}
+
+/**
+ * 🔎 Best fixture for a request, or null
+ */
+export function findFixture(method, url, body) {
+  const fields = bodyFields(body);
+  let best = null;
+  let bestScore = -1;
+
+  loadFixtures().forEach(({ entry }) => {
+    if ((entry.method || 'GET').toUpperCase() !== method.toUpperCase()) return;
+    if (!globToRegExp(entry.url).test(url)) return;
+    if (entry.body && !Object.entries(entry.body).every(([key, value]) => fields[key] === value)) return;
+
+    // Exact URLs beat wildcards, longer patterns beat shorter, body matches break ties
+    const score = (entry.url.includes('*') ? 0 : 1e6) + entry.url.replace(/\*/g, '').length * 10
+      + Object.keys(entry.body || {}).length;
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * ▶️ Response for a request from the fixtures, or null if none matches
+ */
+export function replayFixture(method, url, body) {
+  const entry = findFixture(method, url, body);
+  if (!entry) return null;
+
+  const text = entry.json !== undefined ? JSON.stringify(entry.json) : entry.text ?? '';
+  const headers = { 'content-type': entry.json !== undefined ? 'application/json' : 'text/plain', ...entry.headers };
+  return new Response(text, { status: entry.status || 200, headers });
+}
+
+/**
+ * ⏺️ Save a response (a clone, so the caller can still read the original)
+ * to <host>.json in the fixtures directory, replacing any entry for the
+ * same request
+ */
+export async function recordFixture(method, url, body, response) {
+  const text = await response.text();
+  const contentType = response.headers.get('content-type') || '';
+  const entry = { method: method.toUpperCase(), url: redactUrl(url) };
+
+  const fields = bodyFields(body);
+  if (Object.keys(fields).length > 0) entry.body = fields;
+  entry.status = response.status;
+  entry.headers = { 'content-type': contentType };
+  if (response.headers.get('retry-after')) entry.headers['retry-after'] = response.headers.get('retry-after');
+
+  try {
+    if (!contentType.includes('json')) throw new Error('not JSON');
+    entry.json = JSON.parse(text);
+  } catch {
+    entry.text = text;
+  }
+
+  const dir = getFixturesDir();
+  const file = path.join(dir, `${new URL(url).host.replace(/[^a-z0-9.-]/gi, '_')}.json`);
+  fs.mkdirSync(dir, { recursive: true });
+  const list = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  const sameRequest = e => e.method === entry.method && e.url === entry.url
+    && JSON.stringify(e.body || {}) === JSON.stringify(entry.body || {});
+  fs.writeFileSync(file, JSON.stringify([...list.filter(e => !sameRequest(e)), entry], null, 2));
+
+  resetFixtures();
+  console.log(`🎞️ Fixtures: Recorded ${entry.method} ${entry.url}`);
+}
+
+/**
+ * Top-level scalar fields of a JSON request body
+ */
+function bodyFields(body) {
+  if (typeof body !== 'string') return {};
+  try {
+    const parsed = JSON.parse(body);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+    return Object.fromEntries(Object.entries(parsed).filter(([, value]) => value === null || typeof value !== 'object'));
+  } catch {
+    return {};
+  }
+}
+
+function redactUrl(url) {
+  const parsed = new URL(url);
+  let redacted = parsed.href;
+  SECRET_PARAMS.forEach(param => {
+    const value = parsed.searchParams.get(param);
+    if (value) redacted = redacted.replace(`${param}=${encodeURIComponent(value)}`, `${param}=*`);
+  });
+  return redacted;
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+export default {
+  getFixtureMode,
+  findFixture,
+  replayFixture,
+  recordFixture,
+  resetFixtures
+};
@@ -0,0 +1,259 @@
+// utils/intentClassifier.js - Pluggable local intent classifiers
+//
+// Models are trained at startup from a labeled utterance file
+// (data/intents/train.json, override with INTENT_TRAINING_PATH) shaped as
+// [{ "text": "weather in paris", "intent": "weather" }, ...]. Their scores are
+// merged with the regex rules in queryAnalyzer.js.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_TRAINING_PATH = fileURLToPath(new URL('../data/intents/train.json', import.meta.url));
+export const DEFAULT_TEST_PATH = fileURLToPath(new URL('../data/intents/test.json', import.meta.url));
+
+/**
+ * ✂️ Lowercased word unigrams and bigrams; numbers collapse to one token
+ */
+export function tokenize(text) {
+  const words = String(text)
+    .toLowerCase()
+    .replace(/\d+(?:[.,]\d+)?/g, ' <num> ')
+    .replace(/[^a-z0-9<>%+\-*/^'\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const bigrams = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+  return [...words, ...bigrams];
+}
+
+// Words that say little about the intent on their own
+const FUNCTION_WORDS = new Set(`a about an and any are at be can could did do does for give how i in is it me my
+of on or our please show some tell that the there this to was we what what's when where which who why will with
+would you your want`.split(/\s+/));
+
+/**
+ * Words of a text that carry meaning (no function words or bigrams)
+ */
+function contentWords(text) {
+  return tokenize(text).filter(token => !token.includes(' ') && !FUNCTION_WORDS.has(token));
+}
+
+/**
+ * 🧠 IntentClassifier interface
+ *
+ *   train(examples)         → this     examples: [{ text, intent }]
+ *   predict(text)           → [{ intent, score }] best first, scores in 0..1
+ *   coverage(text, intent)  → share of the text's content words seen in the intent's examples
+ *   minScore                → lowest top score worth acting on
+ *
+ * predict() returns [] when the text shares no features with the training
+ * data, so callers can tell "no opinion" from a low score. A confident
+ * prediction with low coverage rests on function words ("i want to ...").
+ */
+class IntentClassifier {
+  minScore = 0.5;
+
+  train(examples) { throw new Error('train() not implemented'); }
+  predict(text) { throw new Error('predict() not implemented'); }
+
+  /**
+   * Remember the content words of each intent's examples, for coverage()
+   */
+  learnWords(examples) {
+    this.intentWords = {};
+    examples.forEach(({ text, intent }) => {
+      this.intentWords[intent] ||= new Set();
+      contentWords(text).forEach(word => this.intentWords[intent].add(word));
+    });
+  }
+
+  coverage(text, intent) {
+    const words = contentWords(text);
+    if (words.length === 0) return 0;
+    const known = this.intentWords?.[intent] || new Set();
+    return words.filter(word => known.has(word)).length / words.length;
+  }
+}
+
+/**
+ * 📊 Multinomial naive Bayes with Laplace smoothing; scores are posteriors
+ */
+class NaiveBayesClassifier extends IntentClassifier {
+  minScore = 0.6;
+
+  train(examples) {
+    this.learnWords(examples);
+    this.docCounts = {};
+    this.tokenCounts = {};
+    this.totals = {};
+    this.vocabulary = new Set();
+
+    examples.forEach(({ text, intent }) => {
+      this.docCounts[intent] = (this.docCounts[intent] || 0) + 1;
+      this.tokenCounts[intent] ||= {};
+      tokenize(text).forEach(token => {
+        this.tokenCounts[intent][token] = (this.tokenCounts[intent][token] || 0) + 1;
+        this.totals[intent] = (this.totals[intent] || 0) + 1;
+        this.vocabulary.add(token);
+      });
+    });
+
+    this.exampleCount = examples.length;
+    return this;
+  }
+
+  predict(text) {
+    const tokens = tokenize(text).filter(token => this.vocabulary.has(token));
+    if (tokens.length === 0) return [];
+
+    const vocabularySize = this.vocabulary.size;
+    const logScores = Object.keys(this.docCounts).map(intent => {
+      let logProb = Math.log(this.docCounts[intent] / this.exampleCount);
+      tokens.forEach(token => {
+        const count = this.tokenCounts[intent][token] || 0;
+        logProb += Math.log((count + 1) / ((this.totals[intent] || 0) + vocabularySize));
+      });
+      return { intent, logProb };
+    });
+
+    // Softmax over log probabilities
+    const max = Math.max(...logScores.map(s => s.logProb));
+    const exp = logScores.map(s => ({ intent: s.intent, value: Math.exp(s.logProb - max) }));
+    const sum = exp.reduce((total, s) => total + s.value, 0);
+
+    return exp
+      .map(s => ({ intent: s.intent, score: s.value / sum }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * 📐 TF-IDF vectors compared by cosine similarity to each intent's centroid
+ */
+class TfidfClassifier extends IntentClassifier {
+  minScore = 0.25;
+
+  train(examples) {
+    this.learnWords(examples);
+    const documentFrequency = {};
+    const documents = examples.map(({ text, intent }) => {
+      const tokens = tokenize(text);
+      new Set(tokens).forEach(token => {
+        documentFrequency[token] = (documentFrequency[token] || 0) + 1;
+      });
+      return { tokens, intent };
+    });
+
+    this.idf = {};
+    Object.entries(documentFrequency).forEach(([token, df]) => {
+      this.idf[token] = Math.log((1 + examples.length) / (1 + df)) + 1;
+    });
+
+    const sums = {};
+    documents.forEach(({ tokens, intent }) => {
+      sums[intent] ||= {};
+      Object.entries(this.vectorize(tokens)).forEach(([token, weight]) => {
+        sums[intent][token] = (sums[intent][token] || 0) + weight;
+      });
+    });
+
+    this.centroids = {};
+    Object.entries(sums).forEach(([intent, vector]) => {
+      this.centroids[intent] = normalize(vector);
+    });
+    return this;
+  }
+
+  vectorize(tokens) {
+    const vector = {};
+    tokens.forEach(token => {
+      if (this.idf[token]) vector[token] = (vector[token] || 0) + this.idf[token];
+    });
+    return normalize(vector);
+  }
+
+  predict(text) {
+    const vector = this.vectorize(tokenize(text));
+    if (Object.keys(vector).length === 0) return [];
+
+    return Object.entries(this.centroids)
+      .map(([intent, centroid]) => ({
+        intent,
+        score: Object.entries(vector).reduce((dot, [token, weight]) => dot + weight * (centroid[token] || 0), 0)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(Object.values(vector).reduce((sum, w) => sum + w * w, 0));
+  if (norm === 0) return vector;
+  return Object.fromEntries(Object.entries(vector).map(([token, w]) => [token, w / norm]));
+}
+
+const CLASSIFIERS = {
+  'naive-bayes': NaiveBayesClassifier,
+  tfidf: TfidfClassifier
+};
+
+/**
+ * 📂 Read a labeled utterance file
+ */
+export function loadExamples(filePath) {
+  const examples = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(examples)) throw new Error(`${filePath} must contain an array of { text, intent }`);
+  return examples.filter(e => e?.text && e?.intent);
+}
+
+/**
+ * 🏭 Create and train the classifier selected by INTENT_CLASSIFIER
+ * (naive-bayes | tfidf | none). Returns null for "none" or if training fails.
+ */
+export function createIntentClassifier(
+  type = process.env.INTENT_CLASSIFIER || 'naive-bayes',
+  trainingPath = process.env.INTENT_TRAINING_PATH || DEFAULT_TRAINING_PATH
+) {
+  if (type === 'none') return null;
+
+  const Classifier = CLASSIFIERS[type];
+  if (!Classifier) throw new Error(`Unknown intent classifier "${type}" (use ${Object.keys(CLASSIFIERS).join(', ')} or none)`);
+
+  try {
+    const examples = loadExamples(trainingPath);
+    const classifier = new Classifier().train(examples);
+    classifier.type = type;
+    console.log(`🧠 Intents: Trained ${type} classifier on ${examples.length} utterances`);
+    return classifier;
+  } catch (error) {
+    console.error("Intent classifier error:", error.message);
+    return null;
+  }
+}
+
+let activeClassifier;
+
+/**
+ * Shared classifier, trained on first use
+ */
+export function getIntentClassifier() {
+  if (activeClassifier === undefined) activeClassifier = createIntentClassifier();
+  return activeClassifier;
+}
+
+/**
+ * 🔌 Swap the shared classifier (any object with predict(text) and optionally
+ * coverage(text, intent), or null for rules only)
+ */
+export function setIntentClassifier(classifier) {
+  activeClassifier = classifier;
+}
+
+export { IntentClassifier, NaiveBayesClassifier, TfidfClassifier };
+
+export default {
+  tokenize,
+  loadExamples,
+  createIntentClassifier,
+  getIntentClassifier,
+  setIntentClassifier
+};
@@ -0,0 +1,219 @@
+// utils/knowledgeGatherer.js - Live data for a chat message
+//
+// Analyzes the message (see queryAnalyzer.js), runs the service calls of
+// every intent in parallel, next to a search of the uploaded documents, and
+// falls back to a web search when none of them found anything. A medium FAQ
+// match (see faqMatcher.js) is passed along as the "faq" knowledge.
+
+import defaultServices from "../services/index.js";
+import { analyzeQuery, describeResolvedQuery, getMathVariables, needsWebSearchFallback } from "./queryAnalyzer.js";
+import { listSources } from "./citations.js";
+
+/**
+ * 🔄 Call the services each intent of the message needs
+ *
+ * Returns { knowledge, sources, resolvedQuery, variables }. `sources`
+ * numbers where each result came from (see citations.js). `history` is the
+ * conversation path before this message, used to resolve follow-ups ("and in
+ * Berlin?") and to find math variables; `variables` is set when a calculation
+ * changed them, to be stored on the user message. `services` defaults to
+ * services/index.js; `documents` is a document store (utils/documentStore.js)
+ * whose matching passages become the "documents" knowledge; `faq` is a
+ * matchFaqs() result that becomes the "faq" knowledge.
+ */
+export async function gatherKnowledge(message, { history = [], services = defaultServices, documents = null, faq = null } = {}) {
+  const variables = getMathVariables(history);
+  const analysis = analyzeQuery(message, { context: { history }, variables });
+  const results = {};
+  const tasks = [];
+  const retrievedAt = new Map(); // result → when it arrived
+
+  console.log(`🧠 Query Analysis:`, {
+    primaryIntent: analysis.primaryIntent,
+    ruleIntent: analysis.ruleIntent,
+    confidence: analysis.confidence,
+    followUp: Boolean(analysis.followUp),
+    intents: analysis.intents.map(i => i.primaryIntent),
+    entities: analysis.intents.flatMap(i => i.slots.entities).map(e => `${e.type}:${e.text}`),
+    searchTerms: analysis.searchTerms
+  });
+
+  // One set of service calls per intent (a multi-intent query has several)
+  analysis.intents.forEach(intent => tasks.push(...planKnowledgeTasks(intent, services, { variables })));
+
+  // Passages of uploaded documents, whatever the intent
+  if (documents) {
+    tasks.push(startTask("documents", async () => {
+      const passages = await documents.search(message);
+      return passages.length > 0 ? { query: message, passages, source: "Knowledge Base" } : null;
+    }, "Document search"));
+  }
+
+  // Wait for all service calls with timeout
+  await Promise.race([
+    Promise.all(tasks.map(task => task.promise)),
+    new Promise(resolve => setTimeout(resolve, 6000))
+  ]);
+
+  // Collect in request order; a service answering more than once gets an array
+  tasks.forEach(({ key, data, receivedAt }) => {
+    if (!data) return;
+    retrievedAt.set(data, receivedAt);
+    results[key] = results[key] === undefined ? data : [].concat(results[key], data);
+  });
+
+  // 🔍 WEB SEARCH FALLBACK - If no results found, try web search
+  const searchTerms = analysis.intents.flatMap(intent => intent.searchTerms);
+  if (needsWebSearchFallback(results) && (analysis.needsWebSearch || searchTerms.length > 0)) {
+    console.log("🔍 Triggering web search fallback...");
+    const searchQuery = searchTerms[0] || message.replace(/\?/g, '').trim();
+    
+    try {
+      const webSearchResult = await services.webSearch.smartSearch(searchQuery);
+      if (webSearchResult.found) {
+        results.webSearch = webSearchResult;
+        retrievedAt.set(webSearchResult, new Date());
+        console.log("✅ Web search fallback successful");
+      }
+    } catch (e) {
+      console.error("Web search fallback error:", e.message);
+    }
+  }
+
+  // Added after the fallback check: an FAQ that may not fit is no reason to skip the web search
+  if (faq) {
+    results.faq = { query: message, matches: faq.matches, source: "FAQ" };
+    retrievedAt.set(results.faq, new Date());
+  }
+
+  return {
+    knowledge: results,
+    sources: listSources(results, { retrievedAt }),
+    resolvedQuery: describeResolvedQuery(analysis, message),
+    variables: results.math ? [].concat(results.math).at(-1).variables : undefined
+  };
+}
+
+/**
+ * Run one lookup; the task stores its result as `data` (and its arrival as
+ * `receivedAt`) once `promise` settles
+ */
+function startTask(key, run, label) {
+  const task = { key };
+  task.promise = Promise.resolve()
+    .then(run)
+    .then(data => { task.data = data; task.receivedAt = new Date(); })
+    .catch(e => { if (label) console.error(`${label} error:`, e.message); });
+  return task;
+}
+
+/**
+ * Service calls for one analyzed intent, as tasks (see startTask)
+ */
+function planKnowledgeTasks(analysis, services, { variables }) {
+  const { slots } = analysis;
+  const tasks = [];
+  const add = (key, run, label) => tasks.push(startTask(key, run, label));
+
+  // Every named place gets its own lookup ("weather in Tokyo, London")
+  const locations = slots.locations.map(l => l.value);
+
+  // Time
+  if (analysis.needsTime) {
+    (locations.length ? locations : ["UTC"]).forEach(location => {
+      add("time", () => services.time.getWorldTime(location), "Time");
+    });
+  }
+
+  // Date
+  if (analysis.needsDate) {
+    add("date", () => services.time.getDateInfo(slots.dates[0]?.value || null));
+  }
+
+  // Weather
+  if (analysis.needsWeather) {
+    (locations.length ? locations : ["New York"]).forEach(location => {
+      add("weather", () => services.weather.getWeather(location), "Weather");
+    });
+  }
+
+  // Currency
+  if (analysis.needsCurrency) {
+    const [from, ...targets] = slots.money;
+    if (from && targets.length > 0) {
+      targets.forEach(to => {
+        add("currency", () => services.finance.convertCurrency(from.amount ?? to.amount ?? 1, from.currency, to.currency));
+      });
+    } else {
+      add("currency", () => services.finance.getExchangeRates(from?.currency || "USD"));
+    }
+  }
+
+  // Crypto
+  if (analysis.needsCrypto) {
+    if (slots.cryptos.length === 0) {
+      add("crypto", () => services.finance.getTopCryptos(10));
+    } else {
+      slots.cryptos.forEach(crypto => {
+        add("crypto", () => services.finance.getCryptoPrice(crypto.id));
+      });
+    }
+  }
+
+  // News
+  if (analysis.needsNews) {
+    add("news", () => services.news.getNews(analysis.newsCategory || 'technology'));
+  }
+
+  // Country
+  if (analysis.needsCountry && analysis.searchTerms.length > 0) {
+    add("country", () => services.geography.getCountryInfo(analysis.searchTerms[0]));
+  }
+
+  // Dictionary
+  if (analysis.needsDictionary && analysis.searchTerms.length > 0) {
+    add("dictionary", () => services.webSearch.searchDictionary(analysis.searchTerms[0]));
+  }
+
+  // Math
+  if (analysis.needsMath && analysis.mathOperation) {
+    add("math", () => services.math.calculateMath(analysis.mathOperation, analysis.mathExpression, {
+      variable: analysis.mathVariable || undefined
+    }), "Symbolic math");
+  } else if (analysis.needsMath && analysis.mathExpression) {
+    add("math", () => services.math.evaluateMathExpression(analysis.mathExpression, { variables }));
+  }
+
+  // Unit conversion
+  if (analysis.needsUnits) {
+    slots.quantities.filter(q => q.toUnit).forEach(quantity => {
+      add("unitConvert", () => services.math.convertUnits(quantity.value, quantity.unit, quantity.toUnit));
+    });
+  }
+
+  // Quote
+  if (analysis.needsQuote) {
+    add("quote", () => services.entertainment.getQuote());
+  }
+
+  // Joke
+  if (analysis.needsJoke) {
+    add("joke", () => services.entertainment.getJoke());
+  }
+
+  // Trivia
+  if (analysis.needsTrivia) {
+    add("trivia", () => services.entertainment.getTriviaQuestion());
+  }
+
+  // Wikipedia
+  if (analysis.needsWikipedia && analysis.searchTerms.length > 0) {
+    add("wikipedia", () => services.webSearch.searchWikipedia(analysis.searchTerms[0]));
+  }
+
+  return tasks;
+}
+
+export default {
+  gatherKnowledge
+};
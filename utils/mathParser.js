@@ -0,0 +1,409 @@
+// utils/mathParser.js - Tokenizer, parser and evaluator for math expressions
+//
+// Replaces eval-style evaluation: only the grammar below is understood, and
+// errors point at the offending token (1-based `position`).
+//
+//   statement := name '=' expr | expr
+//   expr      := term (('+' | '-') term)*         a ± b% means a ± a·b/100
+//   term      := unary (('*' | '/' | '%' | 'of' | implicit) unary)*
+//   unary     := ('-' | '+' | '√') unary | power
+//   power     := postfix (('^' | '**') unary)?     right-associative, -2^2 = -4
+//   postfix   := primary ('!' | '%' | '°')*        '%' is a percent unless an operand follows
+//   primary   := number | name | name '(' args ')' | name power | '(' expr ')'
+//
+// Names are case-insensitive. Trig functions work in radians (30° converts).
+
+/**
+ * ❌ Invalid expression. `position` (1-based) and `token` locate the problem
+ */
+export class MathError extends Error {
+  constructor(message, { position = null, token = null } = {}) {
+    super(position ? `${message} at position ${position}` : message);
+    this.name = 'MathError';
+    this.position = position;
+    this.token = token;
+  }
+}
+
+export const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  tau: 2 * Math.PI,
+  phi: (1 + Math.sqrt(5)) / 2
+};
+
+// name: [fn, minArgs, maxArgs]
+export const FUNCTIONS = {
+  sqrt: [Math.sqrt, 1, 1],
+  cbrt: [Math.cbrt, 1, 1],
+  abs: [Math.abs, 1, 1],
+  sin: [Math.sin, 1, 1],
+  cos: [Math.cos, 1, 1],
+  tan: [Math.tan, 1, 1],
+  asin: [Math.asin, 1, 1],
+  acos: [Math.acos, 1, 1],
+  atan: [Math.atan, 1, 1],
+  sinh: [Math.sinh, 1, 1],
+  cosh: [Math.cosh, 1, 1],
+  tanh: [Math.tanh, 1, 1],
+  ln: [Math.log, 1, 1],
+  log: [(x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)), 1, 2],
+  log2: [Math.log2, 1, 1],
+  log10: [Math.log10, 1, 1],
+  exp: [Math.exp, 1, 1],
+  floor: [Math.floor, 1, 1],
+  ceil: [Math.ceil, 1, 1],
+  round: [Math.round, 1, 1],
+  min: [Math.min, 1, Infinity],
+  max: [Math.max, 1, Infinity],
+  fact: [factorial, 1, 1]
+};
+
+const SYMBOLS = { '×': '*', '·': '*', '÷': '/', '−': '-', 'π': 'pi' };
+const OPERATORS = ['**', '+', '-', '*', '/', '%', '^', '!', '°', '√', '=', '(', ')', ','];
+const MAX_FACTORIAL = 170;
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🔤 TOKENIZER
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * 🔤 Split an expression into { type, value, position } tokens
+ * (type: number, name, op or end)
+ */
+export function tokenize(expression) {
+  const tokens = [];
+  const text = String(expression ?? '');
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const position = i + 1;
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), text: number[0], position });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = text.slice(i).match(/^[a-z_][a-z0-9_]*/i);
+    if (name) {
+      const value = name[0].toLowerCase();
+      tokens.push({ type: value === 'of' ? 'op' : 'name', value, text: name[0], position });
+      i += name[0].length;
+      continue;
+    }
+
+    if (SYMBOLS[char]) {
+      const value = SYMBOLS[char];
+      tokens.push({ type: value === 'pi' ? 'name' : 'op', value, text: char, position });
+      i++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, i));
+    if (!operator) throw new MathError(`Unexpected character '${char}'`, { position, token: char });
+
+    tokens.push({ type: 'op', value: operator, text: operator, position });
+    i += operator.length;
+  }
+
+  tokens.push({ type: 'end', value: null, text: '', position: text.length + 1 });
+  return tokens;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🌳 PARSER
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * 🌳 Parse an expression into a syntax tree. Nodes are { type, position, ... }:
+ * number { value }, name { name }, call { name, args }, unary { op, arg },
+ * binary { op, left, right }, postfix { op, arg }, assign { name, value }
+ */
+export function parse(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOp = (token, ...ops) => token.type === 'op' && ops.includes(token.value);
+
+  const fail = (token, message) => {
+    if (token.type === 'end') throw new MathError(message || 'Unexpected end of expression', { position: token.position });
+    throw new MathError(message || `Unexpected '${token.text}'`, { position: token.position, token: token.text });
+  };
+
+  // An operand can start here (used for implicit multiplication and '%')
+  const startsOperand = token => token.type === 'number' || token.type === 'name' || isOp(token, '(', '√');
+
+  function parseStatement() {
+    const [first, second] = [tokens[0], tokens[1]];
+    if (first.type === 'name' && isOp(second, '=')) {
+      if (CONSTANTS[first.value] !== undefined || FUNCTIONS[first.value]) {
+        fail(first, `Cannot assign to '${first.text}'`);
+      }
+      index = 2;
+      const value = parseExpression();
+      return { type: 'assign', name: first.value, value, position: first.position };
+    }
+    return parseExpression();
+  }
+
+  function parseExpression() {
+    let left = parseTerm();
+    while (isOp(peek(), '+', '-')) {
+      const op = next();
+      const right = parseTerm();
+      left = { type: 'binary', op: op.value, left, right, position: op.position };
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (isOp(token, '*', '/', '%', 'of')) {
+        next();
+        const op = token.value === 'of' ? '*' : token.value;
+        left = { type: 'binary', op, left, right: parseUnary(), position: token.position };
+      } else if (token.type === 'name' || isOp(token, '(', '√')) {
+        // 2pi, 3x, 2(1 + 2)
+        left = { type: 'binary', op: '*', left, right: parseUnary(), position: token.position };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (isOp(token, '-', '+')) {
+      next();
+      return { type: 'unary', op: token.value, arg: parseUnary(), position: token.position };
+    }
+    if (isOp(token, '√')) {
+      next();
+      return { type: 'call', name: 'sqrt', args: [parseUnary()], position: token.position };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePostfix();
+    const token = peek();
+    if (isOp(token, '^', '**')) {
+      next();
+      return { type: 'binary', op: '^', left: base, right: parseUnary(), position: token.position };
+    }
+    return base;
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+    for (;;) {
+      const token = peek();
+      if (isOp(token, '!', '°') || (isOp(token, '%') && !startsOperand(tokens[index + 1]))) {
+        next();
+        node = { type: 'postfix', op: token.value, arg: node, position: token.position };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'number') {
+      if (peek().type === 'number') fail(peek());
+      return { type: 'number', value: token.value, position: token.position };
+    }
+
+    if (token.type === 'name') {
+      if (FUNCTIONS[token.value]) {
+        // "sin x", "sqrt 2" - a lone argument binds like a power: sin x^2 is sin(x^2)
+        if (!isOp(peek(), '(')) {
+          if (!startsOperand(peek())) fail(peek(), `Expected '(' after '${token.text}'`);
+          return { type: 'call', name: token.value, args: [parsePower()], position: token.position };
+        }
+        next();
+        const args = [];
+        if (!isOp(peek(), ')')) {
+          args.push(parseExpression());
+          while (isOp(peek(), ',')) {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expectClosing(token);
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      return { type: 'name', name: token.value, position: token.position };
+    }
+
+    if (isOp(token, '(')) {
+      const inner = parseExpression();
+      expectClosing(token);
+      return inner;
+    }
+
+    return fail(token);
+  }
+
+  function expectClosing(open) {
+    const token = peek();
+    if (isOp(token, ')')) return next();
+    if (token.type === 'end') {
+      throw new MathError("Missing ')' to close '('", { position: open.position, token: open.text });
+    }
+    return fail(token);
+  }
+
+  const tree = parseStatement();
+  if (peek().type !== 'end') fail(peek());
+  return tree;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🧮 EVALUATOR
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * 🧮 Evaluate an expression. `variables` maps names to numbers; an assignment
+ * ("x = 5") returns the name in `assigned`. Throws MathError.
+ */
+export function evaluate(expression, { variables = {} } = {}) {
+  const tree = parse(expression);
+  const scope = Object.fromEntries(Object.entries(variables).map(([name, value]) => [name.toLowerCase(), value]));
+  const value = evaluateNode(tree.type === 'assign' ? tree.value : tree, scope);
+
+  if (!Number.isFinite(value)) {
+    throw new MathError('Result is not a finite number');
+  }
+  return { value, assigned: tree.type === 'assign' ? tree.name : null };
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+
+    case 'name': {
+      if (CONSTANTS[node.name] !== undefined) return CONSTANTS[node.name];
+      const value = Object.hasOwn(scope, node.name) ? Number(scope[node.name]) : undefined;
+      if (value === undefined || Number.isNaN(value)) {
+        throw new MathError(`Unknown variable '${node.name}'`, { position: node.position, token: node.name });
+      }
+      return value;
+    }
+
+    case 'call': {
+      const [fn, minArgs, maxArgs] = FUNCTIONS[node.name];
+      if (node.args.length < minArgs || node.args.length > maxArgs) {
+        const expected = minArgs === maxArgs ? minArgs : `${minArgs}${maxArgs === Infinity ? ' or more' : `-${maxArgs}`}`;
+        throw new MathError(`${node.name}() takes ${expected} argument${expected === 1 ? '' : 's'}, got ${node.args.length}`, {
+          position: node.position, token: node.name
+        });
+      }
+      const args = node.args.map(arg => evaluateNode(arg, scope));
+      const result = node.name === 'fact' ? factorial(args[0], node) : fn(...args);
+      if (Number.isNaN(result)) {
+        throw new MathError(`${node.name}(${args.join(', ')}) is not a real number`, { position: node.position, token: node.name });
+      }
+      return result;
+    }
+
+    case 'unary': {
+      const arg = evaluateNode(node.arg, scope);
+      return node.op === '-' ? -arg : arg;
+    }
+
+    case 'postfix': {
+      const arg = evaluateNode(node.arg, scope);
+      if (node.op === '!') return factorial(arg, node);
+      if (node.op === '°') return arg * Math.PI / 180;
+      return arg / 100;
+    }
+
+    case 'binary':
+      return evaluateBinary(node, scope);
+
+    default:
+      throw new MathError(`Cannot evaluate '${node.type}'`);
+  }
+}
+
+function evaluateBinary(node, scope) {
+  const left = evaluateNode(node.left, scope);
+
+  // 200 + 10% is 220, not 200.1
+  if ((node.op === '+' || node.op === '-') && node.right.type === 'postfix' && node.right.op === '%') {
+    const share = left * evaluateNode(node.right.arg, scope) / 100;
+    return node.op === '+' ? left + share : left - share;
+  }
+
+  const right = evaluateNode(node.right, scope);
+  switch (node.op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '^': return Math.pow(left, right);
+    case '/':
+    case '%':
+      if (right === 0) throw new MathError('Division by zero', { position: node.position, token: node.op });
+      return node.op === '/' ? left / right : left % right;
+    default:
+      throw new MathError(`Unknown operator '${node.op}'`, { position: node.position, token: node.op });
+  }
+}
+
+export function factorial(n, node) {
+  if (!Number.isInteger(n) || n < 0 || n > MAX_FACTORIAL) {
+    throw new MathError(`Factorial needs a whole number from 0 to ${MAX_FACTORIAL}`, {
+      position: node?.position ?? null, token: node?.op || node?.name || null
+    });
+  }
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * 🔎 Whether text reads as a calculation rather than words: it tokenizes,
+ * has a number, function, constant or known variable, and every other name
+ * is a single letter
+ */
+export function looksLikeMath(text, { variables = {} } = {}) {
+  let tokens;
+  try {
+    tokens = tokenize(text);
+  } catch {
+    return false;
+  }
+
+  const known = new Set(Object.keys(variables).map(name => name.toLowerCase()));
+  const names = tokens.filter(t => t.type === 'name');
+  const hasOperand = tokens.some(t => t.type === 'number' || FUNCTIONS[t.value] || CONSTANTS[t.value] !== undefined || known.has(t.value));
+  const hasOperator = tokens.some(t => t.type === 'op' && t.value !== '(' && t.value !== ')');
+
+  return hasOperand && (hasOperator || names.length > 0 || tokens.length === 2) && names.every(t =>
+    FUNCTIONS[t.value] || CONSTANTS[t.value] !== undefined || known.has(t.value) || t.value.length === 1
+  );
+}
+
+export default {
+  MathError,
+  factorial,
+  tokenize,
+  parse,
+  evaluate,
+  looksLikeMath
+};
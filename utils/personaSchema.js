@@ -0,0 +1,154 @@
+// utils/personaSchema.js - Schema and validation for the admin-editable persona
+//
+// The persona is the bot identity, company info, FAQ entries and system prompt
+// sections that knowledge.js renders into the system prompt. Every edit is
+// checked against PERSONA_SCHEMA before it becomes a new version.
+
+/**
+ * ❌ Invalid persona; `errors` lists every problem as "path: message"
+ */
+export class PersonaError extends Error {
+  constructor(errors) {
+    super(`Invalid persona: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+    this.name = 'PersonaError';
+    this.errors = errors;
+  }
+}
+
+const text = (maxLength, { minLength = 0, ...rest } = {}) => ({ type: 'string', minLength, maxLength, ...rest });
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Placeholders a prompt section may use, e.g. {{company.email}}
+export const PLACEHOLDERS = [
+  'bot.name', 'bot.welcomeMessage', 'bot.version',
+  'company.name', 'company.description', 'company.website', 'company.email', 'company.phone', 'company.services',
+  'faqs'
+];
+
+export const PERSONA_SCHEMA = {
+  type: 'object',
+  required: ['bot', 'company', 'faqs', 'promptSections'],
+  properties: {
+    bot: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: text(60, { minLength: 1 }),
+        welcomeMessage: text(500),
+        version: text(20)
+      }
+    },
+    company: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: text(100, { minLength: 1 }),
+        description: text(1000),
+        website: text(200),
+        email: text(200),
+        phone: text(40),
+        services: { type: 'array', maxItems: 50, items: text(200, { minLength: 1 }) }
+      }
+    },
+    faqs: {
+      type: 'array',
+      maxItems: 200,
+      uniqueIds: true,
+      items: {
+        type: 'object',
+        required: ['id', 'question', 'answer'],
+        properties: {
+          id: text(60, { minLength: 1, pattern: ID_PATTERN }),
+          question: text(300, { minLength: 3 }),
+          answer: text(2000, { minLength: 1 })
+        }
+      }
+    },
+    promptSections: {
+      type: 'array',
+      maxItems: 30,
+      uniqueIds: true,
+      items: {
+        type: 'object',
+        required: ['id', 'content'],
+        properties: {
+          id: text(60, { minLength: 1, pattern: ID_PATTERN }),
+          title: text(100),
+          content: text(20000, { minLength: 1, placeholders: true }),
+          enabled: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: Array.isArray,
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * Problems with `value` under `schema`, as "path: message" strings
+ */
+function check(value, schema, at) {
+  const label = at || 'persona';
+  if (!TYPE_CHECKS[schema.type](value)) return [`${label}: must be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}`];
+
+  if (schema.type === 'object') {
+    const missing = (schema.required || []).filter(key => value[key] === undefined)
+      .map(key => `${at ? `${at}.` : ''}${key}: is required`);
+    const unknown = Object.keys(value).filter(key => !schema.properties[key])
+      .map(key => `${at ? `${at}.` : ''}${key}: is not a known field`);
+    const nested = Object.entries(schema.properties)
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, property]) => check(value[key], property, at ? `${at}.${key}` : key));
+    return [...missing, ...unknown, ...nested];
+  }
+
+  if (schema.type === 'array') {
+    const errors = value.length > schema.maxItems ? [`${label}: must have at most ${schema.maxItems} entries`] : [];
+    value.forEach((item, i) => errors.push(...check(item, schema.items, `${label}[${i}]`)));
+    if (schema.uniqueIds) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        if (item?.id === undefined) return;
+        if (seen.has(item.id)) errors.push(`${label}[${i}].id: '${item.id}' is used twice`);
+        seen.add(item.id);
+      });
+    }
+    return errors;
+  }
+
+  if (schema.type === 'string') {
+    const length = value.trim().length;
+    if (length < schema.minLength) return [`${label}: ${schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`}`];
+    if (value.length > schema.maxLength) return [`${label}: must be at most ${schema.maxLength} characters`];
+    if (schema.pattern && !schema.pattern.test(value)) return [`${label}: must be lowercase letters, digits and dashes`];
+    if (schema.placeholders) {
+      return [...value.matchAll(/\{\{\s*([^}]*?)\s*\}\}/g)]
+        .filter(([, name]) => !PLACEHOLDERS.includes(name))
+        .map(([placeholder]) => `${label}: unknown placeholder ${placeholder}`);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * ✅ Check a whole persona; throws PersonaError listing every problem
+ */
+export function validatePersona(persona) {
+  const errors = check(persona, PERSONA_SCHEMA, '');
+  if (errors.length > 0) throw new PersonaError(errors);
+  return persona;
+}
+
+export default {
+  PersonaError,
+  PERSONA_SCHEMA,
+  PLACEHOLDERS,
+  validatePersona
+};
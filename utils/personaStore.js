@@ -0,0 +1,177 @@
+// utils/personaStore.js - Versioned storage for the admin-editable persona
+//
+// Every change is validated (see personaSchema.js) and saved as a new
+// version; rolling back copies an old version forward, so history is never
+// rewritten. The first access seeds version 1 from knowledge.js.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { knowledgeBase } from '../knowledge.js';
+import { validatePersona } from './personaSchema.js';
+
+const DEFAULT_MAX_VERSIONS = 100;
+
+/**
+ * 🎭 PersonaStore interface
+ *
+ * Every store exposes the same async methods:
+ *   get()                                → { version, createdAt, author, change, persona }
+ *   update(mutate, { author, change })   → new current version; mutate(copy) returns the next persona
+ *   listVersions()                       → versions without their persona, newest first
+ *   getVersion(version)                  → version | null
+ *   rollback(version, { author })        → new current version | null when there is no such version
+ */
+class PersonaStore {
+  async get() { throw new Error('get() not implemented'); }
+  async update(mutate, meta) { throw new Error('update() not implemented'); }
+  async listVersions() { throw new Error('listVersions() not implemented'); }
+  async getVersion(version) { throw new Error('getVersion() not implemented'); }
+  async rollback(version, meta) { throw new Error('rollback() not implemented'); }
+}
+
+/**
+ * 🧠 In-memory store (lost on restart)
+ */
+class MemoryPersonaStore extends PersonaStore {
+  constructor({ seed = knowledgeBase, maxVersions = parseInt(process.env.PERSONA_MAX_VERSIONS) || DEFAULT_MAX_VERSIONS } = {}) {
+    super();
+    this.seed = seed;
+    this.maxVersions = maxVersions;
+    this.versions = []; // oldest first
+  }
+
+  ensureSeeded() {
+    if (this.versions.length === 0) {
+      this.versions.push({
+        version: 1,
+        createdAt: new Date(),
+        author: 'system',
+        change: 'Initial persona from knowledge.js',
+        persona: structuredClone(this.seed)
+      });
+    }
+  }
+
+  async get() {
+    this.ensureSeeded();
+    return this.versions.at(-1);
+  }
+
+  async update(mutate, { author = 'system', change = 'Updated persona' } = {}) {
+    // No await until the version is pushed, so concurrent updates cannot share a number
+    this.ensureSeeded();
+    const current = this.versions.at(-1);
+    const persona = validatePersona(mutate(structuredClone(current.persona)));
+
+    const next = { version: current.version + 1, createdAt: new Date(), author, change, persona };
+    this.versions.push(next);
+    if (this.versions.length > this.maxVersions) this.versions.splice(0, this.versions.length - this.maxVersions);
+    return next;
+  }
+
+  async listVersions() {
+    this.ensureSeeded();
+    return this.versions.map(({ persona, ...meta }) => meta).reverse();
+  }
+
+  async getVersion(version) {
+    this.ensureSeeded();
+    return this.versions.find(v => v.version === version) || null;
+  }
+
+  async rollback(version, { author = 'system' } = {}) {
+    const target = await this.getVersion(version);
+    if (!target) return null;
+    return this.update(() => structuredClone(target.persona), { author, change: `Rolled back to version ${version}` });
+  }
+}
+
+/**
+ * 📁 File-backed store - keeps the versions in memory and persists them as JSON
+ */
+class FilePersonaStore extends MemoryPersonaStore {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the file once, on first access
+   * A file that cannot be read or parsed rejects every call, so the store never
+   * overwrites the persona it failed to load.
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(raw => {
+          const data = JSON.parse(raw);
+          this.versions = data.versions || [];
+          console.log(`🎭 Persona: Loaded version ${this.versions.at(-1)?.version} from ${this.filePath}`);
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') return;
+          console.error("Persona store load error:", error.message);
+          throw new Error(`Cannot load the persona from ${this.filePath}: ${error.message}`);
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the whole history atomically (temp file + rename), one write at a time
+   * Rejects when this write fails; later writes still run.
+   */
+  persist() {
+    const snapshot = JSON.stringify({ versions: this.versions });
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async get() {
+    await this.load();
+    return super.get();
+  }
+
+  async update(mutate, meta) {
+    await this.load();
+    const next = await super.update(mutate, meta);
+    await this.persist();
+    return next;
+  }
+
+  async listVersions() {
+    await this.load();
+    return super.listVersions();
+  }
+
+  async getVersion(version) {
+    await this.load();
+    return super.getVersion(version);
+  }
+}
+
+/**
+ * 🏭 Create the store selected by PERSONA_STORE (file | memory)
+ */
+export function createPersonaStore(type = process.env.PERSONA_STORE || 'file') {
+  if (type === 'file') {
+    const filePath = process.env.PERSONA_STORE_PATH || path.join('.data', 'persona.json');
+    console.log(`🎭 Persona: Using file store at ${filePath}`);
+    return new FilePersonaStore(filePath);
+  }
+  return new MemoryPersonaStore();
+}
+
+export { PersonaStore, MemoryPersonaStore, FilePersonaStore };
+
+export default {
+  createPersonaStore
+};
@@ -1,11 +1,213 @@
 // utils/queryAnalyzer.js - Intelligent Query Analyzer
 
+import { getIntentClassifier, loadExamples, DEFAULT_TEST_PATH } from './intentClassifier.js';
+import { extractSlots } from './slotExtractor.js';
+import { looksLikeMath } from './mathParser.js';
+import { OPERATIONS } from './symbolicMath.js';
+
+const DEFAULT_MODEL_WEIGHT = 0.5;
+// Share of a message's content words the model must know to replace a web search fallback
+const DEFAULT_MIN_FALLBACK_COVERAGE = 0.6;
+
+// Rule intents that name the same thing as a classifier label (null = no real intent)
+const RULE_INTENTS = { currency_convert: 'currency', web_search: null, question: null };
+
+const INTENT_FLAGS = {
+  time: 'needsTime',
+  date: 'needsDate',
+  weather: 'needsWeather',
+  currency: 'needsCurrency',
+  crypto: 'needsCrypto',
+  news: 'needsNews',
+  country: 'needsCountry',
+  dictionary: 'needsDictionary',
+  math: 'needsMath',
+  quote: 'needsQuote',
+  joke: 'needsJoke',
+  trivia: 'needsTrivia',
+  knowledge: 'needsWikipedia',
+  units: 'needsUnits'
+};
+
+const NEWS_TOPICS = ['technology', 'science', 'business', 'world', 'health', 'sports', 'politics', 'arts', 'movies', 'books'];
+
+// "... and ...", "...; ...", "... also ..." separate the parts of a multi-intent query
+const CLAUSE_SEPARATOR = /\s*;\s*|,?\s+(?:and(?: also)?|also|plus|then|&)\s+/i;
+
+const SLOT_TYPES = ['locations', 'money', 'cryptos', 'dates', 'quantities'];
+
+// Intents a follow-up naming only this kind of slot can continue
+const SLOT_INTENTS = {
+  locations: ['weather', 'time', 'country', 'knowledge'],
+  money: ['currency'],
+  cryptos: ['crypto'],
+  dates: ['date', 'weather']
+};
+
+// Words a slot-only follow-up may contain besides its entities
+const FOLLOW_UP_FILLER = /\b(?:and|but|so|ok(?:ay)?|also|now|then|what|how|about|same|for|in|at|on|of|to|into|the|a|there|please|instead|too|as well|is|it|that)\b/gi;
+
 /**
  * 🧠 Analyze user query and determine what services to use
+ *
+ * Returns the analysis of the main intent plus `intents`: one analysis per
+ * independent request, each with its own slots. "weather in Tokyo and time
+ * in London" yields two; a clause that only names a new slot ("... and
+ * Paris") repeats the intent before it. Messages whose parts don't each have
+ * an intent ("history of rock and roll") are analyzed whole.
+ *
+ * Pass `context: { history }` (the conversation so far) to resolve
+ * follow-ups like "and in Berlin?" against the previous turn, and
+ * `variables` (see getMathVariables) so "x * 2" reads as math.
+ */
+export function analyzeQuery(message, { context, ...options } = {}) {
+  const analysis = analyzeParts(message, options);
+  return context ? resolveFollowUp(analysis, message, context, options) : analysis;
+}
+
+function analyzeParts(message, options) {
+  const whole = analyzeClause(message, options);
+  const clauses = message.split(CLAUSE_SEPARATOR).map(c => c.trim()).filter(Boolean);
+  if (clauses.length < 2) return { ...whole, intents: [whole] };
+
+  const parts = [];
+  clauses.forEach(clause => {
+    const part = analyzeClause(clause, options);
+    const previous = parts[parts.length - 1];
+    parts.push(previous && !hasIntent(part) ? carryOverIntent(part, previous) : part);
+  });
+
+  const intents = parts.filter(hasIntent);
+  if (intents.length < 2) return { ...whole, intents: [whole] };
+
+  return { ...intents[0], intents, multiIntent: true };
+}
+
+function hasIntent(analysis) {
+  return normalizeIntent(analysis.primaryIntent) !== null;
+}
+
+/**
+ * ↪️ Give an intent-less analysis the intent of `previous` when it brings a
+ * new slot for it ("... and London", "... and ethereum?"). Slots it lacks are
+ * taken from `previous`, so "100 usd to eur and gbp" converts from USD again.
  */
-export function analyzeQuery(message) {
+export function carryOverIntent(analysis, previous) {
+  const { slots } = analysis;
+  const hasSlots = slots.locations.length + slots.money.length + slots.cryptos.length
+    + slots.dates.length + slots.quantities.length > 0;
+  const intent = normalizeIntent(previous.primaryIntent);
+  if (!hasSlots || !intent) return analysis;
+
+  const carried = { ...analysis, slots: { ...slots }, searchTerms: [], needsWebSearch: false, needsWikipedia: false };
+  Object.keys(analysis).filter(key => key.startsWith('needs')).forEach(key => {
+    carried[key] = carried[key] || previous[key];
+  });
+
+  // A lone target currency keeps the previous source amount
+  if (intent === 'currency' && slots.money.length === 1 && previous.slots.money.length > 0) {
+    carried.slots.money = [previous.slots.money[0], ...slots.money];
+  }
+  ['locations', 'cryptos', 'dates', 'quantities'].forEach(type => {
+    if (carried.slots[type].length === 0) carried.slots[type] = previous.slots[type];
+  });
+  if (intent === 'knowledge' || intent === 'country' || intent === 'dictionary') {
+    carried.searchTerms = slots.locations.map(l => l.value);
+  }
+
+  carried.primaryIntent = previous.primaryIntent;
+  carried.confidence = previous.confidence;
+  carried.carriedOver = true;
+  return carried;
+}
+
+/**
+ * 💬 Resolve a follow-up that only supplies a new slot ("and in Berlin?",
+ * "what about ethereum?", "and in yen?") by repeating the last intent of the
+ * previous user turn that takes that kind of slot.
+ *
+ * The previous turn is `context.previous` (a stored resolved query, see
+ * describeResolvedQuery), else the `resolvedQuery` saved on the last user
+ * message in `context.history`, else that message analyzed again.
+ */
+function resolveFollowUp(analysis, message, { history = [], previous } = {}, options) {
+  if (analysis.multiIntent || !onlySuppliesSlots(message, analysis.slots)) return analysis;
+
+  const lastTurn = [...history].reverse().find(m => m.role === 'user');
+  previous ||= lastTurn?.resolvedQuery;
+  const previousIntents = previous
+    ? previous.intents.map(restoreAnalysis)
+    : lastTurn ? analyzeParts(lastTurn.content, options).intents : [];
+
+  const slotTypes = Object.keys(SLOT_INTENTS).filter(type => analysis.slots[type].length > 0);
+  const target = [...previousIntents].reverse().find(p =>
+    slotTypes.some(type => SLOT_INTENTS[type].includes(normalizeIntent(p.primaryIntent))));
+  if (!target) return analysis;
+
+  // Start from a blank intent so the classifier's guess doesn't ride along
+  const blank = { ...analysis, primaryIntent: null };
+  Object.keys(blank).filter(key => key.startsWith('needs')).forEach(key => { blank[key] = false; });
+
+  const resolved = carryOverIntent(blank, target);
+  resolved.followUp = true;
+  resolved.resolvedFrom = lastTurn?.id || null;
+  return { ...resolved, intents: [resolved] };
+}
+
+/**
+ * True when the message is nothing but entities and filler words
+ */
+function onlySuppliesSlots(message, slots) {
+  if (slots.entities.length === 0) return false;
+
+  let rest = message;
+  [...slots.entities].sort((a, b) => b.start - a.start).forEach(entity => {
+    rest = `${rest.slice(0, entity.start)} ${rest.slice(entity.end)}`;
+  });
+  return rest.replace(FOLLOW_UP_FILLER, ' ').replace(/[^\p{L}\p{N}]+/gu, '').length === 0;
+}
+
+/**
+ * 🧾 Compact, storable form of an analysis: what the message was resolved to
+ */
+export function describeResolvedQuery(analysis, message) {
+  return {
+    text: message,
+    followUp: Boolean(analysis.followUp),
+    resolvedFrom: analysis.resolvedFrom || null,
+    intents: analysis.intents.map(intent => ({
+      intent: intent.primaryIntent,
+      confidence: intent.confidence,
+      slots: Object.fromEntries(SLOT_TYPES.map(type => [type, intent.slots[type]])),
+      searchTerms: intent.searchTerms,
+      ...(intent.carriedOver && { carriedOver: true })
+    }))
+  };
+}
+
+/**
+ * Rebuild just enough of an analysis from describeResolvedQuery() output
+ * for carryOverIntent()
+ */
+function restoreAnalysis({ intent, confidence, slots = {}, searchTerms = [] }) {
+  const flag = INTENT_FLAGS[normalizeIntent(intent)];
+  const restored = { primaryIntent: intent, confidence, searchTerms, slots: { entities: [] } };
+  SLOT_TYPES.forEach(type => { restored.slots[type] = slots[type] || []; });
+  if (flag) restored[flag] = true;
+  return restored;
+}
+
+/**
+ * Analyze one clause: regex rules first, then the local intent classifier
+ * (see intentClassifier.js), which can take over when the rules fell back to
+ * web search or are outvoted. Pass `classifier: null` for rules only.
+ *
+ * Locations, amounts, currencies, crypto assets, dates and quantities come
+ * from the slot extractor as typed entities in `analysis.slots`.
+ */
+function analyzeClause(message, { classifier = getIntentClassifier(), now, variables = {} } = {}) {
   const lower = message.toLowerCase();
-  const original = message;
+  const slots = extractSlots(message, { now });
   
   const analysis = {
     // Categories
@@ -23,16 +225,14 @@ export function analyzeQuery(message) {
     needsTrivia: false,
     needsWikipedia: false,
     needsWebSearch: false,
+    needsUnits: false,
     
     // Extracted data
-    timeLocation: null,
-    weatherLocation: null,
-    currencyFrom: null,
-    currencyTo: null,
-    currencyAmount: null,
-    cryptoName: null,
+    slots,
     searchTerms: [],
     mathExpression: null,
+    mathOperation: null,
+    mathVariable: null,
     
     // Confidence
     confidence: 0,
@@ -42,38 +242,25 @@ export function analyzeQuery(message) {
   // ═══════════════════════════════════════════════════════════════
   // TIME DETECTION
   // ═══════════════════════════════════════════════════════════════
+  const hasLocation = slots.locations.length > 0;
   const timePatterns = [
-    /what(?:'s| is)(?: the)? (?:current )?time (?:in|at|for) (.+?)(?:\?|$|right now|now)/i,
-    /(?:current )?time (?:in|at|for) (.+?)(?:\?|$)/i,
-    /what time is it (?:in|at) (.+?)(?:\?|$)/i,
-    /tell me (?:the )?time (?:in|at|for) (.+?)(?:\?|$)/i,
-    /(.+?) time(?:\?|$| right now| now| please)/i,
-    /time (?:in|at) (.+)/i,
-    /what(?:'s| is) the time (?:in|at) (.+)/i,
-    /do you know (?:the )?time (?:in|at|for) (.+)/i,
+    /what(?:'s| is)(?: the)? (?:current )?time (?:in|at|for) /i,
+    /(?:current |local )?time (?:in|at|for) /i,
+    /what time is it (?:in|at) /i,
+    /tell me (?:the )?time (?:in|at|for) /i,
+    /do you know (?:the )?time (?:in|at|for) /i,
+    /^[a-z .'-]+ time(?:\?|$| right now| now| please)/i,
   ];
 
-  for (const pattern of timePatterns) {
-    const match = lower.match(pattern);
-    if (match && match[1]) {
-      const location = match[1]
-        .replace(/\?/g, '')
-        .replace(/right now|now|please|currently|at the moment/gi, '')
-        .trim();
-      if (location && location.length > 1 && !location.match(/^(what|the|is|it|me|you|a|an)$/i)) {
-        analysis.needsTime = true;
-        analysis.timeLocation = location;
-        analysis.primaryIntent = 'time';
-        analysis.confidence = 0.95;
-        break;
-      }
-    }
+  if (hasLocation && timePatterns.some(p => p.test(lower))) {
+    analysis.needsTime = true;
+    analysis.primaryIntent = 'time';
+    analysis.confidence = 0.95;
   }
 
   // General time query
   if (!analysis.needsTime && /\b(what time|current time|time now|what's the time)\b/i.test(lower)) {
     analysis.needsTime = true;
-    analysis.timeLocation = "UTC";
     analysis.primaryIntent = 'time';
     analysis.confidence = 0.8;
   }
@@ -93,36 +280,27 @@ export function analyzeQuery(message) {
   // WEATHER DETECTION
   // ═══════════════════════════════════════════════════════════════
   const weatherPatterns = [
-    /weather\s+(?:in\s+)?(.+?)(?:\?|$)/i,
-    /(?:what(?:'s| is)(?: the)? weather|how(?:'s| is)(?: the)? weather)\s+(?:in|at|for)\s+(.+?)(?:\?|$)/i,
-    /temperature\s+(?:in\s+)?(.+?)(?:\?|$)/i,
-    /(?:is it|will it)\s+(?:rain|snow|sunny|cloudy|hot|cold)\s+(?:in\s+)?(.+?)(?:\?|$)/i,
-    /forecast\s+(?:for\s+)?(.+?)(?:\?|$)/i,
-    /(?:how hot|how cold)\s+(?:is it\s+)?(?:in\s+)?(.+?)(?:\?|$)/i,
+    /\bweather\b/i,
+    /\btemperature\s+(?:in|at|for)\b/i,
+    /(?:is it|will it)\s+(?:rain|snow|be sunny|be cloudy|sunny|cloudy|hot|cold)/i,
+    /\bforecast\b/i,
+    /(?:how hot|how cold)\b/i,
   ];
 
-  for (const pattern of weatherPatterns) {
-    const match = lower.match(pattern);
-    if (match) {
-      analysis.needsWeather = true;
-      analysis.weatherLocation = match[1]?.trim() || "New York";
-      if (!analysis.primaryIntent) {
-        analysis.primaryIntent = 'weather';
-        analysis.confidence = 0.95;
-      }
-      break;
+  if (weatherPatterns.some(p => p.test(lower))) {
+    analysis.needsWeather = true;
+    if (!analysis.primaryIntent) {
+      analysis.primaryIntent = 'weather';
+      analysis.confidence = 0.95;
     }
   }
 
   // ═══════════════════════════════════════════════════════════════
   // CURRENCY DETECTION
   // ═══════════════════════════════════════════════════════════════
-  const currencyConvertMatch = lower.match(/convert\s+(\d+(?:\.\d+)?)\s*(\w+)\s+to\s+(\w+)/i);
-  if (currencyConvertMatch) {
+  // Two currencies ("100 usd to eur", "EUR in yen") means a conversion
+  if (slots.money.length >= 2) {
     analysis.needsCurrency = true;
-    analysis.currencyAmount = parseFloat(currencyConvertMatch[1]);
-    analysis.currencyFrom = currencyConvertMatch[2].toUpperCase();
-    analysis.currencyTo = currencyConvertMatch[3].toUpperCase();
     analysis.primaryIntent = 'currency_convert';
     analysis.confidence = 0.95;
   }
@@ -138,32 +316,34 @@ export function analyzeQuery(message) {
   // ═══════════════════════════════════════════════════════════════
   // CRYPTO DETECTION
   // ═══════════════════════════════════════════════════════════════
-  const cryptoNames = ['bitcoin', 'btc', 'ethereum', 'eth', 'dogecoin', 'doge', 'litecoin', 
-                       'ripple', 'xrp', 'cardano', 'ada', 'solana', 'sol', 'polkadot'];
-  
-  for (const crypto of cryptoNames) {
-    if (lower.includes(crypto)) {
-      analysis.needsCrypto = true;
-      analysis.cryptoName = crypto.replace('btc', 'bitcoin')
-                                  .replace('eth', 'ethereum')
-                                  .replace('doge', 'dogecoin');
-      if (!analysis.primaryIntent) {
-        analysis.primaryIntent = 'crypto';
-        analysis.confidence = 0.9;
-      }
-      break;
+  if (slots.cryptos.length > 0) {
+    analysis.needsCrypto = true;
+    if (!analysis.primaryIntent) {
+      analysis.primaryIntent = 'crypto';
+      analysis.confidence = 0.9;
     }
   }
 
+  // Without a named coin the market overview is used
   if (/\b(crypto price|cryptocurrency|top crypto|crypto market)\b/i.test(lower)) {
     analysis.needsCrypto = true;
-    analysis.cryptoName = 'top';
     if (!analysis.primaryIntent) {
       analysis.primaryIntent = 'crypto';
       analysis.confidence = 0.85;
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════
+  // UNIT CONVERSION DETECTION
+  // ═══════════════════════════════════════════════════════════════
+  if (slots.quantities.some(q => q.toUnit)) {
+    analysis.needsUnits = true;
+    if (!analysis.primaryIntent) {
+      analysis.primaryIntent = 'units';
+      analysis.confidence = 0.95;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // DICTIONARY DETECTION
   // ═══════════════════════════════════════════════════════════════
@@ -180,25 +360,43 @@ export function analyzeQuery(message) {
   // ═══════════════════════════════════════════════════════════════
   // MATH DETECTION
   // ═══════════════════════════════════════════════════════════════
-  const mathMatch = lower.match(/(?:calculate|compute|what is|what's)\s+(.+?)(?:\?|$)/i);
-  if (mathMatch && /[\d\+\-\*\/\^x×÷=\(\)]/.test(mathMatch[1])) {
+  const mathMatch = lower.match(/(?:calculate|compute|evaluate|what is|what's)\s+(.+?)(?:\?|$)/i);
+  const hasAmounts = slots.money.length > 0 || slots.quantities.length > 0;
+  const askedMath = mathMatch && toMathExpression(mathMatch[1]);
+  if (askedMath && !hasAmounts && looksLikeMath(askedMath, { variables })) {
     analysis.needsMath = true;
-    analysis.mathExpression = mathMatch[1].replace(/x|×/g, '*').replace(/÷/g, '/');
+    analysis.mathExpression = askedMath;
     if (!analysis.primaryIntent) {
       analysis.primaryIntent = 'math';
       analysis.confidence = 0.9;
     }
   }
 
-  // Direct math expression
-  const directMath = lower.match(/^[\d\s\+\-\*\/\^x×÷\(\)\.]+$/);
-  if (directMath) {
+  // Direct math expression or assignment ("2^10", "x = 5", "let r = 3")
+  const directMath = toMathExpression(lower.replace(/^let\s+/, '').replace(/[\s?=]+$/, ''));
+  const assignment = directMath.match(/^[a-z_]\w*\s*=\s*(.+)$/);
+  if (looksLikeMath(assignment ? assignment[1] : directMath, { variables })) {
     analysis.needsMath = true;
-    analysis.mathExpression = lower.replace(/x|×/g, '*').replace(/÷/g, '/');
+    analysis.mathExpression = directMath;
     analysis.primaryIntent = 'math';
     analysis.confidence = 0.95;
   }
 
+  // Symbolic math ("derivative of x^2 sin x", "solve x^2 - 4 = 0", "d/dx ln x")
+  const symbolic = matchSymbolicMath(lower);
+  if (symbolic) {
+    const known = { ...variables, [symbolic.variable || 'x']: 0 };
+    const sides = symbolic.expression.split('=');
+    if (sides.length <= (symbolic.operation === 'solve' ? 2 : 1) && sides.every(side => looksLikeMath(side, { variables: known }))) {
+      analysis.needsMath = true;
+      analysis.mathExpression = symbolic.expression;
+      analysis.mathOperation = symbolic.operation;
+      analysis.mathVariable = symbolic.variable;
+      analysis.primaryIntent = 'math';
+      analysis.confidence = 0.95;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // ENTERTAINMENT DETECTION
   // ═══════════════════════════════════════════════════════════════
@@ -230,15 +428,15 @@ export function analyzeQuery(message) {
   // GENERAL KNOWLEDGE / WIKIPEDIA
   // ═══════════════════════════════════════════════════════════════
   const knowledgePatterns = [
-    /\b(what is|who is|what are|who are|explain|tell me about|describe)\b/i,
+    /\b(what is|who is|what are|who are|who was|what was|who were|explain|tell me about|describe)\b/i,
     /\b(history of|biography of|how does|how do|why is|why are)\b/i,
   ];
 
   if (knowledgePatterns.some(p => p.test(lower)) && 
-      !analysis.needsTime && !analysis.needsWeather && !analysis.needsMath) {
+      !analysis.needsTime && !analysis.needsWeather && !analysis.needsMath && !hasAmounts) {
     analysis.needsWikipedia = true;
     
-    const searchMatch = lower.match(/(?:what is|who is|explain|tell me about|describe|history of|how does)\s+(?:the\s+)?(.+?)(?:\?|$)/i);
+    const searchMatch = lower.match(/(?:what is|who is|who was|what was|who were|explain|tell me about|describe|history of|how does)\s+(?:the\s+)?(.+?)(?:\?|$)/i);
     if (searchMatch) {
       analysis.searchTerms.push(searchMatch[1].trim());
     }
@@ -273,9 +471,194 @@ export function analyzeQuery(message) {
     analysis.confidence = 0.6;
   }
 
+  return mergeClassifierScores(analysis, message, classifier);
+}
+
+/**
+ * A number from the environment, or `fallback` when it is unset, empty or
+ * not a number (0 is kept: INTENT_MODEL_WEIGHT=0 leaves the rules in charge)
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * ⚖️ Blend classifier scores with the rule result
+ *
+ * Each intent scores `weight * modelScore`, plus `(1 - weight) * confidence`
+ * for the rule's intent (weight = INTENT_MODEL_WEIGHT). The model's intent
+ * replaces the rule's only if it wins the blend and clears the classifier's
+ * own minimum score. When the rules only fell back to a web search, the
+ * model must also have seen most of the message's content words for its
+ * intent (INTENT_MIN_FALLBACK_COVERAGE), so a shared "i want to" is not enough.
+ */
+function mergeClassifierScores(analysis, message, classifier) {
+  analysis.ruleIntent = analysis.primaryIntent;
+  if (!classifier) return analysis;
+
+  const predictions = classifier.predict(message);
+  if (predictions.length === 0) return analysis;
+
+  const weight = envNumber('INTENT_MODEL_WEIGHT', DEFAULT_MODEL_WEIGHT);
+  const minScore = envNumber('INTENT_MIN_SCORE', classifier.minScore ?? 0.5);
+  const ruleIntent = normalizeIntent(analysis.primaryIntent);
+
+  const scores = {};
+  predictions.forEach(({ intent, score }) => { scores[intent] = weight * score; });
+  if (ruleIntent) scores[ruleIntent] = (scores[ruleIntent] || 0) + (1 - weight) * analysis.confidence;
+
+  const ranked = Object.entries(scores)
+    .map(([intent, score]) => ({ intent, score: Math.round(score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+
+  analysis.intentScores = ranked.slice(0, 3);
+  analysis.classifierIntent = predictions[0].intent;
+
+  const [best] = ranked;
+  const minCoverage = envNumber('INTENT_MIN_FALLBACK_COVERAGE', DEFAULT_MIN_FALLBACK_COVERAGE);
+  const covered = ruleIntent || (classifier.coverage?.(message, best.intent) ?? 1) >= minCoverage;
+  if (best.intent !== ruleIntent && best.intent === predictions[0].intent && predictions[0].score >= minScore && covered) {
+    applyClassifiedIntent(analysis, best.intent, message);
+    analysis.confidence = Math.round(predictions[0].score * 100) / 100;
+  }
+
   return analysis;
 }
 
+export function normalizeIntent(intent) {
+  if (!intent) return null;
+  return intent in RULE_INTENTS ? RULE_INTENTS[intent] : intent;
+}
+
+/**
+ * Switch the analysis to a classifier intent (slots are already extracted)
+ */
+function applyClassifiedIntent(analysis, intent, message) {
+  // Drop whatever the rules guessed
+  const previousFlag = INTENT_FLAGS[normalizeIntent(analysis.primaryIntent)];
+  if (previousFlag) analysis[previousFlag] = false;
+  analysis.needsWebSearch = false;
+  analysis.needsWikipedia = false;
+  analysis.searchTerms = [];
+
+  const flag = INTENT_FLAGS[intent];
+  if (flag) analysis[flag] = true;
+  analysis.primaryIntent = intent;
+
+  if (intent === 'news') {
+    analysis.newsCategory = NEWS_TOPICS.find(topic => message.toLowerCase().includes(topic.replace(/y$/, ''))) || 'technology';
+  }
+  if (['country', 'dictionary', 'knowledge'].includes(intent)) {
+    const subject = (intent === 'country' && analysis.slots.locations[0]?.value) || guessSubject(message);
+    if (subject) analysis.searchTerms.push(subject);
+  }
+}
+
+/**
+ * Topic of a question: what follows "of/about", else the message without question words
+ */
+function guessSubject(message) {
+  const text = message.replace(/[?!.]+$/, '').trim();
+  const match = text.match(/\b(?:of|about|define|mean(?:ing)?)\s+(?:the\s+(?:word\s+)?)?(.+)$/i);
+  if (match) return match[1].replace(/\s+mean$/i, '').trim();
+  return text.replace(/^(what|who|when|where|why|how|is|are|was|were|can|could|do|does|did)\s+(is|are|was|were|does|do)?\s*/i, '').trim() || null;
+}
+
+/**
+ * 🧪 Score rules, classifier and the blended analyzer against labeled utterances
+ * (defaults to data/intents/test.json). Label an utterance "web_search" when
+ * it should fall through to a web search rather than match an intent.
+ */
+export function evaluateIntents(examples = loadExamples(DEFAULT_TEST_PATH), classifier = getIntentClassifier()) {
+  const modes = {
+    rules: text => normalizeIntent(analyzeQuery(text, { classifier: null }).primaryIntent) || 'web_search',
+    model: text => classifier?.predict(text)[0]?.intent || 'web_search',
+    combined: text => normalizeIntent(analyzeQuery(text, { classifier }).primaryIntent) || 'web_search'
+  };
+
+  const correct = { rules: 0, model: 0, combined: 0 };
+  const perIntent = {};
+  const errors = [];
+  const stats = intent => (perIntent[intent] ||= { support: 0, truePositives: 0, predicted: 0 });
+
+  examples.forEach(({ text, intent }) => {
+    const predictions = Object.fromEntries(Object.entries(modes).map(([mode, predict]) => [mode, predict(text)]));
+    Object.keys(correct).forEach(mode => {
+      if (predictions[mode] === intent) correct[mode]++;
+    });
+
+    stats(intent).support++;
+    stats(predictions.combined).predicted++;
+    if (predictions.combined === intent) {
+      stats(intent).truePositives++;
+    } else {
+      errors.push({ text, expected: intent, predicted: predictions.combined, rules: predictions.rules, model: predictions.model });
+    }
+  });
+
+  const ratio = (a, b) => b > 0 ? Math.round((a / b) * 1000) / 1000 : null;
+
+  return {
+    total: examples.length,
+    classifier: classifier ? classifier.type || classifier.constructor.name : null,
+    accuracy: Object.fromEntries(Object.entries(correct).map(([mode, count]) => [mode, ratio(count, examples.length)])),
+    perIntent: Object.fromEntries(Object.entries(perIntent).map(([intent, s]) => [intent, {
+      support: s.support,
+      precision: ratio(s.truePositives, s.predicted),
+      recall: ratio(s.truePositives, s.support)
+    }])),
+    errors
+  };
+}
+
+/**
+ * 🔢 Math variables defined so far on this branch: the latest `variables`
+ * recorded on a message in `history`
+ */
+export function getMathVariables(history = []) {
+  return [...history].reverse().find(m => m.variables)?.variables || {};
+}
+
+/**
+ * "5 x 3" and "10 ÷ 2" as the calculator writes them; a lone x stays a variable
+ */
+function toMathExpression(text) {
+  return text.trim().replace(/(\d)\s*[x×]\s*(?=[\d(.])/g, '$1 * ').replace(/÷/g, '/');
+}
+
+const SYMBOLIC_PATTERNS = [
+  /^(?:(?:what(?:'s| is)|find|compute|calculate|give me)\s+)?(?:the\s+)?(derivative|integral|antiderivative)\s+of\s+(.+)$/,
+  /^(?:(?:please|can you|could you)\s+)?(differentiate|integrate|simplify|expand|factori[sz]e|factor|solve)\s+(.+)$/,
+  /^(d)\/d([a-z])\s*(.+)$/
+];
+
+/**
+ * { operation, expression, variable } for a symbolic math request, or null.
+ * The variable comes from "with respect to t", "wrt t", "solve for t", a
+ * trailing "dt" on integrals or "d/dt"; otherwise it is left to the engine.
+ */
+function matchSymbolicMath(lower) {
+  const text = lower.trim().replace(/[\s?.!]+$/, '');
+  const [match] = SYMBOLIC_PATTERNS.map(p => text.match(p)).filter(Boolean);
+  if (!match) return null;
+
+  const derivative = match[1] === 'd';
+  const operation = OPERATIONS[derivative ? 'derive' : match[1]];
+  let variable = derivative ? match[2] : null;
+  let expression = derivative ? match[3] : match[2];
+
+  const trailing = expression.match(/^(.+?),?\s+(?:with respect to|wrt|w\.r\.t\.?|for)\s+([a-z])$/);
+  if (trailing) [, expression, variable] = trailing;
+  const leading = expression.match(/^for\s+([a-z])\s*[:,]?\s+(.+)$/);
+  if (leading) [, variable, expression] = leading;
+
+  const differential = operation === 'integrate' && expression.match(/^(.+?)\s*\bd([a-z])$/);
+  if (differential) [, expression, variable] = differential;
+
+  return { operation, expression: toMathExpression(expression), variable };
+}
+
 /**
  * Check if query needs web search fallback
  */
@@ -289,5 +672,10 @@ export function needsWebSearchFallback(results) {
 
 export default {
   analyzeQuery,
+  carryOverIntent,
+  describeResolvedQuery,
+  normalizeIntent,
+  evaluateIntents,
+  getMathVariables,
   needsWebSearchFallback
 };
\ No newline at end of file
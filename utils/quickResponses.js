@@ -0,0 +1,60 @@
+// utils/quickResponses.js - Canned replies that skip the model
+
+export const quickResponses = {
+  greetings: [
+    `👋 **Hello! Welcome to the Ultimate AI Assistant!**
+
+I can help you with:
+
+🕐 **Time** - "What time is it in Tokyo?"
+🌤️ **Weather** - "Weather in London"
+📰 **News** - "Latest tech news"
+💱 **Currency** - "Convert 100 USD to EUR"
+📈 **Crypto** - "Bitcoin price"
+🌍 **Countries** - "Tell me about Japan"
+📖 **Dictionary** - "Define serendipity"
+🔢 **Math** - "Calculate 234 * 567"
+🎯 **Trivia** - "Give me a trivia question"
+😂 **Jokes** - "Tell me a joke"
+🚀 **Space** - "Where is the ISS?"
+📚 **Knowledge** - Any question!
+
+Just ask me anything! 🚀`,
+  ],
+  thanks: [
+    "✅ You're welcome! Is there anything else I can help you with?",
+    "🙏 Happy to help! Let me know if you have more questions!",
+    "😊 My pleasure! I'm here whenever you need assistance!",
+  ],
+  goodbye: [
+    "👋 Goodbye! Have an amazing day!",
+    "🌟 Take care! Feel free to come back anytime!",
+    "😊 Bye! It was great helping you!",
+  ],
+};
+
+/**
+ * 👋 Canned reply for greetings, thanks and goodbyes, or null
+ */
+export function getQuickResponse(message) {
+  const lower = message.toLowerCase().trim();
+  
+  if (/^(hi|hello|hey|greetings|good morning|good afternoon|good evening|yo|sup|hola|howdy)[\s!.]*$/i.test(lower)) {
+    return quickResponses.greetings[Math.floor(Math.random() * quickResponses.greetings.length)];
+  }
+  
+  if (/^(thanks|thank you|thx|ty|appreciated|thank u|cheers)[\s!.]*$/i.test(lower)) {
+    return quickResponses.thanks[Math.floor(Math.random() * quickResponses.thanks.length)];
+  }
+  
+  if (/^(bye|goodbye|see you|later|take care|cya|see ya|adios|farewell)[\s!.]*$/i.test(lower)) {
+    return quickResponses.goodbye[Math.floor(Math.random() * quickResponses.goodbye.length)];
+  }
+  
+  return null;
+}
+
+export default {
+  quickResponses,
+  getQuickResponse
+};
@@ -1,14 +1,33 @@
 // utils/responseBuilder.js - Build AI context from knowledge
 
-/**
- * 📝 Build context string from gathered knowledge
- */
-export function buildContextFromKnowledge(knowledge) {
-  let context = "";
+import { formatQuantity } from './units.js';
+
+// Render order; each renderer turns one result into a context block
+const BLOCK_RENDERERS = {
+  // Uploaded documents
+  documents: docs => {
+    let context = "";
+    context += `\n\n📄 KNOWLEDGE BASE (from our own documents, prefer these for questions about us):`;
+    docs.passages.forEach(p => {
+      context += `\n\n• ${p.title}${p.section ? ` - ${p.section}` : ''}:\n${p.text}`;
+    });
+    context += `\nSource: ${docs.source}`;
+    return context;
+  },
+
+  // FAQ entries close to the question, not close enough to answer with directly
+  faq: f => {
+    let context = "";
+    context += `\n\n❓ POSSIBLY RELEVANT FAQ (use only if it answers what was asked):`;
+    f.matches.forEach(m => {
+      context += `\n\n**Q:** ${m.question}\nA: ${m.answer}`;
+    });
+    return context;
+  },
 
   // Time
-  if (knowledge.time) {
-    const t = knowledge.time;
+  time: t => {
+    let context = "";
     context += `\n\n🕐 CURRENT TIME in ${t.location}:
 • Time: ${t.time} (${t.time24} 24-hour format)
 • Date: ${t.date}
@@ -16,11 +35,12 @@ export function buildContextFromKnowledge(knowledge) {
 • UTC Offset: ${t.utcOffset}
 ${t.isDST !== undefined ? `• Daylight Saving: ${t.isDST ? 'Active' : 'Not active'}` : ''}
 Source: ${t.source}`;
-  }
+    return context;
+  },
 
   // Date
-  if (knowledge.date) {
-    const d = knowledge.date;
+  date: d => {
+    let context = "";
     context += `\n\n📅 DATE INFORMATION:
 • Today: ${d.formatted}
 • Day of Year: ${d.dayOfYear}
@@ -29,11 +49,12 @@ Source: ${t.source}`;
 • Days Left in Year: ${d.daysLeftInYear}
 • Leap Year: ${d.isLeapYear ? 'Yes' : 'No'}
 Source: ${d.source}`;
-  }
+    return context;
+  },
 
   // Weather
-  if (knowledge.weather) {
-    const w = knowledge.weather;
+  weather: w => {
+    let context = "";
     context += `\n\n🌤️ WEATHER in ${w.location}${w.country ? `, ${w.country}` : ''}:
 • Temperature: ${w.current.temperature.celsius}°C (${w.current.temperature.fahrenheit}°F)
 • Feels Like: ${w.current.feelsLike.celsius}°C
@@ -50,11 +71,12 @@ Source: ${d.source}`;
       });
     }
     context += `\nSource: ${w.source}`;
-  }
+    return context;
+  },
 
   // Currency
-  if (knowledge.currency) {
-    const c = knowledge.currency;
+  currency: c => {
+    let context = "";
     if (c.formatted) {
       context += `\n\n💰 CURRENCY CONVERSION:
 • ${c.formatted}
@@ -70,11 +92,12 @@ Source: ${c.source}`;
       });
       context += `\nDate: ${c.date}\nSource: ${c.source}`;
     }
-  }
+    return context;
+  },
 
   // Crypto
-  if (knowledge.crypto) {
-    const cr = knowledge.crypto;
+  crypto: cr => {
+    let context = "";
     if (cr.cryptos) {
       context += `\n\n📈 TOP CRYPTOCURRENCIES:`;
       cr.cryptos.forEach(coin => {
@@ -92,21 +115,24 @@ Source: ${c.source}`;
 • Market Cap: $${(cr.marketCap / 1e9).toFixed(2)} Billion`;
     }
     context += `\nSource: ${cr.source}`;
-  }
+    return context;
+  },
 
   // News
-  if (knowledge.news) {
-    context += `\n\n📰 LATEST ${knowledge.news.topic?.toUpperCase() || ''} NEWS:`;
-    knowledge.news.items?.forEach((item, i) => {
+  news: news => {
+    let context = "";
+    context += `\n\n📰 LATEST ${news.topic?.toUpperCase() || ''} NEWS:`;
+    news.items?.forEach((item, i) => {
       context += `\n${i + 1}. ${item.title}`;
       if (item.description) context += `\n   ${item.description.substring(0, 150)}...`;
     });
-    context += `\nSource: ${knowledge.news.source}`;
-  }
+    context += `\nSource: ${news.source}`;
+    return context;
+  },
 
   // Country
-  if (knowledge.country) {
-    const c = knowledge.country;
+  country: c => {
+    let context = "";
     context += `\n\n🌍 COUNTRY: ${c.name} ${c.flag || ''}
 • Official Name: ${c.officialName}
 • Capital: ${c.capital}
@@ -119,11 +145,12 @@ Source: ${c.source}`;
 • Timezones: ${c.timezones?.join(', ')}
 • UN Member: ${c.unMember ? 'Yes' : 'No'}
 Source: ${c.source}`;
-  }
+    return context;
+  },
 
   // Dictionary
-  if (knowledge.dictionary) {
-    const d = knowledge.dictionary;
+  dictionary: d => {
+    let context = "";
     context += `\n\n📖 DEFINITION: "${d.word}" ${d.phonetic || ''}`;
     d.meanings?.forEach(m => {
       context += `\n\n[${m.partOfSpeech.toUpperCase()}]`;
@@ -134,37 +161,53 @@ Source: ${c.source}`;
     });
     if (d.synonyms?.length > 0) context += `\n\nSynonyms: ${d.synonyms.join(', ')}`;
     context += `\nSource: ${d.source}`;
-  }
+    return context;
+  },
 
   // Math
-  if (knowledge.math) {
+  math: math => {
+    let context = "";
+    if (math.steps) {
+      context += `\n\n🔢 SYMBOLIC MATH (${math.operation}, in ${math.variable}):
+• Expression: ${math.expression}
+• Result: ${math.result}
+• Steps:
+${math.steps.map((step, i) => `  ${i + 1}. ${step.description}: ${step.expression}`).join('\n')}
+Source: ${math.source}`;
+      return context;
+    }
     context += `\n\n🔢 CALCULATION:
-• Expression: ${knowledge.math.expression}
-• Result: ${knowledge.math.result || knowledge.math.formatted}
-Source: ${knowledge.math.source}`;
-  }
+• Expression: ${math.expression}
+• Result: ${math.result || math.formatted}`;
+    if (math.assigned) context += `\n• Stored as: ${math.assigned} (usable in later calculations)`;
+    context += `\nSource: ${math.source}`;
+    return context;
+  },
 
   // Unit Conversion
-  if (knowledge.unitConvert) {
-    const u = knowledge.unitConvert;
+  unitConvert: u => {
+    let context = "";
     context += `\n\n📐 UNIT CONVERSION:
-• ${u.value} ${u.fromUnit} = ${parseFloat(u.result).toFixed(4)} ${u.toUnit}
-${u.formula ? `• Formula: ${u.formula}` : ''}
+• ${u.value} ${u.fromUnit} = ${formatQuantity(u.result)} ${u.toUnit}
+${u.formula ? `• Formula: ${u.formula}` : ''}${u.dimension ? `\n• Dimension: ${u.dimension}` : ''}
 Source: ${u.source}`;
-  }
+    return context;
+  },
 
   // Quote
-  if (knowledge.quote) {
+  quote: quote => {
+    let context = "";
     context += `\n\n💬 INSPIRATIONAL QUOTE:
-"${knowledge.quote.quote}"
-— ${knowledge.quote.author}
-${knowledge.quote.tags?.length > 0 ? `Tags: ${knowledge.quote.tags.join(', ')}` : ''}
-Source: ${knowledge.quote.source}`;
-  }
+"${quote.quote}"
+— ${quote.author}
+${quote.tags?.length > 0 ? `Tags: ${quote.tags.join(', ')}` : ''}
+Source: ${quote.source}`;
+    return context;
+  },
 
   // Joke
-  if (knowledge.joke) {
-    const j = knowledge.joke;
+  joke: j => {
+    let context = "";
     context += `\n\n😂 JOKE (${j.category}):`;
     if (j.type === "single") {
       context += `\n${j.joke}`;
@@ -172,11 +215,12 @@ Source: ${knowledge.quote.source}`;
       context += `\nQ: ${j.setup}\nA: ${j.delivery}`;
     }
     context += `\nSource: ${j.source}`;
-  }
+    return context;
+  },
 
   // Trivia
-  if (knowledge.trivia) {
-    const t = knowledge.trivia;
+  trivia: t => {
+    let context = "";
     context += `\n\n🎯 TRIVIA QUESTION:
 Category: ${t.category}
 Difficulty: ${t.difficulty}
@@ -184,69 +228,80 @@ Q: ${t.question}
 Correct Answer: ${t.correctAnswer}
 Other Options: ${t.incorrectAnswers?.join(', ')}
 Source: ${t.source}`;
-  }
+    return context;
+  },
 
   // Web Search Fallback Results
-  if (knowledge.webSearch) {
-    const ws = knowledge.webSearch;
-    if (ws.bestAnswer) {
+  // (smartSearch answers in `result`, performWebSearch in `bestAnswer`)
+  webSearch: ws => {
+    let context = "";
+    const answer = ws.bestAnswer || ws.result;
+    if (answer) {
+      const content = answer.content ?? answer.answer ?? answer.meanings;
       context += `\n\n🔍 WEB SEARCH RESULT:
-Source: ${ws.bestAnswer.source}
-${ws.bestAnswer.title ? `Title: ${ws.bestAnswer.title}` : ''}
-${ws.bestAnswer.url ? `URL: ${ws.bestAnswer.url}` : ''}
+Source: ${answer.source}
+${answer.title ? `Title: ${answer.title}` : ''}
+${answer.url ? `URL: ${answer.url}` : ''}
 
 Content:
-${typeof ws.bestAnswer.content === 'string' 
-  ? ws.bestAnswer.content 
-  : JSON.stringify(ws.bestAnswer.content, null, 2)}`;
+${typeof content === 'string' 
+  ? content 
+  : JSON.stringify(content, null, 2)}`;
     }
-  }
+    return context;
+  },
 
   // Wikipedia (if not from web search)
-  if (knowledge.wikipedia && !knowledge.webSearch?.bestAnswer) {
-    const w = knowledge.wikipedia;
+  wikipedia: (w, knowledge) => {
+    if (knowledge.webSearch?.bestAnswer || knowledge.webSearch?.result) return "";
+    let context = "";
     context += `\n\n📚 WIKIPEDIA: ${w.title}
 ${w.description ? `(${w.description})\n` : ''}
-${w.summary}
+${w.summary || w.answer}
 
 URL: ${w.url}
 Source: ${w.source}`;
-  }
+    return context;
+  },
 
   // NASA
-  if (knowledge.nasa) {
-    const n = knowledge.nasa;
+  nasa: n => {
+    let context = "";
     context += `\n\n🚀 NASA ASTRONOMY PICTURE OF THE DAY:
 Title: ${n.title}
 Date: ${n.date}
 ${n.explanation?.substring(0, 500)}...
 Image URL: ${n.url}
 Source: ${n.source}`;
-  }
+    return context;
+  },
 
   // ISS
-  if (knowledge.iss) {
+  iss: iss => {
+    let context = "";
     context += `\n\n🛰️ ISS CURRENT LOCATION:
-• Latitude: ${knowledge.iss.latitude}
-• Longitude: ${knowledge.iss.longitude}
-• View on Map: ${knowledge.iss.mapUrl}
-• Timestamp: ${knowledge.iss.timestamp}
-Source: ${knowledge.iss.source}`;
-  }
+• Latitude: ${iss.latitude}
+• Longitude: ${iss.longitude}
+• View on Map: ${iss.mapUrl}
+• Timestamp: ${iss.timestamp}
+Source: ${iss.source}`;
+    return context;
+  },
 
   // People in Space
-  if (knowledge.peopleInSpace) {
-    const p = knowledge.peopleInSpace;
+  peopleInSpace: p => {
+    let context = "";
     context += `\n\n👨‍🚀 PEOPLE CURRENTLY IN SPACE: ${p.count} astronauts`;
     p.people?.forEach(person => {
       context += `\n• ${person.name} (${person.craft})`;
     });
     context += `\nSource: ${p.source}`;
-  }
+    return context;
+  },
 
   // SpaceX
-  if (knowledge.spacex) {
-    const s = knowledge.spacex;
+  spacex: s => {
+    let context = "";
     context += `\n\n🚀 SPACEX ${s.launches ? 'RECENT LAUNCHES' : 'LATEST LAUNCH'}:`;
     if (s.launches) {
       s.launches.forEach(l => {
@@ -259,49 +314,77 @@ Source: ${knowledge.iss.source}`;
 • Details: ${s.details?.substring(0, 200)}...`;
     }
     context += `\nSource: ${s.source}`;
-  }
+    return context;
+  },
 
   // Password
-  if (knowledge.password) {
+  password: password => {
+    let context = "";
     context += `\n\n🔐 GENERATED PASSWORD:
-Password: ${knowledge.password.password}
-Length: ${knowledge.password.length} characters
-Strength: ${knowledge.password.strength}
-Source: ${knowledge.password.source}`;
-  }
+Password: ${password.password}
+Length: ${password.length} characters
+Strength: ${password.strength}
+Source: ${password.source}`;
+    return context;
+  },
 
   // QR Code
-  if (knowledge.qrCode) {
+  qrCode: qrCode => {
+    let context = "";
     context += `\n\n📱 QR CODE GENERATED:
-Content: ${knowledge.qrCode.text}
-QR Code URL: ${knowledge.qrCode.qrCodeUrl}
-Size: ${knowledge.qrCode.size}
-Source: ${knowledge.qrCode.source}`;
-  }
+Content: ${qrCode.text}
+QR Code URL: ${qrCode.qrCodeUrl}
+Size: ${qrCode.size}
+Source: ${qrCode.source}`;
+    return context;
+  },
 
   // UUID
-  if (knowledge.uuid) {
+  uuid: uuid => {
+    let context = "";
     context += `\n\n🆔 GENERATED UUID:
-${knowledge.uuid.uuid}
-Version: ${knowledge.uuid.version}
-Source: ${knowledge.uuid.source}`;
-  }
+${uuid.uuid}
+Version: ${uuid.version}
+Source: ${uuid.source}`;
+    return context;
+  },
 
   // Random Number
-  if (knowledge.randomNumber) {
+  randomNumber: randomNumber => {
+    let context = "";
     context += `\n\n🎲 RANDOM NUMBER:
-Result: ${knowledge.randomNumber.numbers}
-Range: ${knowledge.randomNumber.min} to ${knowledge.randomNumber.max}
-Source: ${knowledge.randomNumber.source}`;
-  }
+Result: ${randomNumber.numbers}
+Range: ${randomNumber.min} to ${randomNumber.max}
+Source: ${randomNumber.source}`;
+    return context;
+  },
+};
 
-  return context;
+/**
+ * 🧱 Knowledge as a flat list of { type, data } blocks in render order.
+ * A service that answered several parts of a multi-intent query holds an
+ * array of results; each becomes its own block.
+ */
+export function listKnowledgeBlocks(knowledge) {
+  return Object.keys(BLOCK_RENDERERS).flatMap(type =>
+    knowledge[type] ? [].concat(knowledge[type]).map(data => ({ type, data })) : []
+  );
 }
 
 /**
- * 🎯 Build enhanced system prompt with knowledge context
+ * 📝 Build context string from gathered knowledge
+ */
+export function buildContextFromKnowledge(knowledge) {
+  return listKnowledgeBlocks(knowledge)
+    .map(({ type, data }) => BLOCK_RENDERERS[type](data, knowledge))
+    .join("");
+}
+
+/**
+ * 🎯 Build enhanced system prompt with knowledge context and the running
+ * summary of earlier turns that no longer fit in the context window
  */
-export function buildEnhancedSystemPrompt(basePrompt, knowledgeContext = "") {
+export function buildEnhancedSystemPrompt(basePrompt, knowledgeContext = "", conversationSummary = "") {
   const formatting = `
 
 ## RESPONSE FORMATTING GUIDELINES:
@@ -322,7 +405,7 @@ export function buildEnhancedSystemPrompt(basePrompt, knowledgeContext = "") {
 ### Response Quality:
 - Use the provided data to give accurate, specific answers
 - Always include relevant numbers, facts, and details
-- Cite sources when using external information
+- Cite the data you use with its [n] marker from the SOURCES list
 - For time queries, ALWAYS show the actual time from the data
 - Format currency with proper symbols
 - Make complex information easy to understand`;
@@ -334,10 +417,16 @@ ${knowledgeContext}
 
 ⚠️ IMPORTANT: Use the data above directly in your response. Present it in a user-friendly, conversational way.` : "";
 
-  return basePrompt + formatting + contextSection;
+  const summarySection = conversationSummary ? `
+
+## 🧾 CONVERSATION SUMMARY (earlier messages not shown):
+${conversationSummary}` : "";
+
+  return basePrompt + formatting + summarySection + contextSection;
 }
 
 export default {
+  listKnowledgeBlocks,
   buildContextFromKnowledge,
   buildEnhancedSystemPrompt
 };
\ No newline at end of file
@@ -0,0 +1,463 @@
+// utils/slotExtractor.js - Typed entity (slot) extraction
+//
+// Turns a message into entities with character offsets:
+//   { type: 'location', value, guessed? }
+//   { type: 'money',    amount | null, currency }   ISO 4217 code
+//   { type: 'crypto',   id, symbol }                 CoinGecko id
+//   { type: 'date',     value, relative | null }     value is YYYY-MM-DD
+//   { type: 'quantity', value, unit, toUnit | null } units as written, read by utils/units.js
+// Every alias is matched on word boundaries, so "eth" never matches "method".
+// Units are only read after a number ("in" or "m" alone are never units), or
+// after "how many" when a quantity follows ("how many feet in 3.2 km").
+
+import { parseUnit } from './units.js';
+
+const CURRENCY_ALIASES = {
+  'dollar': 'USD', 'dollars': 'USD', 'us dollar': 'USD', 'us dollars': 'USD', 'bucks': 'USD',
+  'euro': 'EUR', 'euros': 'EUR',
+  'pound': 'GBP', 'pounds': 'GBP', 'british pound': 'GBP', 'british pounds': 'GBP', 'sterling': 'GBP', 'quid': 'GBP',
+  'yen': 'JPY', 'japanese yen': 'JPY',
+  'rupee': 'INR', 'rupees': 'INR', 'indian rupee': 'INR', 'indian rupees': 'INR',
+  'pakistani rupee': 'PKR', 'pakistani rupees': 'PKR',
+  'yuan': 'CNY', 'renminbi': 'CNY', 'rmb': 'CNY',
+  'won': 'KRW', 'korean won': 'KRW',
+  'peso': 'MXN', 'pesos': 'MXN', 'mexican peso': 'MXN', 'mexican pesos': 'MXN',
+  'franc': 'CHF', 'francs': 'CHF', 'swiss franc': 'CHF', 'swiss francs': 'CHF',
+  'canadian dollar': 'CAD', 'canadian dollars': 'CAD',
+  'australian dollar': 'AUD', 'australian dollars': 'AUD',
+  'ruble': 'RUB', 'rubles': 'RUB', 'rouble': 'RUB', 'roubles': 'RUB',
+  'real': 'BRL', 'reais': 'BRL', 'rand': 'ZAR', 'lira': 'TRY', 'dirham': 'AED', 'dirhams': 'AED',
+  'riyal': 'SAR', 'riyals': 'SAR', 'baht': 'THB', 'krona': 'SEK', 'kronor': 'SEK', 'krone': 'NOK', 'zloty': 'PLN'
+};
+
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'INR', 'CNY', 'KRW', 'MXN', 'CHF', 'CAD', 'AUD', 'NZD', 'SEK', 'NOK', 'DKK',
+  'PLN', 'CZK', 'HUF', 'RUB', 'BRL', 'ZAR', 'SGD', 'HKD', 'THB', 'IDR', 'MYR', 'PHP', 'AED', 'SAR', 'PKR',
+  'BDT', 'EGP', 'NGN', 'TRY', 'ARS', 'CLP', 'COP', 'ILS', 'KES', 'VND'
+];
+
+// Codes or names that are also ordinary words: codes must be written in
+// capitals, names need an amount or another currency in the message
+const AMBIGUOUS_CODES = ['TRY', 'PHP'];
+const AMBIGUOUS_CURRENCY_NAMES = ['won', 'pound', 'pounds', 'real', 'rand', 'franc', 'bucks'];
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+
+const CRYPTO_ALIASES = {
+  'bitcoin': 'bitcoin', 'btc': 'bitcoin',
+  'ethereum': 'ethereum', 'ether': 'ethereum', 'eth': 'ethereum',
+  'dogecoin': 'dogecoin', 'doge': 'dogecoin',
+  'litecoin': 'litecoin', 'ltc': 'litecoin',
+  'ripple': 'ripple', 'xrp': 'ripple',
+  'cardano': 'cardano', 'ada': 'cardano',
+  'solana': 'solana', 'sol': 'solana',
+  'polkadot': 'polkadot', 'dot': 'polkadot',
+  'tether': 'tether', 'usdt': 'tether',
+  'binance coin': 'binancecoin', 'bnb': 'binancecoin',
+  'tron': 'tron', 'trx': 'tron',
+  'avalanche': 'avalanche-2', 'avax': 'avalanche-2',
+  'shiba inu': 'shiba-inu', 'shib': 'shiba-inu',
+  'chainlink': 'chainlink'
+};
+const AMBIGUOUS_TICKERS = ['ada', 'sol', 'dot', 'ether', 'tron', 'avalanche'];
+const CRYPTO_SYMBOLS = {
+  bitcoin: 'BTC', ethereum: 'ETH', dogecoin: 'DOGE', litecoin: 'LTC', ripple: 'XRP', cardano: 'ADA',
+  solana: 'SOL', polkadot: 'DOT', tether: 'USDT', binancecoin: 'BNB', tron: 'TRX', 'avalanche-2': 'AVAX',
+  'shiba-inu': 'SHIB', chainlink: 'LINK'
+};
+
+// Number suffixes that are not units ("1st" is not one stone)
+const ORDINAL_SUFFIXES = ['st', 'nd', 'rd', 'th'];
+const MAX_UNIT_TOKENS = 4;
+
+const SCALE_WORDS = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const LOCATION_STOPWORDS = [
+  'and', 'or', 'but', 'to', 'into', 'vs', 'versus', 'with', 'on', 'at', 'for', 'from', 'by',
+  'today', 'tonight', 'tomorrow', 'yesterday', 'now', 'right', 'currently', 'please', 'next', 'this', 'last',
+  'weather', 'time', 'forecast', 'temperature'
+];
+const NON_PLACES = [
+  'it', 'me', 'you', 'us', 'them', 'there', 'here', 'a', 'an', 'the', 'my', 'your', 'our', 'this', 'that',
+  'what', 'which', 'general', 'total', 'fact', 'advance', 'case', 'order', 'detail', 'details', 'english',
+  'words', 'word', 'short', 'love', 'life', 'time', 'it like', 'the morning', 'the evening', 'the afternoon',
+  'the world', 'the news', 'the sky', 'the market', 'the stock market', 'the weather', 'the time', 'good', 'bad', 'up', 'down', 'now', 'going', 'raining', 'snowing', 'sunny', 'cold', 'hot', 'warm'
+];
+const TIME_UNITS = { day: 1, days: 1, week: 7, weeks: 7, month: 30, months: 30, year: 365, years: 365 };
+
+const TOKEN_PATTERN = /\d+(?:,\d{3})*(?:\.\d+)?|[$€£¥₹]|°[cf]\b|[a-z][a-z'/²³]*/gi;
+
+/**
+ * 🔍 Extract all entities from a message, ordered by position
+ * `now` anchors relative dates ("tomorrow", "next friday").
+ */
+export function extractEntities(message, { now = new Date() } = {}) {
+  const text = String(message || '');
+  const tokens = tokenizeWithOffsets(text);
+  const taken = [];
+  const entities = [];
+
+  const isTaken = (start, end) => taken.some(([s, e]) => start < e && end > s);
+  const add = entity => {
+    entities.push(entity);
+    taken.push([entity.start, entity.end]);
+  };
+
+  extractDates(text, now).forEach(add);
+  extractAmounts(text, tokens, isTaken).forEach(add);
+  extractCurrencyMentions(tokens, isTaken, entities).forEach(add);
+  extractCryptos(tokens, isTaken).forEach(add);
+  extractLocations(text, tokens, isTaken).forEach(add);
+
+  return entities
+    .sort((a, b) => a.start - b.start)
+    .map(entity => ({ ...entity, text: text.slice(entity.start, entity.end) }));
+}
+
+/**
+ * 🧩 Entities grouped by type: { entities, locations, money, cryptos, dates, quantities }
+ */
+export function extractSlots(message, options = {}) {
+  const entities = extractEntities(message, options);
+  const ofType = type => entities.filter(e => e.type === type);
+  return {
+    entities,
+    locations: ofType('location'),
+    money: ofType('money'),
+    cryptos: ofType('crypto'),
+    dates: ofType('date'),
+    quantities: ofType('quantity')
+  };
+}
+
+function tokenizeWithOffsets(text) {
+  return Array.from(text.matchAll(TOKEN_PATTERN), match => ({
+    text: match[0],
+    lower: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+    isNumber: /^\d/.test(match[0])
+  }));
+}
+
+/**
+ * Longest alias (up to 3 words) starting at token i
+ */
+function matchAlias(tokens, i, aliases) {
+  for (let length = 3; length >= 1; length--) {
+    const phrase = tokens.slice(i, i + length);
+    if (phrase.length < length || phrase.some(t => t.isNumber)) continue;
+    const key = phrase.map(t => t.lower).join(' ');
+    if (aliases[key] !== undefined) {
+      return { key, value: aliases[key], start: phrase[0].start, end: phrase[length - 1].end, length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Currency at token i (alias, ISO code or symbol)
+ */
+function matchCurrency(tokens, i, { allowAmbiguous = false } = {}) {
+  const token = tokens[i];
+  if (!token) return null;
+
+  if (CURRENCY_SYMBOLS[token.text]) {
+    return { value: CURRENCY_SYMBOLS[token.text], start: token.start, end: token.end, length: 1 };
+  }
+
+  const code = token.text.toUpperCase();
+  if (CURRENCY_CODES.includes(code) && (!AMBIGUOUS_CODES.includes(code) || token.text === code)) {
+    return { value: code, start: token.start, end: token.end, length: 1 };
+  }
+
+  const alias = matchAlias(tokens, i, CURRENCY_ALIASES);
+  if (alias && (allowAmbiguous || !AMBIGUOUS_CURRENCY_NAMES.includes(alias.key))) return alias;
+  return null;
+}
+
+/**
+ * Longest unit starting at token i (up to `last`): "km", "miles per hour",
+ * "m/s^2". The text is kept as written.
+ */
+function matchUnit(text, tokens, i, last = i + MAX_UNIT_TOKENS - 1) {
+  const first = tokens[i];
+  if (!first || first.isNumber) return null;
+
+  for (let j = Math.min(last, tokens.length - 1); j >= i; j--) {
+    // Numbers only as powers ("m^2", "s^-1")
+    if (tokens.slice(i, j + 1).some(t => t.isNumber && !/\^-?$/.test(text.slice(0, t.start)))) continue;
+    const value = text.slice(first.start, tokens[j].end);
+    try {
+      parseUnit(value);
+      return { value, start: first.start, end: tokens[j].end, length: j - i + 1 };
+    } catch {
+      // Not a unit, try a shorter span
+    }
+  }
+  return null;
+}
+
+/**
+ * The unit asked for in "how many <unit> (are) in" just before token i
+ */
+function matchAskedUnit(text, tokens, i) {
+  if (tokens[i - 1]?.lower !== 'in') return null;
+  let last = i - 2;
+  while (last >= 0 && ['are', 'is', 'there'].includes(tokens[last].lower)) last--;
+
+  for (let h = last - 1; h >= 1 && h >= last - MAX_UNIT_TOKENS; h--) {
+    if (tokens[h - 1].lower !== 'how' || !['many', 'much'].includes(tokens[h].lower)) continue;
+    const unit = matchUnit(text, tokens, h + 1, last);
+    return unit && unit.end === tokens[last].end ? unit : null;
+  }
+  return null;
+}
+
+function parseNumber(token) {
+  return parseFloat(token.text.replace(/,/g, ''));
+}
+
+/**
+ * 💰📐 Numbers with a currency or unit: "$20", "100 usd", "USD 100",
+ * "5 km to miles", "50 pounds in dollars", "how many feet in 3.2 km"
+ */
+function extractAmounts(text, tokens, isTaken) {
+  const entities = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!token.isNumber || isTaken(token.start, token.end)) continue;
+
+    let value = parseNumber(token);
+    let end = token.end;
+    let next = i + 1;
+
+    // Currency written before the number: "$20", "USD 100"
+    const before = i > 0 ? matchCurrency(tokens, i - 1) : null;
+
+    // "2 million", or "5k"/"3m" next to a currency (else "3m" is metres)
+    const scaleToken = tokens[next];
+    const scale = scaleToken && SCALE_WORDS[scaleToken.lower];
+    if (scale && (scaleToken.lower.length > 2 || before || matchCurrency(tokens, next + 1))) {
+      value *= scale;
+      end = scaleToken.end;
+      next++;
+    }
+    if (before && before.end <= token.start && !isTaken(before.start, before.end)) {
+      entities.push({ type: 'money', amount: value, currency: before.value, start: before.start, end });
+      continue;
+    }
+
+    const currency = matchCurrency(tokens, next, { allowAmbiguous: true });
+    const ordinal = tokens[next]?.start === end && ORDINAL_SUFFIXES.includes(tokens[next].lower);
+    const unit = ordinal ? null : matchUnit(text, tokens, next);
+    const after = currency || unit;
+    const targetIndex = after ? next + after.length : next;
+    const target = parseTarget(text, tokens, targetIndex);
+
+    // "pounds" is both: let the target decide, else prefer a currency
+    const asMoney = currency && (!unit || target?.currency || !target?.unit);
+    if (asMoney) {
+      entities.push({ type: 'money', amount: value, currency: currency.value, start: token.start, end: currency.end });
+      if (target?.currency) {
+        entities.push({ type: 'money', amount: null, currency: target.currency.value, start: target.currency.start, end: target.currency.end });
+        i = targetIndex + target.length - 1;
+      }
+      continue;
+    }
+
+    if (unit) {
+      const asked = target?.unit ? null : matchAskedUnit(text, tokens, i);
+      const toUnit = target?.unit || asked;
+      entities.push({
+        type: 'quantity',
+        value,
+        unit: unit.value,
+        toUnit: toUnit?.value || null,
+        start: asked ? asked.start : token.start,
+        end: target?.unit ? target.unit.end : unit.end
+      });
+      if (target?.unit) i = targetIndex + target.length - 1;
+    }
+  }
+
+  return entities;
+}
+
+/**
+ * "to|in|into|as <currency or unit>" following an amount
+ */
+function parseTarget(text, tokens, i) {
+  if (!tokens[i] || !['to', 'in', 'into', 'as'].includes(tokens[i].lower)) return null;
+  const currency = matchCurrency(tokens, i + 1, { allowAmbiguous: true });
+  const unit = matchUnit(text, tokens, i + 1);
+  if (!currency && !unit) return null;
+  return { currency, unit, length: 1 + (currency || unit).length };
+}
+
+/**
+ * 💱 Currencies mentioned without an amount: "EUR in yen", "dollar to euro rate"
+ */
+function extractCurrencyMentions(tokens, isTaken, found) {
+  const entities = [];
+  const pending = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = matchCurrency(tokens, i, { allowAmbiguous: true });
+    if (!match || isTaken(match.start, match.end)) continue;
+    const entity = { type: 'money', amount: null, currency: match.value, start: match.start, end: match.end };
+    const alias = tokens.slice(i, i + match.length).map(t => t.lower).join(' ');
+    if (AMBIGUOUS_CURRENCY_NAMES.includes(alias)) {
+      // "won", "pound" etc. only count when joined to another currency ("euro to won")
+      const linked = ['to', 'in', 'into', 'vs', 'per'].includes(tokens[i - 1]?.lower)
+        || ['to', 'in', 'into', 'vs', 'per'].includes(tokens[i + match.length]?.lower);
+      if (linked) pending.push(entity);
+    } else {
+      entities.push(entity);
+    }
+    i += match.length - 1;
+  }
+
+  const hasCurrency = entities.length > 0 || found.some(e => e.type === 'money');
+  return hasCurrency ? [...entities, ...pending] : entities;
+}
+
+/**
+ * 🪙 Crypto assets by name or ticker (ambiguous tickers only in capitals)
+ */
+function extractCryptos(tokens, isTaken) {
+  const entities = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = matchAlias(tokens, i, CRYPTO_ALIASES);
+    if (!match || isTaken(match.start, match.end)) continue;
+    if (AMBIGUOUS_TICKERS.includes(match.key) && tokens[i].text !== tokens[i].text.toUpperCase()) continue;
+    if (entities.some(e => e.id === match.value)) continue;
+
+    entities.push({ type: 'crypto', id: match.value, symbol: CRYPTO_SYMBOLS[match.value], start: match.start, end: match.end });
+    i += match.length - 1;
+  }
+
+  return entities;
+}
+
+/**
+ * 📅 Absolute and relative dates
+ */
+function extractDates(text, now) {
+  const entities = [];
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const addDays = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+  const push = (match, date, relative = null) => {
+    if (!date || isNaN(date.getTime())) return;
+    if (entities.some(e => match.index < e.end && match.index + match[0].length > e.start)) return;
+    entities.push({ type: 'date', value: toISODate(date), relative, start: match.index, end: match.index + match[0].length });
+  };
+
+  for (const match of text.matchAll(/\b(?:the\s+)?day\s+after\s+tomorrow\b/gi)) push(match, addDays(2), 'day after tomorrow');
+  for (const match of text.matchAll(/\b(today|tonight|tomorrow|yesterday)\b/gi)) {
+    const word = match[1].toLowerCase();
+    push(match, addDays({ today: 0, tonight: 0, tomorrow: 1, yesterday: -1 }[word]), word);
+  }
+
+  for (const match of text.matchAll(/\bin\s+(\d+)\s+(days?|weeks?|months?|years?)\b/gi)) {
+    push(match, addDays(parseInt(match[1]) * TIME_UNITS[match[2].toLowerCase()]), match[0].toLowerCase());
+  }
+  for (const match of text.matchAll(/\b(\d+)\s+(days?|weeks?|months?|years?)\s+(ago|from now)\b/gi)) {
+    const sign = match[3].toLowerCase() === 'ago' ? -1 : 1;
+    push(match, addDays(sign * parseInt(match[1]) * TIME_UNITS[match[2].toLowerCase()]), match[0].toLowerCase());
+  }
+
+  for (const match of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    push(match, new Date(+match[1], +match[2] - 1, +match[3]));
+  }
+  for (const match of text.matchAll(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g)) {
+    push(match, new Date(+match[3], +match[1] - 1, +match[2]));
+  }
+
+  const month = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+  const monthIndex = name => MONTHS.indexOf(name.toLowerCase().slice(0, 3));
+  for (const match of text.matchAll(new RegExp(`\\b${month}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi'))) {
+    push(match, new Date(match[3] ? +match[3] : today.getFullYear(), monthIndex(match[1]), +match[2]));
+  }
+  for (const match of text.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${month}(?:,?\\s+(\\d{4}))?\\b`, 'gi'))) {
+    push(match, new Date(match[3] ? +match[3] : today.getFullYear(), monthIndex(match[2]), +match[1]));
+  }
+
+  for (const match of text.matchAll(/\b(?:(next|this|last|on)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/gi)) {
+    const modifier = match[1]?.toLowerCase();
+    const target = WEEKDAYS.indexOf(match[2].toLowerCase());
+    let offset = (target - today.getDay() + 7) % 7;
+    if (modifier === 'next' && offset === 0) offset = 7;
+    if (modifier === 'last') offset = offset === 0 ? -7 : offset - 7;
+    push(match, addDays(offset), match[0].toLowerCase());
+  }
+
+  return entities;
+}
+
+function toISODate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 📍 Places: "in/at/for <place>", "<place> weather", capitalised names,
+ * and (marked `guessed`) the last words after "is/of"
+ */
+function extractLocations(text, tokens, isTaken) {
+  const entities = [];
+  const add = (start, end, guessed = false) => {
+    const value = text.slice(start, end).replace(/^the\s+/i, '').trim();
+    const lower = value.toLowerCase();
+    if (!value || value.length < 2 || NON_PLACES.includes(lower) || NON_PLACES.includes(`the ${lower}`)) return;
+    if (isTaken(start, end) || entities.some(e => start < e.end && end > e.start)) return;
+    if (entities.some(e => e.value.toLowerCase() === lower)) return;
+    entities.push({ type: 'location', value, start, end, ...(guessed ? { guessed: true } : {}) });
+  };
+
+  // Words after a preposition, up to a stopword or anything already taken
+  tokens.forEach((token, i) => {
+    if (!['in', 'at', 'for', 'near'].includes(token.lower)) return;
+    const phrase = [];
+    for (let j = i + 1; j < tokens.length && phrase.length < 4; j++) {
+      const t = tokens[j];
+      if (t.isNumber || LOCATION_STOPWORDS.includes(t.lower) || isTaken(t.start, t.end)) break;
+      if (phrase.length > 0 && /[,?!;]/.test(text.slice(phrase[phrase.length - 1].end, t.start))) break;
+      phrase.push(t);
+    }
+    if (phrase.length > 0) add(phrase[0].start, phrase[phrase.length - 1].end);
+  });
+
+  // "tokyo weather", "london time"
+  const leading = text.match(/^\s*([a-z][a-z .'-]*?)\s+(?:weather|time|forecast|temperature)\b/i);
+  if (leading && !/^(what|what's|whats|the|current|local|is|how)\b/i.test(leading[1])) {
+    const start = text.indexOf(leading[1]);
+    add(start, start + leading[1].length);
+  }
+
+  // Capitalised names anywhere but the first word ("how warm is Paris")
+  for (const match of text.matchAll(/(?<=\s)[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)*/g)) {
+    add(match.index, match.index + match[0].length);
+  }
+
+  // "how warm is paris", "capital of canada"
+  if (entities.length === 0) {
+    const trailing = text.match(/\b(?:is|of|about)\s+(?:it\s+)?(?:in\s+)?([a-z][a-z'-]*(?:\s+[a-z][a-z'-]*)?)\s*[?.!]*\s*$/i);
+    if (trailing && !trailing[1].split(/\s+/).some(w => LOCATION_STOPWORDS.includes(w.toLowerCase()))) {
+      const start = trailing.index + trailing[0].indexOf(trailing[1]);
+      add(start, start + trailing[1].length, true);
+    }
+  }
+
+  return entities;
+}
+
+export default {
+  extractEntities,
+  extractSlots
+};
@@ -0,0 +1,965 @@
+// utils/symbolicMath.js - Symbolic algebra and calculus, in process
+//
+// Expressions are parsed by mathParser.js and turned into a small algebra
+// tree: num, sym, add(terms), mul(factors), pow(base, exp) and fn(name, arg).
+// sqrt(u) is u^(1/2) and exp(u) is e^u, so the calculus rules only need pow.
+// pi and e stay symbolic; every other name is a variable.
+//
+// Each operation returns { result, steps, ... } where steps are
+// { description, expression } in the order they were applied. Results are
+// formatted so that mathParser.js can read them back.
+
+import { parse, MathError, FUNCTIONS, factorial } from './mathParser.js';
+
+export const OPERATIONS = {
+  simplify: 'simplify',
+  expand: 'expand',
+  factor: 'factor',
+  factorise: 'factor',
+  factorize: 'factor',
+  derive: 'derive',
+  derivative: 'derive',
+  differentiate: 'derive',
+  integrate: 'integrate',
+  integral: 'integrate',
+  antiderivative: 'integrate',
+  solve: 'solve'
+};
+
+const UNARY_FUNCTIONS = ['sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh', 'ln', 'log', 'abs'];
+const NUMERIC = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, ln: Math.log, log: Math.log10, abs: Math.abs
+};
+const CONSTANT_VALUES = { pi: Math.PI, e: Math.E };
+
+const MAX_EXPAND_POWER = 12;
+const MAX_EXPAND_TERMS = 500;
+const MAX_DENOMINATOR = 1000;
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🌳 TREE
+// ════════════════════════════════════════════════════════════════════════════════
+
+const num = value => ({ type: 'num', value });
+const sym = name => ({ type: 'sym', name });
+const add = (...terms) => ({ type: 'add', terms });
+const mul = (...factors) => ({ type: 'mul', factors });
+const pow = (base, exp) => ({ type: 'pow', base, exp });
+const fn = (name, arg) => ({ type: 'fn', name, arg });
+const neg = node => mul(num(-1), node);
+const sub = (a, b) => add(a, neg(b));
+const div = (a, b) => mul(a, pow(b, num(-1)));
+
+const isNum = (node, value) => node.type === 'num' && (value === undefined || node.value === value);
+const isSym = (node, name) => node.type === 'sym' && node.name === name;
+
+/**
+ * Parse `text` into an algebra tree; `offset` shifts error positions when
+ * `text` is part of a longer input (the right side of an equation)
+ */
+function read(text, offset = 0) {
+  try {
+    return fromParseTree(parse(text));
+  } catch (error) {
+    if (!(error instanceof MathError) || !offset || !error.position) throw error;
+    throw new MathError(error.message.replace(/ at position \d+$/, ''), { position: error.position + offset, token: error.token });
+  }
+}
+
+function fromParseTree(node) {
+  switch (node.type) {
+    case 'number':
+      return num(node.value);
+
+    case 'name':
+      return sym(node.name);
+
+    case 'unary':
+      return node.op === '-' ? neg(fromParseTree(node.arg)) : fromParseTree(node.arg);
+
+    case 'binary': {
+      const left = fromParseTree(node.left);
+      const right = fromParseTree(node.right);
+      if (node.op === '+') return add(left, right);
+      if (node.op === '-') return sub(left, right);
+      if (node.op === '*') return mul(left, right);
+      if (node.op === '/') return div(left, right);
+      if (node.op === '^') return pow(left, right);
+      throw new MathError(`'${node.op}' is not supported in symbolic math`, { position: node.position, token: node.op });
+    }
+
+    case 'postfix': {
+      const arg = fromParseTree(node.arg);
+      if (node.op === '%') return mul(arg, num(1 / 100));
+      if (node.op === '°') return mul(arg, sym('pi'), num(1 / 180));
+      const value = simplify(arg);
+      if (!isNum(value)) throw new MathError('Factorial needs a number', { position: node.position, token: '!' });
+      return num(factorial(value.value, node));
+    }
+
+    case 'call':
+      return fromCall(node);
+
+    default:
+      throw new MathError('Assignments are not supported in symbolic math', { position: node.position, token: node.name });
+  }
+}
+
+function fromCall(node) {
+  const [, minArgs, maxArgs] = FUNCTIONS[node.name];
+  if (node.args.length < minArgs || node.args.length > maxArgs) {
+    throw new MathError(`${node.name}() takes ${minArgs} argument${minArgs === 1 ? '' : 's'}, got ${node.args.length}`, {
+      position: node.position, token: node.name
+    });
+  }
+
+  const args = node.args.map(fromParseTree);
+  switch (node.name) {
+    case 'sqrt': return pow(args[0], num(1 / 2));
+    case 'cbrt': return pow(args[0], num(1 / 3));
+    case 'exp': return pow(sym('e'), args[0]);
+    case 'log10': return fn('log', args[0]);
+    case 'log2': return div(fn('ln', args[0]), fn('ln', num(2)));
+    case 'log': return args.length === 2 ? div(fn('ln', args[0]), fn('ln', args[1])) : fn('log', args[0]);
+    default:
+      if (UNARY_FUNCTIONS.includes(node.name)) return fn(node.name, args[0]);
+      throw new MathError(`${node.name}() is not supported in symbolic math`, { position: node.position, token: node.name });
+  }
+}
+
+function dependsOn(node, name) {
+  switch (node.type) {
+    case 'num': return false;
+    case 'sym': return node.name === name;
+    case 'fn': return dependsOn(node.arg, name);
+    case 'pow': return dependsOn(node.base, name) || dependsOn(node.exp, name);
+    default: return (node.terms || node.factors).some(child => dependsOn(child, name));
+  }
+}
+
+function freeSymbols(node, names = new Set()) {
+  if (node.type === 'sym' && CONSTANT_VALUES[node.name] === undefined) names.add(node.name);
+  if (node.type === 'fn') freeSymbols(node.arg, names);
+  if (node.type === 'pow') [node.base, node.exp].forEach(child => freeSymbols(child, names));
+  (node.terms || node.factors || []).forEach(child => freeSymbols(child, names));
+  return names;
+}
+
+/**
+ * The variable to work in: x when present, else the first free name
+ */
+function pickVariable(...nodes) {
+  const names = [...new Set(nodes.flatMap(node => [...freeSymbols(node)]))].sort();
+  return names.includes('x') || names.length === 0 ? 'x' : names[0];
+}
+
+/**
+ * Value of a tree without free variables (pi and e allowed), else null
+ */
+function numericValue(node) {
+  switch (node.type) {
+    case 'num': return node.value;
+    case 'sym': return CONSTANT_VALUES[node.name] ?? null;
+    case 'fn': {
+      const arg = numericValue(node.arg);
+      return arg === null ? null : NUMERIC[node.name](arg);
+    }
+    case 'pow': {
+      const [base, exp] = [numericValue(node.base), numericValue(node.exp)];
+      return base === null || exp === null ? null : Math.pow(base, exp);
+    }
+    default: {
+      const values = (node.terms || node.factors).map(numericValue);
+      if (values.includes(null)) return null;
+      return node.type === 'add' ? values.reduce((a, b) => a + b, 0) : values.reduce((a, b) => a * b, 1);
+    }
+  }
+}
+
+function clean(value) {
+  if (Math.abs(value - Math.round(value)) < 1e-10) return Math.round(value) || 0;
+  return parseFloat(value.toPrecision(12));
+}
+
+function toFraction(value) {
+  for (let q = 1; q <= MAX_DENOMINATOR; q++) {
+    const p = Math.round(value * q);
+    if (Math.abs(p / q - value) < 1e-9) return [p, q];
+  }
+  return null;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// ✨ SIMPLIFY & EXPAND
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * ✨ Fold constants, flatten sums and products, collect like terms and
+ * combine powers of the same base. Never expands.
+ */
+function simplify(node) {
+  switch (node.type) {
+    case 'num': return num(clean(node.value));
+    case 'sym': return node;
+    case 'fn': return simplifyFunction(node.name, simplify(node.arg));
+    case 'pow': return simplifyPower(simplify(node.base), simplify(node.exp));
+    case 'mul': return simplifyProduct(node.factors.map(simplify));
+    default: return simplifySum(node.terms.map(simplify));
+  }
+}
+
+function simplifyFunction(name, arg) {
+  if (name === 'ln' && isSym(arg, 'e')) return num(1);
+  if (name === 'ln' && arg.type === 'pow' && isSym(arg.base, 'e')) return arg.exp;
+
+  // sin(0), cos(pi), ln(1)... when the value is a whole number
+  const value = numericValue(fn(name, arg));
+  if (value !== null && Number.isFinite(value) && Number.isInteger(clean(value))) return num(clean(value));
+  return fn(name, arg);
+}
+
+/**
+ * 0 to a negative power is a division by zero, as the evaluator reports it
+ */
+function checkZeroDivision(base, exp) {
+  if (isNum(base, 0) && isNum(exp) && exp.value < 0) throw new MathError('Division by zero');
+}
+
+function simplifyPower(base, exp) {
+  checkZeroDivision(base, exp);
+  if (isNum(exp, 0) || isNum(base, 1)) return num(1);
+  if (isNum(exp, 1)) return base;
+  if (isNum(base, 0) && isNum(exp) && exp.value > 0) return num(0);
+
+  if (isNum(base) && isNum(exp)) {
+    const value = Math.pow(base.value, exp.value);
+    if (Number.isFinite(value) && (Number.isInteger(exp.value) || Number.isInteger(clean(value)))) return num(clean(value));
+  }
+  if (base.type === 'pow' && isNum(base.exp) && isNum(exp)) return simplifyPower(base.base, num(clean(base.exp.value * exp.value)));
+  if (isSym(base, 'e') && exp.type === 'fn' && exp.name === 'ln') return exp.arg;
+  if (base.type === 'mul' && isNum(exp) && Number.isInteger(exp.value)) {
+    return simplifyProduct(base.factors.map(factor => simplifyPower(factor, exp)));
+  }
+  return pow(base, exp);
+}
+
+function simplifyProduct(factors) {
+  const flat = factors.flatMap(factor => (factor.type === 'mul' ? factor.factors : [factor]));
+  let coefficient = 1;
+  const groups = new Map();
+
+  // A zero coefficient must not hide a 1/0 among the other factors
+  flat.forEach(factor => factor.type === 'pow' && checkZeroDivision(factor.base, factor.exp));
+
+  flat.forEach(factor => {
+    if (isNum(factor)) {
+      coefficient *= factor.value;
+      return;
+    }
+    const [base, exp] = factor.type === 'pow' ? [factor.base, factor.exp] : [factor, num(1)];
+    const key = format(base);
+    if (!groups.has(key)) groups.set(key, { base, exps: [] });
+    groups.get(key).exps.push(exp);
+  });
+  if (coefficient === 0) return num(0);
+
+  const rest = [];
+  for (const { base, exps } of groups.values()) {
+    const combined = simplifyPower(base, exps.length === 1 ? exps[0] : simplifySum(exps));
+    if (isNum(combined)) coefficient *= combined.value;
+    else if (combined.type === 'mul') return simplifyProduct([num(coefficient), ...rest, ...combined.factors, ...remainingFactors(groups, base)]);
+    else rest.push(combined);
+  }
+
+  coefficient = clean(coefficient);
+  if (coefficient === 0) return num(0);
+  rest.sort(compareFactors);
+  if (rest.length === 0) return num(coefficient);
+  if (coefficient === 1 && rest.length === 1) return rest[0];
+  return mul(...(coefficient === 1 ? [] : [num(coefficient)]), ...rest);
+}
+
+/**
+ * Factors of the groups after `base`, for restarting simplifyProduct
+ */
+function remainingFactors(groups, base) {
+  const entries = [...groups.values()];
+  return entries.slice(entries.findIndex(group => group.base === base) + 1)
+    .flatMap(({ base: b, exps }) => exps.map(exp => pow(b, exp)));
+}
+
+function simplifySum(terms) {
+  const flat = terms.flatMap(term => (term.type === 'add' ? term.terms : [term]));
+  let constant = 0;
+  const groups = new Map();
+
+  flat.forEach(term => {
+    if (isNum(term)) {
+      constant += term.value;
+      return;
+    }
+    const [coefficient, rest] = splitCoefficient(term);
+    const key = format(rest);
+    if (!groups.has(key)) groups.set(key, { rest, coefficient: 0 });
+    groups.get(key).coefficient += coefficient;
+  });
+
+  const result = [];
+  groups.forEach(({ rest, coefficient }) => {
+    const c = clean(coefficient);
+    if (c !== 0) result.push(c === 1 ? rest : simplifyProduct([num(c), rest]));
+  });
+  result.sort(compareTerms);
+  if (clean(constant) !== 0) result.push(num(clean(constant)));
+
+  if (result.length === 0) return num(0);
+  return result.length === 1 ? result[0] : add(...result);
+}
+
+function splitCoefficient(term) {
+  if (isNum(term)) return [term.value, num(1)];
+  if (term.type === 'mul' && isNum(term.factors[0])) {
+    const rest = term.factors.slice(1);
+    return [term.factors[0].value, rest.length === 1 ? rest[0] : mul(...rest)];
+  }
+  return [1, term];
+}
+
+function degreeOf(node) {
+  if (node.type === 'sym') return CONSTANT_VALUES[node.name] === undefined ? 1 : 0;
+  if (node.type === 'pow' && isNum(node.exp)) return degreeOf(node.base) * node.exp.value;
+  if (node.type === 'mul') return node.factors.reduce((sum, factor) => sum + degreeOf(factor), 0);
+  return 0;
+}
+
+// Higher degree first, then alphabetical
+function compareTerms(a, b) {
+  return degreeOf(b) - degreeOf(a) || format(a).localeCompare(format(b));
+}
+
+// Variables and their powers, then functions, then other powers, then sums
+function compareFactors(a, b) {
+  const rank = node => {
+    const base = node.type === 'pow' ? node.base : node;
+    if (base.type === 'sym') return CONSTANT_VALUES[base.name] === undefined ? 0 : 2;
+    if (base.type === 'fn') return 1;
+    return base.type === 'add' ? 3 : 2;
+  };
+  return rank(a) - rank(b) || format(a).localeCompare(format(b));
+}
+
+/**
+ * 📖 Multiply out products and whole powers of sums, then simplify
+ */
+function expand(node) {
+  switch (node.type) {
+    case 'num':
+    case 'sym':
+      return node;
+    case 'fn':
+      return simplify(fn(node.name, expand(node.arg)));
+    case 'add':
+      return simplify(add(...node.terms.map(expand)));
+    case 'pow': {
+      const base = expand(node.base);
+      const exp = expand(node.exp);
+      if (base.type === 'add' && isNum(exp) && Number.isInteger(exp.value) && exp.value > 1) {
+        if (exp.value > MAX_EXPAND_POWER) throw new MathError(`Powers above ${MAX_EXPAND_POWER} are too large to expand`);
+        return expand(mul(...Array(exp.value).fill(base)));
+      }
+      return simplify(pow(base, exp));
+    }
+    default: {
+      let products = [num(1)];
+      node.factors.map(expand).forEach(factor => {
+        const terms = factor.type === 'add' ? factor.terms : [factor];
+        const sum = simplify(add(...products.flatMap(p => terms.map(t => mul(p, t)))));
+        products = sum.type === 'add' ? sum.terms : [sum];
+        if (products.length > MAX_EXPAND_TERMS) throw new MathError('Expression is too large to expand');
+      });
+      return simplify(add(...products));
+    }
+  }
+}
+
+/**
+ * The shorter of the simplified and the expanded form
+ */
+function tidy(node) {
+  const simplified = simplify(node);
+  try {
+    const expanded = expand(simplified);
+    return format(expanded).length < format(simplified).length ? expanded : simplified;
+  } catch (error) {
+    if (!(error instanceof MathError)) throw error;
+    return simplified;
+  }
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 📐 POLYNOMIALS
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Coefficients (index = degree) of a polynomial in `v` with numeric
+ * coefficients, or null
+ */
+function toPolynomial(node, v) {
+  const expanded = expand(node);
+  const terms = expanded.type === 'add' ? expanded.terms : [expanded];
+  const coefficients = [];
+
+  for (const term of terms) {
+    const factors = term.type === 'mul' ? term.factors : [term];
+    let degree = 0;
+    let coefficient = 1;
+    for (const factor of factors) {
+      if (isSym(factor, v)) degree += 1;
+      else if (factor.type === 'pow' && isSym(factor.base, v) && isNum(factor.exp) && Number.isInteger(factor.exp.value) && factor.exp.value > 0) {
+        degree += factor.exp.value;
+      } else {
+        const value = numericValue(factor);
+        if (value === null) return null;
+        coefficient *= value;
+      }
+    }
+    coefficients[degree] = (coefficients[degree] || 0) + coefficient;
+  }
+
+  const result = Array.from(coefficients, c => clean(c || 0));
+  while (result.length > 1 && result[result.length - 1] === 0) result.pop();
+  return result;
+}
+
+function fromPolynomial(coefficients, v) {
+  return simplify(add(...coefficients.map((c, degree) => mul(num(c), pow(sym(v), num(degree))))));
+}
+
+const evaluatePolynomial = (coefficients, x) => coefficients.reduceRight((sum, c) => sum * x + c, 0);
+
+/**
+ * Divide by (x - root); the remainder is dropped
+ */
+function divideByRoot(coefficients, root) {
+  const quotient = [];
+  let carry = 0;
+  for (let i = coefficients.length - 1; i > 0; i--) {
+    carry = coefficients[i] + carry * root;
+    quotient[i - 1] = carry;
+  }
+  return quotient.map(clean);
+}
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function divisors(n) {
+  const result = [];
+  n = Math.abs(n);
+  for (let d = 1; d * d <= n && d <= 1e6; d++) {
+    if (n % d === 0) result.push(d, n / d);
+  }
+  return [...new Set(result)];
+}
+
+/**
+ * Rational roots p/q of an integer polynomial (p divides the constant, q the leading coefficient)
+ */
+function findRationalRoot(coefficients) {
+  const constant = coefficients[0];
+  const leading = coefficients[coefficients.length - 1];
+  if (constant === 0) return 0;
+
+  const candidates = divisors(constant).flatMap(p => divisors(leading).flatMap(q => [p / q, -p / q]));
+  candidates.sort((a, b) => Math.abs(a) - Math.abs(b) || b - a);
+  return candidates.find(r => Math.abs(evaluatePolynomial(coefficients, r)) < 1e-9) ?? null;
+}
+
+/**
+ * Scale to whole-number coefficients: returns [integers, scale]
+ */
+function toIntegerCoefficients(coefficients) {
+  const denominators = coefficients.map(c => toFraction(c)?.[1]);
+  if (denominators.includes(undefined)) return null;
+  const scale = denominators.reduce((l, d) => (l * d) / gcd(l, d), 1);
+  return [coefficients.map(c => clean(c * scale)), scale];
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🧩 FACTOR
+// ════════════════════════════════════════════════════════════════════════════════
+
+function factorPolynomial(coefficients, v, steps) {
+  const scaled = toIntegerCoefficients(coefficients);
+  if (!scaled) throw new MathError('Can only factor polynomials with rational coefficients');
+  let [rest, scale] = scaled;
+
+  // Common factor: the gcd of the coefficients and the lowest power of v
+  let content = rest.reduce((g, c) => gcd(g, c), 0) || 1;
+  if (rest[rest.length - 1] < 0) content = -content;
+  rest = rest.map(c => c / content);
+  const lowest = rest.findIndex(c => c !== 0);
+  rest = rest.slice(lowest);
+
+  const common = simplify(mul(num(content / scale), pow(sym(v), num(lowest))));
+  const factors = [];
+  const current = () => simplify(mul(common, ...factors, fromPolynomial(rest, v)));
+  if (!isNum(common, 1)) steps.push({ description: `Take out the common factor ${format(common)}`, expression: format(current()) });
+
+  while (rest.length > 2) {
+    const root = findRationalRoot(rest);
+    if (root === null) break;
+
+    const [p, q] = toFraction(root);
+    const factor = simplify(sub(mul(num(q), sym(v)), num(p)));
+    rest = divideByRoot(rest, root).map(c => clean(c / q));
+    factors.push(factor);
+    steps.push({ description: `${v} = ${formatNumber(root)} is a root, so (${format(factor)}) is a factor`, expression: format(current()) });
+  }
+
+  if (rest.length > 2) {
+    steps.push({ description: `${format(fromPolynomial(rest, v))} has no rational roots`, expression: format(current()) });
+  }
+  return current();
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 📈 DERIVE
+// ════════════════════════════════════════════════════════════════════════════════
+
+const FUNCTION_DERIVATIVES = {
+  sin: u => fn('cos', u),
+  cos: u => neg(fn('sin', u)),
+  tan: u => pow(fn('cos', u), num(-2)),
+  asin: u => pow(sub(num(1), pow(u, num(2))), num(-1 / 2)),
+  acos: u => neg(pow(sub(num(1), pow(u, num(2))), num(-1 / 2))),
+  atan: u => pow(add(num(1), pow(u, num(2))), num(-1)),
+  sinh: u => fn('cosh', u),
+  cosh: u => fn('sinh', u),
+  tanh: u => pow(fn('cosh', u), num(-2)),
+  ln: u => pow(u, num(-1)),
+  log: u => pow(mul(u, fn('ln', num(10))), num(-1)),
+  abs: u => mul(u, pow(fn('abs', u), num(-1)))
+};
+
+function derive(node, v, steps) {
+  if (!dependsOn(node, v)) return num(0);
+
+  const record = (description, result) => {
+    steps.push({ description, expression: `d/d${v}[${format(simplify(node))}] = ${format(tidy(result))}` });
+    return result;
+  };
+
+  switch (node.type) {
+    case 'sym':
+      return num(1);
+
+    case 'add':
+      return record('Sum rule', add(...node.terms.map(term => derive(term, v, steps))));
+
+    case 'mul': {
+      const constants = node.factors.filter(f => !dependsOn(f, v));
+      const varying = node.factors.filter(f => dependsOn(f, v));
+      if (varying.length === 1) {
+        const inner = derive(varying[0], v, steps);
+        return record('Constant multiple rule', mul(...constants, inner));
+      }
+      const derivatives = varying.map(f => derive(f, v, steps));
+      const terms = varying.map((_, i) => mul(...constants, ...varying.map((g, j) => (i === j ? derivatives[j] : g))));
+      return record('Product rule', add(...terms));
+    }
+
+    case 'pow': {
+      const { base, exp } = node;
+      if (!dependsOn(exp, v)) {
+        const result = mul(exp, pow(base, sub(exp, num(1))), derive(base, v, steps));
+        return record(isSym(base, v) ? 'Power rule' : 'Power rule with the chain rule', result);
+      }
+      if (!dependsOn(base, v)) {
+        return record('Exponential rule', mul(node, fn('ln', base), derive(exp, v, steps)));
+      }
+      // u^w = e^(w ln u)
+      return record('Logarithmic differentiation', mul(node, derive(mul(exp, fn('ln', base)), v, steps)));
+    }
+
+    case 'fn': {
+      const outer = FUNCTION_DERIVATIVES[node.name];
+      if (!outer) throw new MathError(`Cannot differentiate ${node.name}()`);
+      const inner = derive(node.arg, v, steps);
+      return record(isSym(node.arg, v) ? `Derivative of ${node.name}` : `Chain rule for ${node.name}`, mul(outer(node.arg), inner));
+    }
+
+    default:
+      return num(0);
+  }
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// ∫ INTEGRATE
+// ════════════════════════════════════════════════════════════════════════════════
+
+// ∫f(u) du for u = a·v + b is F(u)/a
+const FUNCTION_INTEGRALS = {
+  sin: u => neg(fn('cos', u)),
+  cos: u => fn('sin', u),
+  tan: u => neg(fn('ln', fn('abs', fn('cos', u)))),
+  sinh: u => fn('cosh', u),
+  cosh: u => fn('sinh', u),
+  ln: u => sub(mul(u, fn('ln', u)), u)
+};
+
+/**
+ * [a, b] when node is a·v + b with a ≠ 0, else null
+ */
+function linearIn(node, v) {
+  const coefficients = toPolynomial(node, v);
+  return coefficients && coefficients.length === 2 ? [coefficients[1], coefficients[0]] : null;
+}
+
+function integrate(node, v, steps) {
+  const record = (description, result) => {
+    steps.push({ description, expression: `∫${format(simplify(node))} d${v} = ${format(tidy(result))}` });
+    return result;
+  };
+
+  if (!dependsOn(node, v)) return record('Constant rule', mul(node, sym(v)));
+
+  if (node.type === 'add') {
+    return record('Sum rule', add(...node.terms.map(term => integrate(term, v, steps))));
+  }
+
+  if (node.type === 'mul') {
+    const constants = node.factors.filter(f => !dependsOn(f, v));
+    const varying = node.factors.filter(f => dependsOn(f, v));
+    if (constants.length > 0) {
+      const inner = integrate(varying.length === 1 ? varying[0] : mul(...varying), v, steps);
+      return record('Constant multiple rule', mul(...constants, inner));
+    }
+    const byParts = integrateByParts(varying, v);
+    if (byParts) return record('Integration by parts', byParts);
+    throw new MathError(`No rule to integrate ${format(simplify(node))}`);
+  }
+
+  if (isSym(node, v)) return record('Power rule', div(pow(node, num(2)), num(2)));
+
+  if (node.type === 'pow') {
+    const { base, exp } = node;
+    const linearBase = !dependsOn(exp, v) && linearIn(base, v);
+    if (linearBase) {
+      const [a] = linearBase;
+      if (isNum(exp, -1)) return record('Integral of 1/u', mul(num(1 / a), fn('ln', fn('abs', base))));
+      const raised = simplify(add(exp, num(1)));
+      return record('Power rule', mul(pow(base, raised), pow(mul(num(a), raised), num(-1))));
+    }
+    const linearExp = !dependsOn(base, v) && linearIn(exp, v);
+    if (linearExp) {
+      const [a] = linearExp;
+      const scale = isSym(base, 'e') ? num(1 / a) : pow(mul(num(a), fn('ln', base)), num(-1));
+      return record('Exponential rule', mul(scale, node));
+    }
+  }
+
+  if (node.type === 'fn' && FUNCTION_INTEGRALS[node.name]) {
+    const linear = linearIn(node.arg, v);
+    if (linear) return record(`Integral of ${node.name}`, mul(num(1 / linear[0]), FUNCTION_INTEGRALS[node.name](node.arg)));
+  }
+
+  throw new MathError(`No rule to integrate ${format(simplify(node))}`);
+}
+
+/**
+ * ∫P·T for a polynomial P and T = sin, cos, sinh, cosh or e^ of a linear
+ * argument, by repeated parts: P·T₁ - P'·T₂ + P''·T₃ - ...
+ */
+function integrateByParts(factors, v) {
+  if (factors.length !== 2) return null;
+
+  const isPolynomial = node => toPolynomial(node, v) !== null;
+  const polynomial = factors.find(isPolynomial);
+  const other = factors.find(f => f !== polynomial);
+  if (!polynomial || !other || isPolynomial(other)) return null;
+
+  const terms = [];
+  let derivative = polynomial;
+  let antiderivative = other;
+  try {
+    for (let k = 0; !isNum(simplify(derivative), 0); k++) {
+      antiderivative = simplify(integrate(antiderivative, v, []));
+      terms.push(mul(num(k % 2 === 0 ? 1 : -1), derivative, antiderivative));
+      derivative = simplify(derive(derivative, v, []));
+    }
+  } catch (error) {
+    if (error instanceof MathError) return null;
+    throw error;
+  }
+  return add(...terms);
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// ⚖️ SOLVE
+// ════════════════════════════════════════════════════════════════════════════════
+
+function solveEquation(input, variable) {
+  const [left, right, extra] = input.split('=');
+  if (extra !== undefined) {
+    const position = left.length + right.length + 2;
+    throw new MathError("An equation has one '='", { position, token: '=' });
+  }
+
+  const lhs = read(left);
+  const rhs = right === undefined ? num(0) : read(right, left.length + 1);
+  const v = variable || pickVariable(lhs, rhs);
+  const steps = [];
+
+  const moved = simplify(sub(lhs, rhs));
+  steps.push({ description: 'Move everything to one side', expression: `${format(moved)} = 0` });
+
+  const coefficients = toPolynomial(moved, v);
+  if (!coefficients) throw new MathError(`Only polynomial equations in ${v} can be solved`);
+  steps.push({ description: 'Expand', expression: `${format(fromPolynomial(coefficients, v))} = 0` });
+
+  const solutions = [];
+  let rest = coefficients;
+
+  // Peel off rational roots until a quadratic is left
+  while (rest.length > 3) {
+    const scaled = toIntegerCoefficients(rest);
+    const root = scaled && findRationalRoot(scaled[0]);
+    if (root === null || root === undefined) {
+      throw new MathError(`Cannot solve a degree-${rest.length - 1} equation without rational roots`);
+    }
+    solutions.push(realSolution(root));
+    rest = divideByRoot(rest, root);
+    steps.push({ description: `${v} = ${formatNumber(root)} is a root; divide by (${format(simplify(sub(sym(v), num(root))))})`, expression: `${format(fromPolynomial(rest, v))} = 0` });
+  }
+
+  if (rest.length === 1) {
+    if (solutions.length === 0) {
+      return { result: rest[0] === 0 ? 'All real numbers' : 'No solution', solutions, steps, variable: v };
+    }
+  } else if (rest.length === 2) {
+    const [b, a] = rest;
+    steps.push({ description: `Isolate ${v}`, expression: `${format(simplify(mul(num(a), sym(v))))} = ${formatNumber(-b)}` });
+    solutions.push(realSolution(-b / a));
+  } else {
+    solutions.push(...solveQuadratic(rest, v, steps));
+  }
+
+  const unique = solutions.filter((s, i) => solutions.findIndex(o => o.exact === s.exact) === i);
+  const result = unique.map(s => `${v} = ${s.exact}`).join(' or ');
+  steps.push({ description: unique.length === 1 ? 'Solution' : 'Solutions', expression: result });
+  return { result, solutions: unique, steps, variable: v };
+}
+
+function realSolution(value) {
+  return { exact: formatNumber(value), value: clean(value) };
+}
+
+function solveQuadratic([c, b, a], v, steps) {
+  const discriminant = clean(b * b - 4 * a * c);
+  steps.push({ description: 'Quadratic formula', expression: `${v} = (-b ± sqrt(b^2 - 4ac)) / 2a with a = ${formatNumber(a)}, b = ${formatNumber(b)}, c = ${formatNumber(c)}` });
+  steps.push({ description: 'Discriminant', expression: `b^2 - 4ac = ${formatNumber(discriminant)}` });
+
+  const center = -b / (2 * a);
+  if (discriminant === 0) return [realSolution(center)];
+
+  // center ± sqrt(|d|)/2a, exact when |d| is a whole number
+  const spread = Math.sqrt(Math.abs(discriminant)) / Math.abs(2 * a);
+  const radical = formatRadical(Math.abs(discriminant), Math.abs(2 * a));
+  const real = clean(center) === 0 ? '' : `${formatNumber(center)} `;
+  const pair = (sign, text) => (real ? `${real}${sign} ${text}` : `${sign === '-' ? '-' : ''}${text}`);
+
+  if (discriminant < 0) {
+    const imaginary = radical === '1' ? 'i' : /^\d+$/.test(radical) ? `${radical}i` : `(${radical})i`;
+    return ['+', '-'].map(sign => ({ exact: pair(sign, imaginary), value: null }));
+  }
+  if (toFraction(Math.sqrt(discriminant))) return [realSolution(center - spread), realSolution(center + spread)];
+  return [['-', center - spread], ['+', center + spread]].map(([sign, value]) => ({ exact: pair(sign, radical), value: clean(value) }));
+}
+
+/**
+ * sqrt(n)/d with square factors taken out: (12, 4) -> "sqrt(3)/2"
+ */
+function formatRadical(n, d) {
+  if (!Number.isInteger(n)) return formatNumber(Math.sqrt(n) / d);
+
+  let outside = 1;
+  let inside = n;
+  for (let k = 2; k * k <= inside; k++) {
+    while (inside % (k * k) === 0) {
+      inside /= k * k;
+      outside *= k;
+    }
+  }
+  return format(simplify(mul(num(outside / d), pow(num(inside), num(1 / 2)))));
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🖨️ FORMAT
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Numbers as integers, fractions with small denominators, or 6 decimals
+ */
+export function formatNumber(value) {
+  if (Number.isInteger(clean(value))) return String(clean(value));
+  const fraction = toFraction(value);
+  if (fraction) return `${fraction[0]}/${fraction[1]}`;
+  return value.toFixed(6).replace(/\.?0+$/, '');
+}
+
+/**
+ * 🖨️ Tree as text mathParser.js reads back ("3x^2 - sin(x)/2")
+ */
+export function format(node) {
+  switch (node.type) {
+    case 'num': return formatNumber(node.value);
+    case 'sym': return node.name;
+    case 'fn': return `${node.name}(${format(node.arg)})`;
+    case 'add': return formatSum(node.terms);
+    case 'mul': return formatProduct(node.factors);
+    default: return formatProduct([node]);
+  }
+}
+
+function formatSum(terms) {
+  return terms.map((term, i) => {
+    const [coefficient] = splitCoefficient(term);
+    const negative = coefficient < 0;
+    const text = format(negative ? negate(term) : term);
+    if (i === 0) return negative ? `-${text}` : text;
+    return negative ? ` - ${text}` : ` + ${text}`;
+  }).join('');
+}
+
+function negate(term) {
+  if (isNum(term)) return num(-term.value);
+  const [coefficient, rest] = splitCoefficient(term);
+  return coefficient === -1 ? rest : mul(num(-coefficient), ...(rest.type === 'mul' ? rest.factors : [rest]));
+}
+
+function formatProduct(factors) {
+  let coefficient = 1;
+  const numerator = [];
+  const denominator = [];
+
+  factors.forEach(factor => {
+    if (isNum(factor)) coefficient *= factor.value;
+    else if (factor.type === 'pow' && isNum(factor.exp) && factor.exp.value < 0) {
+      denominator.push(isNum(factor.exp, -1) ? factor.base : pow(factor.base, num(-factor.exp.value)));
+    } else numerator.push(factor);
+  });
+
+  const sign = coefficient < 0 ? '-' : '';
+  const fraction = toFraction(Math.abs(coefficient));
+  const [p, q] = fraction || [Math.abs(coefficient), 1];
+  const top = joinFactors(p === 1 && numerator.length > 0 ? '' : formatNumber(p), numerator);
+  if (q === 1 && denominator.length === 0) return sign + top;
+
+  const bottom = joinFactors(q === 1 ? '' : String(q), denominator);
+  const grouped = (q !== 1 && denominator.length > 0) || denominator.length > 1;
+  return `${sign}${top}/${grouped ? `(${bottom})` : bottom}`;
+}
+
+function joinFactors(coefficient, factors) {
+  return factors.map(formatFactor).reduce((text, part) => {
+    if (!text) return part;
+    if (part.startsWith('(')) return text + part;
+    if (/^\d/.test(part)) return `${text} * ${part}`;
+    return /^[\d./]+$/.test(text) ? text + part : `${text} ${part}`;
+  }, coefficient);
+}
+
+function formatFactor(node) {
+  if (node.type === 'add') return `(${format(node)})`;
+  if (node.type !== 'pow') return format(node);
+
+  const { base, exp } = node;
+  if (isNum(exp, 1 / 2)) return `sqrt(${format(base)})`;
+
+  const plainBase = base.type === 'sym' || base.type === 'fn' || (isNum(base) && Number.isInteger(base.value) && base.value >= 0);
+  const plainExp = exp.type === 'sym' || (isNum(exp) && Number.isInteger(exp.value) && exp.value >= 0);
+  return `${plainBase ? format(base) : `(${format(base)})`}^${plainExp ? format(exp) : `(${format(exp)})`}`;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🧮 OPERATIONS
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * 🧮 Run a symbolic operation (see OPERATIONS for the accepted names) on
+ * `input`. `variable` defaults to x, or the only variable used. Returns
+ * { operation, variable, result, steps } plus `solutions` for solve.
+ * Throws MathError.
+ */
+export function runSymbolic(operation, input, { variable } = {}) {
+  const op = OPERATIONS[String(operation).toLowerCase()];
+  if (!op) throw new MathError(`Unknown operation '${operation}' (use ${[...new Set(Object.values(OPERATIONS))].join(', ')})`);
+  if (variable !== undefined && !/^[a-z_]\w*$/i.test(variable)) throw new MathError(`Invalid variable '${variable}'`);
+  const v = variable?.toLowerCase();
+
+  if (op === 'solve') return { operation: op, ...solveEquation(String(input), v) };
+
+  const tree = read(input);
+  const steps = [];
+  const x = v || pickVariable(tree);
+  let result;
+
+  switch (op) {
+    case 'simplify': {
+      const simplified = simplify(tree);
+      steps.push({ description: 'Fold constants and collect like terms', expression: format(simplified) });
+      result = tidy(tree);
+      if (format(result) !== format(simplified)) steps.push({ description: 'Expand', expression: format(result) });
+      break;
+    }
+
+    case 'expand':
+      result = expand(tree);
+      steps.push({ description: 'Multiply out and collect like terms', expression: format(result) });
+      break;
+
+    case 'factor': {
+      const coefficients = toPolynomial(tree, x);
+      if (!coefficients) throw new MathError(`Can only factor polynomials in ${x}`);
+      steps.push({ description: 'Write as a polynomial', expression: format(fromPolynomial(coefficients, x)) });
+      result = factorPolynomial(coefficients, x, steps);
+      break;
+    }
+
+    case 'derive':
+      result = tidy(derive(simplify(tree), x, steps));
+      steps.push({ description: 'Simplify', expression: format(result) });
+      break;
+
+    default: {
+      const simplified = simplify(tree);
+      let integral;
+      try {
+        integral = integrate(simplified, x, steps);
+      } catch (error) {
+        // x(x + 1) has no rule, x^2 + x does
+        if (!(error instanceof MathError)) throw error;
+        steps.length = 0;
+        integral = integrate(expand(simplified), x, steps);
+      }
+      result = tidy(integral);
+      steps.push({ description: 'Add the constant of integration', expression: `${format(result)} + C` });
+      return { operation: op, variable: x, result: `${format(result)} + C`, steps };
+    }
+  }
+
+  return { operation: op, variable: x, result: format(result), steps };
+}
+
+export default {
+  OPERATIONS,
+  runSymbolic,
+  format,
+  formatNumber
+};
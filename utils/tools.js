@@ -0,0 +1,271 @@
+// utils/tools.js - Services exposed to the LLM as JSON-schema function tools
+
+import defaultServices from '../services/index.js';
+
+const DEFAULT_TOOL_TIMEOUT = 8000;
+const MAX_TOOL_OUTPUT = 4000;
+
+const string = (description, extra = {}) => ({ type: "string", description, ...extra });
+const number = (description, extra = {}) => ({ type: "number", description, ...extra });
+
+/**
+ * 🛠️ Tool registry over a services object (services/index.js shape) - name → { description, parameters, handler }
+ */
+function createToolRegistry(services) {
+  return {
+    getWorldTime: {
+      description: "Get the current local time in a city or country.",
+      parameters: { location: string("City or country, e.g. 'Tokyo'") },
+      required: ["location"],
+      handler: ({ location }) => services.time.getWorldTime(location),
+    },
+    getDateInfo: {
+      description: "Get calendar details (weekday, week number, day of year) for today or a given date.",
+      parameters: { date: string("ISO date (YYYY-MM-DD); omit for today") },
+      handler: ({ date }) => services.time.getDateInfo(date || null),
+    },
+    calculateDateDifference: {
+      description: "Count the days, weeks, months and years between two dates.",
+      parameters: {
+        from: string("Start date (YYYY-MM-DD)"),
+        to: string("End date (YYYY-MM-DD); omit for today"),
+      },
+      required: ["from"],
+      handler: ({ from, to }) => services.time.calculateDateDifference(from, to || null),
+    },
+    getHolidays: {
+      description: "List public holidays for a country and year.",
+      parameters: {
+        countryCode: string("ISO 3166-1 alpha-2 country code, e.g. 'US', 'DE'"),
+        year: number("Year, defaults to the current year"),
+      },
+      required: ["countryCode"],
+      handler: ({ countryCode, year }) => services.time.getHolidays(countryCode.toUpperCase(), year || new Date().getFullYear()),
+    },
+    getSunTimes: {
+      description: "Get today's sunrise, sunset and day length at a latitude/longitude.",
+      parameters: {
+        lat: number("Latitude"),
+        lon: number("Longitude"),
+        location: string("Human-readable place name"),
+      },
+      required: ["lat", "lon"],
+      handler: ({ lat, lon, location }) => services.time.getSunTimes(lat, lon, location || ""),
+    },
+    getWeather: {
+      description: "Get current weather and a 3-day forecast for a location.",
+      parameters: { location: string("City or place, e.g. 'Paris'") },
+      required: ["location"],
+      handler: ({ location }) => services.weather.getWeather(location),
+    },
+    getAirQuality: {
+      description: "Get the air quality index (AQI) for a city.",
+      parameters: { city: string("City name") },
+      required: ["city"],
+      handler: ({ city }) => services.weather.getAirQuality(city),
+    },
+    convertCurrency: {
+      description: "Convert an amount between two currencies using live exchange rates.",
+      parameters: {
+        amount: number("Amount to convert"),
+        from: string("ISO 4217 code to convert from, e.g. 'EUR'"),
+        to: string("ISO 4217 code to convert to, e.g. 'JPY'"),
+      },
+      required: ["amount", "from", "to"],
+      handler: ({ amount, from, to }) => services.finance.convertCurrency(amount, from, to),
+    },
+    getExchangeRates: {
+      description: "Get exchange rates against a base currency.",
+      parameters: { base: string("ISO 4217 base currency, defaults to USD") },
+      handler: ({ base }) => services.finance.getExchangeRates(base || "USD"),
+    },
+    getCryptoPrice: {
+      description: "Get the price, 24h change and market cap of a cryptocurrency.",
+      parameters: { crypto: string("CoinGecko id, e.g. 'bitcoin', 'ethereum', 'solana'") },
+      required: ["crypto"],
+      handler: ({ crypto }) => services.finance.getCryptoPrice(crypto),
+    },
+    getTopCryptos: {
+      description: "List the top cryptocurrencies by market cap.",
+      parameters: { limit: number("How many coins (1-25)", { minimum: 1, maximum: 25 }) },
+      handler: ({ limit }) => services.finance.getTopCryptos(Math.min(limit || 10, 25)),
+    },
+    getNews: {
+      description: "Get the latest news headlines for a topic.",
+      parameters: {
+        topic: string("News topic", {
+          enum: ["technology", "science", "business", "world", "health", "sports", "politics", "arts", "movies", "books"]
+        }),
+      },
+      handler: ({ topic }) => services.news.getNews(topic || "technology"),
+    },
+    getCountryInfo: {
+      description: "Get facts about a country: capital, population, languages, currency, timezones.",
+      parameters: { country: string("Country name") },
+      required: ["country"],
+      handler: ({ country }) => services.geography.getCountryInfo(country),
+    },
+    convertUnits: {
+      description: "Convert a value between units of the same dimension: length, area, volume, mass, time, speed, force, energy, power, pressure, frequency, data (SI and IEC prefixes) or temperature. Compound units work too.",
+      parameters: {
+        value: number("Value to convert"),
+        fromUnit: string("Unit to convert from, e.g. 'km', 'kWh', 'm/s^2', 'celsius'"),
+        toUnit: string("Unit to convert to, e.g. 'miles', 'joules', 'ft/s^2', 'fahrenheit'"),
+      },
+      required: ["value", "fromUnit", "toUnit"],
+      handler: ({ value, fromUnit, toUnit }) => services.math.convert(value, fromUnit, toUnit),
+    },
+    calculate: {
+      description: "Evaluate a math expression exactly: + - * / ^, % (remainder or percent), !, sqrt, sin/cos/tan (radians, or 30°), log/ln/exp, min/max, pi and e.",
+      parameters: { expression: string("Expression, e.g. '234 * 567 / 3', 'sqrt(2) * pi' or '15% of 240'") },
+      required: ["expression"],
+      handler: ({ expression }) => services.math.calculate(expression),
+    },
+    symbolicMath: {
+      description: "Work with algebra and calculus symbolically, showing the steps: simplify, expand, factor, derive (differentiate), integrate (indefinite) or solve (linear, quadratic or polynomial equations).",
+      parameters: {
+        operation: string("Operation to run", { enum: ["simplify", "expand", "factor", "derive", "integrate", "solve"] }),
+        expression: string("Expression or equation, e.g. 'x^2 sin(x)' or 'x^2 - 5x + 6 = 0'"),
+        variable: string("Variable to work in; defaults to x or the only variable used"),
+      },
+      required: ["operation", "expression"],
+      handler: ({ operation, expression, variable }) => services.math.calculateMath(operation, expression, { variable: variable || undefined }),
+    },
+    defineWord: {
+      description: "Look up the dictionary definition of an English word.",
+      parameters: { word: string("Word to define") },
+      required: ["word"],
+      handler: ({ word }) => services.webSearch.searchDictionary(word),
+    },
+    searchWikipedia: {
+      description: "Get a Wikipedia summary for a person, place, thing or concept.",
+      parameters: { query: string("Topic to look up") },
+      required: ["query"],
+      handler: ({ query }) => services.webSearch.searchWikipedia(query),
+    },
+    webSearch: {
+      description: "Search the web when no other tool fits the question.",
+      parameters: { query: string("Search query") },
+      required: ["query"],
+      handler: ({ query }) => services.webSearch.smartSearch(query),
+    },
+    getJoke: {
+      description: "Get a random joke.",
+      parameters: {},
+      handler: () => services.entertainment.getJoke(),
+    },
+    getQuote: {
+      description: "Get a random inspirational quote.",
+      parameters: {},
+      handler: () => services.entertainment.getQuote(),
+    },
+    getTriviaQuestion: {
+      description: "Get a multiple-choice trivia question.",
+      parameters: {},
+      handler: () => services.entertainment.getTriviaQuestion(),
+    },
+    getISSLocation: {
+      description: "Get the current position of the International Space Station.",
+      parameters: {},
+      handler: () => services.science.getISSLocation(),
+    },
+    getPeopleInSpace: {
+      description: "List the people currently in space.",
+      parameters: {},
+      handler: () => services.science.getPeopleInSpace(),
+    },
+    getNasaAPOD: {
+      description: "Get NASA's Astronomy Picture of the Day.",
+      parameters: {},
+      handler: () => services.science.getNasaAPOD(),
+    },
+  };
+}
+
+const DEFAULT_TOOLS = createToolRegistry(defaultServices);
+
+/**
+ * 📋 Tool definitions in the OpenAI `tools` format
+ */
+export function getToolDefinitions(registry = DEFAULT_TOOLS) {
+  return Object.entries(registry).map(([name, tool]) => ({
+    type: "function",
+    function: {
+      name,
+      description: tool.description,
+      parameters: {
+        type: "object",
+        properties: tool.parameters,
+        required: tool.required || []
+      }
+    }
+  }));
+}
+
+/**
+ * ⚡ Execute one tool call from the model, bounded by a timeout
+ * Never throws - failures are recorded so the model can react to them.
+ */
+export async function executeToolCall(call, timeout = parseInt(process.env.TOOL_TIMEOUT, 10) || DEFAULT_TOOL_TIMEOUT, registry = DEFAULT_TOOLS) {
+  const startTime = Date.now();
+  const name = call.function?.name;
+  const record = { id: call.id, name, arguments: {}, result: null };
+
+  try {
+    const tool = registry[name];
+    if (!tool) throw new Error(`Unknown tool "${name}"`);
+
+    record.arguments = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    const missing = (tool.required || []).filter(param => record.arguments[param] === undefined || record.arguments[param] === "");
+    if (missing.length > 0) throw new Error(`Missing required argument(s): ${missing.join(', ')}`);
+
+    let timeoutId;
+    const timer = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(`Tool timed out after ${timeout}ms`)), timeout);
+    });
+
+    try {
+      record.result = await Promise.race([Promise.resolve(tool.handler(record.arguments)), timer]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (record.result === null || record.result === undefined) {
+      record.error = "No data found";
+    }
+  } catch (error) {
+    record.error = error.message;
+  }
+
+  record.durationMs = Date.now() - startTime;
+  console.log(`🛠️ Tool: ${name} ${record.error ? `❌ ${record.error}` : '✅'} (${record.durationMs}ms)`);
+  return record;
+}
+
+/**
+ * 📝 Serialize a tool record as the `tool` message content sent back to the model
+ */
+export function formatToolOutput(record) {
+  const output = JSON.stringify(record.error ? { error: record.error } : record.result);
+  return output.length > MAX_TOOL_OUTPUT ? output.substring(0, MAX_TOOL_OUTPUT) + '…' : output;
+}
+
+/**
+ * 🧰 Tool options for the LLM layer ({ tools, executeTool, formatToolOutput }),
+ * with every tool calling `services` (services/index.js shape)
+ */
+export function createTools(services = defaultServices) {
+  const registry = createToolRegistry(services);
+  return {
+    tools: getToolDefinitions(registry),
+    executeTool: call => executeToolCall(call, undefined, registry),
+    formatToolOutput
+  };
+}
+
+export default {
+  createTools,
+  getToolDefinitions,
+  executeToolCall,
+  formatToolOutput
+};
@@ -0,0 +1,464 @@
+// utils/units.js - Unit registry, parser and dimensional analysis
+//
+// Every unit is a factor relative to SI base units (m, kg, s, K, bit) and a
+// dimension: the exponents of length, mass, time, temperature and data. Two
+// units convert when their dimensions match. Temperatures also carry an
+// offset, used only when the unit stands alone (°C to °F, not J/°C).
+//
+//   unit   := factor (('*' | '·' | '/' | 'per') factor)*
+//   factor := ('square' | 'sq' | 'cubic')? atom power? | '(' unit ')' power?
+//   power  := '^' '-'? integer | '²' | '³' | 'squared' | 'cubed'
+//   atom   := symbol or name, with an SI (k, M, milli...) or IEC (Ki, kibi...)
+//             prefix where the unit allows one
+//
+// Symbols are case-sensitive (mW is not MW). Input that matches no symbol is
+// retried case-insensitively, and when two units fit the larger one wins, so
+// "mw" reads as MW and "mb" as MB.
+
+/**
+ * ❌ Unknown unit or incompatible dimensions
+ */
+export class UnitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnitError';
+  }
+}
+
+const BASE_DIMENSIONS = ['length', 'mass', 'time', 'temperature', 'data'];
+
+const dimension = (exponents = {}) => BASE_DIMENSIONS.map(name => exponents[name] || 0);
+
+const LENGTH = dimension({ length: 1 });
+const AREA = dimension({ length: 2 });
+const VOLUME = dimension({ length: 3 });
+const MASS = dimension({ mass: 1 });
+const TIME = dimension({ time: 1 });
+const TEMPERATURE = dimension({ temperature: 1 });
+const DATA = dimension({ data: 1 });
+const SPEED = dimension({ length: 1, time: -1 });
+const FORCE = dimension({ mass: 1, length: 1, time: -2 });
+const ENERGY = dimension({ mass: 1, length: 2, time: -2 });
+const POWER = dimension({ mass: 1, length: 2, time: -3 });
+const PRESSURE = dimension({ mass: 1, length: -1, time: -2 });
+const FREQUENCY = dimension({ time: -1 });
+const DATA_RATE = dimension({ data: 1, time: -1 });
+
+// Names for derived dimensions, for messages and the unit list
+const DIMENSION_NAMES = [
+  ['length', LENGTH], ['area', AREA], ['volume', VOLUME], ['mass', MASS], ['time', TIME],
+  ['temperature', TEMPERATURE], ['data', DATA], ['speed', SPEED], ['acceleration', dimension({ length: 1, time: -2 })],
+  ['force', FORCE], ['energy', ENERGY], ['power', POWER], ['pressure', PRESSURE], ['frequency', FREQUENCY],
+  ['data rate', DATA_RATE], ['dimensionless', dimension()]
+];
+
+const SI_PREFIXES = {
+  P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3,
+  c: 1e-2, d: 1e-1, m: 1e-3, µ: 1e-6, u: 1e-6, n: 1e-9
+};
+const SI_PREFIX_NAMES = {
+  peta: 'P', tera: 'T', giga: 'G', mega: 'M', kilo: 'k',
+  centi: 'c', deci: 'd', milli: 'm', micro: 'µ', nano: 'n'
+};
+const IEC_PREFIXES = { Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40, Pi: 2 ** 50 };
+const IEC_PREFIX_NAMES = { kibi: 'Ki', mebi: 'Mi', gibi: 'Gi', tebi: 'Ti', pebi: 'Pi' };
+
+// Prefixes each unit accepts: 'si' the SI prefixes up to T ("5 pm" is not
+// petametres), 'data' k and up plus IEC
+const PREFIX_SETS = {
+  si: Object.keys(SI_PREFIXES).filter(prefix => prefix !== 'P'),
+  data: ['P', 'T', 'G', 'M', 'k', ...Object.keys(IEC_PREFIXES)]
+};
+
+/**
+ * 📐 The registry. symbols are case-sensitive, names are matched in lower
+ * case and also accept a trailing "s".
+ */
+const UNITS = [
+  // Length
+  { symbol: 'm', symbols: [], names: ['meter', 'metre'], dimension: LENGTH, factor: 1, prefixes: 'si' },
+  { symbol: 'in', symbols: ['"'], names: ['inch', 'inches'], dimension: LENGTH, factor: 0.0254 },
+  { symbol: 'ft', symbols: ["'"], names: ['foot', 'feet'], dimension: LENGTH, factor: 0.3048 },
+  { symbol: 'yd', symbols: [], names: ['yard'], dimension: LENGTH, factor: 0.9144 },
+  { symbol: 'mi', symbols: [], names: ['mile'], dimension: LENGTH, factor: 1609.344 },
+  { symbol: 'nmi', symbols: [], names: ['nautical mile'], dimension: LENGTH, factor: 1852 },
+  { symbol: 'au', symbols: ['AU'], names: ['astronomical unit'], dimension: LENGTH, factor: 149597870700 },
+  { symbol: 'ly', symbols: [], names: ['light year', 'light-year', 'lightyear'], dimension: LENGTH, factor: 9460730472580800 },
+
+  // Area (square metres and the like come from exponents)
+  { symbol: 'ha', symbols: [], names: ['hectare'], dimension: AREA, factor: 1e4 },
+  { symbol: 'ac', symbols: [], names: ['acre'], dimension: AREA, factor: 4046.8564224 },
+  { symbol: 'sqm', symbols: [], names: [], dimension: AREA, factor: 1 },
+  { symbol: 'sqkm', symbols: [], names: [], dimension: AREA, factor: 1e6 },
+  { symbol: 'sqft', symbols: [], names: [], dimension: AREA, factor: 0.09290304 },
+  { symbol: 'sqin', symbols: [], names: [], dimension: AREA, factor: 6.4516e-4 },
+  { symbol: 'sqmi', symbols: [], names: [], dimension: AREA, factor: 2589988.110336 },
+
+  // Volume
+  { symbol: 'L', symbols: ['l'], names: ['liter', 'litre'], dimension: VOLUME, factor: 1e-3, prefixes: 'si' },
+  { symbol: 'cc', symbols: [], names: [], dimension: VOLUME, factor: 1e-6 },
+  { symbol: 'gal', symbols: [], names: ['gallon', 'us gallon'], dimension: VOLUME, factor: 3.785411784e-3 },
+  { symbol: 'imp gal', symbols: [], names: ['imperial gallon'], dimension: VOLUME, factor: 4.54609e-3 },
+  { symbol: 'qt', symbols: [], names: ['quart'], dimension: VOLUME, factor: 9.46352946e-4 },
+  { symbol: 'pt', symbols: [], names: ['pint'], dimension: VOLUME, factor: 4.73176473e-4 },
+  { symbol: 'cup', symbols: [], names: ['cup'], dimension: VOLUME, factor: 2.365882365e-4 },
+  { symbol: 'fl oz', symbols: ['floz'], names: ['fluid ounce'], dimension: VOLUME, factor: 2.95735295625e-5 },
+  { symbol: 'tbsp', symbols: [], names: ['tablespoon'], dimension: VOLUME, factor: 1.478676478125e-5 },
+  { symbol: 'tsp', symbols: [], names: ['teaspoon'], dimension: VOLUME, factor: 4.92892159375e-6 },
+
+  // Mass (the gram takes the prefixes, so the factor is 1/1000 of a kg)
+  { symbol: 'g', symbols: [], names: ['gram', 'gramme'], dimension: MASS, factor: 1e-3, prefixes: 'si' },
+  { symbol: 't', symbols: [], names: ['tonne', 'metric ton'], dimension: MASS, factor: 1000 },
+  { symbol: 'ton', symbols: [], names: ['short ton', 'us ton'], dimension: MASS, factor: 907.18474 },
+  { symbol: 'lb', symbols: ['lbs'], names: ['pound'], dimension: MASS, factor: 0.45359237 },
+  { symbol: 'oz', symbols: [], names: ['ounce'], dimension: MASS, factor: 0.028349523125 },
+  { symbol: 'st', symbols: [], names: ['stone'], dimension: MASS, factor: 6.35029318 },
+
+  // Time
+  { symbol: 's', symbols: ['sec', 'secs'], names: ['second'], dimension: TIME, factor: 1, prefixes: 'si' },
+  { symbol: 'min', symbols: ['mins'], names: ['minute'], dimension: TIME, factor: 60 },
+  { symbol: 'h', symbols: ['hr', 'hrs'], names: ['hour'], dimension: TIME, factor: 3600 },
+  { symbol: 'd', symbols: [], names: ['day'], dimension: TIME, factor: 86400 },
+  { symbol: 'wk', symbols: [], names: ['week'], dimension: TIME, factor: 604800 },
+  { symbol: 'yr', symbols: ['yrs'], names: ['year'], dimension: TIME, factor: 31557600 },
+
+  // Speed
+  { symbol: 'km/h', symbols: ['kmh', 'kph'], names: [], dimension: SPEED, factor: 1 / 3.6 },
+  { symbol: 'mph', symbols: [], names: [], dimension: SPEED, factor: 0.44704 },
+  { symbol: 'kn', symbols: ['kt'], names: ['knot'], dimension: SPEED, factor: 1852 / 3600 },
+
+  // Force, energy, power, pressure, frequency
+  { symbol: 'N', symbols: [], names: ['newton'], dimension: FORCE, factor: 1, prefixes: 'si' },
+  { symbol: 'lbf', symbols: [], names: ['pound-force', 'pound force'], dimension: FORCE, factor: 4.4482216152605 },
+  { symbol: 'J', symbols: [], names: ['joule'], dimension: ENERGY, factor: 1, prefixes: 'si' },
+  { symbol: 'Wh', symbols: [], names: ['watt hour', 'watt-hour', 'watthour'], dimension: ENERGY, factor: 3600, prefixes: 'si' },
+  { symbol: 'cal', symbols: [], names: ['calorie'], dimension: ENERGY, factor: 4.184, prefixes: 'si' },
+  { symbol: 'Cal', symbols: [], names: ['food calorie'], dimension: ENERGY, factor: 4184 },
+  { symbol: 'eV', symbols: [], names: ['electronvolt', 'electron volt'], dimension: ENERGY, factor: 1.602176634e-19, prefixes: 'si' },
+  { symbol: 'BTU', symbols: ['Btu', 'btu'], names: ['british thermal unit'], dimension: ENERGY, factor: 1055.05585262 },
+  { symbol: 'W', symbols: [], names: ['watt'], dimension: POWER, factor: 1, prefixes: 'si' },
+  { symbol: 'hp', symbols: [], names: ['horsepower'], dimension: POWER, factor: 745.69987158227022 },
+  { symbol: 'Pa', symbols: [], names: ['pascal'], dimension: PRESSURE, factor: 1, prefixes: 'si' },
+  { symbol: 'bar', symbols: [], names: [], dimension: PRESSURE, factor: 1e5, prefixes: 'si' },
+  { symbol: 'atm', symbols: [], names: ['atmosphere'], dimension: PRESSURE, factor: 101325 },
+  { symbol: 'psi', symbols: [], names: [], dimension: PRESSURE, factor: 6894.757293168361 },
+  { symbol: 'mmHg', symbols: [], names: ['millimeter of mercury', 'millimetre of mercury'], dimension: PRESSURE, factor: 133.322387415 },
+  { symbol: 'inHg', symbols: [], names: ['inch of mercury'], dimension: PRESSURE, factor: 3386.389 },
+  { symbol: 'Torr', symbols: ['torr'], names: [], dimension: PRESSURE, factor: 101325 / 760 },
+  { symbol: 'Hz', symbols: [], names: ['hertz'], dimension: FREQUENCY, factor: 1, prefixes: 'si' },
+
+  // Data, with SI (kB = 1000 B) and IEC (KiB = 1024 B) prefixes
+  { symbol: 'bit', symbols: [], names: [], dimension: DATA, factor: 1, prefixes: 'data' },
+  { symbol: 'B', symbols: [], names: ['byte'], dimension: DATA, factor: 8, prefixes: 'data' },
+  { symbol: 'bps', symbols: [], names: [], dimension: DATA_RATE, factor: 1, prefixes: 'data' },
+
+  // Temperature: kelvin = (value + offset) × factor
+  { symbol: 'K', symbols: [], names: ['kelvin'], dimension: TEMPERATURE, factor: 1, offset: 0 },
+  { symbol: '°C', symbols: ['C', 'degC', '℃'], names: ['celsius', 'centigrade', 'degree celsius', 'degree c'], dimension: TEMPERATURE, factor: 1, offset: 273.15 },
+  { symbol: '°F', symbols: ['F', 'degF', '℉'], names: ['fahrenheit', 'degree fahrenheit', 'degree f'], dimension: TEMPERATURE, factor: 5 / 9, offset: 459.67 },
+  { symbol: '°R', symbols: ['R', 'degR'], names: ['rankine', 'degree rankine'], dimension: TEMPERATURE, factor: 5 / 9, offset: 0 }
+];
+
+const SYMBOLS = new Map();
+const NAMES = new Map();
+UNITS.forEach(unit => {
+  [unit.symbol, ...unit.symbols].forEach(symbol => SYMBOLS.set(symbol, unit));
+  unit.names.forEach(name => {
+    NAMES.set(name, unit);
+    NAMES.set(`${name}s`, unit);
+    NAMES.set(name.replace(/^degree /, 'degrees '), unit);
+  });
+});
+
+// Every prefixed symbol by lower case, keeping the largest ("mw" → MW)
+let lowerCaseSymbols = null;
+function getLowerCaseSymbols() {
+  if (lowerCaseSymbols) return lowerCaseSymbols;
+  lowerCaseSymbols = new Map();
+  const offer = (text, atom) => {
+    const key = text.toLowerCase();
+    const current = lowerCaseSymbols.get(key);
+    if (!current || atom.unit.factor * atom.scale > current.unit.factor * current.scale) lowerCaseSymbols.set(key, atom);
+  };
+  UNITS.forEach(unit => {
+    [unit.symbol, ...unit.symbols].forEach(symbol => {
+      offer(symbol, { unit, scale: 1, symbol: unit.symbol });
+      (PREFIX_SETS[unit.prefixes] || []).forEach(prefix => {
+        offer(prefix + symbol, { unit, scale: prefixScale(prefix), symbol: prefix + unit.symbol });
+      });
+    });
+  });
+  return lowerCaseSymbols;
+}
+
+const prefixScale = prefix => SI_PREFIXES[prefix] ?? IEC_PREFIXES[prefix];
+
+/**
+ * One unit word or phrase ("km", "kilometres", "fl oz") as
+ * { unit, scale, symbol }, or null
+ */
+function resolveAtom(text) {
+  if (SYMBOLS.has(text)) return { unit: SYMBOLS.get(text), scale: 1, symbol: SYMBOLS.get(text).symbol };
+
+  // Prefixed symbol: "km", "MiB"
+  for (const prefix of [...Object.keys(IEC_PREFIXES), ...Object.keys(SI_PREFIXES)]) {
+    const unit = text.startsWith(prefix) && SYMBOLS.get(text.slice(prefix.length));
+    if (unit && PREFIX_SETS[unit.prefixes]?.includes(prefix)) {
+      return { unit, scale: prefixScale(prefix), symbol: prefix + unit.symbol };
+    }
+  }
+
+  // Names, with or without a spelled-out prefix: "kilometres", "gibibytes"
+  const lower = text.toLowerCase();
+  if (NAMES.has(lower)) return { unit: NAMES.get(lower), scale: 1, symbol: NAMES.get(lower).symbol };
+  for (const [name, prefix] of Object.entries({ ...SI_PREFIX_NAMES, ...IEC_PREFIX_NAMES })) {
+    const unit = lower.startsWith(name) && NAMES.get(lower.slice(name.length));
+    if (unit && PREFIX_SETS[unit.prefixes]?.includes(prefix)) {
+      return { unit, scale: prefixScale(prefix), symbol: prefix + unit.symbol };
+    }
+  }
+
+  return getLowerCaseSymbols().get(lower) || null;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🔍 PARSER
+// ════════════════════════════════════════════════════════════════════════════════
+
+const LEXEME_PATTERN = /\s*(?:([*·×/^()²³-])|(\d+)|([A-Za-zµ°℃℉'"][A-Za-zµ°'"-]*))/y;
+const POWER_WORDS = { squared: 2, cubed: 3 };
+const POWER_PREFIXES = { square: 2, sq: 2, cubic: 3 };
+
+function lex(text) {
+  const lexemes = [];
+  LEXEME_PATTERN.lastIndex = 0;
+  while (LEXEME_PATTERN.lastIndex < text.length) {
+    const start = LEXEME_PATTERN.lastIndex;
+    const match = LEXEME_PATTERN.exec(text);
+    if (!match) {
+      if (/^\s*$/.test(text.slice(start))) break;
+      throw new UnitError(`Unexpected '${text.slice(start).trim()[0]}' in unit '${text}'`);
+    }
+    if (match[1]) lexemes.push({ type: 'op', value: match[1] });
+    else if (match[2]) lexemes.push({ type: 'number', value: parseInt(match[2]) });
+    else lexemes.push({ type: 'word', value: match[3] });
+  }
+  return lexemes;
+}
+
+/**
+ * 🔍 Parse a unit: { symbol, factor, dimension, offset }. `offset` is set
+ * only for a lone temperature unit. Throws UnitError.
+ */
+export function parseUnit(text) {
+  const source = String(text ?? '').trim();
+  if (!source) throw new UnitError('Unit is required');
+
+  const lexemes = lex(source.replace(/\bper\b/gi, '/'));
+  let index = 0;
+  const peek = () => lexemes[index];
+  const unknown = () => new UnitError(`Unknown unit '${source}'`);
+
+  function parseProduct() {
+    let left = parseFactor();
+    while (peek()?.type === 'op' && '*·×/'.includes(peek().value)) {
+      const op = lexemes[index++].value;
+      const right = parseFactor();
+      left = combine(left, op === '/' ? raise(right, -1) : right);
+    }
+    return left;
+  }
+
+  function parseFactor() {
+    let unit;
+    let exponent = 1;
+    const next = peek();
+
+    if (next?.value === '(') {
+      index++;
+      unit = parseProduct();
+      if (lexemes[index++]?.value !== ')') throw new UnitError(`Missing ')' in unit '${source}'`);
+    } else {
+      if (next?.type === 'word' && POWER_PREFIXES[next.value.toLowerCase()] && lexemes[index + 1]?.type === 'word') {
+        exponent = POWER_PREFIXES[next.value.toLowerCase()];
+        index++;
+      }
+      unit = parseAtom();
+    }
+
+    const power = parsePower();
+    return raise(unit, exponent * power);
+  }
+
+  // Longest run of up to three words that names a unit ("fl oz", "degrees celsius")
+  function parseAtom() {
+    for (let length = 3; length >= 1; length--) {
+      const words = lexemes.slice(index, index + length);
+      if (words.length < length || words.some(w => w.type !== 'word')) continue;
+      const atom = resolveAtom(words.map(w => w.value).join(' '));
+      if (atom) {
+        index += length;
+        return fromAtom(atom);
+      }
+    }
+    throw unknown();
+  }
+
+  function parsePower() {
+    const next = peek();
+    if (next?.value === '²' || next?.value === '³') {
+      index++;
+      return next.value === '²' ? 2 : 3;
+    }
+    if (next?.type === 'word' && POWER_WORDS[next.value.toLowerCase()]) {
+      index++;
+      return POWER_WORDS[next.value.toLowerCase()];
+    }
+    if (next?.value !== '^') return 1;
+
+    index++;
+    const negative = peek()?.value === '-' && Boolean(index++);
+    const exponent = lexemes[index++];
+    if (exponent?.type !== 'number') throw new UnitError(`Expected a whole-number power in unit '${source}'`);
+    return negative ? -exponent.value : exponent.value;
+  }
+
+  const unit = parseProduct();
+  if (index < lexemes.length) throw unknown();
+
+  const lone = unit.parts.length === 1 && unit.parts[0][1] === 1 ? unit.parts[0][2] : null;
+  return {
+    symbol: formatSymbol(unit.parts),
+    factor: unit.factor,
+    dimension: unit.dimension,
+    offset: lone?.offset ?? null
+  };
+}
+
+function fromAtom({ unit, scale, symbol }) {
+  return { factor: unit.factor * scale, dimension: unit.dimension, parts: [[symbol, 1, unit]] };
+}
+
+function raise(unit, exponent) {
+  return {
+    factor: unit.factor ** exponent,
+    dimension: unit.dimension.map(e => e * exponent),
+    parts: unit.parts.map(([symbol, e, definition]) => [symbol, e * exponent, definition])
+  };
+}
+
+function combine(a, b) {
+  return {
+    factor: a.factor * b.factor,
+    dimension: a.dimension.map((e, i) => e + b.dimension[i]),
+    parts: [...a.parts, ...b.parts]
+  };
+}
+
+/**
+ * "kg·m^2/s^2" from [[symbol, exponent]] parts
+ */
+function formatSymbol(parts) {
+  const power = (symbol, e) => (e === 1 ? symbol : `${symbol}^${e}`);
+  const top = parts.filter(([, e]) => e > 0).map(([s, e]) => power(s, e));
+  const bottom = parts.filter(([, e]) => e < 0).map(([s, e]) => power(s, -e));
+  const numerator = top.join('·') || '1';
+  if (bottom.length === 0) return numerator;
+  return `${numerator}/${bottom.length > 1 ? `(${bottom.join('·')})` : bottom[0]}`;
+}
+
+/**
+ * Name of a dimension vector ("energy"), or its base exponents
+ */
+export function describeDimension(exponents) {
+  const named = DIMENSION_NAMES.find(([, d]) => d.every((e, i) => e === exponents[i]));
+  if (named) return named[0];
+  return formatSymbol(BASE_DIMENSIONS.map((name, i) => [name, exponents[i]]).filter(([, e]) => e !== 0));
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// 🔄 CONVERSION
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * 🔄 Convert `value` between two units. Returns { value, result, from, to,
+ * factor, formula, dimension }; temperatures shift by their offsets.
+ * Throws UnitError for unknown units, mismatched dimensions or temperatures
+ * below absolute zero.
+ */
+export function convert(value, fromUnit, toUnit) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) throw new UnitError(`Invalid value '${value}'`);
+
+  const from = parseUnit(fromUnit);
+  const to = parseUnit(toUnit);
+  if (!from.dimension.every((e, i) => e === to.dimension[i])) {
+    throw new UnitError(
+      `Cannot convert ${from.symbol} (${describeDimension(from.dimension)}) to ${to.symbol} (${describeDimension(to.dimension)})`
+    );
+  }
+
+  // result = value × factor + shift; shift is 0 unless both are lone temperatures
+  const absolute = from.offset !== null && to.offset !== null;
+  if (absolute && clean((amount + from.offset) * from.factor) < 0) {
+    throw new UnitError(`${amount} ${from.symbol} is below absolute zero`);
+  }
+  const factor = from.factor / to.factor;
+  const shift = absolute ? (from.offset * from.factor) / to.factor - to.offset : 0;
+  const result = clean(amount * factor + shift);
+
+  return {
+    value: amount,
+    result,
+    from: from.symbol,
+    to: to.symbol,
+    factor: clean(factor),
+    formula: shift
+      ? `${to.symbol} = ${from.symbol} × ${formatQuantity(factor)} ${shift < 0 ? '−' : '+'} ${formatQuantity(Math.abs(shift))}`
+      : `${to.symbol} = ${from.symbol} × ${formatQuantity(factor)}`,
+    dimension: describeDimension(from.dimension)
+  };
+}
+
+/**
+ * Drop floating-point noise (0.1 + 0.2) while keeping 12 significant digits
+ */
+function clean(value) {
+  return value === 0 ? 0 : parseFloat(value.toPrecision(12));
+}
+
+/**
+ * 🔢 A converted value for display: 6 significant digits, exponent form
+ * outside 1e-4 .. 1e15
+ */
+export function formatQuantity(value) {
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  if (magnitude < 1e-4 || magnitude >= 1e15) return value.toPrecision(6).replace(/\.?0+e/, 'e');
+  return String(parseFloat(value.toPrecision(6)));
+}
+
+/**
+ * 📋 Registered units grouped by dimension, with the prefixes they accept
+ */
+export function listUnits() {
+  const groups = {};
+  UNITS.forEach(unit => {
+    const name = describeDimension(unit.dimension);
+    (groups[name] ||= []).push({
+      symbol: unit.symbol,
+      names: unit.names,
+      ...(unit.prefixes && { prefixes: unit.prefixes === 'si' ? 'SI' : 'SI and IEC' })
+    });
+  });
+  return groups;
+}
+
+export default {
+  UnitError,
+  parseUnit,
+  convert,
+  describeDimension,
+  formatQuantity,
+  listUnits
+};